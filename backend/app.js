@@ -11,14 +11,22 @@ dotenv.config();
 const app = express();
 
 // Basic middleware for CORS and JSON parsing
-app.use(cors());
-app.use(express.json());
+// Content-Disposition carries the file name of downloads (e.g. roster exports)
+app.use(cors({ exposedHeaders: ["Content-Disposition"] }));
+// Event imports post up to 100 rows at once, above the 100kb default
+app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
 
 // Mount API routes
 app.use("/api/auth", require("./routes/authRoutes"));
 app.use("/api/profile", require("./routes/profileRoutes"));
 app.use("/api/events", require("./routes/eventRoutes"));
+app.use("/api/event-templates", require("./routes/eventTemplateRoutes"));
+app.use("/api/organizations", require("./routes/organizationRoutes"));
+app.use("/api/verification", require("./routes/verificationRoutes"));
+app.use("/api/admin", require("./routes/adminRoutes"));
+app.use("/api/eligibility-rules", require("./routes/eligibilityRulesRoutes"));
+app.use("/api/calendar", require("./routes/calendarRoutes"));
 
 // Simple health check endpoint
 app.get("/api/health", (req, res) => {
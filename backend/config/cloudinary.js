@@ -29,17 +29,23 @@ cloudinary.config({
 });
 
 /*
- * uploadToCloudinary(buffer, folder)
+ * uploadToCloudinary(buffer, folder, { maxDimension })
  * Uploads an image buffer to Cloudinary under an optionally specified folder.
+ * Images are scaled down to fit maxDimension pixels (default 500, enough for
+ * avatars; scanned documents need more to stay readable).
  */
-const uploadToCloudinary = (buffer, folder = "blood-donation-app/profiles") => {
+const uploadToCloudinary = (
+  buffer,
+  folder = "blood-donation-app/profiles",
+  { maxDimension = 500 } = {}
+) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
         folder: folder,
         resource_type: "auto",
         transformation: [
-          { width: 500, height: 500, crop: "limit" },
+          { width: maxDimension, height: maxDimension, crop: "limit" },
           { quality: "auto" },
         ],
       },
@@ -0,0 +1,555 @@
+/*
+ * Admin Controller
+ * Moderation console for platform administrators: search users, deactivate
+ * or reactivate accounts, review organizer verification requests, hide
+ * events from the public, see platform-wide statistics and query the audit
+ * log of state-changing actions. Force-cancelling an event goes through
+ * POST /api/events/:id/cancel, which admins may call for any event.
+ */
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Event = require("../models/Event");
+const Donation = require("../models/Donation");
+const Organization = require("../models/Organization");
+const OrganizerVerification = require("../models/OrganizerVerification");
+const { notifyUsers } = require("../services/notifications");
+const {
+  snapshot,
+  recordAudit,
+  buildAuditQuery,
+  findAuditEntries,
+} = require("../services/auditLog");
+
+const { VERIFICATION_STATUSES } = OrganizerVerification;
+
+const USER_ROLES = ["donor", "organizer", "admin"];
+const EVENT_STATUSES = ["upcoming", "ongoing", "completed", "cancelled"];
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Page and limit query values, limited to MAX_PAGE_SIZE per page
+const parsePagination = ({ page, limit }) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// Counts per value of a field as { value: count }
+const countBy = async (Model, field, match = {}) => {
+  const groups = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  ]);
+
+  return Object.fromEntries(groups.map((group) => [group._id, group.count]));
+};
+
+const findUserById = (userId) =>
+  mongoose.isValidObjectId(userId) ? User.findById(userId) : null;
+
+const ADMIN_USER_FIELDS =
+  "fullName email role isActive deactivatedAt isVerifiedOrganizer organization phone createdAt";
+
+// @desc    Platform-wide statistics
+// @route   GET /api/admin/stats
+// @access  Private (Admins only)
+exports.getStats = async (req, res) => {
+  try {
+    const [
+      usersByRole,
+      inactiveUsers,
+      unverifiedOrganizers,
+      eventsByStatus,
+      hiddenEvents,
+      registrations,
+      donationsByOutcome,
+      organizations,
+      pendingVerifications,
+    ] = await Promise.all([
+      countBy(User, "role"),
+      User.countDocuments({ isActive: false }),
+      User.countDocuments({ role: "organizer", isVerifiedOrganizer: { $ne: true } }),
+      countBy(Event, "status"),
+      Event.countDocuments({ isHidden: true }),
+      Event.aggregate([
+        { $unwind: "$attendees" },
+        { $group: { _id: "$attendees.status", count: { $sum: 1 } } },
+      ]),
+      countBy(Donation, "outcome"),
+      Organization.countDocuments(),
+      OrganizerVerification.countDocuments({ status: "pending" }),
+    ]);
+
+    res.status(200).json({
+      users: {
+        total: Object.values(usersByRole).reduce((sum, count) => sum + count, 0),
+        byRole: Object.fromEntries(USER_ROLES.map((role) => [role, usersByRole[role] || 0])),
+        inactive: inactiveUsers,
+        unverifiedOrganizers,
+        pendingVerifications,
+      },
+      events: {
+        total: Object.values(eventsByStatus).reduce((sum, count) => sum + count, 0),
+        byStatus: Object.fromEntries(
+          EVENT_STATUSES.map((status) => [status, eventsByStatus[status] || 0])
+        ),
+        hidden: hiddenEvents,
+      },
+      registrations: Object.fromEntries(
+        registrations.map((group) => [group._id, group.count])
+      ),
+      donations: {
+        completed: donationsByOutcome.completed || 0,
+        deferred: donationsByOutcome.deferred || 0,
+      },
+      organizations,
+    });
+  } catch (error) {
+    console.error("Get admin stats error:", error);
+    res.status(500).json({
+      message: "Error fetching platform statistics",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (Admins only)
+// Filters: search (name or email), role, status (active|inactive),
+// verified (true|false, organizers), page, limit
+exports.getUsers = async (req, res) => {
+  try {
+    const { search, role, status, verified } = req.query;
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
+    const query = {};
+
+    if (search && search.trim()) {
+      const pattern = escapeRegex(search.trim());
+      query.$or = [
+        { fullName: { $regex: pattern, $options: "i" } },
+        { email: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    if (USER_ROLES.includes(role)) {
+      query.role = role;
+    }
+
+    if (status === "active" || status === "inactive") {
+      query.isActive = status === "active";
+    }
+
+    if (verified === "true" || verified === "false") {
+      query.role = "organizer";
+      query.isVerifiedOrganizer = verified === "true" ? true : { $ne: true };
+    }
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(query),
+      User.find(query)
+        .select(ADMIN_USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+    ]);
+
+    res.status(200).json({
+      count: users.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      users,
+    });
+  } catch (error) {
+    console.error("Get admin users error:", error);
+    res.status(500).json({
+      message: "Error fetching users",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Deactivate or reactivate an account ({ isActive })
+// @route   PUT /api/admin/users/:id/status
+// @access  Private (Admins only)
+exports.updateUserStatus = async (req, res) => {
+  try {
+    const { isActive } = req.body || {};
+
+    if (typeof isActive !== "boolean") {
+      return res.status(400).json({
+        message: "isActive must be true or false",
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        message: "You cannot deactivate your own account",
+      });
+    }
+
+    const user = await findUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found",
+      });
+    }
+
+    // updateOne keeps the password hook out of it
+    await User.updateOne(
+      { _id: user._id },
+      isActive
+        ? { $set: { isActive: true }, $unset: { deactivatedAt: "" } }
+        : { $set: { isActive: false, deactivatedAt: new Date() } }
+    );
+
+    await recordAudit(req, {
+      action: isActive ? "user.reactivate" : "user.deactivate",
+      targetType: "user",
+      targetId: user._id,
+      subject: user._id,
+      before: { isActive: user.isActive },
+      after: { isActive },
+    });
+
+    res.status(200).json({
+      message: isActive ? "Account reactivated" : "Account deactivated",
+      user: await User.findById(user._id).select(ADMIN_USER_FIELDS),
+    });
+  } catch (error) {
+    console.error("Update user status error:", error);
+    res.status(500).json({
+      message: "Error updating account status",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Mark an organizer as verified or unverified ({ isVerifiedOrganizer })
+// @route   PUT /api/admin/users/:id/verification
+// @access  Private (Admins only)
+exports.updateOrganizerVerification = async (req, res) => {
+  try {
+    const { isVerifiedOrganizer } = req.body || {};
+
+    if (typeof isVerifiedOrganizer !== "boolean") {
+      return res.status(400).json({
+        message: "isVerifiedOrganizer must be true or false",
+      });
+    }
+
+    const user = await findUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found",
+      });
+    }
+
+    if (user.role !== "organizer") {
+      return res.status(400).json({
+        message: "Only organizers can be verified",
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { isVerifiedOrganizer } });
+
+    await recordAudit(req, {
+      action: "user.verification",
+      targetType: "user",
+      targetId: user._id,
+      subject: user._id,
+      before: { isVerifiedOrganizer: Boolean(user.isVerifiedOrganizer) },
+      after: { isVerifiedOrganizer },
+    });
+
+    res.status(200).json({
+      message: isVerifiedOrganizer ? "Organizer verified" : "Organizer verification removed",
+      user: await User.findById(user._id).select(ADMIN_USER_FIELDS),
+    });
+  } catch (error) {
+    console.error("Update organizer verification error:", error);
+    res.status(500).json({
+      message: "Error updating organizer verification",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    List and search events, including hidden and cancelled ones
+// @route   GET /api/admin/events
+// @access  Private (Admins only)
+// Filters: search (title, location, organization), status, hidden
+// (true|false), page, limit
+exports.getEvents = async (req, res) => {
+  try {
+    const { search, status, hidden } = req.query;
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
+    const query = {};
+
+    if (search && search.trim()) {
+      const pattern = escapeRegex(search.trim());
+      query.$or = [
+        { eventTitle: { $regex: pattern, $options: "i" } },
+        { location: { $regex: pattern, $options: "i" } },
+        { organizationName: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    if (EVENT_STATUSES.includes(status)) {
+      query.status = status;
+    }
+
+    if (hidden === "true" || hidden === "false") {
+      query.isHidden = hidden === "true" ? true : { $ne: true };
+    }
+
+    const [total, events] = await Promise.all([
+      Event.countDocuments(query),
+      Event.find(query)
+        .select("-attendees -waitlist -timeSlots")
+        .populate("organizer", "fullName email isActive isVerifiedOrganizer")
+        .populate("hiddenBy", "fullName")
+        .sort({ startsAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+    ]);
+
+    res.status(200).json({
+      count: events.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      events,
+    });
+  } catch (error) {
+    console.error("Get admin events error:", error);
+    res.status(500).json({
+      message: "Error fetching events",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Hide an event from the public or show it again ({ isHidden, reason })
+// @route   PUT /api/admin/events/:id/visibility
+// @access  Private (Admins only)
+exports.updateEventVisibility = async (req, res) => {
+  try {
+    const { isHidden } = req.body || {};
+    const reason = String(req.body?.reason || "").trim();
+
+    if (typeof isHidden !== "boolean") {
+      return res.status(400).json({
+        message: "isHidden must be true or false",
+      });
+    }
+
+    if (isHidden && !reason) {
+      return res.status(400).json({
+        message: "Please give a reason for hiding the event",
+      });
+    }
+
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findById(req.params.id)
+      : null;
+
+    if (!event) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
+
+    const before = snapshot(event, "event");
+    event.isHidden = isHidden;
+    event.hiddenReason = isHidden ? reason : undefined;
+    event.hiddenAt = isHidden ? new Date() : undefined;
+    event.hiddenBy = isHidden ? req.user._id : undefined;
+
+    await event.save();
+
+    await recordAudit(req, {
+      action: isHidden ? "event.hide" : "event.unhide",
+      targetType: "event",
+      targetId: event._id,
+      event: event._id,
+      before,
+      after: snapshot(event, "event"),
+    });
+
+    res.status(200).json({
+      message: isHidden ? "Event hidden" : "Event visible again",
+      event: await Event.findById(event._id)
+        .select("-attendees -waitlist -timeSlots")
+        .populate("organizer", "fullName email isActive isVerifiedOrganizer")
+        .populate("hiddenBy", "fullName"),
+    });
+  } catch (error) {
+    console.error("Update event visibility error:", error);
+    res.status(500).json({
+      message: "Error updating event visibility",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Organizer verification requests, oldest pending first
+// @route   GET /api/admin/verifications
+// @access  Private (Admins only)
+// Filters: status (pending|approved|rejected, default pending), page, limit
+exports.getVerifications = async (req, res) => {
+  try {
+    const status = VERIFICATION_STATUSES.includes(req.query.status)
+      ? req.query.status
+      : "pending";
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
+
+    const [total, verifications] = await Promise.all([
+      OrganizerVerification.countDocuments({ status }),
+      OrganizerVerification.find({ status })
+        .populate("organizer", "fullName email phone organization isVerifiedOrganizer")
+        .populate("reviewedBy", "fullName")
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip(skip)
+        .limit(limitNum),
+    ]);
+
+    res.status(200).json({
+      count: verifications.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      verifications,
+    });
+  } catch (error) {
+    console.error("Get verifications error:", error);
+    res.status(500).json({
+      message: "Error fetching verification requests",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve or reject a verification request ({ decision, notes });
+//          rejections need notes telling the organizer what to fix
+// @route   PUT /api/admin/verifications/:id
+// @access  Private (Admins only)
+exports.reviewVerification = async (req, res) => {
+  try {
+    const { decision } = req.body || {};
+    const notes = String(req.body?.notes || "").trim();
+
+    if (decision !== "approve" && decision !== "reject") {
+      return res.status(400).json({
+        message: "Decision must be approve or reject",
+      });
+    }
+
+    if (decision === "reject" && !notes) {
+      return res.status(400).json({
+        message: "Please tell the organizer why the request was rejected",
+      });
+    }
+
+    const verification = mongoose.isValidObjectId(req.params.id)
+      ? await OrganizerVerification.findById(req.params.id)
+      : null;
+
+    if (!verification) {
+      return res.status(404).json({
+        message: "Verification request not found",
+      });
+    }
+
+    if (verification.status !== "pending") {
+      return res.status(400).json({
+        message: `This request was already ${verification.status}`,
+      });
+    }
+
+    const before = snapshot(verification, "verification");
+    verification.status = decision === "approve" ? "approved" : "rejected";
+    verification.reviewNotes = notes || undefined;
+    verification.reviewedBy = req.user._id;
+    verification.reviewedAt = new Date();
+    await verification.save();
+
+    if (decision === "approve") {
+      await User.updateOne(
+        { _id: verification.organizer },
+        { $set: { isVerifiedOrganizer: true } }
+      );
+    }
+
+    await recordAudit(req, {
+      action: decision === "approve" ? "verification.approve" : "verification.reject",
+      targetType: "verification",
+      targetId: verification._id,
+      subject: verification.organizer,
+      before,
+      after: snapshot(verification, "verification"),
+    });
+
+    const organizer = await User.findById(verification.organizer).select(
+      "fullName email"
+    );
+
+    await notifyUsers("verification-reviewed", [organizer], {
+      approved: decision === "approve",
+      organizationName: verification.organizationName,
+      notes,
+    });
+
+    res.status(200).json({
+      message:
+        decision === "approve" ? "Organizer verified" : "Verification request rejected",
+      verification: await verification.populate([
+        { path: "organizer", select: "fullName email phone organization isVerifiedOrganizer" },
+        { path: "reviewedBy", select: "fullName" },
+      ]),
+    });
+  } catch (error) {
+    console.error("Review verification error:", error);
+    res.status(500).json({
+      message: "Error reviewing verification request",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Query the audit log, newest first
+// @route   GET /api/admin/audit-logs
+// @access  Private (Admins only)
+// Filters: event, user (actor or subject), action, from, to, page, limit
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { query, error } = buildAuditQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        message: error,
+      });
+    }
+
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
+    const { entries, total } = await findAuditEntries(query, { skip, limit: limitNum });
+
+    res.status(200).json({
+      entries,
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    console.error("Get audit log error:", error);
+    res.status(500).json({
+      message: "Error fetching audit log",
+      error: error.message,
+    });
+  }
+};
@@ -1,5 +1,16 @@
+const crypto = require("crypto");
 const User = require("../models/User");
 const jwt = require("jsonwebtoken");
+const { snapshot, recordAudit } = require("../services/auditLog");
+const { notifyUsers } = require("../services/notifications");
+
+// Emailed links work once: verification links for a day, reset links for
+// an hour
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+// A new verification email can be requested once a minute
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
 
 /*
  * Helper: generateToken
@@ -11,6 +22,65 @@ const generateToken = (id) => {
   });
 };
 
+/*
+ * Helper: hashToken
+ * Emailed tokens are stored as SHA-256 hashes, so a database leak does not
+ * expose working links.
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/*
+ * Helper: sendVerificationEmail
+ * Replaces the user's verification token with a new one and emails the
+ * confirmation link.
+ */
+const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: new Date(
+          Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+        ),
+      },
+    }
+  );
+
+  await notifyUsers("email-verification", [user], {
+    token,
+    expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+  });
+};
+
+/*
+ * Helper: validateNewPassword
+ * Returns an error message, or null when the password can be used
+ */
+const validateNewPassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+/*
+ * Helper: toSession
+ * Response body for a signed-in user
+ */
+const toSession = (user) => ({
+  _id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  role: user.role,
+  isEmailVerified: Boolean(user.isEmailVerified),
+  token: generateToken(user._id),
+});
+
 /*
  * Register a new user
  * Route: POST /api/auth/register
@@ -50,13 +120,19 @@ const register = async (req, res) => {
     });
 
     if (user) {
-      res.status(201).json({
-        _id: user._id,
-        fullName: user.fullName,
-        email: user.email,
-        role: user.role,
-        token: generateToken(user._id),
+      // The new user is the actor: nobody is signed in yet
+      await recordAudit(req, {
+        action: "user.register",
+        targetType: "user",
+        targetId: user._id,
+        subject: user._id,
+        after: snapshot(user, "user"),
+        actor: user,
       });
+
+      await sendVerificationEmail(user);
+
+      res.status(201).json(toSession(user));
     } else {
       res.status(400).json({ message: "Invalid user data" });
     }
@@ -103,13 +179,7 @@ const login = async (req, res) => {
         .json({ message: "Your account has been deactivated" });
     }
 
-    res.json({
-      _id: user._id,
-      fullName: user.fullName,
-      email: user.email,
-      role: user.role,
-      token: generateToken(user._id),
-    });
+    res.json(toSession(user));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -131,9 +201,270 @@ const getMe = async (req, res) => {
   }
 };
 
+/*
+ * Confirm the email address with the token from the emailed link
+ * Route: POST /api/auth/verify-email
+ * Access: Public
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({ message: "Please provide the verification token" });
+    }
+
+    // Claiming the token and verifying in one update keeps it single-use
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: { isEmailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerificationToken: "", emailVerificationExpires: "" },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "This verification link is invalid or has expired" });
+    }
+
+    await recordAudit(req, {
+      action: "user.email-verify",
+      targetType: "user",
+      targetId: user._id,
+      subject: user._id,
+      before: { isEmailVerified: false },
+      after: { isEmailVerified: true },
+      actor: user,
+    });
+
+    res.json({ message: "Your email address is confirmed", isEmailVerified: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/*
+ * Email a new verification link to the current user
+ * Route: POST /api/auth/resend-verification
+ * Access: Private
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+emailVerificationExpires");
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ message: "Your email address is already verified" });
+    }
+
+    // The previous link was sent when its expiry was set
+    const lastSentAt = user.emailVerificationExpires
+      ? user.emailVerificationExpires.getTime() - EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+      : 0;
+
+    if (Date.now() - lastSentAt < VERIFICATION_RESEND_COOLDOWN_MS) {
+      return res
+        .status(429)
+        .json({ message: "Please wait a minute before asking for another email" });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: `We have sent a new confirmation link to ${user.email}` });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/*
+ * Email a password reset link
+ * Route: POST /api/auth/forgot-password
+ * Access: Public
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ message: "Please provide your email" });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    // Only active accounts get a link; the response is the same either way
+    // so it does not reveal which emails are registered
+    if (user && user.isActive) {
+      const token = crypto.randomBytes(32).toString("hex");
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            passwordResetToken: hashToken(token),
+            passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+          },
+        }
+      );
+
+      await notifyUsers("password-reset", [user], {
+        token,
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+      });
+
+      await recordAudit(req, {
+        action: "user.password-reset-request",
+        targetType: "user",
+        targetId: user._id,
+        subject: user._id,
+      });
+    }
+
+    res.json({
+      message: "If an account exists for this email, we have sent a link to reset the password",
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/*
+ * Set a new password with the token from the emailed reset link
+ * Route: POST /api/auth/reset-password
+ * Access: Public
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({ message: "Please provide the reset token" });
+    }
+
+    const passwordError = validateNewPassword(password);
+
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    // Claim the token first so the link cannot be used twice
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      { $unset: { passwordResetToken: "", passwordResetExpires: "" } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "This reset link is invalid or has expired" });
+    }
+
+    const before = snapshot(user, "user");
+    user.password = password;
+    user.passwordChangedAt = new Date();
+
+    // The link went to this address, which confirms it as well
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+
+    await recordAudit(req, {
+      action: "user.password-reset",
+      targetType: "user",
+      targetId: user._id,
+      subject: user._id,
+      before,
+      after: snapshot(user, "user"),
+      actor: user,
+    });
+
+    res.json({ message: "Your password has been reset. You can now log in." });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/*
+ * Change the password of the current user
+ * Route: PUT /api/auth/password
+ * Access: Private
+ * Other sessions are signed out; the response carries a new token.
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword) {
+      return res.status(400).json({ message: "Please provide your current password" });
+    }
+
+    const passwordError = validateNewPassword(newPassword);
+
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+
+    // 400 rather than 401, which would sign the user out in the app
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    if (currentPassword === newPassword) {
+      return res
+        .status(400)
+        .json({ message: "Please choose a password different from the current one" });
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    // A pending reset link would undo the change
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+
+    await user.save();
+
+    await recordAudit(req, {
+      action: "user.password-change",
+      targetType: "user",
+      targetId: user._id,
+      subject: user._id,
+    });
+
+    res.json({
+      message: "Your password has been changed",
+      token: generateToken(user._id),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 /* Expose public controller handlers */
 module.exports = {
   register,
   login,
   getMe,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
 };
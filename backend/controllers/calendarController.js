@@ -0,0 +1,212 @@
+/*
+ * Calendar Controller
+ * iCalendar (.ics) exports for calendar apps: a single event download, a
+ * private feed of a donor's registrations (addressed by a secret token) and
+ * a public feed of an organizer's upcoming events.
+ */
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const User = require("../models/User");
+const { buildCalendar, toCalendarFileName } = require("../utils/ical");
+
+/*
+ * Helper: sendCalendar
+ * Sends calendar text; a file name makes browsers download it
+ */
+const sendCalendar = (res, calendar, fileName = null) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+
+  if (fileName) {
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+  }
+
+  res.status(200).send(calendar);
+};
+
+const createCalendarToken = () => crypto.randomBytes(24).toString("hex");
+
+/*
+ * Helper: getFeedUrls
+ * Subscription URLs for the current user, built from the request's host.
+ * Donors get their private feed, organizers their public one.
+ */
+const getFeedUrls = (req, user, calendarToken) => {
+  const baseUrl = `${req.protocol}://${req.get("host")}/api/calendar`;
+
+  return {
+    donorFeedUrl:
+      user.role === "donor" ? `${baseUrl}/donors/${calendarToken}.ics` : null,
+    organizerFeedUrl:
+      user.role === "organizer"
+        ? `${baseUrl}/organizers/${user._id}.ics`
+        : null,
+  };
+};
+
+// @desc    Download a single event as an .ics file
+// @route   GET /api/calendar/events/:id.ics
+// @access  Public
+exports.getEventCalendar = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select(
+      "-attendees -waitlist -timeSlots"
+    );
+
+    if (!event || event.isHidden) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
+
+    sendCalendar(
+      res,
+      buildCalendar([{ event }]),
+      toCalendarFileName(event.eventTitle)
+    );
+  } catch (error) {
+    console.error("Event calendar error:", error);
+    res.status(500).json({
+      message: "Error exporting event",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Private feed of every event a donor registered for
+// @route   GET /api/calendar/donors/:token.ics
+// @access  Public (secret token)
+exports.getDonorFeed = async (req, res) => {
+  try {
+    const donor = await User.findOne({ calendarToken: String(req.params.token) });
+
+    if (!donor) {
+      return res.status(404).json({
+        message: "Calendar feed not found",
+      });
+    }
+
+    const events = await Event.find({ "attendees.donor": donor._id })
+      .select("-waitlist -timeSlots")
+      .sort({ startsAt: 1 });
+
+    // Events stay in the feed after the donor cancels, marked as cancelled
+    // so subscribed calendars remove them
+    const entries = events.map((event) => {
+      const hasActiveRegistration = event.attendees.some(
+        (attendee) =>
+          attendee.donor.toString() === donor._id.toString() &&
+          attendee.status !== "cancelled"
+      );
+
+      return { event, cancelled: !hasActiveRegistration };
+    });
+
+    sendCalendar(res, buildCalendar(entries, { name: "My blood donation events" }));
+  } catch (error) {
+    console.error("Donor calendar feed error:", error);
+    res.status(500).json({
+      message: "Error exporting calendar feed",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Public feed of an organizer's upcoming events
+// @route   GET /api/calendar/organizers/:organizerId.ics
+// @access  Public
+exports.getOrganizerFeed = async (req, res) => {
+  try {
+    const { organizerId } = req.params;
+    const organizer = mongoose.isValidObjectId(organizerId)
+      ? await User.findById(organizerId).select("fullName organization role")
+      : null;
+
+    if (!organizer || organizer.role !== "organizer") {
+      return res.status(404).json({
+        message: "Calendar feed not found",
+      });
+    }
+
+    // Cancelled events that have not ended yet are listed as cancelled so
+    // subscribers' calendars drop them
+    const events = await Event.find({
+      organizer: organizer._id,
+      endsAt: { $gte: new Date() },
+      isHidden: { $ne: true },
+    })
+      .select("-attendees -waitlist -timeSlots")
+      .sort({ startsAt: 1 });
+
+    sendCalendar(
+      res,
+      buildCalendar(
+        events.map((event) => ({ event })),
+        { name: `${organizer.organization || organizer.fullName} blood donation events` }
+      )
+    );
+  } catch (error) {
+    console.error("Organizer calendar feed error:", error);
+    res.status(500).json({
+      message: "Error exporting calendar feed",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the current user's calendar feed URLs
+// @route   GET /api/calendar/feeds
+// @access  Private
+exports.getCalendarFeeds = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+calendarToken role");
+    let { calendarToken } = user;
+
+    // Donor feed tokens are created on first use
+    if (!calendarToken && user.role === "donor") {
+      calendarToken = createCalendarToken();
+      await User.updateOne({ _id: user._id }, { calendarToken });
+    }
+
+    res.status(200).json(getFeedUrls(req, user, calendarToken));
+  } catch (error) {
+    console.error("Get calendar feeds error:", error);
+    res.status(500).json({
+      message: "Error fetching calendar feeds",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Replace the donor feed token; the old feed URL stops working
+// @route   POST /api/calendar/feeds/reset
+// @access  Private (Donors only)
+exports.resetCalendarFeed = async (req, res) => {
+  try {
+    if (req.user.role !== "donor") {
+      return res.status(403).json({
+        message: "Only donors have a private calendar feed",
+      });
+    }
+
+    const calendarToken = createCalendarToken();
+    await User.updateOne({ _id: req.user._id }, { calendarToken });
+
+    res.status(200).json({
+      message: "Calendar feed link reset. The old link no longer works.",
+      ...getFeedUrls(req, req.user, calendarToken),
+    });
+  } catch (error) {
+    console.error("Reset calendar feed error:", error);
+    res.status(500).json({
+      message: "Error resetting calendar feed",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,181 @@
+/*
+ * Eligibility Rules Controller
+ * Lets admins read and replace the donor eligibility rules (age, weight,
+ * donation intervals and yearly limits per donation type) at runtime.
+ */
+const EligibilityRuleSet = require("../models/EligibilityRuleSet");
+const { DONATION_TYPES } = require("../models/Donation");
+
+const isNonNegativeNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+/*
+ * Helper: validateBySex
+ * Per-sex overrides must be an object of non-negative numbers
+ */
+const validateBySex = (value, label) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return `${label} must be an object with male and/or female values`;
+  }
+
+  const invalidKey = Object.keys(value).find(
+    (key) => !["male", "female"].includes(key) || !isNonNegativeNumber(value[key])
+  );
+
+  return invalidKey
+    ? `${label} only accepts non-negative male and female values`
+    : null;
+};
+
+/*
+ * Helper: parseRuleSetPayload
+ * Validates a full rule set from the request body.
+ * Returns { error } or { rules }
+ */
+const parseRuleSetPayload = ({ minAgeYears, minWeightKg, donationTypes } = {}) => {
+  for (const [label, value] of [
+    ["minAgeYears", minAgeYears],
+    ["minWeightKg", minWeightKg],
+  ]) {
+    if (value !== undefined && value !== null && !isNonNegativeNumber(value)) {
+      return { error: `${label} must be a non-negative number or null` };
+    }
+  }
+
+  if (!Array.isArray(donationTypes)) {
+    return { error: "donationTypes must be an array of rules" };
+  }
+
+  const seenTypes = new Set();
+
+  for (const rule of donationTypes) {
+    if (!rule || !DONATION_TYPES.includes(rule.donationType)) {
+      return {
+        error: `Each rule needs a donationType of: ${DONATION_TYPES.join(", ")}`,
+      };
+    }
+
+    if (seenTypes.has(rule.donationType)) {
+      return { error: `Duplicate rules for ${rule.donationType}` };
+    }
+    seenTypes.add(rule.donationType);
+
+    if (!isNonNegativeNumber(rule.intervalDays)) {
+      return {
+        error: `intervalDays for ${rule.donationType} must be a non-negative number`,
+      };
+    }
+
+    if (
+      rule.maxDonationsPerYear !== undefined &&
+      rule.maxDonationsPerYear !== null &&
+      !(Number.isInteger(rule.maxDonationsPerYear) && rule.maxDonationsPerYear >= 1)
+    ) {
+      return {
+        error: `maxDonationsPerYear for ${rule.donationType} must be a whole number of at least 1`,
+      };
+    }
+
+    const bySexError =
+      validateBySex(rule.intervalDaysBySex, `intervalDaysBySex for ${rule.donationType}`) ||
+      validateBySex(
+        rule.maxDonationsPerYearBySex,
+        `maxDonationsPerYearBySex for ${rule.donationType}`
+      );
+
+    if (bySexError) {
+      return { error: bySexError };
+    }
+  }
+
+  return {
+    rules: {
+      minAgeYears: minAgeYears ?? null,
+      minWeightKg: minWeightKg ?? null,
+      donationTypes: donationTypes.map((rule) => ({
+        donationType: rule.donationType,
+        intervalDays: rule.intervalDays,
+        intervalDaysBySex: rule.intervalDaysBySex || undefined,
+        maxDonationsPerYear: rule.maxDonationsPerYear ?? undefined,
+        maxDonationsPerYearBySex: rule.maxDonationsPerYearBySex || undefined,
+      })),
+    },
+  };
+};
+
+// @desc    Get the eligibility rules currently in effect
+// @route   GET /api/eligibility-rules
+// @access  Public
+exports.getEligibilityRules = async (req, res) => {
+  try {
+    const rules = await EligibilityRuleSet.getActiveRules();
+
+    res.status(200).json({
+      rules,
+      isDefault: !rules._id,
+      donationTypes: DONATION_TYPES,
+    });
+  } catch (error) {
+    console.error("Get eligibility rules error:", error);
+    res.status(500).json({
+      message: "Error fetching eligibility rules",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Replace the eligibility rules
+// @route   PUT /api/eligibility-rules
+// @access  Private (Admins only)
+exports.updateEligibilityRules = async (req, res) => {
+  try {
+    const parsed = parseRuleSetPayload(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        message: parsed.error,
+      });
+    }
+
+    const rules = await EligibilityRuleSet.findOneAndUpdate(
+      { key: "default" },
+      { $set: { ...parsed.rules, updatedBy: req.user.id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      message: "Eligibility rules updated successfully",
+      rules,
+    });
+  } catch (error) {
+    console.error("Update eligibility rules error:", error);
+    res.status(500).json({
+      message: "Error updating eligibility rules",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Discard saved rules and go back to the built-in defaults
+// @route   DELETE /api/eligibility-rules
+// @access  Private (Admins only)
+exports.resetEligibilityRules = async (req, res) => {
+  try {
+    await EligibilityRuleSet.deleteOne({ key: "default" });
+
+    res.status(200).json({
+      message: "Eligibility rules reset to defaults",
+      rules: await EligibilityRuleSet.getActiveRules(),
+    });
+  } catch (error) {
+    console.error("Reset eligibility rules error:", error);
+    res.status(500).json({
+      message: "Error resetting eligibility rules",
+      error: error.message,
+    });
+  }
+};
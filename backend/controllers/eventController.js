@@ -3,10 +3,117 @@
  * Handles creation, editing, deletion and donor registration logic for events.
  * Also includes eligibility evaluation utilities used during registration.
  */
+const mongoose = require("mongoose");
 const Event = require("../models/Event");
 const User = require("../models/User");
+const Donation = require("../models/Donation");
+const EligibilityRuleSet = require("../models/EligibilityRuleSet");
+const EventSeries = require("../models/EventSeries");
 const asyncHandler = require("../middleware/asyncHandler");
 const { clearCachedProfileData } = require("./profileController");
+const { EARTH_RADIUS_KM, computeDistanceKm } = require("../utils/geo");
+const {
+  MAX_TIME_SLOTS,
+  MIN_SLOT_DURATION_MINUTES,
+  MAX_SLOT_DURATION_MINUTES,
+  buildTimeSlots,
+} = require("../utils/timeSlots");
+const { createTicketCode, verifyTicketCode } = require("../utils/tickets");
+const { geocodeAddress } = require("../utils/geocode");
+const {
+  MAX_IMPORT_ROWS,
+  readImportFile,
+  toImportTemplateCsv,
+} = require("../utils/eventImport");
+const {
+  toRosterCsv,
+  writeRosterPdf,
+  toRosterFileName,
+} = require("../utils/rosterExport");
+const {
+  parseRecurrenceRule,
+  expandRecurrence,
+  shiftDate,
+  daysBetween,
+} = require("../utils/recurrence");
+const {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  parseLocalDateTime,
+  resolveEventSchedule,
+  startOfLocalDay,
+  toLocalSchedule,
+  formatEventTimeRange,
+} = require("../utils/eventSchedule");
+const {
+  addDays,
+  addYears,
+  getHistoryLookbackDays,
+  computeAgeYears,
+  findRecoveryBlock,
+  checkYearlyDonationLimit,
+} = require("../utils/eligibilityRules");
+const {
+  SCREENING_QUESTIONS,
+  SCREENING_QUESTION_IDS,
+  DEFAULT_SCREENING_QUESTION_IDS,
+  evaluateScreeningAnswers,
+} = require("../utils/screeningQuestions");
+const {
+  BLOOD_TYPE_MATCHING,
+  getCompatibleRecipientTypes,
+  getAcceptedDonorTypes,
+  isDonorTypeAccepted,
+} = require("../utils/bloodCompatibility");
+const { notifyUsers } = require("../services/notifications");
+const { formatEventDates } = require("../services/notifications/templates");
+const {
+  canAccessEvent,
+  getEventOwnership,
+  getManagedEventsQuery,
+} = require("../services/organizationAccess");
+const {
+  snapshot,
+  recordAudit,
+  buildAuditQuery,
+  findAuditEntries,
+} = require("../services/auditLog");
+
+// Radius limits (in kilometres) for "events near me" searches
+const DEFAULT_SEARCH_RADIUS_KM = 10;
+const MAX_SEARCH_RADIUS_KM = 500;
+
+// Map viewport clustering: events are grouped into square grid cells roughly
+// MAP_CLUSTER_CELL_PX wide on screen (in Web Mercator, like the map tiles);
+// from MAP_CLUSTER_MAX_ZOOM on, pins are returned individually (capped at
+// MAP_MAX_PINS per request).
+const MAP_TILE_SIZE_PX = 256;
+const MAP_CLUSTER_CELL_PX = 64;
+const MAP_CLUSTER_MAX_ZOOM = 15;
+const MAP_MAX_ZOOM = 22;
+const MAP_MAX_PINS = 500;
+
+// Viewport polygons: Web Mercator stops at this latitude, pieces stay well
+// under a hemisphere, and edges get a vertex every degree so they follow
+// the parallels rather than great circles
+const MAP_MAX_LATITUDE = 85.0511;
+const MAP_VIEWPORT_MAX_SPAN_DEG = 90;
+const MAP_VIEWPORT_EDGE_STEP_DEG = 1;
+
+// Fields loaded for map pins (see toMapPin)
+const MAP_PIN_FIELDS =
+  "eventTitle organizationName startsAt endsAt timeZone location locationCoordinates bloodTypesNeeded bloodTypeMatching donationType currentAttendees expectedCapacity status";
+
+// Roster download formats (see exportEventRoster)
+const ROSTER_EXPORT_FORMATS = ["csv", "pdf"];
+
+// Addresses geocoded per import preview; the geocoder allows one lookup a
+// second, so more would hold the upload request open too long
+const MAX_IMPORT_GEOCODE_LOOKUPS = 10;
+
+// Page size limits for an event's history (see getEventHistory)
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
 
 // Reasons for potential registration rejection; used to generate helpful responses
 const EligibilityFailureReasons = {
@@ -15,82 +122,500 @@ const EligibilityFailureReasons = {
   BLOODTYPE_NOT_NEEDED: "BLOODTYPE_NOT_NEEDED",
   FUTURE_EVENT: "FUTURE_EVENT",
   COOLDOWN: "COOLDOWN",
+  MISSING_HEALTH_DETAILS: "MISSING_HEALTH_DETAILS",
+  UNDER_MIN_AGE: "UNDER_MIN_AGE",
+  UNDER_MIN_WEIGHT: "UNDER_MIN_WEIGHT",
+  MAX_DONATIONS_PER_YEAR: "MAX_DONATIONS_PER_YEAR",
+  ACTIVE_DEFERRAL: "ACTIVE_DEFERRAL",
+  SCREENING_INCOMPLETE: "SCREENING_INCOMPLETE",
+  SCREENING_DEFERRAL: "SCREENING_DEFERRAL",
   ACTIVE_EVENT: "ACTIVE_EVENT",
   EVENT_FULL: "EVENT_FULL",
   ALREADY_REGISTERED: "ALREADY_REGISTERED",
+  ALREADY_WAITLISTED: "ALREADY_WAITLISTED",
+  SLOT_REQUIRED: "SLOT_REQUIRED",
+  SLOT_NOT_FOUND: "SLOT_NOT_FOUND",
+  SLOT_STARTED: "SLOT_STARTED",
+  SLOT_FULL: "SLOT_FULL",
 };
 
 /*
- * Helper: parseTimeStringToMinutes
- * Converts a time like "9:00 AM" to minutes since midnight (integer) or null
+ * Helper: resolveTimeSlots
+ * Validates the slot length and seats per slot, then splits the event's
+ * daily time window (startsAt/endsAt in timeZone) into slots for every event day.
+ * Returns { error } or { slotDurationMinutes, slotCapacity, timeSlots, expectedCapacity }.
  */
-const parseTimeStringToMinutes = (timeString = "") => {
-  if (typeof timeString !== "string") {
-    return null;
+const resolveTimeSlots = ({
+  startsAt,
+  endsAt,
+  timeZone,
+  slotDurationMinutes,
+  slotCapacity,
+}) => {
+  const duration = Number(slotDurationMinutes);
+  const capacity = Number(slotCapacity);
+
+  if (
+    !Number.isInteger(duration) ||
+    duration < MIN_SLOT_DURATION_MINUTES ||
+    duration > MAX_SLOT_DURATION_MINUTES
+  ) {
+    return {
+      error: `Slot length must be between ${MIN_SLOT_DURATION_MINUTES} and ${MAX_SLOT_DURATION_MINUTES} minutes`,
+    };
   }
 
-  const trimmed = timeString.trim();
-  if (!trimmed) {
-    return null;
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    return { error: "Seats per slot must be a whole number of at least 1" };
   }
 
-  const [timePart, modifierRaw] = trimmed.split(/\s+/);
-  if (!timePart || !modifierRaw) {
-    return null;
+  const timeSlots = buildTimeSlots({
+    startsAt,
+    endsAt,
+    timeZone,
+    slotDurationMinutes: duration,
+    slotCapacity: capacity,
+  });
+
+  if (timeSlots.length === 0) {
+    return { error: "Slot length is longer than the event's daily time window" };
   }
 
-  const modifier = modifierRaw.toUpperCase();
-  const [hoursPart, minutesPart = "0"] = timePart.split(":");
+  if (timeSlots.length > MAX_TIME_SLOTS) {
+    return {
+      error: `This schedule would create ${timeSlots.length} time slots (maximum ${MAX_TIME_SLOTS}). Please use longer slots.`,
+    };
+  }
 
-  let hours = parseInt(hoursPart, 10);
-  const minutes = parseInt(minutesPart, 10);
+  return {
+    slotDurationMinutes: duration,
+    slotCapacity: capacity,
+    timeSlots,
+    expectedCapacity: timeSlots.length * capacity,
+  };
+};
 
-  if (Number.isNaN(hours) || Number.isNaN(minutes)) {
-    return null;
+/*
+ * Helper: applyTimeSlotUpdate
+ * Applies slot settings from an event update. Slots are regenerated when
+ * they are switched on/off, the slot length changes or (for slotted events)
+ * the dates/time change - which is refused once donors have registered, as
+ * their booked appointments would no longer exist. Changing only the seats
+ * per slot resizes the existing slots in place.
+ * Returns { error } or {}.
+ */
+const applyTimeSlotUpdate = (
+  event,
+  { slotDurationMinutes, slotCapacity },
+  previousSchedule
+) => {
+  const hadTimeSlots = event.timeSlots.length > 0;
+  const wantsTimeSlots =
+    slotDurationMinutes !== undefined
+      ? Boolean(slotDurationMinutes)
+      : hadTimeSlots;
+
+  if (!hadTimeSlots && !wantsTimeSlots) {
+    return {};
   }
 
-  if (modifier === "PM" && hours < 12) {
-    hours += 12;
+  const nextDuration = Number(slotDurationMinutes ?? event.slotDurationMinutes);
+  const nextCapacity = Number(slotCapacity ?? event.slotCapacity);
+
+  const scheduleChanged =
+    hadTimeSlots !== wantsTimeSlots ||
+    new Date(event.startsAt).getTime() !== previousSchedule.startsAt ||
+    new Date(event.endsAt).getTime() !== previousSchedule.endsAt ||
+    event.timeZone !== previousSchedule.timeZone ||
+    nextDuration !== event.slotDurationMinutes;
+
+  if (scheduleChanged) {
+    if (event.countActiveAttendees() > 0) {
+      return {
+        error:
+          "Time slots cannot be added, removed or rescheduled after donors have registered",
+      };
+    }
+
+    if (!wantsTimeSlots) {
+      event.slotDurationMinutes = undefined;
+      event.slotCapacity = undefined;
+      event.timeSlots = [];
+      return {};
+    }
+
+    const slotSettings = resolveTimeSlots({
+      startsAt: event.startsAt,
+      endsAt: event.endsAt,
+      timeZone: event.timeZone,
+      slotDurationMinutes: nextDuration,
+      slotCapacity: nextCapacity,
+    });
+
+    if (slotSettings.error) {
+      return { error: slotSettings.error };
+    }
+
+    event.slotDurationMinutes = slotSettings.slotDurationMinutes;
+    event.slotCapacity = slotSettings.slotCapacity;
+    event.timeSlots = slotSettings.timeSlots;
+    event.expectedCapacity = slotSettings.expectedCapacity;
+    return {};
   }
 
-  if (modifier === "AM" && hours === 12) {
-    hours = 0;
+  if (nextCapacity !== event.slotCapacity) {
+    if (!Number.isInteger(nextCapacity) || nextCapacity < 1) {
+      return { error: "Seats per slot must be a whole number of at least 1" };
+    }
+
+    event.refreshSlotCounts();
+
+    if (event.timeSlots.some((slot) => slot.bookedCount > nextCapacity)) {
+      return {
+        error:
+          "Some time slots already have more bookings than the new seats per slot",
+      };
+    }
+
+    event.timeSlots.forEach((slot) => {
+      slot.capacity = nextCapacity;
+    });
+    event.slotCapacity = nextCapacity;
   }
 
-  return hours * 60 + minutes;
+  // Capacity of a slotted event always follows its slots
+  event.expectedCapacity = event.timeSlots.reduce(
+    (total, slot) => total + slot.capacity,
+    0
+  );
+  return {};
 };
 
 /*
- * Helper: parseEventTimeRange
- * Given an 'eventTime' string like "9:00 AM - 5:00 PM", returns
- * start and end as minutes since midnight or null for invalid input.
+ * Helper: buildEventFilterQuery
+ * Translates the public listing filters (status, blood type, location,
+ * organizer, date, free-text search) into a Mongo query object.
+ * The date (YYYY-MM-DD) is a calendar day in `timeZone` (the searcher's zone,
+ * default DEFAULT_TIME_ZONE); events running at any time that day match.
+ * The blood type filter is the donor's type: it matches events that list it
+ * and "compatible" events needing a type that donor can give to.
  */
-const parseEventTimeRange = (eventTime = "") => {
-  if (typeof eventTime !== "string") {
-    return null;
+const buildEventFilterQuery = ({
+  status,
+  bloodType,
+  location,
+  organizer,
+  date,
+  timeZone,
+  search,
+} = {}) => {
+  const query = { status: { $ne: "cancelled" }, isHidden: { $ne: true } };
+  const andClauses = [];
+
+  if (status) {
+    // If status is 'active', include both 'upcoming' and 'ongoing'
+    if (status === "active") {
+      query.status = { $in: ["upcoming", "ongoing"] };
+    } else {
+      query.status = status;
+    }
   }
 
-  const parts = eventTime.split("-");
-  if (parts.length !== 2) {
-    return null;
+  if (bloodType) {
+    andClauses.push({
+      $or: [
+        { bloodTypesNeeded: bloodType },
+        {
+          bloodTypeMatching: "compatible",
+          donationType: { $ne: "plasma" },
+          bloodTypesNeeded: {
+            $in: getCompatibleRecipientTypes(bloodType, "whole-blood"),
+          },
+        },
+        {
+          bloodTypeMatching: "compatible",
+          donationType: "plasma",
+          bloodTypesNeeded: {
+            $in: getCompatibleRecipientTypes(bloodType, "plasma"),
+          },
+        },
+      ],
+    });
+  }
+
+  if (location && !search) {
+    query.location = { $regex: location, $options: "i" };
+  }
+
+  if (organizer) {
+    query.organizer = organizer;
+  }
+
+  if (search && search.trim()) {
+    const searchValue = search.trim();
+    andClauses.push({
+      $or: [
+        { location: { $regex: searchValue, $options: "i" } },
+        { eventTitle: { $regex: searchValue, $options: "i" } },
+        { organizationName: { $regex: searchValue, $options: "i" } },
+      ],
+    });
+  }
+
+  if (date) {
+    const startOfDay = parseLocalDateTime(
+      date,
+      "00:00",
+      isValidTimeZone(timeZone) ? timeZone : getDefaultTimeZone()
+    );
+
+    if (startOfDay) {
+      andClauses.push({
+        startsAt: { $lt: startOfDay.plus({ days: 1 }).toJSDate() },
+        endsAt: { $gte: startOfDay.toJSDate() },
+      });
+    }
+  }
+
+  if (andClauses.length > 0) {
+    query.$and = andClauses;
+  }
+
+  return query;
+};
+
+/*
+ * Helper: normalizeLongitude
+ * Wraps a longitude into the [-180, 180] range (map viewports can exceed it).
+ */
+const normalizeLongitude = (value) => {
+  if (value >= -180 && value <= 180) {
+    return value;
   }
 
-  const startMinutes = parseTimeStringToMinutes(parts[0]);
-  const endMinutes = parseTimeStringToMinutes(parts[1]);
+  return ((((value + 180) % 360) + 360) % 360) - 180;
+};
+
+/*
+ * Helper: parseMapViewportParams
+ * Validates north/south/east/west bounds and zoom level from the query string.
+ * Returns { error } for invalid input or the normalized viewport.
+ */
+const parseMapViewportParams = ({ north, south, east, west, zoom } = {}) => {
+  const bounds = {
+    north: parseFloat(north),
+    south: parseFloat(south),
+    east: parseFloat(east),
+    west: parseFloat(west),
+  };
+
+  if (Object.values(bounds).some((value) => Number.isNaN(value))) {
+    return {
+      error: "Please provide numeric north, south, east and west bounds",
+    };
+  }
+
+  if (
+    bounds.south >= bounds.north ||
+    bounds.south < -90 ||
+    bounds.north > 90
+  ) {
+    return { error: "Invalid latitude bounds" };
+  }
+
+  if (bounds.east === bounds.west) {
+    return { error: "Invalid longitude bounds" };
+  }
+
+  // The map itself stops short of the poles
+  const mapNorth = Math.min(bounds.north, MAP_MAX_LATITUDE);
+  const mapSouth = Math.max(bounds.south, -MAP_MAX_LATITUDE);
+
+  if (mapSouth >= mapNorth) {
+    return { error: "The viewport is outside the map" };
+  }
+
+  const zoomLevel = parseInt(zoom, 10);
+
+  if (Number.isNaN(zoomLevel) || zoomLevel < 0 || zoomLevel > MAP_MAX_ZOOM) {
+    return { error: `Zoom must be a whole number between 0 and ${MAP_MAX_ZOOM}` };
+  }
+
+  // A viewport spanning the whole world covers every longitude
+  const coversAllLongitudes = bounds.east - bounds.west >= 360;
+
+  return {
+    north: mapNorth,
+    south: mapSouth,
+    east: coversAllLongitudes ? 180 : normalizeLongitude(bounds.east),
+    west: coversAllLongitudes ? -180 : normalizeLongitude(bounds.west),
+    zoom: zoomLevel,
+  };
+};
+
+/*
+ * Helper: buildViewportRing
+ * Closed GeoJSON ring for a box between two longitudes (west < east)
+ */
+const buildViewportRing = (west, east, south, north) => {
+  const steps = Math.ceil((east - west) / MAP_VIEWPORT_EDGE_STEP_DEG);
+  const longitudes = Array.from(
+    { length: steps + 1 },
+    (_, index) => west + ((east - west) * index) / steps
+  );
+
+  return [
+    ...longitudes.map((lng) => [lng, south]),
+    ...[...longitudes].reverse().map((lng) => [lng, north]),
+    [west, south],
+  ];
+};
+
+/*
+ * Helper: buildViewportQuery
+ * Mongo conditions selecting events whose geoLocation falls inside the
+ * viewport, so the 2dsphere index is used. The box is split at the
+ * antimeridian (west > east) and into pieces of at most 90 degrees.
+ */
+const buildViewportQuery = ({ north, south, east, west }) => {
+  const ranges = west <= east ? [[west, east]] : [[west, 180], [-180, east]];
+  const polygons = [];
+
+  ranges.forEach(([from, to]) => {
+    for (let start = from; start < to; start += MAP_VIEWPORT_MAX_SPAN_DEG) {
+      const end = Math.min(start + MAP_VIEWPORT_MAX_SPAN_DEG, to);
+      polygons.push([buildViewportRing(start, end, south, north)]);
+    }
+  });
 
-  if (startMinutes === null || endMinutes === null) {
+  return {
+    geoLocation: {
+      $geoWithin: {
+        $geometry: { type: "MultiPolygon", coordinates: polygons },
+      },
+    },
+  };
+};
+
+/*
+ * Helper: buildMapCellKey
+ * $group key of the grid cell an event falls in at a zoom level: tile
+ * pixels divided by the cell size, with rows in Web Mercator so cells stay
+ * square on screen at every latitude
+ */
+const buildMapCellKey = (zoom) => {
+  const cellsPerWorld = (MAP_TILE_SIZE_PX * 2 ** zoom) / MAP_CLUSTER_CELL_PX;
+  const latitudeRadians = { $degreesToRadians: "$locationCoordinates.lat" };
+  // ln(tan(pi/4 + lat/2)) runs from pi at the top of the map to -pi at the bottom
+  const mercatorY = {
+    $ln: { $tan: { $add: [Math.PI / 4, { $divide: [latitudeRadians, 2] }] } },
+  };
+
+  return {
+    x: {
+      $floor: {
+        $multiply: [
+          { $divide: [{ $add: ["$locationCoordinates.lng", 180] }, 360] },
+          cellsPerWorld,
+        ],
+      },
+    },
+    y: {
+      $floor: {
+        $multiply: [
+          { $divide: [{ $subtract: [Math.PI, mercatorY] }, 2 * Math.PI] },
+          cellsPerWorld,
+        ],
+      },
+    },
+  };
+};
+
+/*
+ * Helper: toMapPin
+ * Reduces an event document to the fields needed to draw a marker and popup.
+ */
+const toMapPin = (eventDoc) => {
+  const hydrated = eventDoc instanceof Event ? eventDoc : Event.hydrate(eventDoc);
+
+  return {
+    _id: hydrated._id,
+    eventTitle: hydrated.eventTitle,
+    organizationName: hydrated.organizationName,
+    startsAt: hydrated.startsAt,
+    endsAt: hydrated.endsAt,
+    timeZone: hydrated.timeZone,
+    local: toLocalSchedule(hydrated),
+    location: hydrated.location,
+    locationCoordinates: {
+      lat: hydrated.locationCoordinates?.lat,
+      lng: hydrated.locationCoordinates?.lng,
+    },
+    bloodTypesNeeded: hydrated.bloodTypesNeeded,
+    bloodTypeMatching: hydrated.bloodTypeMatching,
+    donationType: hydrated.donationType,
+    currentAttendees: hydrated.currentAttendees || 0,
+    expectedCapacity: hydrated.expectedCapacity,
+    status: hydrated.getCurrentStatus(),
+  };
+};
+
+/*
+ * Helper: parseGeoSearchParams
+ * Reads lat/lng/radius query values. Returns null when no center point was
+ * supplied, { error } for invalid input, or { lat, lng, radiusKm }.
+ */
+const parseGeoSearchParams = ({ lat, lng, radius } = {}) => {
+  if (lat === undefined && lng === undefined) {
     return null;
   }
 
-  return { startMinutes, endMinutes };
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  if (
+    Number.isNaN(latitude) ||
+    Number.isNaN(longitude) ||
+    latitude < -90 ||
+    latitude > 90 ||
+    longitude < -180 ||
+    longitude > 180
+  ) {
+    return { error: "Please provide a valid lat and lng to search nearby" };
+  }
+
+  let radiusKm = DEFAULT_SEARCH_RADIUS_KM;
+
+  if (radius !== undefined && radius !== "") {
+    radiusKm = parseFloat(radius);
+
+    if (Number.isNaN(radiusKm) || radiusKm <= 0) {
+      return { error: "Search radius must be a positive number of kilometres" };
+    }
+  }
+
+  return {
+    lat: latitude,
+    lng: longitude,
+    radiusKm: Math.min(radiusKm, MAX_SEARCH_RADIUS_KM),
+  };
 };
 
 /*
  * evaluateRegistrationEligibility
  * Checks a donor and event to determine whether registration is allowed.
- * Returns an object with { eligible: boolean, reason: optionalReason, meta: optionalMeta }
+ * Pass { ignoreCapacity: true } to evaluate a donor for the waitlist,
+ * { slotId } to also check the chosen time slot of a slotted event, and
+ * { screeningAnswers } to check answers to the event's screening questions
+ * (omit it when the answers were already checked, e.g. on promotion).
+ * Returns an object with { eligible: boolean, reason: optionalReason, meta: optionalMeta };
+ * eligible results carry the screening record to store with the registration.
  */
-const evaluateRegistrationEligibility = async (user, event) => {
+const evaluateRegistrationEligibility = async (
+  user,
+  event,
+  { ignoreCapacity = false, slotId, screeningAnswers } = {}
+) => {
   if (user.role !== "donor") {
     return {
       eligible: false,
@@ -105,52 +630,126 @@ const evaluateRegistrationEligibility = async (user, event) => {
     };
   }
 
-  if (!event.bloodTypesNeeded.includes(user.bloodType)) {
+  if (!isDonorTypeAccepted(event, user.bloodType)) {
     return {
       eligible: false,
       reason: EligibilityFailureReasons.BLOODTYPE_NOT_NEEDED,
       meta: {
         userBloodType: user.bloodType,
-        requiredTypes: event.bloodTypesNeeded,
+        requiredTypes: getAcceptedDonorTypes(event),
       },
     };
   }
 
-  // If user has a recorded last donation, enforce cooldown rules
-  if (user.lastDonationDate) {
-    const lastDonationDate = new Date(user.lastDonationDate);
-    const today = new Date();
+  // Donor rules (age, weight, donation intervals, yearly limits) are
+  // evaluated for the event's donation type as of its start
+  const rules = await EligibilityRuleSet.getActiveRules();
+  const donationType = event.donationType || "whole-blood";
+  const donationDate = new Date(
+    Math.max(Date.now(), new Date(event.startsAt).getTime())
+  );
 
-    if (lastDonationDate > today) {
-      return {
-        eligible: false,
-        reason: EligibilityFailureReasons.FUTURE_EVENT,
-      };
-    }
+  // A deferral still running on the event's first day blocks registration
+  const activeDeferral = (user.deferrals || [])
+    .filter((deferral) => deferral.endsAt > donationDate)
+    .sort((a, b) => b.endsAt - a.endsAt)[0];
 
-    const daysSinceLastDonation = Math.floor(
-      (today - lastDonationDate) / (1000 * 60 * 60 * 24)
-    );
+  if (activeDeferral) {
+    return {
+      eligible: false,
+      reason: EligibilityFailureReasons.ACTIVE_DEFERRAL,
+      meta: {
+        deferralReason: activeDeferral.reason,
+        nextEligibleDate: activeDeferral.endsAt,
+      },
+    };
+  }
 
-    if (daysSinceLastDonation < 10) {
-      return {
-        eligible: false,
-        reason: EligibilityFailureReasons.COOLDOWN,
-        meta: {
-          daysRemaining: 10 - daysSinceLastDonation,
-          lastDonationDate,
-        },
-      };
-    }
+  const missingDetails = [
+    rules.minAgeYears && !user.dateOfBirth && "dateOfBirth",
+    rules.minWeightKg && !user.weightKg && "weightKg",
+  ].filter(Boolean);
+
+  if (missingDetails.length > 0) {
+    return {
+      eligible: false,
+      reason: EligibilityFailureReasons.MISSING_HEALTH_DETAILS,
+      meta: { missingDetails },
+    };
+  }
+
+  if (
+    rules.minAgeYears &&
+    computeAgeYears(user.dateOfBirth, donationDate) < rules.minAgeYears
+  ) {
+    return {
+      eligible: false,
+      reason: EligibilityFailureReasons.UNDER_MIN_AGE,
+      meta: {
+        minAgeYears: rules.minAgeYears,
+        nextEligibleDate: addYears(user.dateOfBirth, rules.minAgeYears),
+      },
+    };
+  }
+
+  if (rules.minWeightKg && user.weightKg < rules.minWeightKg) {
+    return {
+      eligible: false,
+      reason: EligibilityFailureReasons.UNDER_MIN_WEIGHT,
+      meta: { minWeightKg: rules.minWeightKg },
+    };
+  }
+
+  const recentDonations = await Donation.find({
+    donor: user._id,
+    outcome: "completed",
+    donationDate: {
+      $gte: addDays(donationDate, -getHistoryLookbackDays(rules)),
+    },
+  }).select("donationDate donationType");
+
+  // Every recent donation must be past its recovery interval
+  const recoveryBlock = findRecoveryBlock(rules, recentDonations, user.sex);
+
+  if (recoveryBlock && recoveryBlock.nextEligibleDate > donationDate) {
+    return {
+      eligible: false,
+      reason: EligibilityFailureReasons.COOLDOWN,
+      meta: {
+        nextEligibleDate: recoveryBlock.nextEligibleDate,
+        lastDonationDate: recoveryBlock.donation.donationDate,
+        lastDonationType: recoveryBlock.donation.donationType,
+      },
+    };
+  }
+
+  const yearlyLimit = checkYearlyDonationLimit(
+    rules,
+    recentDonations,
+    donationType,
+    user.sex,
+    donationDate
+  );
+
+  if (yearlyLimit) {
+    return {
+      eligible: false,
+      reason: EligibilityFailureReasons.MAX_DONATIONS_PER_YEAR,
+      meta: { ...yearlyLimit, donationType },
+    };
   }
 
   // Prevent registering if user has other active (upcoming) registered events
   if (user.registeredEvents && user.registeredEvents.length > 0) {
     const activeEventIds = user.registeredEvents.map((re) => re.eventId);
     const activeEvents = await Event.find({
-      _id: { $in: activeEventIds },
-      eventDate: { $gte: new Date() },
-    }).select("eventTitle eventDate");
+      _id: { $in: activeEventIds, $ne: event._id },
+      endsAt: { $gte: new Date() },
+      status: { $ne: "cancelled" },
+      attendees: {
+        $elemMatch: { donor: user._id, status: "registered" },
+      },
+    }).select("eventTitle startsAt");
 
     if (activeEvents.length > 0) {
       return {
@@ -162,7 +761,7 @@ const evaluateRegistrationEligibility = async (user, event) => {
   }
 
   // Ensure event capacity has remaining slots
-  if (event.currentAttendees >= event.expectedCapacity) {
+  if (!ignoreCapacity && event.currentAttendees >= event.expectedCapacity) {
     return {
       eligible: false,
       reason: EligibilityFailureReasons.EVENT_FULL,
@@ -183,15 +782,88 @@ const evaluateRegistrationEligibility = async (user, event) => {
     };
   }
 
+  // The chosen time slot must exist, not have started and have free seats
+  if (slotId && event.timeSlots && event.timeSlots.length > 0) {
+    const slot = event.timeSlots.id(slotId);
+
+    if (!slot) {
+      return {
+        eligible: false,
+        reason: EligibilityFailureReasons.SLOT_NOT_FOUND,
+      };
+    }
+
+    if (slot.startsAt <= new Date()) {
+      return {
+        eligible: false,
+        reason: EligibilityFailureReasons.SLOT_STARTED,
+      };
+    }
+
+    if (!ignoreCapacity && slot.bookedCount >= slot.capacity) {
+      return {
+        eligible: false,
+        reason: EligibilityFailureReasons.SLOT_FULL,
+      };
+    }
+  }
+
+  // Screening answers come last so a deferral is only reported to donors
+  // who could otherwise register
+  let screening;
+
+  if (screeningAnswers !== undefined && event.screeningQuestions?.length > 0) {
+    const result = evaluateScreeningAnswers(
+      event.screeningQuestions,
+      screeningAnswers
+    );
+
+    if (result.error) {
+      return {
+        eligible: false,
+        reason: EligibilityFailureReasons.SCREENING_INCOMPLETE,
+        meta: { unanswered: result.unanswered },
+      };
+    }
+
+    if (result.deferral) {
+      return {
+        eligible: false,
+        reason: EligibilityFailureReasons.SCREENING_DEFERRAL,
+        meta: {
+          deferral: result.deferral,
+          deferralReason: result.deferral.reason,
+          nextEligibleDate: result.deferral.endsAt,
+        },
+      };
+    }
+
+    screening = result.screening;
+  }
+
   return {
     eligible: true,
+    screening,
     userProfile: {
       bloodType: user.bloodType,
-      lastDonationDate: user.lastDonationDate,
+      lastDonationDate: user.lastDonationDate || null,
     },
   };
 };
 
+// Date and donation type wording used in eligibility messages
+const formatEligibilityDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      })
+    : "an unknown date";
+
+const formatDonationType = (donationType = "whole-blood") =>
+  donationType.replace(/-/g, " ");
+
 const getEligibilityMessage = (reason, meta = {}, context = "eligibility") => {
   switch (reason) {
     case EligibilityFailureReasons.NOT_DONOR:
@@ -204,399 +876,2646 @@ const getEligibilityMessage = (reason, meta = {}, context = "eligibility") => {
       }
       return `Your blood type (${
         meta.userBloodType
-      }) is not needed for this event. Required types: ${(
+      }) is not needed for this event. Accepted donor types: ${(
         meta.requiredTypes || []
       ).join(", ")}`;
     case EligibilityFailureReasons.FUTURE_EVENT:
       return "You are already registered for an event. Cannot register for multiple events at the same time.";
     case EligibilityFailureReasons.COOLDOWN:
-      return `You must wait ${
-        meta.daysRemaining
-      } more day(s) before donating again. Last donation: ${meta.lastDonationDate?.toLocaleDateString?.()}`;
+      return `You need more recovery time after your last donation (${formatDonationType(
+        meta.lastDonationType
+      )} on ${formatEligibilityDate(
+        meta.lastDonationDate
+      )}). You can donate again from ${formatEligibilityDate(meta.nextEligibleDate)}.`;
+    case EligibilityFailureReasons.MISSING_HEALTH_DETAILS:
+      return "Please add your date of birth and weight to your profile before registering.";
+    case EligibilityFailureReasons.UNDER_MIN_AGE:
+      return `Donors must be at least ${
+        meta.minAgeYears
+      } years old on the day of the event. You can donate from ${formatEligibilityDate(
+        meta.nextEligibleDate
+      )}.`;
+    case EligibilityFailureReasons.UNDER_MIN_WEIGHT:
+      return `Donors must weigh at least ${meta.minWeightKg} kg.`;
+    case EligibilityFailureReasons.MAX_DONATIONS_PER_YEAR:
+      return `You have reached the limit of ${meta.limit} ${formatDonationType(
+        meta.donationType
+      )} donations in 12 months. You can donate again from ${formatEligibilityDate(
+        meta.nextEligibleDate
+      )}.`;
     case EligibilityFailureReasons.ACTIVE_EVENT:
       return `You are already registered for an event (${meta.eventTitle}). You cannot register for multiple events simultaneously.`;
     case EligibilityFailureReasons.EVENT_FULL:
       return context === "registration"
         ? "Event is full"
         : "This event is already full.";
+    case EligibilityFailureReasons.ACTIVE_DEFERRAL:
+    case EligibilityFailureReasons.SCREENING_DEFERRAL:
+      return `You are deferred from donating (${
+        meta.deferralReason
+      }). You can donate again from ${formatEligibilityDate(meta.nextEligibleDate)}.`;
+    case EligibilityFailureReasons.SCREENING_INCOMPLETE:
+      return "Please answer all of the health screening questions.";
     case EligibilityFailureReasons.ALREADY_REGISTERED:
       return "You are already registered for this event.";
+    case EligibilityFailureReasons.ALREADY_WAITLISTED:
+      return "You are already on the waitlist for this event.";
+    case EligibilityFailureReasons.SLOT_REQUIRED:
+      return "Please choose a time slot for this event.";
+    case EligibilityFailureReasons.SLOT_NOT_FOUND:
+      return "The selected time slot does not exist for this event.";
+    case EligibilityFailureReasons.SLOT_STARTED:
+      return "The selected time slot has already started. Please choose a later slot.";
+    case EligibilityFailureReasons.SLOT_FULL:
+      return "The selected time slot is full. Please choose another slot.";
     default:
       return "You are not eligible to register for this event.";
   }
 };
 
-// @desc    Create new event
-// @route   POST /api/events
-// @access  Private (Organizers only)
-exports.createEvent = async (req, res) => {
-  try {
-    // Check if user is an organizer
-    if (req.user.role !== "organizer") {
-      return res.status(403).json({
-        message: "Only organizers can create events",
-      });
-    }
+/*
+ * Helper: getWaitlistPosition
+ * 1-based position of a donor on the event waitlist, or 0 if not waitlisted
+ * (waitlist donors may be populated)
+ */
+const getWaitlistPosition = (event, donorId) => {
+  const index = (event.waitlist || []).findIndex(
+    (entry) => entry.donor._id.toString() === donorId.toString()
+  );
 
-    const {
-      eventTitle,
-      organizationName,
-      startDate,
-      endDate,
-      eventDate: legacyEventDate,
-      eventTime,
-      location,
-      locationCoordinates,
-      expectedCapacity,
-      bloodTypesNeeded,
-      eventDescription,
-      eligibilityRequirements,
-      contactEmail,
-      contactPhone,
-    } = req.body;
+  return index + 1;
+};
 
-    // Validate required fields
-    const eventStartDate = startDate || legacyEventDate;
-    const eventEndDate = endDate || eventStartDate;
+/*
+ * Helper: toEventDetails
+ * Event as returned to a viewer. Event staff see every attendee and who is on
+ * the waitlist; anyone else only their own registration, the waitlist size
+ * and their position on it. Screening answers are left out for everyone and
+ * only shown on the roster (see getEventRoster).
+ */
+const toEventDetails = (event, user, isStaff = false) => {
+  const details = event.toJSON();
+  const isOwnEntry = (entry) =>
+    Boolean(user) && entry.donor?._id?.toString() === user._id.toString();
+
+  details.attendees = (details.attendees || [])
+    .filter((attendee) => isStaff || isOwnEntry(attendee))
+    .map((attendee) => ({
+      _id: attendee._id,
+      donor: attendee.donor,
+      registeredAt: attendee.registeredAt,
+      slot: attendee.slot,
+      status: attendee.status,
+      checkedInAt: attendee.checkedInAt,
+    }));
+  // The stored status can trail by one run of the status job
+  details.status = event.getCurrentStatus();
+  details.waitlistCount = (event.waitlist || []).length;
+  details.waitlistPosition = user ? getWaitlistPosition(event, user._id) : 0;
+
+  if (isStaff) {
+    details.waitlist = (details.waitlist || []).map((entry) => ({
+      _id: entry._id,
+      donor: entry.donor,
+      joinedAt: entry.joinedAt,
+    }));
+  } else {
+    delete details.waitlist;
+  }
 
-    if (
-      !eventTitle ||
-      !organizationName ||
-      !eventStartDate ||
-      !eventEndDate ||
-      !eventTime ||
-      !location ||
-      !expectedCapacity ||
-      !bloodTypesNeeded ||
-      !eventDescription ||
-      !contactEmail ||
-      !contactPhone
-    ) {
-      return res.status(400).json({
-        message: "Please provide all required fields",
-      });
-    }
+  return details;
+};
 
-    // Validate blood types
-    if (!Array.isArray(bloodTypesNeeded) || bloodTypesNeeded.length === 0) {
-      return res.status(400).json({
-        message: "Please select at least one blood type",
-      });
-    }
+/*
+ * Helper: findOpenTimeSlot
+ * Earliest time slot that has not started yet and still has free seats
+ */
+const findOpenTimeSlot = (event) => {
+  const now = new Date();
+
+  return (
+    (event.timeSlots || []).find(
+      (slot) => slot.startsAt > now && slot.bookedCount < slot.capacity
+    ) || null
+  );
+};
 
-    // Check for duplicate event title among active events only
-    const normalizeRegexInput = (value) =>
-      value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+/*
+ * Helper: addAttendeeToEvent
+ * Gives the donor a seat on the event (in the given time slot, if any),
+ * dropping any waitlist entry, and records the registration on the user.
+ * Donation records and stats are only created on check-in (see recordAttendance).
+ * Neither document is saved here.
+ */
+const addAttendeeToEvent = (event, user, slot = null, screening = undefined) => {
+  if (!event.attendees) {
+    event.attendees = [];
+  }
+
+  event.attendees.push({
+    donor: user._id,
+    status: "registered",
+    slot: slot ? slot._id : undefined,
+    screening,
+  });
+
+  // Increment currentAttendees
+  event.currentAttendees = (event.currentAttendees || 0) + 1;
+
+  if (slot) {
+    slot.bookedCount = (slot.bookedCount || 0) + 1;
+  }
+
+  if (event.waitlist && event.waitlist.length > 0) {
+    event.waitlist = event.waitlist.filter(
+      (entry) => entry.donor.toString() !== user._id.toString()
+    );
+  }
+
+  // Update user's registered events
+  if (!user.registeredEvents) {
+    user.registeredEvents = [];
+  }
+
+  user.registeredEvents.push({
+    eventId: event._id,
+    registeredAt: new Date(),
+  });
+};
+
+/*
+ * Helper: promoteFromWaitlist
+ * Fills open seats with waitlisted donors in the order they joined (on
+ * slotted events, into the earliest open slot). Donors who are no longer
+ * eligible (e.g. registered for another event meanwhile) are dropped from
+ * the waitlist. Returns the promoted users, which the caller persists with
+ * savePromotedDonors once the event itself has been saved.
+ */
+const promoteFromWaitlist = async (event) => {
+  const promotedUsers = [];
+
+  if (event.status === "cancelled" || event.status === "completed") {
+    return promotedUsers;
+  }
+
+  event.currentAttendees = event.countActiveAttendees();
+  event.refreshSlotCounts();
+
+  const hasTimeSlots = event.timeSlots && event.timeSlots.length > 0;
+
+  while (
+    event.waitlist &&
+    event.waitlist.length > 0 &&
+    event.currentAttendees < event.expectedCapacity
+  ) {
+    const slot = hasTimeSlots ? findOpenTimeSlot(event) : null;
+
+    // Remaining free seats are all in slots that have already started
+    if (hasTimeSlots && !slot) {
+      break;
+    }
+
+    const [entry] = event.waitlist.splice(0, 1);
+    const user = await User.findById(entry.donor);
+
+    if (!user) {
+      continue;
+    }
+
+    const eligibility = await evaluateRegistrationEligibility(user, event, {
+      slotId: slot ? slot._id : undefined,
+    });
+
+    if (!eligibility.eligible) {
+      continue;
+    }
+
+    addAttendeeToEvent(event, user, slot, entry.screening);
+    promotedUsers.push(user);
+  }
+
+  return promotedUsers;
+};
+
+/*
+ * Helper: savePromotedDonors
+ * Persists donors promoted off a waitlist, refreshes their cached profiles
+ * and lets them know they are now registered
+ */
+const savePromotedDonors = async (promotedUsers, event) => {
+  await Promise.all(promotedUsers.map((user) => user.save()));
+
+  promotedUsers.forEach((user) => {
+    try {
+      clearCachedProfileData(user._id.toString());
+    } catch (err) {
+      console.error("Failed to clear profile cache after waitlist promotion", err);
+    }
+  });
+
+  await notifyUsers("registration-confirmation", promotedUsers, (user) => ({
+    event,
+    slot: getAttendeeSlot(event, user._id),
+    fromWaitlist: true,
+  }));
+};
+
+/*
+ * Helper: getAttendeeSlot
+ * Time slot of a donor's active registration, or null
+ */
+const getAttendeeSlot = (event, donorId) => {
+  const attendee = (event.attendees || []).find(
+    (entry) =>
+      entry.donor.toString() === donorId.toString() && entry.status === "registered"
+  );
+
+  return attendee?.slot ? event.timeSlots.id(attendee.slot) : null;
+};
+
+/*
+ * Helper: notifyRegisteredDonors
+ * Emails every donor with an active registration (or the given donor ids).
+ * Failures are logged; they never fail the request.
+ */
+const notifyRegisteredDonors = async (event, templateName, data = {}, donorIds = null) => {
+  try {
+    const ids =
+      donorIds ||
+      (event.attendees || [])
+        .filter((attendee) => attendee.status === "registered")
+        .map((attendee) => attendee.donor);
+
+    if (ids.length === 0) {
+      return;
+    }
+
+    const users = await User.find({ _id: { $in: ids } }).select("email fullName");
+
+    await notifyUsers(templateName, users, (user) => ({
+      event,
+      slot: getAttendeeSlot(event, user._id),
+      ...data,
+    }));
+  } catch (err) {
+    console.error(`Failed to notify donors (${templateName})`, err);
+  }
+};
+
+/*
+ * Helper: describeEventChanges
+ * Donor-facing changes between the schedule/location before an update and
+ * the event now, as [{ label, from, to }]
+ */
+const describeEventChanges = (before, event) => {
+  const changes = [];
+  const dates = formatEventDates(event);
+
+  if (before.dates !== dates) {
+    changes.push({ label: "Date", from: before.dates, to: dates });
+  }
+
+  const time = formatEventTimeRange(event);
+
+  if (before.time !== time) {
+    changes.push({ label: "Time", from: before.time, to: time });
+  }
+
+  if (before.location !== event.location) {
+    changes.push({ label: "Location", from: before.location, to: event.location });
+  }
+
+  return changes;
+};
+
+/*
+ * Helper: recordScreeningDeferral
+ * Stores the deferral produced by disqualifying screening answers on the
+ * donor so it also applies to other events until it ends, and in the audit
+ * log of the request (`req`) that produced it
+ */
+const recordScreeningDeferral = async (req, user, event, deferral) => {
+  user.deferrals.push({
+    reason: deferral.reason,
+    source: "screening",
+    event: event._id,
+    startsAt: deferral.startsAt,
+    endsAt: deferral.endsAt,
+  });
+  await user.save();
+
+  await recordAudit(req, {
+    action: "user.screening-deferral",
+    targetType: "user",
+    targetId: user._id,
+    event: event._id,
+    subject: user._id,
+    details: { reason: deferral.reason, endsAt: deferral.endsAt },
+  });
+
+  try {
+    clearCachedProfileData(user._id.toString());
+  } catch (err) {
+    console.error("Failed to clear profile cache after screening deferral", err);
+  }
+};
+
+/*
+ * Helper: parseScreeningQuestionIds
+ * Validates the screening question ids an organizer attached to an event
+ */
+const parseScreeningQuestionIds = (screeningQuestions) => {
+  if (!Array.isArray(screeningQuestions)) {
+    return { error: "screeningQuestions must be a list of question ids" };
+  }
+
+  const unknown = screeningQuestions.filter(
+    (questionId) => !SCREENING_QUESTION_IDS.includes(questionId)
+  );
+
+  if (unknown.length > 0) {
+    return { error: `Unknown screening questions: ${unknown.join(", ")}` };
+  }
+
+  return { questionIds: [...new Set(screeningQuestions)] };
+};
+
+/*
+ * Helper: syncDonorDonationStats
+ * Recomputes a donor's totalDonations and lastDonationDate from their
+ * completed donation records
+ */
+const syncDonorDonationStats = async (donorId) => {
+  const user = await User.findById(donorId);
+
+  if (!user) {
+    return null;
+  }
+
+  const donations = await Donation.getDonorSummary(user._id, {
+    recentLimit: 0,
+  });
+
+  user.totalDonations = donations.total;
+  user.lastDonationDate = donations.lastDonationDate || undefined;
+  await user.save();
+
+  try {
+    clearCachedProfileData(user._id.toString());
+  } catch (err) {
+    console.error("Failed to clear profile cache after donation update", err);
+  }
+
+  return user;
+};
+
+/*
+ * Helper: parseDonationDetails
+ * Validates the optional donation fields sent with a check-in:
+ * donationType, outcome (completed/deferred) and deferralReason
+ */
+const parseDonationDetails = ({ donationType, outcome, deferralReason } = {}) => {
+  if (donationType !== undefined && !Donation.DONATION_TYPES.includes(donationType)) {
+    return {
+      error: `donationType must be one of: ${Donation.DONATION_TYPES.join(", ")}`,
+    };
+  }
+
+  if (outcome !== undefined && !Donation.DONATION_OUTCOMES.includes(outcome)) {
+    return {
+      error: `outcome must be one of: ${Donation.DONATION_OUTCOMES.join(", ")}`,
+    };
+  }
+
+  if (deferralReason !== undefined && typeof deferralReason !== "string") {
+    return { error: "deferralReason must be text" };
+  }
+
+  return {
+    donationType,
+    outcome,
+    deferralReason: outcome === "deferred" ? deferralReason?.trim() : undefined,
+  };
+};
+
+/*
+ * Helper: isCheckInOpen
+ * Attendance can be marked from the first event day onwards (including
+ * after the event, for late roster updates) unless the event is cancelled
+ */
+const isCheckInOpen = (event) => {
+  if (event.status === "cancelled") {
+    return false;
+  }
+
+  return new Date() >= startOfLocalDay(event.startsAt, event.timeZone);
+};
+
+/*
+ * Helper: toRosterEntry
+ * Flattens an attendee (with populated donor) into the shape used by the roster
+ */
+const toRosterEntry = (attendee, donation = null) => ({
+  _id: attendee._id,
+  donor: attendee.donor,
+  status: attendee.status,
+  slot: attendee.slot,
+  registeredAt: attendee.registeredAt,
+  checkedInAt: attendee.checkedInAt,
+  attendanceMarkedAt: attendee.attendanceMarkedAt,
+  screening: attendee.screening,
+  donation: donation
+    ? {
+        _id: donation._id,
+        donationType: donation.donationType,
+        outcome: donation.outcome,
+        deferralReason: donation.deferralReason,
+      }
+    : null,
+});
+
+/*
+ * Helper: buildRosterEntries
+ * Roster entries of an event (attendees populated with their donor), sorted
+ * by name. Filters: `search` (name/email), `bloodType` and `status` (one or
+ * a comma-separated list).
+ */
+const buildRosterEntries = async (event, { search, bloodType, status } = {}) => {
+  const searchTerm = typeof search === "string" ? search.trim().toLowerCase() : "";
+  const statuses = typeof status === "string" && status ? status.split(",") : null;
+
+  const donations = await Donation.find({ event: event._id });
+  const donationsByDonor = new Map(
+    donations.map((donation) => [donation.donor.toString(), donation])
+  );
+
+  return event.attendees
+    .filter((attendee) => attendee.donor)
+    .filter((attendee) => !statuses || statuses.includes(attendee.status))
+    .filter((attendee) => !bloodType || attendee.donor.bloodType === bloodType)
+    .filter((attendee) => {
+      if (!searchTerm) {
+        return true;
+      }
+
+      return [attendee.donor.fullName, attendee.donor.email]
+        .filter(Boolean)
+        .some((value) => value.toLowerCase().includes(searchTerm));
+    })
+    .sort((a, b) =>
+      (a.donor.fullName || "").localeCompare(b.donor.fullName || "")
+    )
+    .map((attendee) =>
+      toRosterEntry(
+        attendee,
+        donationsByDonor.get(attendee.donor._id.toString())
+      )
+    );
+};
+
+/*
+ * Helper: countRosterStatuses
+ * Attendee totals per status for the roster summary
+ */
+const countRosterStatuses = (attendees = []) =>
+  attendees.reduce(
+    (counts, attendee) => {
+      const key = attendee.status === "no-show" ? "noShow" : attendee.status;
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    },
+    { registered: 0, attended: 0, noShow: 0, cancelled: 0 }
+  );
+
+/*
+ * Helper: recordAttendance
+ * Marks an attendee as attended/no-show and saves the event. A check-in
+ * creates (or updates) the donor's donation record for this event with the
+ * given details; a no-show removes it. The donor's donation stats are then
+ * re-synced. Returns the donation record, or null.
+ */
+const recordAttendance = async (
+  event,
+  attendee,
+  status,
+  markedBy,
+  donationDetails = {}
+) => {
+  const now = new Date();
+  const wasAttended = attendee.status === "attended";
+  attendee.status = status;
+  attendee.checkedInAt =
+    status === "attended" ? (wasAttended && attendee.checkedInAt) || now : undefined;
+  attendee.attendanceMarkedBy = markedBy;
+  attendee.attendanceMarkedAt = now;
+
+  await event.save();
+
+  const donorId = attendee.donor._id || attendee.donor;
+  let donation = null;
+
+  if (status === "attended") {
+    const update = {
+      registrationId: attendee._id,
+      eventTitle: event.eventTitle,
+      donationDate: attendee.checkedInAt,
+      recordedBy: markedBy,
+    };
+
+    ["donationType", "outcome"].forEach((field) => {
+      if (donationDetails[field] !== undefined) {
+        update[field] = donationDetails[field];
+      }
+    });
+
+    // New records default to the kind of donation the event collects
+    const insertDefaults =
+      update.donationType === undefined
+        ? { donationType: event.donationType || "whole-blood" }
+        : {};
+
+    // A new outcome replaces any earlier deferral reason
+    const clearDeferralReason =
+      donationDetails.outcome !== undefined && !donationDetails.deferralReason;
+
+    if (donationDetails.deferralReason) {
+      update.deferralReason = donationDetails.deferralReason;
+    }
+
+    donation = await Donation.findOneAndUpdate(
+      { event: event._id, donor: donorId },
+      {
+        $set: update,
+        $setOnInsert: insertDefaults,
+        ...(clearDeferralReason && { $unset: { deferralReason: "" } }),
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } else {
+    await Donation.deleteOne({ event: event._id, donor: donorId });
+  }
+
+  await syncDonorDonationStats(donorId);
+  return donation;
+};
+
+/*
+ * Helper: toTicket
+ * Ticket payload for a donor's registration: signed code plus event summary
+ */
+const toTicket = (event, attendee) => {
+  const slot =
+    attendee.slot && event.timeSlots ? event.timeSlots.id(attendee.slot) : null;
+
+  return {
+    code: createTicketCode({
+      eventId: event._id,
+      donorId: attendee.donor._id || attendee.donor,
+      registrationId: attendee._id,
+    }),
+    status: attendee.status,
+    registeredAt: attendee.registeredAt,
+    checkedInAt: attendee.checkedInAt,
+    slot: slot ? { startsAt: slot.startsAt, endsAt: slot.endsAt } : null,
+    event: {
+      _id: event._id,
+      eventTitle: event.eventTitle,
+      organizationName: event.organizationName,
+      startsAt: event.startsAt,
+      endsAt: event.endsAt,
+      timeZone: event.timeZone,
+      local: toLocalSchedule(event),
+      location: event.location,
+      status: event.getCurrentStatus(),
+    },
+  };
+};
+
+/*
+ * Helper: updateAttendance
+ * Shared handler for the check-in / no-show endpoints. Only the event's
+ * organizer can mark attendance, and only once check-in is open. Check-ins
+ * accept optional donation details (see parseDonationDetails).
+ */
+const updateAttendance = async (req, res, status) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
+
+    if (!(await canAccessEvent(req.user, event, "manageAttendees"))) {
+      return res.status(403).json({
+        message: "Not authorized to manage attendance for this event",
+      });
+    }
+
+    if (!isCheckInOpen(event)) {
+      return res.status(400).json({
+        message:
+          event.status === "cancelled"
+            ? "Cannot mark attendance for a cancelled event"
+            : "Check-in opens on the day of the event",
+      });
+    }
+
+    const attendee = event.attendees.find(
+      (entry) =>
+        entry.donor.toString() === req.params.donorId &&
+        entry.status !== "cancelled"
+    );
+
+    if (!attendee) {
+      return res.status(404).json({
+        message: "This donor is not registered for the event",
+      });
+    }
+
+    const donationDetails =
+      status === "attended" ? parseDonationDetails(req.body) : {};
+
+    if (donationDetails.error) {
+      return res.status(400).json({
+        message: donationDetails.error,
+      });
+    }
+
+    const before = snapshot(attendee, "registration");
+    const donation = await recordAttendance(
+      event,
+      attendee,
+      status,
+      req.user.id,
+      donationDetails
+    );
+
+    await auditRegistrationChange(
+      req,
+      status === "attended" ? "registration.check-in" : "registration.no-show",
+      event,
+      attendee,
+      before,
+      donation ? { donation: donation._id } : undefined
+    );
+
+    await event.populate("attendees.donor", "fullName email phone bloodType");
+
+    res.status(200).json({
+      message:
+        status === "attended"
+          ? "Donor checked in successfully"
+          : "Donor marked as no-show",
+      attendee: toRosterEntry(event.attendees.id(attendee._id), donation),
+      counts: countRosterStatuses(event.attendees),
+      currentAttendees: event.currentAttendees,
+    });
+  } catch (error) {
+    console.error("Update attendance error:", error);
+    res.status(500).json({
+      message: "Error updating attendance",
+      error: error.message,
+    });
+  }
+};
+
+// Event details copied from a request (or from an occurrence, when a series
+// generates new dates)
+const EVENT_DETAIL_FIELDS = [
+  "eventTitle",
+  "organizationName",
+  "location",
+  "locationCoordinates",
+  "expectedCapacity",
+  "bloodTypesNeeded",
+  "bloodTypeMatching",
+  "donationType",
+  "eventDescription",
+  "eligibilityRequirements",
+  "screeningQuestions",
+  "contactEmail",
+  "contactPhone",
+  "slotDurationMinutes",
+  "slotCapacity",
+];
+
+const pickEventDetails = (source) =>
+  Object.fromEntries(EVENT_DETAIL_FIELDS.map((field) => [field, source[field]]));
+
+/*
+ * Helper: validateEventOptions
+ * Validates the optional enum fields and screening questions of a create or
+ * update request.
+ * Returns { error } or { screeningQuestionIds } (undefined when not given).
+ */
+const validateEventOptions = ({ bloodTypeMatching, donationType, screeningQuestions }) => {
+  if (bloodTypeMatching && !BLOOD_TYPE_MATCHING.includes(bloodTypeMatching)) {
+    return {
+      error: `bloodTypeMatching must be one of: ${BLOOD_TYPE_MATCHING.join(", ")}`,
+    };
+  }
+
+  if (donationType && !Donation.DONATION_TYPES.includes(donationType)) {
+    return {
+      error: `donationType must be one of: ${Donation.DONATION_TYPES.join(", ")}`,
+    };
+  }
+
+  if (screeningQuestions === undefined) {
+    return {};
+  }
+
+  const screening = parseScreeningQuestionIds(screeningQuestions);
+
+  return screening.error
+    ? { error: screening.error }
+    : { screeningQuestionIds: screening.questionIds };
+};
+
+/*
+ * Helper: validateNewEventDetails
+ * Checks the required fields and options of a new event or series.
+ * Returns { error } or { details } (see EVENT_DETAIL_FIELDS).
+ */
+const validateNewEventDetails = (body) => {
+  const details = pickEventDetails(body);
+
+  // Validate required fields
+  if (
+    !details.eventTitle ||
+    !details.organizationName ||
+    !body.startDate ||
+    !body.startTime ||
+    !body.endTime ||
+    !details.location ||
+    (!details.expectedCapacity && !details.slotDurationMinutes) ||
+    !details.bloodTypesNeeded ||
+    !details.eventDescription ||
+    !details.contactEmail ||
+    !details.contactPhone
+  ) {
+    return { error: "Please provide all required fields" };
+  }
+
+  // Validate blood types
+  if (!Array.isArray(details.bloodTypesNeeded) || details.bloodTypesNeeded.length === 0) {
+    return { error: "Please select at least one blood type" };
+  }
+
+  // New events get the standard screening questionnaire unless the
+  // organizer picked their own questions
+  const options = validateEventOptions({
+    ...details,
+    screeningQuestions: details.screeningQuestions ?? DEFAULT_SCREENING_QUESTION_IDS,
+  });
+
+  if (options.error) {
+    return { error: options.error };
+  }
+
+  return {
+    details: {
+      ...details,
+      eligibilityRequirements: details.eligibilityRequirements || [],
+      screeningQuestions: options.screeningQuestionIds,
+    },
+  };
+};
+
+/*
+ * Helper: hasActiveDuplicateTitle
+ * Whether an upcoming or ongoing event already uses this title
+ * (case-insensitive)
+ */
+const hasActiveDuplicateTitle = async (eventTitle) => {
+  const normalizeRegexInput = (value) =>
+    value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  const matchingEvents = await Event.find({
+    eventTitle: {
+      $regex: new RegExp(`^${normalizeRegexInput(eventTitle.trim())}$`, "i"),
+    },
+  });
+
+  return matchingEvents.some((eventDoc) => {
+    const evaluatedStatus = eventDoc.getCurrentStatus();
+    return evaluatedStatus === "upcoming" || evaluatedStatus === "ongoing";
+  });
+};
+
+/*
+ * Helper: buildEventFields
+ * Event document fields for validated details and a resolved schedule,
+ * splitting the daily time window into appointment slots when requested.
+ * Returns { error } or { fields }.
+ */
+const buildEventFields = (details, schedule) => {
+  const { slotDurationMinutes, slotCapacity, ...eventDetails } = details;
+  let slotSettings = null;
+
+  if (slotDurationMinutes) {
+    slotSettings = resolveTimeSlots({
+      ...schedule,
+      slotDurationMinutes,
+      slotCapacity,
+    });
+
+    if (slotSettings.error) {
+      return { error: slotSettings.error };
+    }
+  }
+
+  return {
+    fields: {
+      ...eventDetails,
+      startsAt: schedule.startsAt,
+      endsAt: schedule.endsAt,
+      timeZone: schedule.timeZone,
+      expectedCapacity: slotSettings
+        ? slotSettings.expectedCapacity
+        : eventDetails.expectedCapacity,
+      ...(slotSettings && {
+        slotDurationMinutes: slotSettings.slotDurationMinutes,
+        slotCapacity: slotSettings.slotCapacity,
+        timeSlots: slotSettings.timeSlots,
+      }),
+    },
+  };
+};
+
+/*
+ * Helper: prepareNewEvent
+ * Runs the checks of a new single event: required fields and options,
+ * duplicate active titles, the schedule (not in the past, in the event's own
+ * calendar) and slot settings.
+ * Returns { error } or { fields } for Event.create (without the organizer).
+ */
+const prepareNewEvent = async (body) => {
+  const { eventTitle, startDate, endDate, startTime, endTime, timeZone } = body;
+
+  const validation = validateNewEventDetails(body);
+
+  if (validation.error) {
+    return { error: validation.error };
+  }
+
+  // Check for duplicate event title among active events only
+  if (await hasActiveDuplicateTitle(eventTitle)) {
+    return {
+      error: "An event with this title already exists. Please choose a different title.",
+    };
+  }
+
+  // Local dates/times are interpreted in the event's time zone
+  const schedule = resolveEventSchedule({
+    startDate,
+    endDate,
+    startTime,
+    endTime,
+    timeZone,
+  });
+
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+
+  // Validate date is not in the past (for the event's own calendar)
+  if (schedule.startsAt < startOfLocalDay(new Date(), schedule.timeZone)) {
+    return { error: "Event date cannot be in the past" };
+  }
+
+  return buildEventFields(validation.details, schedule);
+};
+
+/*
+ * Helper: applyEventChanges
+ * Applies an update request to an upcoming or ongoing event: details,
+ * schedule (fields left out keep their local value) and slot settings.
+ * Saves the event, promotes waitlisted donors into any freed seats and tells
+ * registered donors what changed.
+ * Returns { error } (nothing saved) or { promotedUsers }.
+ */
+const applyEventChanges = async (event, changes) => {
+  const {
+    eventTitle,
+    organizationName,
+    startDate,
+    endDate,
+    startTime,
+    endTime,
+    timeZone,
+    location,
+    locationCoordinates,
+    expectedCapacity,
+    bloodTypesNeeded,
+    eventDescription,
+    eligibilityRequirements,
+    contactEmail,
+    contactPhone,
+    slotDurationMinutes,
+    slotCapacity,
+    donationType,
+    bloodTypeMatching,
+  } = changes;
+
+  const options = validateEventOptions(changes);
+
+  if (options.error) {
+    return { error: options.error };
+  }
+
+  if (options.screeningQuestionIds) {
+    event.screeningQuestions = options.screeningQuestionIds;
+  }
+
+  // Schedule before this update, used to decide whether slots need rebuilding
+  const previousSchedule = {
+    startsAt: new Date(event.startsAt).getTime(),
+    endsAt: new Date(event.endsAt).getTime(),
+    timeZone: event.timeZone,
+  };
+
+  // What registered donors saw before, to tell them what changed
+  const previousDetails = {
+    dates: formatEventDates(event),
+    time: formatEventTimeRange(event),
+    location: event.location,
+  };
+
+  // Update fields
+  if (eventTitle) event.eventTitle = eventTitle;
+  if (organizationName) event.organizationName = organizationName;
+
+  // Schedule fields left out keep their current local value; changing
+  // only the time zone keeps the local times and moves the instants
+  if (startDate || endDate || startTime || endTime || timeZone) {
+    const currentSchedule = toLocalSchedule(event);
+    const nextStartDate = startDate || currentSchedule.startDate;
+    // Moving the start past the old end date makes it a one-day event
+    const nextEndDate =
+      endDate ||
+      (nextStartDate > currentSchedule.endDate
+        ? nextStartDate
+        : currentSchedule.endDate);
+
+    const schedule = resolveEventSchedule({
+      startDate: nextStartDate,
+      endDate: nextEndDate,
+      startTime: startTime || currentSchedule.startTime,
+      endTime: endTime || currentSchedule.endTime,
+      timeZone: timeZone || event.timeZone,
+    });
+
+    if (schedule.error) {
+      return { error: schedule.error };
+    }
+
+    event.startsAt = schedule.startsAt;
+    event.endsAt = schedule.endsAt;
+    event.timeZone = schedule.timeZone;
+  }
+
+  if (location) event.location = location;
+  if (locationCoordinates) event.locationCoordinates = locationCoordinates;
+  if (expectedCapacity) event.expectedCapacity = expectedCapacity;
+  if (bloodTypesNeeded) event.bloodTypesNeeded = bloodTypesNeeded;
+  if (bloodTypeMatching) event.bloodTypeMatching = bloodTypeMatching;
+  if (donationType) event.donationType = donationType;
+  if (eventDescription) event.eventDescription = eventDescription;
+  if (eligibilityRequirements)
+    event.eligibilityRequirements = eligibilityRequirements;
+  if (contactEmail) event.contactEmail = contactEmail;
+  if (contactPhone) event.contactPhone = contactPhone;
+
+  const slotUpdate = applyTimeSlotUpdate(
+    event,
+    { slotDurationMinutes, slotCapacity },
+    previousSchedule
+  );
+
+  if (slotUpdate.error) {
+    return { error: slotUpdate.error };
+  }
+
+  // Raising the capacity may free seats for donors on the waitlist
+  const promotedUsers = await promoteFromWaitlist(event);
+
+  await event.save();
+  await savePromotedDonors(promotedUsers, event);
+
+  const eventChanges = describeEventChanges(previousDetails, event);
+
+  if (eventChanges.length > 0) {
+    const promotedIds = promotedUsers.map((user) => user._id.toString());
+    const donorIds = event.attendees
+      .filter(
+        (attendee) =>
+          attendee.status === "registered" &&
+          !promotedIds.includes(attendee.donor.toString())
+      )
+      .map((attendee) => attendee.donor);
+
+    await notifyRegisteredDonors(
+      event,
+      "event-changed",
+      { changes: eventChanges },
+      donorIds
+    );
+  }
+
+  return { promotedUsers };
+};
+
+/*
+ * Helper: cancelEventAndNotify
+ * Cancels an event: releases every active registration, clears the
+ * waitlist and emails the donors who were registered. A `reason` (given
+ * when an admin cancels the event) is stored and included in the email.
+ */
+const cancelEventAndNotify = async (event, reason) => {
+  event.status = "cancelled";
+
+  if (reason) {
+    event.cancellationReason = reason;
+  }
+
+  const registeredDonorIds = (event.attendees || [])
+    .filter((attendee) => attendee.status === "registered")
+    .map((attendee) => attendee.donor);
+
+  if (Array.isArray(event.attendees) && event.attendees.length > 0) {
+    event.attendees.forEach((attendee) => {
+      if (attendee.status === "registered") {
+        attendee.status = "cancelled";
+      }
+    });
+  }
+
+  event.waitlist = [];
+
+  await event.save();
+
+  await User.updateMany(
+    { "registeredEvents.eventId": event._id },
+    { $pull: { registeredEvents: { eventId: event._id } } }
+  );
+
+  await notifyRegisteredDonors(event, "event-cancelled", { reason }, registeredDonorIds);
+};
+
+/*
+ * Helper: canSeeHiddenEvent
+ * Hidden events stay visible to admins and the event's own staff (the
+ * organizer may be populated)
+ */
+const canSeeHiddenEvent = async (user, event) => {
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === "admin") {
+    return true;
+  }
+
+  return canAccessEvent(
+    user,
+    { organizer: event.organizer?._id || event.organizer, organization: event.organization },
+    "manageAttendees"
+  );
+};
+
+/*
+ * Helper: auditEventChange
+ * Records an action on an event in the audit log. `before` is the event's
+ * snapshot from before the change (null for new events).
+ */
+const auditEventChange = (req, action, event, before, details) =>
+  recordAudit(req, {
+    action,
+    targetType: "event",
+    targetId: event._id,
+    event: event._id,
+    before,
+    after: snapshot(event, "event"),
+    details,
+  });
+
+/*
+ * Helper: auditRegistrationChange
+ * Records an action on a donor's registration (an attendee entry) in the
+ * audit log, with the donor as subject
+ */
+const auditRegistrationChange = (req, action, event, attendee, before, details) =>
+  recordAudit(req, {
+    action,
+    targetType: "registration",
+    targetId: attendee._id,
+    event: event._id,
+    subject: attendee.donor._id || attendee.donor,
+    before,
+    after: snapshot(attendee, "registration"),
+    details,
+  });
+
+/*
+ * Helper: auditSeriesChange
+ * Records an action on an event series in the audit log
+ */
+const auditSeriesChange = (req, action, series, before, details) =>
+  recordAudit(req, {
+    action,
+    targetType: "series",
+    targetId: series._id,
+    before,
+    after: snapshot(series, "series"),
+    details,
+  });
+
+// Audit details for donors moved off the waitlist by a change
+const toPromotionDetails = (promotedUsers) =>
+  promotedUsers.length > 0
+    ? { promotedDonors: promotedUsers.map((user) => user._id) }
+    : undefined;
+
+/*
+ * Helper: buildSeriesOccurrences
+ * New Event documents for the given local dates of a series, using the
+ * series' schedule and the given details. Dates already in the past (in the
+ * series' zone) are left out.
+ * Returns { error } or { occurrences }.
+ */
+const buildSeriesOccurrences = (series, dates, details) => {
+  const today = startOfLocalDay(new Date(), series.timeZone);
+  const occurrences = [];
+
+  for (const date of dates) {
+    const schedule = resolveEventSchedule({
+      startDate: date,
+      endDate: shiftDate(date, series.durationDays),
+      startTime: series.startTime,
+      endTime: series.endTime,
+      timeZone: series.timeZone,
+    });
+
+    if (schedule.error) {
+      return { error: `${date}: ${schedule.error}` };
+    }
+
+    if (schedule.startsAt < today) {
+      continue;
+    }
+
+    const eventFields = buildEventFields(details, schedule);
+
+    if (eventFields.error) {
+      return { error: `${date}: ${eventFields.error}` };
+    }
+
+    occurrences.push({
+      ...eventFields.fields,
+      organizer: series.organizer,
+      organization: series.organization,
+      series: series._id,
+      occurrenceDate: date,
+    });
+  }
+
+  return { occurrences };
+};
+
+/*
+ * Helper: checkImportRows
+ * Validates import rows ({ rowNumber, request }) with the createEvent checks,
+ * plus titles repeated within the file and the Event schema (e.g. unknown
+ * blood types). Returns every row with its `errors`; valid rows also carry
+ * the `fields` to create the event with.
+ */
+const checkImportRows = async (rows, organizerId) => {
+  const seenTitles = new Set();
+  const checked = [];
+
+  for (const { rowNumber, request = {} } of rows) {
+    const errors = [];
+    const prepared = await prepareNewEvent(request);
+
+    if (prepared.error) {
+      errors.push(prepared.error);
+    } else {
+      const schemaError = new Event({
+        organizer: organizerId,
+        ...prepared.fields,
+      }).validateSync();
+
+      if (schemaError) {
+        errors.push(...Object.values(schemaError.errors).map((error) => error.message));
+      }
+    }
+
+    const titleKey = String(request.eventTitle || "").trim().toLowerCase();
+
+    if (titleKey && seenTitles.has(titleKey)) {
+      errors.push("Another row in this file already uses this title");
+    }
+
+    seenTitles.add(titleKey);
+    checked.push({
+      rowNumber,
+      request,
+      errors,
+      fields: errors.length === 0 ? prepared.fields : null,
+    });
+  }
+
+  return checked;
+};
+
+// @desc    Create new event
+// @route   POST /api/events
+// @access  Private (Organizers only)
+exports.createEvent = async (req, res) => {
+  try {
+    // Check if user is an organizer
+    if (req.user.role !== "organizer") {
+      return res.status(403).json({
+        message: "Only organizers can create events",
+      });
+    }
+
+    // Members of an organization create events for it
+    const ownership = await getEventOwnership(req.user);
+
+    if (ownership.error) {
+      return res.status(403).json({
+        message: ownership.error,
+      });
+    }
+
+    const prepared = await prepareNewEvent(req.body);
+
+    if (prepared.error) {
+      return res.status(400).json({
+        message: prepared.error,
+      });
+    }
+
+    // Create event
+    const event = await Event.create({
+      ...ownership.fields,
+      ...prepared.fields,
+    });
+
+    await auditEventChange(req, "event.create", event, null);
+
+    res.status(201).json({
+      message: "Event created successfully",
+      event,
+    });
+  } catch (error) {
+    console.error("Create event error:", error);
+    res.status(500).json({
+      message: "Error creating event",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Download the event import template (CSV)
+// @route   GET /api/events/import/template
+// @access  Public
+exports.getImportTemplate = async (req, res) => {
+  try {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="event-import-template.csv"');
+    res.status(200).send(toImportTemplateCsv());
+  } catch (error) {
+    console.error("Import template error:", error);
+    res.status(500).json({
+      message: "Error creating import template",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Read an events spreadsheet (CSV/XLSX) and check every row without
+//          saving; valid rows without coordinates are geocoded
+// @route   POST /api/events/import/preview
+// @access  Private (Organizers only)
+exports.previewEventImport = async (req, res) => {
+  try {
+    if (req.user.role !== "organizer") {
+      return res.status(403).json({
+        message: "Only organizers can import events",
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        message: "Please upload a .csv or .xlsx file",
+      });
+    }
+
+    const file = await readImportFile(req.file);
+
+    if (file.error) {
+      return res.status(400).json({
+        message: file.error,
+      });
+    }
+
+    const checked = await checkImportRows(file.rows, req.user.id);
+    const rows = [];
+    const lookedUpAddresses = new Set();
+
+    // One lookup at a time, the geocoder is rate limited. Rows past the
+    // lookup limit are flagged instead of waiting for the geocoder.
+    for (const { rowNumber, request, errors } of checked) {
+      const warnings = [];
+
+      if (errors.length === 0 && !request.locationCoordinates) {
+        const addressKey = String(request.location).trim().toLowerCase();
+
+        if (
+          lookedUpAddresses.size >= MAX_IMPORT_GEOCODE_LOOKUPS &&
+          !lookedUpAddresses.has(addressKey)
+        ) {
+          warnings.push(
+            `Address not looked up (only ${MAX_IMPORT_GEOCODE_LOOKUPS} addresses are looked up per file); add Latitude and Longitude for the event to show on the map`
+          );
+        } else {
+          lookedUpAddresses.add(addressKey);
+          const coordinates = await geocodeAddress(request.location);
+
+          if (coordinates) {
+            request.locationCoordinates = coordinates;
+          } else {
+            warnings.push("Address not found, the event will not show on the map");
+          }
+        }
+      }
+
+      rows.push({ rowNumber, request, errors, warnings });
+    }
+
+    const validCount = rows.filter((row) => row.errors.length === 0).length;
+
+    res.status(200).json({
+      rows,
+      validCount,
+      invalidCount: rows.length - validCount,
+    });
+  } catch (error) {
+    console.error("Preview event import error:", error);
+    res.status(500).json({
+      message: "Error reading import file",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create the valid rows of a previewed import in one transaction
+// @route   POST /api/events/import
+// @access  Private (Organizers only)
+exports.importEvents = async (req, res) => {
+  try {
+    if (req.user.role !== "organizer") {
+      return res.status(403).json({
+        message: "Only organizers can import events",
+      });
+    }
+
+    const { rows } = req.body || {};
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        message: "Please provide the rows to import",
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        message: `At most ${MAX_IMPORT_ROWS} events can be imported at once`,
+      });
+    }
+
+    // Members of an organization create events for it
+    const ownership = await getEventOwnership(req.user);
+
+    if (ownership.error) {
+      return res.status(403).json({
+        message: ownership.error,
+      });
+    }
+
+    // Rows are checked again: titles or dates may have changed since the preview
+    const checked = await checkImportRows(rows, req.user.id);
+    const validRows = checked.filter((row) => row.fields);
+    const skipped = checked
+      .filter((row) => !row.fields)
+      .map(({ rowNumber, errors }) => ({ rowNumber, errors }));
+
+    if (validRows.length === 0) {
+      return res.status(400).json({
+        message: "None of the rows can be imported",
+        skipped,
+      });
+    }
+
+    // All valid rows are created, or none of them
+    const session = await mongoose.startSession();
+    let events;
+
+    try {
+      await session.withTransaction(async () => {
+        events = await Event.create(
+          validRows.map((row) => ({ ...ownership.fields, ...row.fields })),
+          { session, ordered: true }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await Promise.all(
+      events.map((event) => auditEventChange(req, "event.import", event, null))
+    );
+
+    res.status(201).json({
+      message: `${events.length} event(s) imported`,
+      events,
+      skipped,
+    });
+  } catch (error) {
+    console.error("Import events error:", error);
+    res.status(500).json({
+      message: "Error importing events",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the screening questions organizers can attach to events
+// @route   GET /api/events/screening-questions
+// @access  Public
+exports.getScreeningQuestions = async (req, res) => {
+  try {
+    res.status(200).json({
+      questions: SCREENING_QUESTIONS.map(({ id, text }) => ({ id, text })),
+      defaultQuestionIds: DEFAULT_SCREENING_QUESTION_IDS,
+    });
+  } catch (error) {
+    console.error("Get screening questions error:", error);
+    res.status(500).json({
+      message: "Error fetching screening questions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get dashboard statistics
+// @route   GET /api/events/dashboard/stats
+// @access  Public
+exports.getDashboardStats = async (req, res) => {
+  try {
+    // Count active events (upcoming and ongoing, exclude cancelled)
+    const activeEventsCount = await Event.countDocuments({
+      status: { $in: ["upcoming", "ongoing"] },
+      isHidden: { $ne: true },
+    });
+
+    // Count registered donors (users with donor role)
+    const registeredDonorsCount = await User.countDocuments({
+      role: "donor",
+    });
+
+    res.status(200).json({
+      activeEvents: activeEventsCount,
+      registeredDonors: registeredDonorsCount,
+    });
+  } catch (error) {
+    console.error("Get dashboard stats error:", error);
+    res.status(500).json({
+      message: "Error fetching dashboard statistics",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get all events (with filters)
+// @route   GET /api/events
+// @access  Public
+// Passing lat/lng (and optionally radius in km) returns events within that
+// radius ordered by distance, each with a distanceKm field.
+exports.getAllEvents = async (req, res) => {
+  try {
+    const {
+      status,
+      bloodType,
+      location,
+      organizer,
+      date,
+      timeZone,
+      search,
+      lat,
+      lng,
+      radius,
+      page = 1,
+      limit = 6,
+    } = req.query;
+
+    const geoSearch = parseGeoSearchParams({ lat, lng, radius });
+
+    if (geoSearch?.error) {
+      return res.status(400).json({ message: geoSearch.error });
+    }
+
+    const query = buildEventFilterQuery({
+      status,
+      bloodType,
+      location,
+      organizer,
+      date,
+      timeZone,
+      search,
+    });
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    let totalEvents;
+    let eventsQuery;
+
+    if (geoSearch) {
+      const center = [geoSearch.lng, geoSearch.lat];
+
+      // $nearSphere cannot be used for counting, so count with $geoWithin
+      totalEvents = await Event.countDocuments({
+        ...query,
+        geoLocation: {
+          $geoWithin: {
+            $centerSphere: [center, geoSearch.radiusKm / EARTH_RADIUS_KM],
+          },
+        },
+      });
+
+      // $nearSphere returns results ordered from nearest to farthest
+      eventsQuery = Event.find({
+        ...query,
+        geoLocation: {
+          $nearSphere: {
+            $geometry: { type: "Point", coordinates: center },
+            $maxDistance: geoSearch.radiusKm * 1000,
+          },
+        },
+      });
+    } else {
+      // Get total count for pagination
+      totalEvents = await Event.countDocuments(query);
+
+      eventsQuery = Event.find(query).sort({ startsAt: 1, createdAt: -1 });
+    }
+
+    // Get paginated events
+    const events = await eventsQuery
+      .populate(
+        "organizer",
+        "fullName email profilePicture organization isVerifiedOrganizer"
+      )
+      .skip(skip)
+      .limit(limitNum);
+
+    const eventsWithComputedStatus = events.map((eventDoc) => {
+      const plainEvent = toEventDetails(eventDoc, null);
+
+      if (geoSearch) {
+        const { lat: eventLat, lng: eventLng } =
+          eventDoc.locationCoordinates || {};
+        plainEvent.distanceKm = Number(
+          computeDistanceKm(
+            geoSearch.lat,
+            geoSearch.lng,
+            eventLat,
+            eventLng
+          ).toFixed(2)
+        );
+      }
+
+      return plainEvent;
+    });
+
+    res.status(200).json({
+      count: eventsWithComputedStatus.length,
+      total: totalEvents,
+      page: pageNum,
+      totalPages: Math.ceil(totalEvents / limitNum),
+      hasMore: pageNum < Math.ceil(totalEvents / limitNum),
+      ...(geoSearch && { radiusKm: geoSearch.radiusKm }),
+      events: eventsWithComputedStatus,
+    });
+  } catch (error) {
+    console.error("Get events error:", error);
+    res.status(500).json({
+      message: "Error fetching events",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get events inside a map viewport, clustered by zoom level
+// @route   GET /api/events/map
+// @access  Public
+// Accepts north/south/east/west bounds, zoom and the same filters as
+// GET /api/events. Below MAP_CLUSTER_MAX_ZOOM nearby events are merged into
+// clusters (count, centroid, bounds, blood types needed); single-event cells
+// and high zoom levels return individual pins.
+exports.getMapEvents = async (req, res) => {
+  try {
+    const { status, bloodType, location, organizer, date, timeZone, search } =
+      req.query;
+
+    const viewport = parseMapViewportParams(req.query);
+
+    if (viewport.error) {
+      return res.status(400).json({ message: viewport.error });
+    }
+
+    const filter = {
+      $and: [
+        buildEventFilterQuery({
+          status,
+          bloodType,
+          location,
+          organizer,
+          date,
+          timeZone,
+          search,
+        }),
+        buildViewportQuery(viewport),
+      ],
+    };
+
+    if (viewport.zoom >= MAP_CLUSTER_MAX_ZOOM) {
+      const events = await Event.find(filter)
+        .select(MAP_PIN_FIELDS)
+        .sort({ startsAt: 1 })
+        .limit(MAP_MAX_PINS);
+
+      return res.status(200).json({
+        zoom: viewport.zoom,
+        clustered: false,
+        total: events.length,
+        clusters: [],
+        events: events.map(toMapPin),
+      });
+    }
+
+    // Aggregation pipelines are not cast by Mongoose, so cast the filter first
+    const castFilter = Event.find(filter).cast();
+
+    const cells = await Event.aggregate([
+      { $match: castFilter },
+      {
+        $group: {
+          _id: buildMapCellKey(viewport.zoom),
+          count: { $sum: 1 },
+          lat: { $avg: "$locationCoordinates.lat" },
+          lng: { $avg: "$locationCoordinates.lng" },
+          north: { $max: "$locationCoordinates.lat" },
+          south: { $min: "$locationCoordinates.lat" },
+          east: { $max: "$locationCoordinates.lng" },
+          west: { $min: "$locationCoordinates.lng" },
+          bloodTypeLists: { $push: "$bloodTypesNeeded" },
+          sample: { $first: "$$ROOT" },
+        },
+      },
+      {
+        $project: {
+          count: 1,
+          lat: 1,
+          lng: 1,
+          north: 1,
+          south: 1,
+          east: 1,
+          west: 1,
+          sample: { $cond: [{ $eq: ["$count", 1] }, "$sample", null] },
+          bloodTypesNeeded: {
+            $reduce: {
+              input: "$bloodTypeLists",
+              initialValue: [],
+              in: { $setUnion: ["$$value", { $ifNull: ["$$this", []] }] },
+            },
+          },
+        },
+      },
+    ]);
+
+    const clusters = [];
+    const events = [];
+    let total = 0;
+
+    cells.forEach((cell) => {
+      total += cell.count;
+
+      if (cell.count === 1 && cell.sample) {
+        events.push(toMapPin(cell.sample));
+        return;
+      }
+
+      clusters.push({
+        id: `${viewport.zoom}:${cell._id.x}:${cell._id.y}`,
+        count: cell.count,
+        center: { lat: cell.lat, lng: cell.lng },
+        bounds: {
+          north: cell.north,
+          south: cell.south,
+          east: cell.east,
+          west: cell.west,
+        },
+        bloodTypesNeeded: [...cell.bloodTypesNeeded].sort(),
+      });
+    });
+
+    res.status(200).json({
+      zoom: viewport.zoom,
+      clustered: true,
+      total,
+      clusters,
+      events,
+    });
+  } catch (error) {
+    console.error("Get map events error:", error);
+    res.status(500).json({
+      message: "Error fetching map events",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get events by organizer
+// @route   GET /api/events/my-events
+// @access  Private (Organizers only)
+exports.getMyEvents = async (req, res) => {
+  try {
+    if (req.user.role !== "organizer") {
+      return res.status(403).json({
+        message: "Only organizers can access this route",
+      });
+    }
+
+    // The organization's events, plus the user's own events from before
+    // they joined one
+    const { query, membership } = await getManagedEventsQuery(req.user);
+    const events = await Event.find(query).sort({
+      startsAt: -1,
+    });
+
+    res.status(200).json({
+      count: events.length,
+      events: events.map((event) => toEventDetails(event, req.user, true)),
+      organization: membership
+        ? {
+            _id: membership.organization._id,
+            name: membership.organization.name,
+            role: membership.role,
+          }
+        : null,
+    });
+  } catch (error) {
+    console.error("Get my events error:", error);
+    res.status(500).json({
+      message: "Error fetching your events",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single event
+// @route   GET /api/events/:id
+// @access  Public (hidden events: admins and event staff only)
+exports.getEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate(
+        "organizer",
+        "fullName email phone profilePicture organization isVerifiedOrganizer"
+      )
+      .populate("attendees.donor", "fullName email bloodType")
+      .populate("series", "recurrence startDate status");
+
+    if (!event) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
+
+    // Admins and event staff, who may also see hidden events
+    const isStaff = await canSeeHiddenEvent(req.user, event);
+
+    if (event.isHidden && !isStaff) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
+
+    if (isStaff) {
+      await event.populate("waitlist.donor", "fullName bloodType");
+    }
+
+    res.status(200).json({ event: toEventDetails(event, req.user, isStaff) });
+  } catch (error) {
+    console.error("Get event error:", error);
+    res.status(500).json({
+      message: "Error fetching event",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update event
+// @route   PUT /api/events/:id
+// @access  Private (Event organizer, or owners and managers of its organization)
+exports.updateEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
 
-    const matchingEvents = await Event.find({
-      eventTitle: {
-        $regex: new RegExp(`^${normalizeRegexInput(eventTitle.trim())}$`, "i"),
-      },
+    // Check if user may manage the event (organizer or organization staff)
+    if (!(await canAccessEvent(req.user, event, "manageEvents"))) {
+      return res.status(403).json({
+        message: "Not authorized to update this event",
+      });
+    }
+
+    // Don't allow updating completed or cancelled events
+    if (event.status === "completed" || event.status === "cancelled") {
+      return res.status(400).json({
+        message: `Cannot update ${event.status} event`,
+      });
+    }
+
+    const before = snapshot(event, "event");
+    const result = await applyEventChanges(event, req.body);
+
+    if (result.error) {
+      return res.status(400).json({
+        message: result.error,
+      });
+    }
+
+    await auditEventChange(
+      req,
+      "event.update",
+      event,
+      before,
+      toPromotionDetails(result.promotedUsers)
+    );
+
+    res.status(200).json({
+      message: "Event updated successfully",
+      event: toEventDetails(event, req.user, true),
+      promotedFromWaitlist: result.promotedUsers.length,
+    });
+  } catch (error) {
+    console.error("Update event error:", error);
+    res.status(500).json({
+      message: "Error updating event",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel event (non-destructive); admins can force-cancel any
+//          event with a `reason` for the donors
+// @route   POST /api/events/:id/cancel
+// @access  Private (Admins, event organizer, or owners and managers of its organization)
+exports.cancelEvent = async (req, res) => {
+  try {
+    const isAdmin = req.user.role === "admin";
+
+    if (req.user.role !== "organizer" && !isAdmin) {
+      return res.status(403).json({
+        message: "Only organizers can cancel events",
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
+
+    if (!isAdmin && !(await canAccessEvent(req.user, event, "manageEvents"))) {
+      return res.status(403).json({
+        message: "Not authorized to cancel this event",
+      });
+    }
+
+    if (event.status === "cancelled") {
+      return res.status(400).json({
+        message: "Event is already cancelled",
+      });
+    }
+
+    if (event.status === "completed") {
+      return res.status(400).json({
+        message: "Cannot cancel an event that is completed",
+      });
+    }
+
+    const reason = isAdmin ? String(req.body?.reason || "").trim() : "";
+
+    if (isAdmin && !reason) {
+      return res.status(400).json({
+        message: "Please give a reason for the donors",
+      });
+    }
+
+    const before = snapshot(event, "event");
+    await cancelEventAndNotify(event, reason || undefined);
+    await auditEventChange(req, "event.cancel", event, before);
+
+    res.status(200).json({
+      message: "Event cancelled successfully",
+      event: toEventDetails(event, req.user, true),
+    });
+  } catch (error) {
+    console.error("Cancel event error:", error);
+    res.status(500).json({
+      message: "Error cancelling event",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete event
+// @route   DELETE /api/events/:id
+// @access  Private (Event organizer, or owners and managers of its organization)
+exports.deleteEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
+
+    // Check if user may manage the event (organizer or organization staff)
+    if (!(await canAccessEvent(req.user, event, "manageEvents"))) {
+      return res.status(403).json({
+        message: "Not authorized to delete this event",
+      });
+    }
+
+    await event.deleteOne();
+
+    await recordAudit(req, {
+      action: "event.delete",
+      targetType: "event",
+      targetId: event._id,
+      event: event._id,
+      before: snapshot(event, "event"),
     });
 
-    const hasActiveDuplicate = matchingEvents.some((eventDoc) => {
-      const evaluatedStatus = eventDoc.updateStatus();
-      return evaluatedStatus === "upcoming" || evaluatedStatus === "ongoing";
+    res.status(200).json({
+      message: "Event deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete event error:", error);
+    res.status(500).json({
+      message: "Error deleting event",
+      error: error.message,
     });
+  }
+};
+
+// @desc    Create a recurring event series
+// @route   POST /api/events/series
+// @access  Private (Organizers only)
+exports.createEventSeries = async (req, res) => {
+  try {
+    if (req.user.role !== "organizer") {
+      return res.status(403).json({
+        message: "Only organizers can create events",
+      });
+    }
+
+    const {
+      eventTitle,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      timeZone,
+      recurrence,
+    } = req.body;
+
+    const ownership = await getEventOwnership(req.user);
+
+    if (ownership.error) {
+      return res.status(403).json({
+        message: ownership.error,
+      });
+    }
+
+    const validation = validateNewEventDetails(req.body);
+
+    if (validation.error) {
+      return res.status(400).json({
+        message: validation.error,
+      });
+    }
 
-    if (hasActiveDuplicate) {
+    // Occurrences share the title, so only other events can clash with it
+    if (await hasActiveDuplicateTitle(eventTitle)) {
       return res.status(400).json({
         message:
           "An event with this title already exists. Please choose a different title.",
       });
     }
 
-    // Validate date is not in the past
-    const eventDateObj = new Date(eventStartDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    eventDateObj.setHours(0, 0, 0, 0);
+    // The start/end dates describe the first occurrence
+    const schedule = resolveEventSchedule({
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      timeZone,
+    });
+
+    if (schedule.error) {
+      return res.status(400).json({
+        message: schedule.error,
+      });
+    }
 
-    if (eventDateObj < today) {
+    if (schedule.startsAt < startOfLocalDay(new Date(), schedule.timeZone)) {
       return res.status(400).json({
         message: "Event date cannot be in the past",
       });
     }
 
-    const eventEndDateObj = new Date(eventEndDate);
-    eventEndDateObj.setHours(0, 0, 0, 0);
+    const parsed = parseRecurrenceRule(recurrence, startDate);
 
-    if (eventEndDateObj < eventDateObj) {
+    if (parsed.error) {
       return res.status(400).json({
-        message: "End date must be on or after the start date",
+        message: parsed.error,
       });
     }
 
-    const timeRange = parseEventTimeRange(eventTime);
+    const expansion = expandRecurrence(parsed.rule, startDate);
 
-    if (!timeRange) {
+    if (expansion.error) {
       return res.status(400).json({
-        message: "Invalid event time format",
+        message: expansion.error,
       });
     }
 
-    if (
-      eventEndDateObj.getTime() === eventDateObj.getTime() &&
-      timeRange.endMinutes <= timeRange.startMinutes
-    ) {
+    if (expansion.dates.length === 0) {
       return res.status(400).json({
-        message: "End time must be after start time",
+        message: "This recurrence does not produce any dates",
       });
     }
 
-    // Create event
-    const event = await Event.create({
-      organizer: req.user.id,
-      eventTitle,
-      organizationName,
-      eventDate: eventStartDate,
-      endDate: eventEndDate,
-      eventTime,
-      location,
-      locationCoordinates,
-      expectedCapacity,
-      bloodTypesNeeded,
-      eventDescription,
-      eligibilityRequirements: eligibilityRequirements || [],
-      contactEmail,
-      contactPhone,
+    const series = new EventSeries({
+      ...ownership.fields,
+      recurrence: parsed.rule,
+      startDate,
+      startTime,
+      endTime,
+      durationDays: daysBetween(startDate, endDate || startDate),
+      timeZone: schedule.timeZone,
+    });
+
+    const generated = buildSeriesOccurrences(
+      series,
+      expansion.dates,
+      validation.details
+    );
+
+    if (generated.error) {
+      return res.status(400).json({
+        message: generated.error,
+      });
+    }
+
+    await series.save();
+    const events = await Event.create(generated.occurrences);
+
+    await auditSeriesChange(req, "series.create", series, null, {
+      occurrences: events.length,
     });
+    await Promise.all(
+      events.map((event) =>
+        auditEventChange(req, "event.create", event, null, { series: series._id })
+      )
+    );
 
     res.status(201).json({
-      message: "Event created successfully",
-      event,
+      message: `Event series created with ${events.length} occurrence(s)`,
+      series,
+      events,
     });
   } catch (error) {
-    console.error("Create event error:", error);
+    console.error("Create event series error:", error);
     res.status(500).json({
-      message: "Error creating event",
+      message: "Error creating event series",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get an event series with its occurrences
+// @route   GET /api/events/series/:id
+// @access  Public (hidden occurrences: admins and event staff only)
+exports.getEventSeries = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        message: "Event series not found",
+      });
+    }
+
+    const occurrences = await Event.find({ series: series._id })
+      .select("-attendees -waitlist -timeSlots")
+      .sort({ startsAt: 1 });
+
+    // Same rule as getEvent for occurrences hidden by an admin
+    const canSeeHidden = await Promise.all(
+      occurrences.map(
+        (occurrence) => occurrence.isHidden && canSeeHiddenEvent(req.user, occurrence)
+      )
+    );
+
+    res.status(200).json({
+      series,
+      occurrences: occurrences.filter(
+        (occurrence, index) => !occurrence.isHidden || canSeeHidden[index]
+      ),
+    });
+  } catch (error) {
+    console.error("Get event series error:", error);
+    res.status(500).json({
+      message: "Error fetching event series",
       error: error.message,
     });
   }
 };
 
-// @desc    Get all events (with filters)
-// @route   GET /api/events
-// @access  Public
-// @desc    Get dashboard statistics
-// @route   GET /api/events/dashboard/stats
-// @access  Public
-exports.getDashboardStats = async (req, res) => {
-  try {
-    // Count active events (upcoming and ongoing, exclude cancelled)
-    const activeEventsCount = await Event.countDocuments({
-      status: { $in: ["upcoming", "ongoing"] },
-    });
+// @desc    Update every upcoming occurrence of a series
+// @route   PUT /api/events/series/:id
+// @access  Private (Series organizer, or owners and managers of its organization)
+exports.updateEventSeries = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        message: "Event series not found",
+      });
+    }
+
+    if (!(await canAccessEvent(req.user, series, "manageEvents"))) {
+      return res.status(403).json({
+        message: "Not authorized to update this series",
+      });
+    }
+
+    if (series.status === "cancelled") {
+      return res.status(400).json({
+        message: "Cannot update cancelled series",
+      });
+    }
+
+    const seriesBefore = snapshot(series, "series");
+    const { startDate, startTime, endTime, timeZone, recurrence } = req.body;
+
+    // Occurrence dates come from the rule, so per-occurrence dates are
+    // only changed through PUT /api/events/:id
+    const changes = Object.fromEntries(
+      Object.entries(req.body).filter(
+        ([field]) => !["startDate", "endDate", "recurrence"].includes(field)
+      )
+    );
+
+    const options = validateEventOptions(changes);
+
+    if (options.error) {
+      return res.status(400).json({
+        message: options.error,
+      });
+    }
+
+    const nextTimeZone = timeZone || series.timeZone;
+
+    if (!isValidTimeZone(nextTimeZone)) {
+      return res.status(400).json({
+        message: `Unknown time zone "${nextTimeZone}"`,
+      });
+    }
+
+    if (
+      !parseLocalDateTime(series.startDate, startTime || series.startTime, nextTimeZone) ||
+      !parseLocalDateTime(series.startDate, endTime || series.endTime, nextTimeZone)
+    ) {
+      return res.status(400).json({
+        message: "Times must use 24-hour HH:mm",
+      });
+    }
+
+    // A new rule (or start date) regenerates the occurrence dates
+    const ruleChanged = recurrence !== undefined || Boolean(startDate);
+    let dates = null;
+
+    if (ruleChanged) {
+      const nextStartDate = startDate || series.startDate;
+      const parsed = parseRecurrenceRule(
+        recurrence ?? series.recurrence.toObject(),
+        nextStartDate
+      );
+
+      if (parsed.error) {
+        return res.status(400).json({
+          message: parsed.error,
+        });
+      }
+
+      const expansion = expandRecurrence(parsed.rule, nextStartDate);
+
+      if (expansion.error) {
+        return res.status(400).json({
+          message: expansion.error,
+        });
+      }
+
+      series.recurrence = parsed.rule;
+      series.startDate = nextStartDate;
+      dates = expansion.dates;
+    }
+
+    if (startTime) series.startTime = startTime;
+    if (endTime) series.endTime = endTime;
+    series.timeZone = nextTimeZone;
+
+    const seriesError = series.validateSync();
+
+    if (seriesError) {
+      return res.status(400).json({
+        message: Object.values(seriesError.errors)
+          .map((error) => error.message)
+          .join("; "),
+      });
+    }
+
+    const existing = await Event.find({ series: series._id }).sort({ startsAt: 1 });
+    const upcoming = existing.filter((event) => event.getCurrentStatus() === "upcoming");
+
+    // New dates copy the details of the latest occurrence. Dates that
+    // already have an occurrence (even a cancelled one) are not recreated.
+    // They are built and validated before any occurrence is touched, so an
+    // invalid request changes nothing.
+    let newOccurrences = [];
+
+    if (dates) {
+      const knownDates = existing.map((event) => event.occurrenceDate);
+      const newDates = dates.filter((date) => !knownDates.includes(date));
+      const template = existing[existing.length - 1];
+
+      if (newDates.length > 0 && template) {
+        const details = pickEventDetails({ ...template.toObject(), ...changes });
+        details.screeningQuestions =
+          options.screeningQuestionIds || template.screeningQuestions;
+
+        const generated = buildSeriesOccurrences(series, newDates, details);
+
+        if (generated.error) {
+          return res.status(400).json({
+            message: generated.error,
+          });
+        }
+
+        const schemaError = generated.occurrences
+          .map((occurrence) => new Event(occurrence).validateSync())
+          .find(Boolean);
+
+        if (schemaError) {
+          return res.status(400).json({
+            message: Object.values(schemaError.errors)
+              .map((error) => error.message)
+              .join("; "),
+          });
+        }
+
+        newOccurrences = generated.occurrences;
+      }
+    }
+
+    let updated = 0;
+    let cancelled = 0;
+    const skipped = [];
+
+    for (const event of upcoming) {
+      // Upcoming dates the new rule no longer produces are cancelled
+      if (dates && !dates.includes(event.occurrenceDate)) {
+        const before = snapshot(event, "event");
+        await cancelEventAndNotify(event);
+        await auditEventChange(req, "event.cancel", event, before, { series: series._id });
+        cancelled += 1;
+        continue;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        continue;
+      }
+
+      const before = snapshot(event, "event");
+      const result = await applyEventChanges(event, changes);
 
-    // Count registered donors (users with donor role)
-    const registeredDonorsCount = await User.countDocuments({
-      role: "donor",
+      if (result.error) {
+        skipped.push({
+          event: event._id,
+          occurrenceDate: event.occurrenceDate,
+          message: result.error,
+        });
+      } else {
+        await auditEventChange(req, "event.update", event, before, {
+          series: series._id,
+          ...toPromotionDetails(result.promotedUsers),
+        });
+        updated += 1;
+      }
+    }
+
+    const created =
+      newOccurrences.length > 0 ? await Event.create(newOccurrences) : [];
+
+    await series.save();
+
+    await auditSeriesChange(req, "series.update", series, seriesBefore, {
+      updated,
+      created: created.length,
+      cancelled,
     });
+    await Promise.all(
+      created.map((event) =>
+        auditEventChange(req, "event.create", event, null, { series: series._id })
+      )
+    );
 
     res.status(200).json({
-      activeEvents: activeEventsCount,
-      registeredDonors: registeredDonorsCount,
+      message: "Event series updated successfully",
+      series,
+      updated,
+      created: created.length,
+      cancelled,
+      skipped,
     });
   } catch (error) {
-    console.error("Get dashboard stats error:", error);
+    console.error("Update event series error:", error);
     res.status(500).json({
-      message: "Error fetching dashboard statistics",
+      message: "Error updating event series",
       error: error.message,
     });
   }
 };
 
-exports.getAllEvents = async (req, res) => {
+// @desc    Cancel a series and all of its upcoming occurrences
+// @route   POST /api/events/series/:id/cancel
+// @access  Private (Series organizer, or owners and managers of its organization)
+exports.cancelEventSeries = async (req, res) => {
   try {
-    const {
-      status,
-      bloodType,
-      location,
-      organizer,
-      date,
-      search,
-      page = 1,
-      limit = 6,
-    } = req.query;
-
-    const query = { status: { $ne: "cancelled" } };
-    const andClauses = [];
+    const series = await EventSeries.findById(req.params.id);
 
-    if (status) {
-      // If status is 'active', include both 'upcoming' and 'ongoing'
-      if (status === "active") {
-        query.status = { $in: ["upcoming", "ongoing"] };
-      } else {
-        query.status = status;
-      }
-    }
-
-    if (bloodType) {
-      query.bloodTypesNeeded = bloodType;
-    }
-
-    if (location && !search) {
-      query.location = { $regex: location, $options: "i" };
+    if (!series) {
+      return res.status(404).json({
+        message: "Event series not found",
+      });
     }
 
-    if (organizer) {
-      query.organizer = organizer;
+    if (!(await canAccessEvent(req.user, series, "manageEvents"))) {
+      return res.status(403).json({
+        message: "Not authorized to cancel this series",
+      });
     }
 
-    if (search && search.trim()) {
-      const searchValue = search.trim();
-      andClauses.push({
-        $or: [
-          { location: { $regex: searchValue, $options: "i" } },
-          { eventTitle: { $regex: searchValue, $options: "i" } },
-          { organizationName: { $regex: searchValue, $options: "i" } },
-        ],
+    if (series.status === "cancelled") {
+      return res.status(400).json({
+        message: "Event series is already cancelled",
       });
     }
 
-    if (date) {
-      const searchDate = new Date(date);
-      if (!Number.isNaN(searchDate.getTime())) {
-        const startOfDay = new Date(searchDate);
-        startOfDay.setHours(0, 0, 0, 0);
-
-        const endOfDay = new Date(startOfDay);
-        endOfDay.setDate(endOfDay.getDate() + 1);
+    const seriesBefore = snapshot(series, "series");
+    series.status = "cancelled";
+    await series.save();
 
-        andClauses.push({
-          $or: [
-            {
-              eventDate: {
-                $gte: startOfDay,
-                $lt: endOfDay,
-              },
-            },
-            {
-              eventDate: { $lte: startOfDay },
-              endDate: { $gte: startOfDay },
-            },
-          ],
-        });
-      }
-    }
+    // Past and ongoing occurrences are kept as they are
+    const occurrences = await Event.find({ series: series._id });
+    const upcoming = occurrences.filter(
+      (event) => event.getCurrentStatus() === "upcoming"
+    );
 
-    if (andClauses.length > 0) {
-      query.$and = andClauses;
+    for (const event of upcoming) {
+      const before = snapshot(event, "event");
+      await cancelEventAndNotify(event);
+      await auditEventChange(req, "event.cancel", event, before, { series: series._id });
     }
 
-    // Calculate pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Get total count for pagination
-    const totalEvents = await Event.countDocuments(query);
-
-    // Get paginated events
-    const events = await Event.find(query)
-      .populate("organizer", "fullName email profilePicture organization")
-      .sort({ eventDate: 1, createdAt: -1 })
-      .skip(skip)
-      .limit(limitNum);
-
-    const eventsWithComputedStatus = events.map((eventDoc) => {
-      const updatedStatus = eventDoc.updateStatus();
-      const plainEvent = eventDoc.toObject();
-      plainEvent.status = updatedStatus;
-      return plainEvent;
+    await auditSeriesChange(req, "series.cancel", series, seriesBefore, {
+      cancelled: upcoming.length,
     });
 
     res.status(200).json({
-      count: eventsWithComputedStatus.length,
-      total: totalEvents,
-      page: pageNum,
-      totalPages: Math.ceil(totalEvents / limitNum),
-      hasMore: pageNum < Math.ceil(totalEvents / limitNum),
-      events: eventsWithComputedStatus,
+      message: "Event series cancelled successfully",
+      series,
+      cancelled: upcoming.length,
     });
   } catch (error) {
-    console.error("Get events error:", error);
+    console.error("Cancel event series error:", error);
     res.status(500).json({
-      message: "Error fetching events",
+      message: "Error cancelling event series",
       error: error.message,
     });
   }
 };
 
-// @desc    Get events by organizer
-// @route   GET /api/events/my-events
-// @access  Private (Organizers only)
-exports.getMyEvents = async (req, res) => {
+// @desc    Check registration eligibility
+// @route   POST /api/events/:id/check-eligibility
+// @access  Private (Donors only)
+exports.checkEligibility = async (req, res) => {
   try {
-    if (req.user.role !== "organizer") {
+    if (req.user.role !== "donor") {
       return res.status(403).json({
-        message: "Only organizers can access this route",
+        message: "Only donors can check eligibility",
+        eligible: false,
       });
     }
 
-    const events = await Event.find({ organizer: req.user.id }).sort({
-      eventDate: -1,
-    });
+    const event = await Event.findById(req.params.id);
+    if (!event || event.isHidden) {
+      return res.status(404).json({
+        message: "Event not found",
+        eligible: false,
+      });
+    }
 
-    // Update status for each event (only save if changed)
-    const updatePromises = events.map(async (event) => {
-      const previousStatus = event.status;
-      const updatedStatus = event.updateStatus();
-      if (updatedStatus !== previousStatus) {
-        return event.save();
-      }
-      return null;
-    });
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found",
+        eligible: false,
+      });
+    }
+
+    const eligibility = await evaluateRegistrationEligibility(user, event);
 
-    // Execute all updates in parallel
-    await Promise.all(updatePromises);
+    if (!eligibility.eligible) {
+      const status =
+        eligibility.reason === EligibilityFailureReasons.NOT_DONOR ? 403 : 200;
+      return res.status(status).json({
+        eligible: false,
+        reason: eligibility.reason,
+        nextEligibleDate: eligibility.meta?.nextEligibleDate || null,
+        message: getEligibilityMessage(
+          eligibility.reason,
+          eligibility.meta,
+          "eligibility"
+        ),
+      });
+    }
 
     res.status(200).json({
-      count: events.length,
-      events,
+      eligible: true,
+      message: "You are eligible to register for this event.",
+      userProfile: eligibility.userProfile,
     });
   } catch (error) {
-    console.error("Get my events error:", error);
+    console.error("Check eligibility error:", error);
     res.status(500).json({
-      message: "Error fetching your events",
+      message: "Error checking eligibility",
       error: error.message,
+      eligible: false,
     });
   }
 };
 
-// @desc    Get single event
-// @route   GET /api/events/:id
-// @access  Public
-exports.getEvent = async (req, res) => {
+// @desc    Register for event (for donors)
+// @route   POST /api/events/:id/register
+// @access  Private (Donors only)
+exports.registerForEvent = async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate("organizer", "fullName email phone profilePicture organization")
-      .populate("attendees.donor", "fullName email bloodType");
+    if (req.user.role !== "donor") {
+      return res.status(403).json({
+        message: "Only donors can register for events",
+      });
+    }
 
-    if (!event) {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || event.isHidden) {
       return res.status(404).json({
         message: "Event not found",
       });
     }
 
-    // Update status
-    event.updateStatus();
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found",
+      });
+    }
+
+    // Slotted events require the donor to pick one of the time slots
+    const slotId = req.body?.slotId;
+    const hasTimeSlots = event.timeSlots && event.timeSlots.length > 0;
+
+    if (hasTimeSlots && !slotId) {
+      return res.status(400).json({
+        message: getEligibilityMessage(EligibilityFailureReasons.SLOT_REQUIRED),
+      });
+    }
+
+    const eligibility = await evaluateRegistrationEligibility(user, event, {
+      slotId: hasTimeSlots ? slotId : undefined,
+      screeningAnswers: req.body?.screeningAnswers ?? null,
+    });
+
+    if (eligibility.reason === EligibilityFailureReasons.SCREENING_DEFERRAL) {
+      await recordScreeningDeferral(req, user, event, eligibility.meta.deferral);
+    }
+
+    if (!eligibility.eligible) {
+      const status =
+        eligibility.reason === EligibilityFailureReasons.NOT_DONOR ? 403 : 400;
+      return res.status(status).json({
+        reason: eligibility.reason,
+        nextEligibleDate: eligibility.meta?.nextEligibleDate || null,
+        message: getEligibilityMessage(
+          eligibility.reason,
+          eligibility.meta,
+          "registration"
+        ),
+      });
+    }
+
+    addAttendeeToEvent(
+      event,
+      user,
+      hasTimeSlots ? event.timeSlots.id(slotId) : null,
+      eligibility.screening
+    );
+
     await event.save();
+    await user.save();
+
+    await auditRegistrationChange(
+      req,
+      "registration.create",
+      event,
+      event.attendees[event.attendees.length - 1],
+      null
+    );
+
+    // Clear profile cache so changes (new registrations/achievements) are visible immediately
+    try {
+      clearCachedProfileData(user._id.toString());
+    } catch (err) {
+      console.error("Failed to clear profile cache after registration", err);
+    }
 
-    res.status(200).json({ event });
+    await notifyUsers("registration-confirmation", [user], {
+      event,
+      slot: getAttendeeSlot(event, user._id),
+    });
+
+    res.status(200).json({
+      message: "Successfully registered for event",
+      event: toEventDetails(event, req.user),
+    });
   } catch (error) {
-    console.error("Get event error:", error);
+    console.error("Register for event error:", error);
     res.status(500).json({
-      message: "Error fetching event",
+      message: "Error registering for event",
       error: error.message,
     });
   }
 };
 
-// @desc    Update event
-// @route   PUT /api/events/:id
-// @access  Private (Event organizer only)
-exports.updateEvent = async (req, res) => {
+// @desc    Cancel event registration
+// @route   POST /api/events/:id/cancel-registration
+// @access  Private (Donors only)
+exports.cancelRegistration = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
 
@@ -606,140 +3525,177 @@ exports.updateEvent = async (req, res) => {
       });
     }
 
-    // Check if user is the organizer
-    if (event.organizer.toString() !== req.user.id) {
-      return res.status(403).json({
-        message: "Not authorized to update this event",
-      });
-    }
+    const ownEntries = event.attendees.filter(
+      (entry) => entry.donor.toString() === req.user.id
+    );
+    // Only an active registration can be cancelled; repeating the request
+    // must not promote from the waitlist or audit the cancel again
+    const attendee = ownEntries.find((entry) => entry.status === "registered");
+
+    if (!attendee) {
+      const attendanceRecorded = ownEntries.some((entry) =>
+        ["attended", "no-show"].includes(entry.status)
+      );
 
-    // Don't allow updating completed or cancelled events
-    if (event.status === "completed" || event.status === "cancelled") {
       return res.status(400).json({
-        message: `Cannot update ${event.status} event`,
+        message: attendanceRecorded
+          ? "Attendance has already been recorded for this event"
+          : "You are not registered for this event",
       });
     }
 
-    const {
-      eventTitle,
-      organizationName,
-      startDate,
-      endDate,
-      eventDate,
-      eventTime,
-      location,
-      locationCoordinates,
-      expectedCapacity,
-      bloodTypesNeeded,
-      eventDescription,
-      eligibilityRequirements,
-      contactEmail,
-      contactPhone,
-    } = req.body;
+    // Update status to cancelled and hand the freed seat to the waitlist
+    const before = snapshot(attendee, "registration");
+    attendee.status = "cancelled";
+    const promotedUsers = await promoteFromWaitlist(event);
 
-    // Update fields
-    if (eventTitle) event.eventTitle = eventTitle;
-    if (organizationName) event.organizationName = organizationName;
+    await event.save();
+    await savePromotedDonors(promotedUsers, event);
 
-    let updatedStartDate = null;
+    await auditRegistrationChange(
+      req,
+      "registration.cancel",
+      event,
+      attendee,
+      before,
+      toPromotionDetails(promotedUsers)
+    );
 
-    if (startDate || eventDate) {
-      updatedStartDate = startDate || eventDate;
-      const newStartDate = new Date(updatedStartDate);
+    // Drop the event from the donor's active registrations
+    await User.updateOne(
+      { _id: req.user.id },
+      { $pull: { registeredEvents: { eventId: event._id } } }
+    );
 
-      if (Number.isNaN(newStartDate.getTime())) {
-        return res.status(400).json({
-          message: "Invalid start date provided",
-        });
-      }
+    try {
+      clearCachedProfileData(req.user.id);
+    } catch (err) {
+      console.error(
+        "Failed to clear profile cache after cancel registration",
+        err
+      );
+    }
 
-      event.eventDate = newStartDate;
+    res.status(200).json({
+      message: "Registration cancelled successfully",
+      event: toEventDetails(event, req.user),
+      promotedFromWaitlist: promotedUsers.length,
+    });
+  } catch (error) {
+    console.error("Cancel registration error:", error);
+    res.status(500).json({
+      message: "Error cancelling registration",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Join the waitlist of a full event
+// @route   POST /api/events/:id/waitlist
+// @access  Private (Donors only)
+exports.joinWaitlist = async (req, res) => {
+  try {
+    if (req.user.role !== "donor") {
+      return res.status(403).json({
+        message: "Only donors can join event waitlists",
+      });
     }
 
-    const comparisonStart = updatedStartDate
-      ? new Date(updatedStartDate)
-      : new Date(event.eventDate);
-
-    if (endDate) {
-      const newEndDate = new Date(endDate);
+    const event = await Event.findById(req.params.id);
 
-      if (Number.isNaN(newEndDate.getTime())) {
-        return res.status(400).json({
-          message: "Invalid end date provided",
-        });
-      }
+    if (!event || event.isHidden) {
+      return res.status(404).json({
+        message: "Event not found",
+      });
+    }
 
-      if (newEndDate < comparisonStart) {
-        return res.status(400).json({
-          message: "End date must be on or after the start date",
-        });
-      }
+    const currentStatus = event.getCurrentStatus();
 
-      event.endDate = newEndDate;
+    if (currentStatus === "cancelled" || currentStatus === "completed") {
+      return res.status(400).json({
+        message: `Cannot join the waitlist of a ${currentStatus} event`,
+      });
     }
 
-    if (eventTime) event.eventTime = eventTime;
-    if (location) event.location = location;
-    if (locationCoordinates) event.locationCoordinates = locationCoordinates;
-    if (expectedCapacity) event.expectedCapacity = expectedCapacity;
-    if (bloodTypesNeeded) event.bloodTypesNeeded = bloodTypesNeeded;
-    if (eventDescription) event.eventDescription = eventDescription;
-    if (eligibilityRequirements)
-      event.eligibilityRequirements = eligibilityRequirements;
-    if (contactEmail) event.contactEmail = contactEmail;
-    if (contactPhone) event.contactPhone = contactPhone;
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found",
+      });
+    }
 
-    if (!event.endDate || new Date(event.endDate) < new Date(event.eventDate)) {
-      event.endDate = event.eventDate;
+    if (getWaitlistPosition(event, user._id) > 0) {
+      return res.status(400).json({
+        message: getEligibilityMessage(
+          EligibilityFailureReasons.ALREADY_WAITLISTED
+        ),
+      });
     }
 
-    const parsedRange = parseEventTimeRange(event.eventTime);
+    const eligibility = await evaluateRegistrationEligibility(user, event, {
+      ignoreCapacity: true,
+      screeningAnswers: req.body?.screeningAnswers ?? null,
+    });
+
+    if (eligibility.reason === EligibilityFailureReasons.SCREENING_DEFERRAL) {
+      await recordScreeningDeferral(req, user, event, eligibility.meta.deferral);
+    }
 
-    if (!parsedRange) {
+    if (!eligibility.eligible) {
       return res.status(400).json({
-        message: "Invalid event time format",
+        reason: eligibility.reason,
+        nextEligibleDate: eligibility.meta?.nextEligibleDate || null,
+        message: getEligibilityMessage(
+          eligibility.reason,
+          eligibility.meta,
+          "registration"
+        ),
       });
     }
 
-    const startDay = new Date(event.eventDate);
-    startDay.setHours(0, 0, 0, 0);
-    const endDay = new Date(event.endDate || event.eventDate);
-    endDay.setHours(0, 0, 0, 0);
-
-    if (endDay.getTime() === startDay.getTime()) {
-      if (parsedRange.endMinutes <= parsedRange.startMinutes) {
-        return res.status(400).json({
-          message: "End time must be after start time",
-        });
-      }
+    if (event.currentAttendees < event.expectedCapacity) {
+      return res.status(400).json({
+        message: "This event still has open spots. Please register instead.",
+      });
     }
 
+    event.waitlist.push({
+      donor: user._id,
+      joinedAt: new Date(),
+      screening: eligibility.screening,
+    });
+
     await event.save();
 
+    await recordAudit(req, {
+      action: "waitlist.join",
+      targetType: "event",
+      targetId: event._id,
+      event: event._id,
+      subject: user._id,
+      details: { position: event.waitlist.length },
+    });
+
     res.status(200).json({
-      message: "Event updated successfully",
-      event,
+      message: "You have joined the waitlist",
+      position: event.waitlist.length,
+      waitlistCount: event.waitlist.length,
+      event: toEventDetails(event, req.user),
     });
   } catch (error) {
-    console.error("Update event error:", error);
+    console.error("Join waitlist error:", error);
     res.status(500).json({
-      message: "Error updating event",
+      message: "Error joining waitlist",
       error: error.message,
     });
   }
 };
 
-// @desc    Cancel event (non-destructive)
-// @route   POST /api/events/:id/cancel
-// @access  Private (Event organizer only)
-exports.cancelEvent = async (req, res) => {
+// @desc    Leave the waitlist of an event
+// @route   DELETE /api/events/:id/waitlist
+// @access  Private (Donors only)
+exports.leaveWaitlist = async (req, res) => {
   try {
-    if (req.user.role !== "organizer") {
-      return res.status(403).json({
-        message: "Only organizers can cancel events",
-      });
-    }
-
     const event = await Event.findById(req.params.id);
 
     if (!event) {
@@ -748,55 +3704,51 @@ exports.cancelEvent = async (req, res) => {
       });
     }
 
-    if (event.organizer.toString() !== req.user.id) {
-      return res.status(403).json({
-        message: "Not authorized to cancel this event",
-      });
-    }
-
-    if (event.status === "cancelled") {
-      return res.status(400).json({
-        message: "Event is already cancelled",
-      });
-    }
+    const position = getWaitlistPosition(event, req.user.id);
 
-    if (event.status === "completed") {
+    if (position === 0) {
       return res.status(400).json({
-        message: "Cannot cancel an event that is completed",
+        message: "You are not on the waitlist for this event",
       });
     }
 
-    event.status = "cancelled";
-
-    if (Array.isArray(event.attendees) && event.attendees.length > 0) {
-      event.attendees.forEach((attendee) => {
-        if (attendee.status === "registered") {
-          attendee.status = "cancelled";
-        }
-      });
-    }
+    event.waitlist = event.waitlist.filter(
+      (entry) => entry.donor.toString() !== req.user.id
+    );
 
     await event.save();
 
+    await recordAudit(req, {
+      action: "waitlist.leave",
+      targetType: "event",
+      targetId: event._id,
+      event: event._id,
+      subject: req.user._id,
+      details: { position },
+    });
+
     res.status(200).json({
-      message: "Event cancelled successfully",
-      event,
+      message: "You have left the waitlist",
+      event: toEventDetails(event, req.user),
     });
   } catch (error) {
-    console.error("Cancel event error:", error);
+    console.error("Leave waitlist error:", error);
     res.status(500).json({
-      message: "Error cancelling event",
+      message: "Error leaving waitlist",
       error: error.message,
     });
   }
 };
 
-// @desc    Delete event
-// @route   DELETE /api/events/:id
-// @access  Private (Event organizer only)
-exports.deleteEvent = async (req, res) => {
+// @desc    Get event-day roster (attendees with search/blood type filters)
+// @route   GET /api/events/:id/attendees
+// @access  Private (Event organizer, or owners, managers and check-in staff of its organization)
+exports.getEventRoster = async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findById(req.params.id).populate(
+      "attendees.donor",
+      "fullName email phone bloodType"
+    );
 
     if (!event) {
       return res.status(404).json({
@@ -804,93 +3756,167 @@ exports.deleteEvent = async (req, res) => {
       });
     }
 
-    // Check if user is the organizer
-    if (event.organizer.toString() !== req.user.id) {
+    if (!(await canAccessEvent(req.user, event, "manageAttendees"))) {
       return res.status(403).json({
-        message: "Not authorized to delete this event",
+        message: "Not authorized to view the roster of this event",
       });
     }
 
-    await event.deleteOne();
+    const attendees = await buildRosterEntries(event, req.query);
 
     res.status(200).json({
-      message: "Event deleted successfully",
+      event: {
+        _id: event._id,
+        eventTitle: event.eventTitle,
+        startsAt: event.startsAt,
+        endsAt: event.endsAt,
+        timeZone: event.timeZone,
+        local: toLocalSchedule(event),
+        location: event.location,
+        status: event.getCurrentStatus(),
+        expectedCapacity: event.expectedCapacity,
+        currentAttendees: event.currentAttendees,
+        timeSlots: event.timeSlots,
+      },
+      checkInOpen: isCheckInOpen(event),
+      counts: countRosterStatuses(event.attendees),
+      attendees,
     });
   } catch (error) {
-    console.error("Delete event error:", error);
+    console.error("Get event roster error:", error);
     res.status(500).json({
-      message: "Error deleting event",
+      message: "Error fetching event roster",
       error: error.message,
     });
   }
 };
 
-// @desc    Check registration eligibility
-// @route   POST /api/events/:id/check-eligibility
-// @access  Private (Donors only)
-exports.checkEligibility = async (req, res) => {
+// @desc    Download the event roster as CSV or a printable PDF sign-in sheet
+// @route   GET /api/events/:id/attendees/export
+// @access  Private (Event organizer, or owners, managers and check-in staff of its organization)
+exports.exportEventRoster = async (req, res) => {
   try {
-    if (req.user.role !== "donor") {
-      return res.status(403).json({
-        message: "Only donors can check eligibility",
-        eligible: false,
+    const format = req.query.format || "csv";
+
+    if (!ROSTER_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `format must be one of: ${ROSTER_EXPORT_FORMATS.join(", ")}`,
       });
     }
 
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findById(req.params.id).populate(
+      "attendees.donor",
+      "fullName email phone bloodType"
+    );
+
     if (!event) {
       return res.status(404).json({
         message: "Event not found",
-        eligible: false,
       });
     }
 
-    const user = await User.findById(req.user.id);
-    if (!user) {
+    if (!(await canAccessEvent(req.user, event, "manageAttendees"))) {
+      return res.status(403).json({
+        message: "Not authorized to view the roster of this event",
+      });
+    }
+
+    const entries = await buildRosterEntries(event, req.query);
+    const fileName = toRosterFileName(event, format);
+
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    if (format === "pdf") {
+      res.set("Content-Type", "application/pdf");
+      writeRosterPdf(event, entries, res);
+      return;
+    }
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.status(200).send(toRosterCsv(event, entries));
+  } catch (error) {
+    console.error("Export event roster error:", error);
+    res.status(500).json({
+      message: "Error exporting event roster",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the audit history of an event, newest first
+// @route   GET /api/events/:id/history
+// @access  Private (Event organizer, or owners, managers and check-in staff of its organization)
+// Filters: action, user (actor or donor), from, to, page, limit
+exports.getEventHistory = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select("organizer organization");
+
+    if (!event) {
       return res.status(404).json({
-        message: "User not found",
-        eligible: false,
+        message: "Event not found",
       });
     }
 
-    const eligibility = await evaluateRegistrationEligibility(user, event);
+    if (!(await canAccessEvent(req.user, event, "manageAttendees"))) {
+      return res.status(403).json({
+        message: "Not authorized to view the history of this event",
+      });
+    }
 
-    if (!eligibility.eligible) {
-      const status =
-        eligibility.reason === EligibilityFailureReasons.NOT_DONOR ? 403 : 200;
-      return res.status(status).json({
-        eligible: false,
-        message: getEligibilityMessage(
-          eligibility.reason,
-          eligibility.meta,
-          "eligibility"
-        ),
+    const { query, error } = buildAuditQuery({ ...req.query, event: event._id });
+
+    if (error) {
+      return res.status(400).json({
+        message: error,
       });
     }
 
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(
+      Math.max(parseInt(req.query.limit) || DEFAULT_HISTORY_PAGE_SIZE, 1),
+      MAX_HISTORY_PAGE_SIZE
+    );
+
+    const { entries, total } = await findAuditEntries(query, {
+      skip: (pageNum - 1) * limitNum,
+      limit: limitNum,
+    });
+
     res.status(200).json({
-      eligible: true,
-      message: "You are eligible to register for this event.",
-      userProfile: eligibility.userProfile,
+      entries,
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
     });
   } catch (error) {
-    console.error("Check eligibility error:", error);
+    console.error("Get event history error:", error);
     res.status(500).json({
-      message: "Error checking eligibility",
+      message: "Error fetching event history",
       error: error.message,
-      eligible: false,
     });
   }
 };
 
-// @desc    Register for event (for donors)
-// @route   POST /api/events/:id/register
+// @desc    Check a donor in (mark attended)
+// @route   POST /api/events/:id/attendees/:donorId/check-in
+// @access  Private (Event organizer, or owners, managers and check-in staff of its organization)
+exports.checkInAttendee = (req, res) =>
+  updateAttendance(req, res, "attended");
+
+// @desc    Mark a registered donor as no-show
+// @route   POST /api/events/:id/attendees/:donorId/no-show
+// @access  Private (Event organizer, or owners, managers and check-in staff of its organization)
+exports.markAttendeeNoShow = (req, res) =>
+  updateAttendance(req, res, "no-show");
+
+// @desc    Get the current donor's ticket for an event
+// @route   GET /api/events/:id/ticket
 // @access  Private (Donors only)
-exports.registerForEvent = async (req, res) => {
+exports.getMyTicket = async (req, res) => {
   try {
     if (req.user.role !== "donor") {
       return res.status(403).json({
-        message: "Only donors can register for events",
+        message: "Only donors have event tickets",
       });
     }
 
@@ -902,122 +3928,167 @@ exports.registerForEvent = async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({
-        message: "User not found",
+    if (event.status === "cancelled") {
+      return res.status(400).json({
+        message: "This event has been cancelled",
       });
     }
 
-    const eligibility = await evaluateRegistrationEligibility(user, event);
+    const attendee = event.attendees.find(
+      (entry) =>
+        entry.donor.toString() === req.user.id &&
+        (entry.status === "registered" || entry.status === "attended")
+    );
 
-    if (!eligibility.eligible) {
-      const status =
-        eligibility.reason === EligibilityFailureReasons.NOT_DONOR ? 403 : 400;
-      return res.status(status).json({
-        message: getEligibilityMessage(
-          eligibility.reason,
-          eligibility.meta,
-          "registration"
-        ),
+    if (!attendee) {
+      return res.status(404).json({
+        message: "You do not have an active registration for this event",
       });
     }
 
-    // Add donor to attendees
-    if (!event.attendees) {
-      event.attendees = [];
-    }
-
-    event.attendees.push({
-      donor: req.user.id,
-      status: "registered",
+    res.status(200).json({ ticket: toTicket(event, attendee) });
+  } catch (error) {
+    console.error("Get ticket error:", error);
+    res.status(500).json({
+      message: "Error fetching ticket",
+      error: error.message,
     });
+  }
+};
 
-    // Increment currentAttendees
-    event.currentAttendees = (event.currentAttendees || 0) + 1;
-
-    await event.save();
-
-    // Update user's registered events and last donation date
-    if (!user.registeredEvents) {
-      user.registeredEvents = [];
+// @desc    Get tickets for the current donor's upcoming/ongoing registrations
+// @route   GET /api/events/tickets/mine
+// @access  Private (Donors only)
+exports.getMyTickets = async (req, res) => {
+  try {
+    if (req.user.role !== "donor") {
+      return res.status(403).json({
+        message: "Only donors have event tickets",
+      });
     }
 
-    user.registeredEvents.push({
-      eventId: event._id,
-      registeredAt: new Date(),
-    });
-
-    // Set lastDonationDate to the event end date (when they will donate)
-    user.lastDonationDate = event.endDate || event.eventDate;
-    user.totalDonations = (user.totalDonations || 0) + 1;
-
-    await user.save();
-
-    // Clear profile cache so changes (new registrations/achievements) are visible immediately
-    try {
-      clearCachedProfileData(user._id.toString());
-    } catch (err) {
-      console.error("Failed to clear profile cache after registration", err);
-    }
+    const events = await Event.find({
+      status: { $ne: "cancelled" },
+      attendees: {
+        $elemMatch: { donor: req.user.id, status: "registered" },
+      },
+    }).sort({ startsAt: 1 });
+
+    const tickets = events
+      .filter((event) => event.getCurrentStatus() !== "completed")
+      .map((event) => {
+        const attendee = event.attendees.find(
+          (entry) =>
+            entry.donor.toString() === req.user.id &&
+            entry.status === "registered"
+        );
+        return toTicket(event, attendee);
+      });
 
-    res.status(200).json({
-      message: "Successfully registered for event",
-      event,
-    });
+    res.status(200).json({ tickets });
   } catch (error) {
-    console.error("Register for event error:", error);
+    console.error("Get my tickets error:", error);
     res.status(500).json({
-      message: "Error registering for event",
+      message: "Error fetching tickets",
       error: error.message,
     });
   }
 };
 
-// @desc    Cancel event registration
-// @route   POST /api/events/:id/cancel-registration
-// @access  Private (Donors only)
-exports.cancelRegistration = async (req, res) => {
+// @desc    Validate a scanned ticket code and check the donor in
+// @route   POST /api/events/:id/check-in/scan
+// @access  Private (Event organizer, or owners, managers and check-in staff of its organization)
+exports.scanTicket = async (req, res) => {
   try {
+    const ticket = verifyTicketCode(req.body?.code);
+
+    if (!ticket) {
+      return res.status(400).json({
+        valid: false,
+        message: "Invalid ticket code",
+      });
+    }
+
     const event = await Event.findById(req.params.id);
 
     if (!event) {
       return res.status(404).json({
+        valid: false,
         message: "Event not found",
       });
     }
 
-    const attendeeIndex = event.attendees.findIndex(
-      (attendee) => attendee.donor.toString() === req.user.id
-    );
+    if (!(await canAccessEvent(req.user, event, "manageAttendees"))) {
+      return res.status(403).json({
+        valid: false,
+        message: "Not authorized to check donors in for this event",
+      });
+    }
 
-    if (attendeeIndex === -1) {
+    if (ticket.eventId !== event._id.toString()) {
       return res.status(400).json({
-        message: "You are not registered for this event",
+        valid: false,
+        message: "This ticket is for a different event",
       });
     }
 
-    // Update status to cancelled
-    event.attendees[attendeeIndex].status = "cancelled";
-    await event.save();
+    if (!isCheckInOpen(event)) {
+      return res.status(400).json({
+        valid: false,
+        message:
+          event.status === "cancelled"
+            ? "This event has been cancelled"
+            : "Check-in opens on the day of the event",
+      });
+    }
 
-    try {
-      clearCachedProfileData(req.user.id);
-    } catch (err) {
-      console.error(
-        "Failed to clear profile cache after cancel registration",
-        err
-      );
+    const attendee = event.attendees.id(ticket.registrationId);
+
+    if (!attendee || attendee.donor.toString() !== ticket.donorId) {
+      return res.status(404).json({
+        valid: false,
+        message: "No registration found for this ticket",
+      });
+    }
+
+    if (attendee.status === "cancelled") {
+      return res.status(400).json({
+        valid: false,
+        message: "This registration has been cancelled",
+      });
+    }
+
+    const alreadyCheckedIn = attendee.status === "attended";
+    let donation;
+
+    if (alreadyCheckedIn) {
+      donation = await Donation.findOne({ event: event._id, donor: attendee.donor });
+    } else {
+      const before = snapshot(attendee, "registration");
+      donation = await recordAttendance(event, attendee, "attended", req.user.id);
+
+      await auditRegistrationChange(req, "registration.check-in", event, attendee, before, {
+        donation: donation._id,
+        ticket: true,
+      });
     }
 
+    await event.populate("attendees.donor", "fullName email phone bloodType");
+
     res.status(200).json({
-      message: "Registration cancelled successfully",
-      event,
+      valid: true,
+      alreadyCheckedIn,
+      message: alreadyCheckedIn
+        ? "This donor has already been checked in"
+        : "Donor checked in successfully",
+      attendee: toRosterEntry(event.attendees.id(attendee._id), donation),
+      counts: countRosterStatuses(event.attendees),
     });
   } catch (error) {
-    console.error("Cancel registration error:", error);
+    console.error("Scan ticket error:", error);
     res.status(500).json({
-      message: "Error cancelling registration",
+      valid: false,
+      message: "Error checking ticket",
       error: error.message,
     });
   }
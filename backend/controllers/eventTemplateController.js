@@ -0,0 +1,267 @@
+/*
+ * Event Template Controller
+ * Lets organizers save event details (venue, description, requirements,
+ * contacts, blood types, daily times) as named templates, either from a form
+ * or from one of their events, and manage their own templates.
+ */
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const EventTemplate = require("../models/EventTemplate");
+const { toLocalSchedule } = require("../utils/eventSchedule");
+const { canAccessEvent } = require("../services/organizationAccess");
+
+// Details a template keeps (everything but the dates)
+const TEMPLATE_FIELDS = [
+  "eventTitle",
+  "organizationName",
+  "location",
+  "locationCoordinates",
+  "expectedCapacity",
+  "bloodTypesNeeded",
+  "bloodTypeMatching",
+  "donationType",
+  "eventDescription",
+  "eligibilityRequirements",
+  "screeningQuestions",
+  "contactEmail",
+  "contactPhone",
+  "slotDurationMinutes",
+  "slotCapacity",
+  "startTime",
+  "endTime",
+  "timeZone",
+];
+
+const pickTemplateFields = (source) =>
+  Object.fromEntries(
+    TEMPLATE_FIELDS.filter((field) => source[field] !== undefined).map((field) => [
+      field,
+      source[field],
+    ])
+  );
+
+/*
+ * Helper: getTemplateDetailsFromEvent
+ * Template details copied from an event the user manages (their own or
+ * their organization's), with the daily times in the event's time zone.
+ * Returns { error, status } or { details }.
+ */
+const getTemplateDetailsFromEvent = async (eventId, user) => {
+  const event = mongoose.isValidObjectId(eventId)
+    ? await Event.findById(eventId).select("-attendees -waitlist -timeSlots")
+    : null;
+
+  if (!event) {
+    return { error: "Event not found", status: 404 };
+  }
+
+  if (!(await canAccessEvent(user, event, "manageEvents"))) {
+    return {
+      error: "You can only create templates from events you manage",
+      status: 403,
+    };
+  }
+
+  const local = toLocalSchedule(event);
+
+  return {
+    details: {
+      ...pickTemplateFields(event.toObject()),
+      // Slot settings only apply to events that use time slots
+      slotDurationMinutes: event.slotDurationMinutes || undefined,
+      slotCapacity: event.slotCapacity || undefined,
+      startTime: local?.startTime,
+      endTime: local?.endTime,
+      timeZone: event.timeZone,
+    },
+  };
+};
+
+/*
+ * Helper: findOwnTemplate
+ * Returns the organizer's template or null
+ */
+const findOwnTemplate = (templateId, organizerId) =>
+  mongoose.isValidObjectId(templateId)
+    ? EventTemplate.findOne({ _id: templateId, organizer: organizerId })
+    : null;
+
+/*
+ * Helper: sendSaveError
+ * Answers validation and duplicate name errors with 400; returns false for
+ * anything else
+ */
+const sendSaveError = (res, error) => {
+  if (error.name === "ValidationError") {
+    res.status(400).json({
+      message: Object.values(error.errors)
+        .map((fieldError) => fieldError.message)
+        .join(", "),
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      message: "You already have a template with this name",
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    Get the current organizer's templates
+// @route   GET /api/event-templates
+// @access  Private (Organizers only)
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await EventTemplate.find({ organizer: req.user.id }).sort({
+      name: 1,
+    });
+
+    res.status(200).json({
+      count: templates.length,
+      templates,
+    });
+  } catch (error) {
+    console.error("Get templates error:", error);
+    res.status(500).json({
+      message: "Error fetching templates",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get one of the current organizer's templates
+// @route   GET /api/event-templates/:id
+// @access  Private (Organizers only)
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({
+        message: "Template not found",
+      });
+    }
+
+    res.status(200).json({ template });
+  } catch (error) {
+    console.error("Get template error:", error);
+    res.status(500).json({
+      message: "Error fetching template",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Save a template from event details, or from an event (eventId)
+// @route   POST /api/event-templates
+// @access  Private (Organizers only)
+exports.createTemplate = async (req, res) => {
+  try {
+    const { name, eventId } = req.body || {};
+    let details = pickTemplateFields(req.body || {});
+
+    if (eventId) {
+      const fromEvent = await getTemplateDetailsFromEvent(eventId, req.user);
+
+      if (fromEvent.error) {
+        return res.status(fromEvent.status).json({
+          message: fromEvent.error,
+        });
+      }
+
+      details = fromEvent.details;
+    }
+
+    const template = await EventTemplate.create({
+      ...details,
+      name,
+      organizer: req.user.id,
+    });
+
+    res.status(201).json({
+      message: "Template saved",
+      template,
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    console.error("Create template error:", error);
+    res.status(500).json({
+      message: "Error saving template",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Rename a template or replace its details
+// @route   PUT /api/event-templates/:id
+// @access  Private (Organizers only)
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({
+        message: "Template not found",
+      });
+    }
+
+    const { name } = req.body || {};
+
+    template.set(pickTemplateFields(req.body || {}));
+
+    if (name !== undefined) {
+      template.name = name;
+    }
+
+    await template.save();
+
+    res.status(200).json({
+      message: "Template updated",
+      template,
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    console.error("Update template error:", error);
+    res.status(500).json({
+      message: "Error updating template",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a template
+// @route   DELETE /api/event-templates/:id
+// @access  Private (Organizers only)
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({
+        message: "Template not found",
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      message: "Template deleted",
+    });
+  } catch (error) {
+    console.error("Delete template error:", error);
+    res.status(500).json({
+      message: "Error deleting template",
+      error: error.message,
+    });
+  }
+};
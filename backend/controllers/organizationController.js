@@ -0,0 +1,580 @@
+/*
+ * Organization Controller
+ * Organizers create an organization, invite staff by email and give them a
+ * role (owner, manager or check-in staff). Members share the organization's
+ * events; what they may do with them is decided by services/organizationAccess.
+ */
+const mongoose = require("mongoose");
+const Organization = require("../models/Organization");
+const Event = require("../models/Event");
+const EventSeries = require("../models/EventSeries");
+const User = require("../models/User");
+const { hasPermission, findMembership } = require("../services/organizationAccess");
+const { notifyUsers } = require("../services/notifications");
+
+const { ORGANIZATION_ROLES } = Organization;
+
+/*
+ * Helper: moveEventsToOrganization
+ * Hands the user's own events and series to their organization: always when
+ * they create one, and on request when they accept an invitation
+ */
+const moveEventsToOrganization = async (userId, organizationId) => {
+  const filter = { organizer: userId, organization: null };
+  const update = { $set: { organization: organizationId } };
+
+  await Promise.all([
+    Event.updateMany(filter, update),
+    EventSeries.updateMany(filter, update),
+  ]);
+};
+
+/*
+ * Helper: findMyOrganization
+ * The user's membership, answering 404 when they have none and 403 when
+ * `permission` is given and their role lacks it. Returns the membership or
+ * null once a response was sent.
+ */
+const findMyOrganization = async (req, res, permission) => {
+  const membership = await findMembership(req.user._id);
+
+  if (!membership) {
+    res.status(404).json({
+      message: "You are not a member of an organization",
+    });
+    return null;
+  }
+
+  if (permission && !hasPermission(membership.role, permission)) {
+    res.status(403).json({
+      message: "Only organization owners can manage members",
+    });
+    return null;
+  }
+
+  return membership;
+};
+
+/*
+ * Helper: formatOrganization
+ * Organization details for a member; owners also see pending invitations
+ */
+const formatOrganization = async (organization, role) => {
+  await organization.populate("members.user", "fullName email");
+
+  return {
+    _id: organization._id,
+    name: organization.name,
+    role,
+    members: organization.members.map((member) => ({
+      user: member.user,
+      role: member.role,
+      joinedAt: member.joinedAt,
+    })),
+    invitations: hasPermission(role, "manageMembers")
+      ? organization.getPendingInvitations()
+      : [],
+    createdAt: organization.createdAt,
+  };
+};
+
+const countOwners = (organization) =>
+  organization.members.filter((member) => member.role === "owner").length;
+
+/*
+ * Helper: sendSaveError
+ * Answers validation errors and second memberships with 400; returns false
+ * for anything else
+ */
+const sendSaveError = (res, error) => {
+  if (error.name === "ValidationError") {
+    res.status(400).json({
+      message: Object.values(error.errors)
+        .map((fieldError) => fieldError.message)
+        .join(", "),
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      message: "You are already a member of an organization",
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    Create an organization; the creator becomes its owner
+// @route   POST /api/organizations
+// @access  Private (Organizers only)
+exports.createOrganization = async (req, res) => {
+  try {
+    if (await findMembership(req.user._id)) {
+      return res.status(400).json({
+        message: "You are already a member of an organization",
+      });
+    }
+
+    const organization = await Organization.create({
+      name: req.body?.name,
+      members: [{ user: req.user._id, role: "owner" }],
+    });
+
+    await moveEventsToOrganization(req.user._id, organization._id);
+
+    res.status(201).json({
+      message: "Organization created",
+      organization: await formatOrganization(organization, "owner"),
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    console.error("Create organization error:", error);
+    res.status(500).json({
+      message: "Error creating organization",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the current user's organization, members and role
+// @route   GET /api/organizations/mine
+// @access  Private
+exports.getMyOrganization = async (req, res) => {
+  try {
+    const membership = await findMembership(req.user._id);
+
+    res.status(200).json({
+      organization: membership
+        ? await formatOrganization(membership.organization, membership.role)
+        : null,
+    });
+  } catch (error) {
+    console.error("Get organization error:", error);
+    res.status(500).json({
+      message: "Error fetching organization",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Rename the organization
+// @route   PUT /api/organizations/mine
+// @access  Private (Organization owners only)
+exports.updateMyOrganization = async (req, res) => {
+  try {
+    const membership = await findMyOrganization(req, res, "manageMembers");
+
+    if (!membership) {
+      return;
+    }
+
+    const { organization, role } = membership;
+
+    if (req.body?.name !== undefined) {
+      organization.name = req.body.name;
+    }
+
+    await organization.save();
+
+    res.status(200).json({
+      message: "Organization updated",
+      organization: await formatOrganization(organization, role),
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    console.error("Update organization error:", error);
+    res.status(500).json({
+      message: "Error updating organization",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Invite someone by email with a role
+// @route   POST /api/organizations/mine/invitations
+// @access  Private (Organization owners only)
+exports.inviteMember = async (req, res) => {
+  try {
+    const membership = await findMyOrganization(req, res, "manageMembers");
+
+    if (!membership) {
+      return;
+    }
+
+    const { organization, role } = membership;
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const inviteRole = req.body?.role;
+
+    if (!email) {
+      return res.status(400).json({
+        message: "Please provide the email address to invite",
+      });
+    }
+
+    if (!ORGANIZATION_ROLES.includes(inviteRole)) {
+      return res.status(400).json({
+        message: `Role must be one of: ${ORGANIZATION_ROLES.join(", ")}`,
+      });
+    }
+
+    const invitee = await User.findOne({ email }).select("fullName email");
+
+    if (invitee && (await findMembership(invitee._id))) {
+      return res.status(400).json({
+        message: "This person is already a member of an organization",
+      });
+    }
+
+    // Inviting again replaces the earlier invitation
+    organization.invitations = organization.invitations.filter(
+      (invitation) => invitation.email !== email
+    );
+    organization.invitations.push({
+      email,
+      role: inviteRole,
+      invitedBy: req.user._id,
+    });
+
+    await organization.save();
+
+    const invitation = organization.invitations[organization.invitations.length - 1];
+
+    await notifyUsers("organization-invitation", [invitee || { email }], {
+      organizationName: organization.name,
+      role: invitation.role,
+      invitedByName: req.user.fullName,
+      expiresAt: invitation.expiresAt,
+    });
+
+    res.status(201).json({
+      message: `Invitation sent to ${email}`,
+      organization: await formatOrganization(organization, role),
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    console.error("Invite member error:", error);
+    res.status(500).json({
+      message: "Error sending invitation",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Withdraw a pending invitation
+// @route   DELETE /api/organizations/mine/invitations/:invitationId
+// @access  Private (Organization owners only)
+exports.cancelInvitation = async (req, res) => {
+  try {
+    const membership = await findMyOrganization(req, res, "manageMembers");
+
+    if (!membership) {
+      return;
+    }
+
+    const { organization, role } = membership;
+    const invitation = organization.invitations.id(req.params.invitationId);
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: "Invitation not found",
+      });
+    }
+
+    invitation.deleteOne();
+    await organization.save();
+
+    res.status(200).json({
+      message: "Invitation withdrawn",
+      organization: await formatOrganization(organization, role),
+    });
+  } catch (error) {
+    console.error("Cancel invitation error:", error);
+    res.status(500).json({
+      message: "Error withdrawing invitation",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/mine/members/:userId
+// @access  Private (Organization owners only)
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const membership = await findMyOrganization(req, res, "manageMembers");
+
+    if (!membership) {
+      return;
+    }
+
+    const { organization } = membership;
+    const newRole = req.body?.role;
+    const member = organization.members.find(
+      (entry) => entry.user.toString() === req.params.userId
+    );
+
+    if (!member) {
+      return res.status(404).json({
+        message: "Member not found",
+      });
+    }
+
+    if (!ORGANIZATION_ROLES.includes(newRole)) {
+      return res.status(400).json({
+        message: `Role must be one of: ${ORGANIZATION_ROLES.join(", ")}`,
+      });
+    }
+
+    if (member.role === "owner" && newRole !== "owner" && countOwners(organization) === 1) {
+      return res.status(400).json({
+        message: "The organization needs at least one owner",
+      });
+    }
+
+    member.role = newRole;
+    await organization.save();
+
+    res.status(200).json({
+      message: "Member role updated",
+      organization: await formatOrganization(
+        organization,
+        organization.getMemberRole(req.user._id)
+      ),
+    });
+  } catch (error) {
+    console.error("Update member role error:", error);
+    res.status(500).json({
+      message: "Error updating member role",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Remove a member, or leave the organization (own user id)
+// @route   DELETE /api/organizations/mine/members/:userId
+// @access  Private (Organization owners, or the member themselves)
+exports.removeMember = async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user._id.toString();
+    const membership = await findMyOrganization(
+      req,
+      res,
+      leaving ? undefined : "manageMembers"
+    );
+
+    if (!membership) {
+      return;
+    }
+
+    const { organization, role } = membership;
+    const member = organization.members.find(
+      (entry) => entry.user.toString() === req.params.userId
+    );
+
+    if (!member) {
+      return res.status(404).json({
+        message: "Member not found",
+      });
+    }
+
+    if (member.role === "owner" && countOwners(organization) === 1) {
+      return res.status(400).json({
+        message: leaving
+          ? "Make another member an owner before leaving the organization"
+          : "The organization needs at least one owner",
+      });
+    }
+
+    // Events stay with the organization
+    organization.members = organization.members.filter(
+      (entry) => entry.user.toString() !== req.params.userId
+    );
+    await organization.save();
+
+    res.status(200).json({
+      message: leaving ? "You left the organization" : "Member removed",
+      organization: leaving ? null : await formatOrganization(organization, role),
+    });
+  } catch (error) {
+    console.error("Remove member error:", error);
+    res.status(500).json({
+      message: "Error removing member",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get pending invitations for the current user's email
+// @route   GET /api/organizations/invitations
+// @access  Private
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const organizations = await Organization.find({
+      "invitations.email": req.user.email,
+    }).select("name invitations");
+
+    const invitations = organizations.flatMap((organization) =>
+      organization
+        .getPendingInvitations()
+        .filter((invitation) => invitation.email === req.user.email)
+        .map((invitation) => ({
+          _id: invitation._id,
+          organization: { _id: organization._id, name: organization.name },
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+        }))
+    );
+
+    res.status(200).json({
+      count: invitations.length,
+      invitations,
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({
+      message: "Error fetching invitations",
+      error: error.message,
+    });
+  }
+};
+
+/*
+ * Helper: findInvitation
+ * The organization holding a pending invitation for the user's email.
+ * Returns { organization, invitation } or null.
+ */
+const findInvitation = async (invitationId, user) => {
+  if (!mongoose.isValidObjectId(invitationId)) {
+    return null;
+  }
+
+  const organization = await Organization.findOne({
+    invitations: { $elemMatch: { _id: invitationId, email: user.email } },
+  });
+  const invitation = organization?.invitations.id(invitationId);
+
+  return invitation && invitation.expiresAt > new Date()
+    ? { organization, invitation }
+    : null;
+};
+
+/*
+ * Helper: requireVerifiedEmail
+ * Invitations are addressed by email, so only someone who confirmed that
+ * address may answer them. Returns false once a 403 was sent.
+ */
+const requireVerifiedEmail = (req, res) => {
+  if (req.user.isEmailVerified) {
+    return true;
+  }
+
+  res.status(403).json({
+    message: "Please confirm your email address before answering invitations",
+  });
+  return false;
+};
+
+// @desc    Accept an invitation and join the organization. The user's own
+//          events stay theirs unless `moveEvents` is true.
+// @route   POST /api/organizations/invitations/:invitationId/accept
+// @access  Private (Organizers with a verified email only)
+exports.acceptInvitation = async (req, res) => {
+  try {
+    if (!requireVerifiedEmail(req, res)) {
+      return;
+    }
+
+    const found = await findInvitation(req.params.invitationId, req.user);
+
+    if (!found) {
+      return res.status(404).json({
+        message: "Invitation not found or expired",
+      });
+    }
+
+    if (await findMembership(req.user._id)) {
+      return res.status(400).json({
+        message: "Leave your current organization before joining another",
+      });
+    }
+
+    const { organization, invitation } = found;
+    const moveEvents = req.body?.moveEvents === true;
+
+    // Check-in staff could no longer edit events they handed over
+    if (moveEvents && !hasPermission(invitation.role, "manageEvents")) {
+      return res.status(400).json({
+        message: "Check-in staff cannot move their events into the organization",
+      });
+    }
+
+    organization.members.push({ user: req.user._id, role: invitation.role });
+    invitation.deleteOne();
+    await organization.save();
+
+    if (moveEvents) {
+      await moveEventsToOrganization(req.user._id, organization._id);
+    }
+
+    res.status(200).json({
+      message: `You joined ${organization.name}`,
+      organization: await formatOrganization(
+        organization,
+        organization.getMemberRole(req.user._id)
+      ),
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    console.error("Accept invitation error:", error);
+    res.status(500).json({
+      message: "Error accepting invitation",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Decline an invitation
+// @route   POST /api/organizations/invitations/:invitationId/decline
+// @access  Private (Verified email only)
+exports.declineInvitation = async (req, res) => {
+  try {
+    if (!requireVerifiedEmail(req, res)) {
+      return;
+    }
+
+    const found = await findInvitation(req.params.invitationId, req.user);
+
+    if (!found) {
+      return res.status(404).json({
+        message: "Invitation not found or expired",
+      });
+    }
+
+    found.invitation.deleteOne();
+    await found.organization.save();
+
+    res.status(200).json({
+      message: "Invitation declined",
+    });
+  } catch (error) {
+    console.error("Decline invitation error:", error);
+    res.status(500).json({
+      message: "Error declining invitation",
+      error: error.message,
+    });
+  }
+};
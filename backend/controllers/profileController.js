@@ -5,11 +5,19 @@
  */
 const User = require("../models/User");
 const Event = require("../models/Event");
+const Donation = require("../models/Donation");
+const EligibilityRuleSet = require("../models/EligibilityRuleSet");
+const {
+  addDays,
+  getHistoryLookbackDays,
+  findRecoveryBlock,
+} = require("../utils/eligibilityRules");
 const {
   uploadToCloudinary,
   deleteFromCloudinary,
 } = require("../config/cloudinary");
 const asyncHandler = require("../middleware/asyncHandler");
+const { snapshot, recordAudit } = require("../services/auditLog");
 
 // TTL and in-memory cache for computed profile summaries
 const PROFILE_CACHE_TTL_MS = 2 * 60 * 1000;
@@ -67,12 +75,12 @@ const buildOrganizerProfileData = async (user) => {
           },
         ],
         recentEvents: [
-          { $sort: { eventDate: -1 } },
+          { $sort: { startsAt: -1 } },
           {
             $project: {
               _id: 1,
               eventTitle: 1,
-              eventDate: 1,
+              startsAt: 1,
               currentAttendees: { $ifNull: ["$currentAttendees", 0] },
             },
           },
@@ -139,7 +147,7 @@ const buildOrganizerProfileData = async (user) => {
       _id: event._id,
       name: event.eventTitle,
       attendees: event.currentAttendees || 0,
-      date: event.eventDate,
+      date: event.startsAt,
     })),
   };
 
@@ -149,7 +157,8 @@ const buildOrganizerProfileData = async (user) => {
 };
 
 /* Build profile summary for donors.
- * Includes donation history and derived achievements.
+ * Totals and achievements come from completed donation records; the
+ * history also lists deferred attempts.
  */
 const buildDonorProfileData = async (user) => {
   const cacheKey = `donor:${user._id.toString()}`;
@@ -158,24 +167,37 @@ const buildDonorProfileData = async (user) => {
     return cached;
   }
 
-  const registeredEventIds =
-    user.registeredEvents?.map((re) => re.eventId) || [];
-  const donationHistory = await Event.find({
-    _id: { $in: registeredEventIds },
-  })
-    .sort({ eventDate: -1 })
-    .limit(10)
-    .select("eventTitle currentAttendees eventDate");
+  const donations = await Donation.getDonorSummary(user._id);
+
+  // Earliest date the donor has recovered from all recent donations
+  const rules = await EligibilityRuleSet.getActiveRules();
+  const recentDonations = await Donation.find({
+    donor: user._id,
+    outcome: "completed",
+    donationDate: { $gte: addDays(new Date(), -getHistoryLookbackDays(rules)) },
+  }).select("donationDate donationType");
+  const recoveryBlock = findRecoveryBlock(rules, recentDonations, user.sex);
+
+  // Longest-running deferral (e.g. from a screening answer) that has not ended
+  const activeDeferral = (user.deferrals || [])
+    .filter((deferral) => deferral.endsAt > new Date())
+    .sort((a, b) => b.endsAt - a.endsAt)[0];
+
+  const nextEligibleDate = [
+    recoveryBlock?.nextEligibleDate,
+    activeDeferral?.endsAt,
+  ]
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0] || null;
 
   const achievements = [];
-  const totalDonations = user.totalDonations || 0;
+  const totalDonations = donations.total;
 
   if (totalDonations >= 1) {
-    const firstDonation = user.registeredEvents?.[0];
     achievements.push({
       title: "First Donation",
       description: "Completed your first blood donation",
-      date: firstDonation?.registeredAt,
+      date: donations.firstDonationDate,
     });
   }
 
@@ -204,12 +226,24 @@ const buildDonorProfileData = async (user) => {
   }
 
   const data = {
+    totalDonations,
+    lastDonationDate: donations.lastDonationDate,
+    nextEligibleDate,
+    activeDeferral: activeDeferral
+      ? {
+          reason: activeDeferral.reason,
+          source: activeDeferral.source,
+          endsAt: activeDeferral.endsAt,
+        }
+      : null,
     achievements,
-    donationHistory: donationHistory.map((event) => ({
-      _id: event._id,
-      name: event.eventTitle,
-      attendees: event.currentAttendees || 0,
-      date: event.eventDate,
+    donationHistory: donations.recent.map((donation) => ({
+      _id: donation._id,
+      eventId: donation.event,
+      name: donation.eventTitle,
+      date: donation.donationDate,
+      donationType: donation.donationType,
+      outcome: donation.outcome,
     })),
   };
 
@@ -239,6 +273,40 @@ const getProfile = asyncHandler(async (req, res) => {
   res.json(userProfile);
 });
 
+/* Validation helper: donor health details (all optional, empty clears) */
+const validateDonorHealthDetails = ({ dateOfBirth, sex, weightKg }) => {
+  if (dateOfBirth) {
+    const birthDate = new Date(dateOfBirth);
+    if (Number.isNaN(birthDate.getTime()) || birthDate > new Date()) {
+      return "Date of birth must be a valid date in the past";
+    }
+  }
+
+  if (sex && !["male", "female"].includes(sex)) {
+    return "Sex must be male or female";
+  }
+
+  if (weightKg !== undefined && weightKg !== "" && weightKg !== null) {
+    const weight = Number(weightKg);
+    if (!Number.isFinite(weight) || weight <= 0 || weight > 500) {
+      return "Weight must be a number of kilograms between 0 and 500";
+    }
+  }
+
+  return null;
+};
+
+/* Audit helper: record a change to the current user's own account */
+const auditProfileChange = (req, action, user, before) =>
+  recordAudit(req, {
+    action,
+    targetType: "user",
+    targetId: user._id,
+    subject: user._id,
+    before,
+    after: snapshot(user, "user"),
+  });
+
 /* Controller: Update profile details for current user */
 const updateProfile = asyncHandler(async (req, res) => {
   const {
@@ -249,6 +317,9 @@ const updateProfile = asyncHandler(async (req, res) => {
     location,
     organization,
     memberSince,
+    dateOfBirth,
+    sex,
+    weightKg,
   } = req.body;
 
   const user = await User.findById(req.user._id);
@@ -267,6 +338,21 @@ const updateProfile = asyncHandler(async (req, res) => {
       .json({ message: "Only organizers can have organization details" });
   }
 
+  const hasHealthDetails = [dateOfBirth, sex, weightKg].some(
+    (value) => value !== undefined
+  );
+
+  if (user.role !== "donor" && hasHealthDetails) {
+    return res
+      .status(400)
+      .json({ message: "Only donors can have health details" });
+  }
+
+  const healthError = validateDonorHealthDetails({ dateOfBirth, sex, weightKg });
+  if (healthError) {
+    return res.status(400).json({ message: healthError });
+  }
+
   if (phone && phone !== user.phone) {
     const phoneExists = await User.findOne({
       phone: phone,
@@ -286,11 +372,19 @@ const updateProfile = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = snapshot(user, "user");
+
   if (fullName) user.fullName = fullName;
   if (bloodType) user.bloodType = bloodType;
   if (phone) user.phone = phone;
   if (organization) user.organization = organization;
   if (memberSince) user.memberSince = memberSince;
+  // Empty values clear optional health details
+  if (dateOfBirth !== undefined) user.dateOfBirth = dateOfBirth || undefined;
+  if (sex !== undefined) user.sex = sex || undefined;
+  if (weightKg !== undefined) {
+    user.weightKg = weightKg === "" || weightKg === null ? undefined : Number(weightKg);
+  }
   if (location) {
     user.location = {
       address: location.address || user.location?.address,
@@ -315,6 +409,7 @@ const updateProfile = asyncHandler(async (req, res) => {
   }
 
   await user.save();
+  await auditProfileChange(req, "user.update", user, before);
 
   res.json(user);
 });
@@ -332,6 +427,7 @@ const uploadProfilePicture = asyncHandler(async (req, res) => {
   }
 
   const previousPublicId = user.profilePicture?.publicId;
+  const before = snapshot(user, "user");
 
   const result = await uploadToCloudinary(
     req.file.buffer,
@@ -344,6 +440,7 @@ const uploadProfilePicture = asyncHandler(async (req, res) => {
   };
 
   await user.save();
+  await auditProfileChange(req, "user.profile-picture.update", user, before);
 
   if (previousPublicId) {
     deleteFromCloudinary(previousPublicId).catch((cloudinaryError) =>
@@ -374,9 +471,11 @@ const deleteProfilePicture = asyncHandler(async (req, res) => {
 
   await deleteFromCloudinary(user.profilePicture.publicId);
 
+  const before = snapshot(user, "user");
   user.profilePicture = undefined;
 
   await user.save();
+  await auditProfileChange(req, "user.profile-picture.delete", user, before);
 
   res.json({ message: "Profile picture deleted successfully" });
 });
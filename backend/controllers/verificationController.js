@@ -0,0 +1,113 @@
+/*
+ * Verification Controller
+ * Organizers ask to be verified by submitting their organization's
+ * registration number, a contact person and scanned documents (images,
+ * uploaded to Cloudinary). Admins review submissions in the admin console
+ * (see adminController); events of unverified organizers are labelled as
+ * such for donors.
+ */
+const OrganizerVerification = require("../models/OrganizerVerification");
+const { uploadToCloudinary } = require("../config/cloudinary");
+
+// Scans must stay readable, so they are kept larger than avatars
+const DOCUMENT_MAX_DIMENSION = 2000;
+
+// @desc    Submit the organization's details and documents for verification
+// @route   POST /api/verification
+// @access  Private (Organizers only)
+exports.submitVerification = async (req, res) => {
+  try {
+    if (req.user.isVerifiedOrganizer) {
+      return res.status(400).json({
+        message: "Your account is already verified",
+      });
+    }
+
+    const pending = await OrganizerVerification.exists({
+      organizer: req.user._id,
+      status: "pending",
+    });
+
+    if (pending) {
+      return res.status(400).json({
+        message: "Your verification request is already being reviewed",
+      });
+    }
+
+    const files = req.files || [];
+    const { organizationName, registrationNumber, contactName, contactEmail, contactPhone } =
+      req.body || {};
+
+    const verification = new OrganizerVerification({
+      organizer: req.user._id,
+      organizationName: organizationName || req.user.organization,
+      registrationNumber,
+      contactPerson: {
+        name: contactName,
+        email: contactEmail,
+        phone: contactPhone,
+      },
+      // Placeholders so the document count is validated before uploading
+      documents: files.map((file) => ({ url: "pending", fileName: file.originalname })),
+    });
+
+    const validationError = verification.validateSync();
+
+    if (validationError) {
+      return res.status(400).json({
+        message: Object.values(validationError.errors)
+          .map((fieldError) => fieldError.message)
+          .join(", "),
+      });
+    }
+
+    const uploads = await Promise.all(
+      files.map((file) =>
+        uploadToCloudinary(file.buffer, "blood-donation-app/verification", {
+          maxDimension: DOCUMENT_MAX_DIMENSION,
+        })
+      )
+    );
+
+    verification.documents = uploads.map((result, index) => ({
+      url: result.secure_url,
+      publicId: result.public_id,
+      fileName: files[index].originalname,
+    }));
+
+    await verification.save();
+
+    res.status(201).json({
+      message: "Verification request submitted. An admin will review it shortly.",
+      verification,
+    });
+  } catch (error) {
+    console.error("Submit verification error:", error);
+    res.status(500).json({
+      message: "Error submitting verification request",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Current verification state and the latest request
+// @route   GET /api/verification/mine
+// @access  Private (Organizers only)
+exports.getMyVerification = async (req, res) => {
+  try {
+    const verification = await OrganizerVerification.findOne({
+      organizer: req.user._id,
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      isVerifiedOrganizer: Boolean(req.user.isVerifiedOrganizer),
+      verification,
+    });
+  } catch (error) {
+    console.error("Get verification error:", error);
+    res.status(500).json({
+      message: "Error fetching verification",
+      error: error.message,
+    });
+  }
+};
@@ -1,10 +1,22 @@
 /* Server entrypoint - bootstraps database and starts Express app */
 const app = require("./app");
 const connectDB = require("./config/db");
+const { startNotificationWorker } = require("./services/notifications");
+const { createReminderScheduler } = require("./services/reminderScheduler");
+const { createEventStatusJob } = require("./services/eventStatusJob");
 
 // Connect to database
 connectDB();
 
+// Deliver queued emails and retry failed ones in the background
+startNotificationWorker();
+
+// Keep stored event statuses (upcoming/ongoing/completed) current
+createEventStatusJob().start();
+
+// Remind registered donors before their events
+createReminderScheduler().start();
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
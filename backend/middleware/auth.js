@@ -1,11 +1,17 @@
 /*
  * Auth middleware (server-side)
  * - protect: verifies JWT and attaches the user to req.user
+ * - identify: like protect, but lets anonymous requests through
  * - authorize: restricts routes by user role
  */
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 
+// Changing or resetting the password signs out every other session
+const isIssuedBeforePasswordChange = (decoded, user) =>
+  Boolean(user.passwordChangedAt) &&
+  decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
+
 const protect = async (req, res, next) => {
   let token;
 
@@ -27,6 +33,19 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ message: "User not found" });
       }
 
+      // Tokens of deactivated accounts stop working straight away
+      if (!req.user.isActive) {
+        return res
+          .status(401)
+          .json({ message: "Your account has been deactivated" });
+      }
+
+      if (isIssuedBeforePasswordChange(decoded, req.user)) {
+        return res
+          .status(401)
+          .json({ message: "Your password was changed. Please log in again." });
+      }
+
       next();
     } catch (error) {
       console.error(error);
@@ -39,6 +58,30 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Optional auth for public routes: attaches an active user when a valid
+// token is sent, and otherwise carries on without one
+const identify = async (req, res, next) => {
+  const authorization = req.headers.authorization;
+
+  if (authorization && authorization.startsWith("Bearer")) {
+    try {
+      const decoded = jwt.verify(
+        authorization.split(" ")[1],
+        process.env.JWT_SECRET
+      );
+      const user = await User.findById(decoded.id).select("-password");
+
+      if (user && user.isActive && !isIssuedBeforePasswordChange(decoded, user)) {
+        req.user = user;
+      }
+    } catch {
+      // Invalid or expired tokens are treated as anonymous
+    }
+  }
+
+  next();
+};
+
 // Role-based access control middleware
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -51,4 +94,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+module.exports = { protect, identify, authorize };
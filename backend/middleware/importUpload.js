@@ -0,0 +1,16 @@
+/*
+ * Multer import upload config
+ * Uses memory storage for event import spreadsheets (CSV or XLSX) under 2MB.
+ * The file type is checked by the import itself so it can answer with a
+ * helpful message.
+ */
+const multer = require("multer");
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+  },
+});
+
+module.exports = importUpload;
@@ -0,0 +1,91 @@
+// AuditLog model: append-only record of state-changing actions. Each entry
+// says who (actor) did what (action) to which record (target), with the
+// fields that changed (before/after values) and the request it came from.
+// Entries are written by services/auditLog and never updated or deleted.
+const mongoose = require("mongoose");
+
+const AUDIT_TARGET_TYPES = ["event", "series", "registration", "user", "verification"];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Missing for actions without a signed-in user
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorRole: {
+      type: String,
+    },
+    // Dotted name, e.g. "event.update" or "registration.cancel"
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: AUDIT_TARGET_TYPES,
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Event the action belongs to (event history), kept after deletion
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+    },
+    // User the action was about when it is not the actor (e.g. the donor
+    // checked in by an organizer), or the account itself for user actions
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    // Context that is not a field change (reasons, counts, related records)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    request: {
+      method: String,
+      path: String,
+      ip: String,
+      userAgent: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ event: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries cannot be changed once written
+const rejectChange = () => {
+  throw new Error("Audit log entries cannot be changed");
+};
+
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectChange
+);
+auditLogSchema.pre(["deleteMany", "findOneAndDelete"], rejectChange);
+auditLogSchema.pre("deleteOne", { document: true, query: true }, rejectChange);
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
+module.exports.AUDIT_TARGET_TYPES = AUDIT_TARGET_TYPES;
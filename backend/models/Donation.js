@@ -0,0 +1,125 @@
+// Donation model: one record per donation attempt, created when a donor's
+// attendance at an event is confirmed on the roster
+const mongoose = require("mongoose");
+
+const DONATION_TYPES = ["whole-blood", "platelets", "plasma", "double-red-cells"];
+const DONATION_OUTCOMES = ["completed", "deferred"];
+
+const donationSchema = new mongoose.Schema(
+  {
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+    },
+    // Attendee entry (registration) on the event this donation came from
+    registrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Event title at the time of donation, kept for history if the event is deleted
+    eventTitle: {
+      type: String,
+      trim: true,
+    },
+    donationDate: {
+      type: Date,
+      required: true,
+    },
+    donationType: {
+      type: String,
+      enum: DONATION_TYPES,
+      default: "whole-blood",
+    },
+    // Deferred donors were checked in but could not donate
+    outcome: {
+      type: String,
+      enum: DONATION_OUTCOMES,
+      default: "completed",
+    },
+    deferralReason: {
+      type: String,
+      trim: true,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One donation record per donor per event; donor history sorted by date
+donationSchema.index(
+  { event: 1, donor: 1 },
+  { unique: true, partialFilterExpression: { event: { $exists: true } } }
+);
+donationSchema.index({ donor: 1, outcome: 1, donationDate: -1 });
+
+/*
+ * Static: getDonorSummary
+ * Summarizes a donor's donation records. Totals and dates only count
+ * completed donations; recent history also lists deferrals:
+ * { total, firstDonationDate, lastDonationDate, recent: [{ _id, event, eventTitle, donationDate, donationType, outcome }] }
+ */
+donationSchema.statics.getDonorSummary = async function (
+  donorId,
+  { recentLimit = 10 } = {}
+) {
+  const donorObjectId = new mongoose.Types.ObjectId(donorId.toString());
+
+  const [result] = await this.aggregate([
+    { $match: { donor: donorObjectId } },
+    {
+      $facet: {
+        summary: [
+          { $match: { outcome: "completed" } },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              firstDonationDate: { $min: "$donationDate" },
+              lastDonationDate: { $max: "$donationDate" },
+            },
+          },
+        ],
+        recent: [
+          { $sort: { donationDate: -1 } },
+          { $limit: Math.max(recentLimit, 1) },
+          {
+            $project: {
+              _id: 1,
+              event: 1,
+              eventTitle: 1,
+              donationDate: 1,
+              donationType: 1,
+              outcome: 1,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const summary = result?.summary?.[0] || {
+    total: 0,
+    firstDonationDate: null,
+    lastDonationDate: null,
+  };
+
+  return {
+    total: summary.total,
+    firstDonationDate: summary.firstDonationDate,
+    lastDonationDate: summary.lastDonationDate,
+    recent: recentLimit > 0 ? result?.recent || [] : [],
+  };
+};
+
+module.exports = mongoose.model("Donation", donationSchema);
+module.exports.DONATION_TYPES = DONATION_TYPES;
+module.exports.DONATION_OUTCOMES = DONATION_OUTCOMES;
@@ -0,0 +1,117 @@
+// EligibilityRuleSet model: donor eligibility rules stored as data so admins
+// can change them without a deploy. A single "default" document is used;
+// until one is saved the built-in DEFAULT_ELIGIBILITY_RULES apply.
+const mongoose = require("mongoose");
+const { DONATION_TYPES } = require("./Donation");
+
+// Built-in rules, loosely based on common blood service guidelines
+const DEFAULT_ELIGIBILITY_RULES = {
+  minAgeYears: 17,
+  minWeightKg: 50,
+  donationTypes: [
+    {
+      donationType: "whole-blood",
+      intervalDays: 56,
+      intervalDaysBySex: { male: 56, female: 84 },
+      maxDonationsPerYear: 6,
+      maxDonationsPerYearBySex: { male: 6, female: 4 },
+    },
+    {
+      donationType: "platelets",
+      intervalDays: 7,
+      maxDonationsPerYear: 24,
+    },
+    {
+      donationType: "plasma",
+      intervalDays: 28,
+      maxDonationsPerYear: 13,
+    },
+    {
+      donationType: "double-red-cells",
+      intervalDays: 112,
+      maxDonationsPerYear: 3,
+    },
+  ],
+};
+
+// Optional per-sex overrides of a numeric rule
+const bySexSchema = new mongoose.Schema(
+  {
+    male: {
+      type: Number,
+      min: 0,
+    },
+    female: {
+      type: Number,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const eligibilityRuleSetSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: "default",
+    },
+    // Donor requirements, checked against the event's first day
+    minAgeYears: {
+      type: Number,
+      min: 0,
+    },
+    minWeightKg: {
+      type: Number,
+      min: 0,
+    },
+    // Rules per donation type
+    donationTypes: [
+      {
+        _id: false,
+        donationType: {
+          type: String,
+          enum: DONATION_TYPES,
+          required: true,
+        },
+        // Days after a donation of this type before the donor can donate again
+        intervalDays: {
+          type: Number,
+          min: 0,
+          required: true,
+        },
+        intervalDaysBySex: {
+          type: bySexSchema,
+        },
+        // Completed donations of this type allowed in any 365-day window
+        maxDonationsPerYear: {
+          type: Number,
+          min: 1,
+        },
+        maxDonationsPerYearBySex: {
+          type: bySexSchema,
+        },
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/*
+ * Static: getActiveRules
+ * Returns the saved rule set as a plain object, or the built-in defaults
+ */
+eligibilityRuleSetSchema.statics.getActiveRules = async function () {
+  const ruleSet = await this.findOne({ key: "default" }).lean();
+  return ruleSet || { key: "default", ...DEFAULT_ELIGIBILITY_RULES };
+};
+
+module.exports = mongoose.model("EligibilityRuleSet", eligibilityRuleSetSchema);
+module.exports.DEFAULT_ELIGIBILITY_RULES = DEFAULT_ELIGIBILITY_RULES;
@@ -1,5 +1,48 @@
 // Event model: stores event details, attendees and helper methods
 const mongoose = require("mongoose");
+const { DONATION_TYPES } = require("./Donation");
+const { SCREENING_QUESTION_IDS } = require("../utils/screeningQuestions");
+const { BLOOD_TYPES, BLOOD_TYPE_MATCHING } = require("../utils/bloodCompatibility");
+const {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  toLocalSchedule,
+} = require("../utils/eventSchedule");
+
+// Statuses an event moves through over time (cancelled is set explicitly)
+const STATUS_PROGRESSION = ["upcoming", "ongoing", "completed"];
+
+// Donor's answers to the event's health screening questions
+const screeningSchema = new mongoose.Schema(
+  {
+    answers: [
+      {
+        _id: false,
+        questionId: String,
+        // Question text as it was shown to the donor
+        question: String,
+        answer: Boolean,
+        disqualifying: Boolean,
+      },
+    ],
+    submittedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// Serialized events carry the schedule in their own time zone as `local`
+// next to the UTC startsAt/endsAt
+const addLocalSchedule = (ret) => {
+  const local = toLocalSchedule(ret);
+
+  if (local) {
+    ret.local = local;
+  }
+
+  return ret;
+};
 
 const eventSchema = new mongoose.Schema(
   {
@@ -9,6 +52,12 @@ const eventSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Organization that owns the event; its members manage it by role.
+    // Events without one are managed by their organizer alone.
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
     // Basic event information
     eventTitle: {
       type: String,
@@ -20,17 +69,34 @@ const eventSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
-    // Timing & scheduling details
-    eventDate: {
+    // Timing & scheduling details: first day at the start time and last day
+    // at the end time (UTC instants), in the event's IANA time zone
+    startsAt: {
       type: Date,
       required: true,
     },
-    endDate: {
+    endsAt: {
       type: Date,
+      required: true,
     },
-    eventTime: {
+    timeZone: {
       type: String,
       required: true,
+      default: getDefaultTimeZone,
+      validate: {
+        validator: isValidTimeZone,
+        message: (props) => `Unknown time zone "${props.value}"`,
+      },
+    },
+    // Recurring series this event is an occurrence of, and the local date
+    // ("YYYY-MM-DD") the series rule generated it for. The date is kept when
+    // the occurrence alone is rescheduled, so it is never generated twice.
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EventSeries",
+    },
+    occurrenceDate: {
+      type: String,
     },
     // Location and coordinates for map integration
     location: {
@@ -48,6 +114,17 @@ const eventSchema = new mongoose.Schema(
         required: false,
       },
     },
+    // GeoJSON point mirrored from locationCoordinates for geospatial queries
+    geoLocation: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
     // Capacity & attendee tracking
     expectedCapacity: {
       type: Number,
@@ -58,13 +135,58 @@ const eventSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Optional appointment slots; when set, expectedCapacity is the sum of
+    // the slot capacities and every registration books a specific slot
+    slotDurationMinutes: {
+      type: Number,
+      min: 5,
+    },
+    slotCapacity: {
+      type: Number,
+      min: 1,
+    },
+    timeSlots: [
+      {
+        startsAt: {
+          type: Date,
+          required: true,
+        },
+        endsAt: {
+          type: Date,
+          required: true,
+        },
+        capacity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        bookedCount: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    // Kind of donation collected; selects the eligibility rules that apply
+    donationType: {
+      type: String,
+      enum: DONATION_TYPES,
+      default: "whole-blood",
+    },
     // Required blood types for the event
     bloodTypesNeeded: [
       {
         type: String,
-        enum: ["O+", "O-", "A+", "A-", "B+", "B-", "AB+", "AB-"],
+        enum: BLOOD_TYPES,
       },
     ],
+    // "exact": only donors of the listed types may register.
+    // "compatible": the listed types are the recipients' types and any donor
+    // whose blood is compatible with one of them is welcome.
+    bloodTypeMatching: {
+      type: String,
+      enum: BLOOD_TYPE_MATCHING,
+      default: "exact",
+    },
     eventDescription: {
       type: String,
       required: true,
@@ -74,6 +196,13 @@ const eventSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    // Health screening questions donors answer when registering
+    screeningQuestions: [
+      {
+        type: String,
+        enum: SCREENING_QUESTION_IDS,
+      },
+    ],
     contactEmail: {
       type: String,
       required: true,
@@ -87,9 +216,31 @@ const eventSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["upcoming", "ongoing", "completed", "cancelled"],
+      enum: [...STATUS_PROGRESSION, "cancelled"],
       default: "upcoming",
     },
+    // Shown to donors when the event was cancelled by an admin
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    // Moderation: hidden events are left out of listings, the map and feeds,
+    // and do not accept registrations. Only admins hide or unhide events.
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenReason: {
+      type: String,
+      trim: true,
+    },
+    hiddenAt: {
+      type: Date,
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     // Attendees list with quick status
     attendees: [
       {
@@ -101,145 +252,154 @@ const eventSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // Booked time slot (only for events with time slots)
+        slot: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
         status: {
           type: String,
-          enum: ["registered", "attended", "cancelled"],
+          enum: ["registered", "attended", "no-show", "cancelled"],
           default: "registered",
         },
+        // Event-day attendance marking (roster check-in)
+        checkedInAt: {
+          type: Date,
+        },
+        attendanceMarkedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        attendanceMarkedAt: {
+          type: Date,
+        },
+        screening: {
+          type: screeningSchema,
+        },
+        // Reminder emails already sent, by minutes before the start
+        remindersSent: [
+          {
+            _id: false,
+            offsetMinutes: Number,
+            sentAt: Date,
+          },
+        ],
+      },
+    ],
+    // Donors waiting for a seat once the event is full, in the order they joined
+    waitlist: [
+      {
+        donor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // Answers given when joining, carried over on promotion
+        screening: {
+          type: screeningSchema,
+        },
       },
     ],
   },
   {
     timestamps: true,
+    toJSON: { transform: (doc, ret) => addLocalSchedule(ret) },
+    toObject: { transform: (doc, ret) => addLocalSchedule(ret) },
   }
 );
 
 // Database indexes to help query performances
-// (organizer, event date, text search on title/location)
-eventSchema.index({ organizer: 1, eventDate: -1 });
-eventSchema.index({ eventDate: 1, status: 1 });
+// (organizer, start time, text search on title/location)
+eventSchema.index({ organizer: 1, startsAt: -1 });
+eventSchema.index({ organization: 1, startsAt: -1 });
+eventSchema.index({ startsAt: 1, status: 1 });
+eventSchema.index({ series: 1, occurrenceDate: 1 });
 eventSchema.index({ location: "text", eventTitle: "text" });
+eventSchema.index({ geoLocation: "2dsphere" });
 
 // Virtual for checking if event is full
 eventSchema.virtual("isFull").get(function () {
   return this.currentAttendees >= this.expectedCapacity;
 });
 
-// Method to update event status based on date
-eventSchema.methods.updateStatus = function () {
-  const now = new Date();
-  const startOfEvent = new Date(this.eventDate);
-  const endOfEvent = this.endDate
-    ? new Date(this.endDate)
-    : new Date(this.eventDate);
+// Method to count attendees currently holding a seat
+eventSchema.methods.countActiveAttendees = function () {
+  return (this.attendees || []).filter(
+    (attendee) =>
+      attendee.status === "registered" || attendee.status === "attended"
+  ).length;
+};
 
+// Method to recount booked seats per time slot from the attendees list
+eventSchema.methods.refreshSlotCounts = function () {
+  (this.timeSlots || []).forEach((slot) => {
+    slot.bookedCount = (this.attendees || []).filter(
+      (attendee) =>
+        attendee.slot &&
+        attendee.slot.toString() === slot._id.toString() &&
+        (attendee.status === "registered" || attendee.status === "attended")
+    ).length;
+  });
+};
+
+// Method returning the status the event has as of `now`, from its start and
+// end. It does not change the stored status: only the event status job
+// (services/eventStatusJob.js) records transitions.
+eventSchema.methods.getCurrentStatus = function (now = new Date()) {
   if (this.status === "cancelled") {
     return this.status;
   }
 
-  const parseTimePortion = (baseDate, raw) => {
-    if (!raw) {
-      return null;
-    }
-
-    const cleaned = raw.trim();
-    if (!cleaned) {
-      return null;
-    }
-
-    const parts = cleaned.split(/\s+/);
-    if (parts.length < 2) {
-      return null;
-    }
-
-    const timePart = parts[0];
-    const modifier = parts[1].toUpperCase();
-
-    const timeSegments = timePart.split(":");
-    let hours = parseInt(timeSegments[0], 10);
-    let minutes = timeSegments[1] ? parseInt(timeSegments[1], 10) : 0;
-
-    if (Number.isNaN(hours) || Number.isNaN(minutes)) {
-      return null;
-    }
-
-    if (modifier === "PM" && hours < 12) {
-      hours += 12;
-    }
-
-    if (modifier === "AM" && hours === 12) {
-      hours = 0;
-    }
-
-    const dateTime = new Date(baseDate);
-    dateTime.setHours(hours, minutes, 0, 0);
-    return dateTime;
-  };
-
-  let startDateTime = null;
-  let endDateTime = null;
-
-  if (typeof this.eventTime === "string" && this.eventTime.trim().length > 0) {
-    const segments = this.eventTime.split("-").map((segment) => segment.trim());
-    startDateTime = parseTimePortion(startOfEvent, segments[0]);
-    endDateTime = parseTimePortion(endOfEvent, segments[1]);
-
-    if (startDateTime && endDateTime && endDateTime <= startDateTime) {
-      // Handle events that end after midnight
-      endDateTime.setDate(endDateTime.getDate() + 1);
-    }
+  if (now < this.startsAt) {
+    return "upcoming";
   }
 
-  if (startDateTime || endDateTime) {
-    const effectiveStart = startDateTime || startOfEvent;
-    let effectiveEnd = endDateTime;
-
-    if (!effectiveEnd) {
-      effectiveEnd = new Date(endOfEvent);
-      effectiveEnd.setHours(23, 59, 59, 999);
-    }
+  return now <= this.endsAt ? "ongoing" : "completed";
+};
 
-    if (now < effectiveStart) {
-      this.status = "upcoming";
-    } else if (now >= effectiveStart && now <= effectiveEnd) {
-      this.status = "ongoing";
-    } else {
-      this.status = "completed";
-    }
+// Build a GeoJSON point ([lng, lat]) from lat/lng coordinates, or null
+const buildGeoPoint = (coordinates) => {
+  const lat = coordinates?.lat;
+  const lng = coordinates?.lng;
 
-    return this.status;
+  if (typeof lat !== "number" || typeof lng !== "number") {
+    return null;
   }
 
-  // Fallback logic when we cannot parse time information
-  const startDay = new Date(startOfEvent);
-  startDay.setHours(0, 0, 0, 0);
-
-  const endDay = new Date(endOfEvent);
-  endDay.setHours(23, 59, 59, 999);
-
-  if (now < startDay) {
-    this.status = "upcoming";
-  } else if (now > endDay) {
-    this.status = "completed";
-  } else {
-    this.status = "ongoing";
+  if (Number.isNaN(lat) || Number.isNaN(lng)) {
+    return null;
   }
 
-  return this.status;
+  return { type: "Point", coordinates: [lng, lat] };
 };
 
 // Pre-save middleware to update current attendees count
 eventSchema.pre("save", function (next) {
-  if (!this.endDate) {
-    this.endDate = this.eventDate;
-  }
+  // Keep the geospatial point in sync with the map coordinates
+  const geoPoint = buildGeoPoint(this.locationCoordinates);
+  this.geoLocation = geoPoint || undefined;
 
   if (this.attendees) {
-    this.currentAttendees = this.attendees.filter(
-      (attendee) =>
-        attendee.status === "registered" || attendee.status === "attended"
-    ).length;
+    this.currentAttendees = this.countActiveAttendees();
+    this.refreshSlotCounts();
   }
+
+  // A date change can move the event back (e.g. a completed event is
+  // rescheduled); moving it forward is left to the status job, which emits
+  // the lifecycle hooks for the transition
+  if (this.isModified("startsAt") || this.isModified("endsAt")) {
+    const currentStatus = this.getCurrentStatus();
+
+    if (
+      STATUS_PROGRESSION.indexOf(currentStatus) <
+      STATUS_PROGRESSION.indexOf(this.status)
+    ) {
+      this.status = currentStatus;
+    }
+  }
+
   next();
 });
 
@@ -0,0 +1,115 @@
+// EventSeries model: a recurring event. The series keeps the recurrence rule
+// and the local schedule; each date it generates is a regular Event
+// (linked through Event.series) with its own attendees and capacity.
+const mongoose = require("mongoose");
+const {
+  RECURRENCE_FREQUENCIES,
+  MONTHLY_MODES,
+  describeRecurrence,
+} = require("../utils/recurrence");
+const { getDefaultTimeZone, isValidTimeZone } = require("../utils/eventSchedule");
+
+// Parsed rule, see utils/recurrence.js
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: RECURRENCE_FREQUENCIES,
+      required: true,
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // ISO weekdays (1 = Monday ... 7 = Sunday) for weekly rules
+    weekdays: {
+      type: [Number],
+      default: undefined,
+    },
+    monthlyMode: {
+      type: String,
+      enum: MONTHLY_MODES,
+    },
+    dayOfMonth: Number,
+    // nth-weekday rules: weekday and its position in the month (-1 = last)
+    weekday: Number,
+    weekOfMonth: Number,
+    until: String,
+    count: Number,
+    // Skipped dates ("YYYY-MM-DD")
+    exceptions: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// Serialized series carry a readable summary of the rule
+const addSummary = (ret) => {
+  ret.summary = describeRecurrence(ret.recurrence);
+  return ret;
+};
+
+const eventSeriesSchema = new mongoose.Schema(
+  {
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Organization that owns the series (copied to every occurrence)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      required: true,
+    },
+    // Local schedule of every occurrence: the first date the rule starts
+    // from, the daily window and how many days each occurrence spans
+    startDate: {
+      type: String,
+      required: true,
+    },
+    startTime: {
+      type: String,
+      required: true,
+    },
+    endTime: {
+      type: String,
+      required: true,
+    },
+    durationDays: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    timeZone: {
+      type: String,
+      required: true,
+      default: getDefaultTimeZone,
+      validate: {
+        validator: isValidTimeZone,
+        message: (props) => `Unknown time zone "${props.value}"`,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { transform: (doc, ret) => addSummary(ret) },
+    toObject: { transform: (doc, ret) => addSummary(ret) },
+  }
+);
+
+eventSeriesSchema.index({ organizer: 1, createdAt: -1 });
+eventSeriesSchema.index({ organization: 1 });
+
+module.exports = mongoose.model("EventSeries", eventSeriesSchema);
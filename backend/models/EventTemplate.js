@@ -0,0 +1,108 @@
+// EventTemplate model: event details an organizer saved under a name to
+// start new events from. Templates keep everything but the dates, which are
+// picked again for every event; the daily times and time zone are kept.
+const mongoose = require("mongoose");
+const { DONATION_TYPES } = require("./Donation");
+const { SCREENING_QUESTION_IDS } = require("../utils/screeningQuestions");
+const { BLOOD_TYPES, BLOOD_TYPE_MATCHING } = require("../utils/bloodCompatibility");
+const { isValidTimeZone } = require("../utils/eventSchedule");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const eventTemplateSchema = new mongoose.Schema(
+  {
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please provide a template name"],
+      trim: true,
+      maxlength: [100, "Template name cannot exceed 100 characters"],
+    },
+    eventTitle: {
+      type: String,
+      trim: true,
+    },
+    organizationName: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    locationCoordinates: {
+      lat: Number,
+      lng: Number,
+    },
+    expectedCapacity: {
+      type: Number,
+      min: [1, "Capacity must be at least 1"],
+    },
+    bloodTypesNeeded: [
+      {
+        type: String,
+        enum: BLOOD_TYPES,
+      },
+    ],
+    bloodTypeMatching: {
+      type: String,
+      enum: BLOOD_TYPE_MATCHING,
+    },
+    donationType: {
+      type: String,
+      enum: DONATION_TYPES,
+    },
+    eventDescription: {
+      type: String,
+      trim: true,
+    },
+    eligibilityRequirements: [String],
+    screeningQuestions: {
+      type: [
+        {
+          type: String,
+          enum: SCREENING_QUESTION_IDS,
+        },
+      ],
+      default: undefined,
+    },
+    contactEmail: {
+      type: String,
+      trim: true,
+    },
+    contactPhone: {
+      type: String,
+      trim: true,
+    },
+    slotDurationMinutes: Number,
+    slotCapacity: Number,
+    // Local daily window ("09:00" - "16:00") in timeZone
+    startTime: {
+      type: String,
+      match: [TIME_PATTERN, "Times must use 24-hour HH:mm"],
+    },
+    endTime: {
+      type: String,
+      match: [TIME_PATTERN, "Times must use 24-hour HH:mm"],
+    },
+    timeZone: {
+      type: String,
+      validate: {
+        validator: (value) => !value || isValidTimeZone(value),
+        message: (props) => `Unknown time zone "${props.value}"`,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Template names are unique per organizer
+eventTemplateSchema.index({ organizer: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("EventTemplate", eventTemplateSchema);
@@ -0,0 +1,90 @@
+// Notification model: outgoing emails queued by the notification service.
+// Messages are rendered when queued and delivered by the queue worker, which
+// retries failed sends with a growing delay until maxAttempts is reached.
+// The body of password reset and email verification messages is replaced
+// once delivery ends, so their single-use links are not stored.
+const mongoose = require("mongoose");
+
+const NOTIFICATION_TEMPLATES = [
+  "registration-confirmation",
+  "event-changed",
+  "event-cancelled",
+  "event-reminder",
+  "organization-invitation",
+  "verification-reviewed",
+  "email-verification",
+  "password-reset",
+];
+
+const NOTIFICATION_STATUSES = ["pending", "sending", "sent", "failed"];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+    },
+    template: {
+      type: String,
+      enum: NOTIFICATION_TEMPLATES,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: NOTIFICATION_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // Earliest time the worker may (re)try delivery
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set while a worker is sending, so a crashed send can be picked up again
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
+module.exports.NOTIFICATION_TEMPLATES = NOTIFICATION_TEMPLATES;
+module.exports.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
@@ -0,0 +1,110 @@
+// Organization model: a blood bank or group whose staff share its events.
+// Members have a role (owner, manager or check-in staff, see
+// ROLE_PERMISSIONS); people join by accepting an invitation sent to their
+// email address. A user belongs to at most one organization.
+const mongoose = require("mongoose");
+
+const ORGANIZATION_ROLES = ["owner", "manager", "checkin"];
+
+// What each role may do with the organization's events
+const ROLE_PERMISSIONS = {
+  // Create, edit, cancel and delete events and series, import events
+  manageEvents: ["owner", "manager"],
+  // Rosters, check-in and no-shows, ticket scanning and roster exports
+  manageAttendees: ["owner", "manager", "checkin"],
+  // Invitations, member roles and the organization itself
+  manageMembers: ["owner"],
+};
+
+const INVITATION_TTL_DAYS = 14;
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    required: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+  },
+});
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide the organization name"],
+      trim: true,
+      maxlength: [120, "Organization name cannot exceed 120 characters"],
+    },
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
+    invitations: {
+      type: [invitationSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One organization per user; also finds a user's organization
+organizationSchema.index({ "members.user": 1 }, { unique: true, sparse: true });
+organizationSchema.index({ "invitations.email": 1 });
+
+// Role of a user in this organization, or null
+organizationSchema.methods.getMemberRole = function (userId) {
+  const member = this.members.find(
+    (entry) => entry.user.toString() === userId.toString()
+  );
+
+  return member ? member.role : null;
+};
+
+// Invitations that have not expired yet
+organizationSchema.methods.getPendingInvitations = function () {
+  const now = new Date();
+  return this.invitations.filter((invitation) => invitation.expiresAt > now);
+};
+
+module.exports = mongoose.model("Organization", organizationSchema);
+module.exports.ORGANIZATION_ROLES = ORGANIZATION_ROLES;
+module.exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
@@ -0,0 +1,88 @@
+// OrganizerVerification model: an organizer's request to be verified, with
+// the organization's registration number, a contact person and scanned
+// documents. Admins approve or reject it with notes; an approval sets
+// User.isVerifiedOrganizer. Every submission is kept, so rejected ones stay
+// on record when the organizer submits again.
+const mongoose = require("mongoose");
+
+const VERIFICATION_STATUSES = ["pending", "approved", "rejected"];
+const MAX_VERIFICATION_DOCUMENTS = 5;
+
+const organizerVerificationSchema = new mongoose.Schema(
+  {
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organizationName: {
+      type: String,
+      required: [true, "Please provide the organization name"],
+      trim: true,
+    },
+    registrationNumber: {
+      type: String,
+      required: [true, "Please provide the organization's registration number"],
+      trim: true,
+    },
+    contactPerson: {
+      name: {
+        type: String,
+        required: [true, "Please provide the contact person's name"],
+        trim: true,
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+      phone: {
+        type: String,
+        required: [true, "Please provide the contact person's phone number"],
+        trim: true,
+      },
+    },
+    // Uploaded to Cloudinary (registration certificate, letters, ID)
+    documents: {
+      type: [
+        {
+          url: { type: String, required: true },
+          publicId: { type: String },
+          fileName: { type: String },
+        },
+      ],
+      validate: {
+        validator: (documents) =>
+          documents.length > 0 && documents.length <= MAX_VERIFICATION_DOCUMENTS,
+        message: `Please upload between 1 and ${MAX_VERIFICATION_DOCUMENTS} documents`,
+      },
+    },
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: "pending",
+    },
+    reviewNotes: {
+      type: String,
+      trim: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// An organizer's submissions, newest first; the admin review queue
+organizerVerificationSchema.index({ organizer: 1, createdAt: -1 });
+organizerVerificationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("OrganizerVerification", organizerVerificationSchema);
+module.exports.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+module.exports.MAX_VERIFICATION_DOCUMENTS = MAX_VERIFICATION_DOCUMENTS;
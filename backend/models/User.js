@@ -31,7 +31,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["donor", "organizer"],
+      enum: ["donor", "organizer", "admin"],
       required: [true, "Please select a role"],
       default: "donor",
     },
@@ -67,6 +67,18 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Donor health details used by the eligibility rules (for donors only)
+    dateOfBirth: {
+      type: Date,
+    },
+    sex: {
+      type: String,
+      enum: ["male", "female"],
+    },
+    weightKg: {
+      type: Number,
+      min: 0,
+    },
     // Donation-specific fields (for donors only)
     totalDonations: {
       type: Number,
@@ -87,6 +99,32 @@ const userSchema = new mongoose.Schema(
         },
       },
     ],
+    // Temporary deferrals from donating (e.g. from screening answers)
+    deferrals: [
+      {
+        reason: {
+          type: String,
+          required: true,
+        },
+        source: {
+          type: String,
+          enum: ["screening", "staff"],
+          default: "screening",
+        },
+        event: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Event",
+        },
+        startsAt: {
+          type: Date,
+          default: Date.now,
+        },
+        endsAt: {
+          type: Date,
+          required: true,
+        },
+      },
+    ],
     donorEligibility: {
       type: String,
       enum: ["eligible", "not-eligible", "not-recorded"],
@@ -99,10 +137,55 @@ const userSchema = new mongoose.Schema(
     memberSince: {
       type: String,
     },
+    // Set by an admin once the organizer's identity has been checked
+    isVerifiedOrganizer: {
+      type: Boolean,
+      default: false,
+    },
+    // Deactivated accounts cannot sign in or use their existing tokens
     isActive: {
       type: Boolean,
       default: true,
     },
+    deactivatedAt: {
+      type: Date,
+    },
+    // Set once the user follows the link emailed at registration
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // SHA-256 hashes of the single-use links emailed to verify the address
+    // and to reset the password; cleared once used
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Sign-in tokens issued before the last password change stop working
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Secret that addresses the donor's private calendar feed
+    calendarToken: {
+      type: String,
+      select: false,
+      index: { unique: true, sparse: true },
+    },
   },
   {
     timestamps: true,
@@ -113,9 +196,9 @@ const userSchema = new mongoose.Schema(
  * Password hashing middleware
  * Hashes the password before saving when it has been changed.
  */
-userSchema.pre("save", async function (next) {
+userSchema.pre("save", async function () {
   if (!this.isModified("password")) {
-    next();
+    return;
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
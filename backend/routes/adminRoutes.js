@@ -0,0 +1,32 @@
+/*
+ * Admin routes
+ * Moderation console; every endpoint requires an admin account
+ */
+const express = require("express");
+const router = express.Router();
+const {
+  getStats,
+  getUsers,
+  updateUserStatus,
+  updateOrganizerVerification,
+  getEvents,
+  updateEventVisibility,
+  getVerifications,
+  reviewVerification,
+  getAuditLog,
+} = require("../controllers/adminController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect, authorize("admin"));
+
+router.get("/stats", getStats);
+router.get("/users", getUsers);
+router.put("/users/:id/status", updateUserStatus);
+router.put("/users/:id/verification", updateOrganizerVerification);
+router.get("/events", getEvents);
+router.put("/events/:id/visibility", updateEventVisibility);
+router.get("/verifications", getVerifications);
+router.put("/verifications/:id", reviewVerification);
+router.get("/audit-logs", getAuditLog);
+
+module.exports = router;
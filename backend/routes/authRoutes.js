@@ -1,18 +1,35 @@
 /*
  * Authentication related routes
- * - register, login are public
+ * - register, login, email verification and password reset are public
  * - getMe is protected and returns the current user
+ * - resend-verification and password changes are protected
  */
 const express = require("express");
 const router = express.Router();
-const { register, login, getMe } = require("../controllers/authController");
+const {
+  register,
+  login,
+  getMe,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+} = require("../controllers/authController");
 const { protect } = require("../middleware/auth");
 
 // Register and login endpoints (public)
 router.post("/register", register);
 router.post("/login", login);
 
+// Emailed links: confirm the address, reset a forgotten password (public)
+router.post("/verify-email", verifyEmail);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+
 // Protected endpoint to retrieve current user
 router.get("/me", protect, getMe);
+router.post("/resend-verification", protect, resendVerification);
+router.put("/password", protect, changePassword);
 
 module.exports = router;
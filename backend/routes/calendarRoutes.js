@@ -0,0 +1,25 @@
+/*
+ * Calendar routes
+ * - .ics downloads and feeds are public (the donor feed is addressed by a
+ *   secret token, since calendar apps cannot send auth headers)
+ * - managing your own feed links requires auth
+ */
+const express = require("express");
+const router = express.Router();
+const {
+  getEventCalendar,
+  getDonorFeed,
+  getOrganizerFeed,
+  getCalendarFeeds,
+  resetCalendarFeed,
+} = require("../controllers/calendarController");
+const { protect } = require("../middleware/auth");
+
+router.get("/events/:id.ics", getEventCalendar);
+router.get("/donors/:token.ics", getDonorFeed);
+router.get("/organizers/:organizerId.ics", getOrganizerFeed);
+
+router.get("/feeds", protect, getCalendarFeeds);
+router.post("/feeds/reset", protect, resetCalendarFeed);
+
+module.exports = router;
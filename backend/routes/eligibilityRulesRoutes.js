@@ -0,0 +1,21 @@
+/*
+ * Eligibility rules routes
+ * - reading the rules in effect is public
+ * - changing them is restricted to admins
+ */
+const express = require("express");
+const router = express.Router();
+const {
+  getEligibilityRules,
+  updateEligibilityRules,
+  resetEligibilityRules,
+} = require("../controllers/eligibilityRulesController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.get("/", getEligibilityRules);
+
+// Admin-only endpoints
+router.put("/", protect, authorize("admin"), updateEligibilityRules);
+router.delete("/", protect, authorize("admin"), resetEligibilityRules);
+
+module.exports = router;
@@ -6,7 +6,15 @@ const express = require("express");
 const router = express.Router();
 const {
   createEvent,
+  getImportTemplate,
+  previewEventImport,
+  importEvents,
+  createEventSeries,
+  getEventSeries,
+  updateEventSeries,
+  cancelEventSeries,
   getAllEvents,
+  getMapEvents,
   getMyEvents,
   getEvent,
   updateEvent,
@@ -15,25 +23,61 @@ const {
   checkEligibility,
   registerForEvent,
   cancelRegistration,
+  joinWaitlist,
+  leaveWaitlist,
+  getEventRoster,
+  exportEventRoster,
+  getEventHistory,
+  checkInAttendee,
+  markAttendeeNoShow,
+  getMyTicket,
+  getMyTickets,
+  scanTicket,
   getDashboardStats,
+  getScreeningQuestions,
 } = require("../controllers/eventController");
-const { protect } = require("../middleware/auth");
+const { protect, identify } = require("../middleware/auth");
+const importUpload = require("../middleware/importUpload");
 
 // Public endpoints
 router.get("/dashboard/stats", getDashboardStats);
 router.get("/", getAllEvents);
-router.get("/:id", getEvent);
+router.get("/map", getMapEvents);
+router.get("/screening-questions", getScreeningQuestions);
+router.get("/import/template", getImportTemplate);
+router.get("/tickets/mine", protect, getMyTickets);
+router.get("/series/:id", identify, getEventSeries);
+router.get("/:id", identify, getEvent);
 
 // Organizer-only endpoints (require auth)
 router.post("/", protect, createEvent);
+router.post(
+  "/import/preview",
+  protect,
+  importUpload.single("file"),
+  previewEventImport
+);
+router.post("/import", protect, importEvents);
+router.post("/series", protect, createEventSeries);
+router.put("/series/:id", protect, updateEventSeries);
+router.post("/series/:id/cancel", protect, cancelEventSeries);
 router.get("/organizer/my-events", protect, getMyEvents);
 router.put("/:id", protect, updateEvent);
 router.post("/:id/cancel", protect, cancelEvent);
 router.delete("/:id", protect, deleteEvent);
+router.get("/:id/attendees", protect, getEventRoster);
+router.get("/:id/attendees/export", protect, exportEventRoster);
+router.get("/:id/history", protect, getEventHistory);
+router.post("/:id/attendees/:donorId/check-in", protect, checkInAttendee);
+router.post("/:id/attendees/:donorId/no-show", protect, markAttendeeNoShow);
+router.post("/:id/check-in/scan", protect, scanTicket);
 
 // Donor-specific endpoints (require auth)
 router.post("/:id/check-eligibility", protect, checkEligibility);
 router.post("/:id/register", protect, registerForEvent);
 router.post("/:id/cancel-registration", protect, cancelRegistration);
+router.get("/:id/ticket", protect, getMyTicket);
+router.post("/:id/waitlist", protect, joinWaitlist);
+router.delete("/:id/waitlist", protect, leaveWaitlist);
 
 module.exports = router;
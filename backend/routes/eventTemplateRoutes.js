@@ -0,0 +1,24 @@
+/*
+ * Event template routes
+ * Organizers manage their own templates; every endpoint requires auth
+ */
+const express = require("express");
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} = require("../controllers/eventTemplateController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect, authorize("organizer"));
+
+router.get("/", getTemplates);
+router.post("/", createTemplate);
+router.get("/:id", getTemplate);
+router.put("/:id", updateTemplate);
+router.delete("/:id", deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/*
+ * Organization routes
+ * Organizers create organizations and join them by invitation; owners
+ * manage members. Every endpoint requires auth.
+ */
+const express = require("express");
+const router = express.Router();
+const {
+  createOrganization,
+  getMyOrganization,
+  updateMyOrganization,
+  inviteMember,
+  cancelInvitation,
+  updateMemberRole,
+  removeMember,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+} = require("../controllers/organizationController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
+
+router.post("/", authorize("organizer"), createOrganization);
+router.get("/mine", getMyOrganization);
+router.put("/mine", updateMyOrganization);
+router.post("/mine/invitations", inviteMember);
+router.delete("/mine/invitations/:invitationId", cancelInvitation);
+router.put("/mine/members/:userId", updateMemberRole);
+router.delete("/mine/members/:userId", removeMember);
+router.get("/invitations", getMyInvitations);
+router.post(
+  "/invitations/:invitationId/accept",
+  authorize("organizer"),
+  acceptInvitation
+);
+router.post("/invitations/:invitationId/decline", declineInvitation);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/*
+ * Organizer verification routes
+ * Organizers submit and follow their verification request; admins review
+ * requests through /api/admin/verifications
+ */
+const express = require("express");
+const router = express.Router();
+const {
+  submitVerification,
+  getMyVerification,
+} = require("../controllers/verificationController");
+const { protect, authorize } = require("../middleware/auth");
+const upload = require("../middleware/upload");
+const { MAX_VERIFICATION_DOCUMENTS } = require("../models/OrganizerVerification");
+
+router.use(protect, authorize("organizer"));
+
+router.get("/mine", getMyVerification);
+router.post(
+  "/",
+  upload.array("documents", MAX_VERIFICATION_DOCUMENTS),
+  submitVerification
+);
+
+module.exports = router;
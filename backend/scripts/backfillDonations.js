@@ -0,0 +1,83 @@
+/*
+ * Backfill script: donation records
+ * Creates donation records for donors already checked in on event rosters,
+ * then recomputes every donor's totalDonations and lastDonationDate from
+ * those records (older data counted registrations as donations).
+ * Usage: node scripts/backfillDonations.js
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+const Event = require("../models/Event");
+const User = require("../models/User");
+const Donation = require("../models/Donation");
+
+const run = async () => {
+  await connectDB();
+  await Donation.createIndexes();
+
+  // One completed donation per checked-in attendee that has no record yet
+  const events = await Event.find({ "attendees.status": "attended" }).select(
+    "eventTitle startsAt attendees"
+  );
+
+  let created = 0;
+
+  for (const event of events) {
+    for (const attendee of event.attendees) {
+      if (attendee.status !== "attended") {
+        continue;
+      }
+
+      const result = await Donation.updateOne(
+        { event: event._id, donor: attendee.donor },
+        {
+          $setOnInsert: {
+            registrationId: attendee._id,
+            eventTitle: event.eventTitle,
+            donationDate: attendee.checkedInAt || event.startsAt,
+            recordedBy: attendee.attendanceMarkedBy,
+          },
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+
+      created += result.upsertedCount;
+    }
+  }
+
+  // Recompute donor stats from completed donations only
+  const donors = await User.find({ role: "donor" }).select("_id");
+
+  for (const donor of donors) {
+    const summary = await Donation.getDonorSummary(donor._id, {
+      recentLimit: 0,
+    });
+
+    await User.updateOne(
+      { _id: donor._id },
+      summary.lastDonationDate
+        ? {
+            $set: {
+              totalDonations: summary.total,
+              lastDonationDate: summary.lastDonationDate,
+            },
+          }
+        : { $set: { totalDonations: 0 }, $unset: { lastDonationDate: "" } }
+    );
+  }
+
+  console.log(
+    `Created ${created} donation record(s); recomputed stats for ${donors.length} donor(s)`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Donation backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+/*
+ * Backfill script: event geoLocation
+ * Populates the GeoJSON geoLocation field for events saved before
+ * geospatial search existed, then ensures the 2dsphere index is built.
+ * Usage: node scripts/backfillEventGeoLocation.js
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+const Event = require("../models/Event");
+
+const run = async () => {
+  await connectDB();
+
+  // Copy lat/lng into a [lng, lat] GeoJSON point for every event missing one
+  const result = await Event.updateMany(
+    {
+      geoLocation: { $exists: false },
+      "locationCoordinates.lat": { $type: "number" },
+      "locationCoordinates.lng": { $type: "number" },
+    },
+    [
+      {
+        $set: {
+          geoLocation: {
+            type: "Point",
+            coordinates: [
+              "$locationCoordinates.lng",
+              "$locationCoordinates.lat",
+            ],
+          },
+        },
+      },
+    ]
+  );
+
+  await Event.createIndexes();
+
+  console.log(`Backfilled geoLocation on ${result.modifiedCount} event(s)`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Geo backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
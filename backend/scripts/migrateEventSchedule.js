@@ -0,0 +1,119 @@
+/*
+ * Migration script: event schedule
+ * Converts events saved with eventDate/endDate and a free-text eventTime
+ * ("9:00 AM - 5:00 PM") into startsAt/endsAt instants plus a time zone, then
+ * removes the old fields and rebuilds the indexes. Legacy dates are read as
+ * calendar days and the times as wall-clock times in the given zone (default
+ * DEFAULT_TIME_ZONE). Events whose time cannot be read span whole days.
+ * Usage: node scripts/migrateEventSchedule.js [IANA time zone]
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+const Event = require("../models/Event");
+const {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  resolveEventSchedule,
+} = require("../utils/eventSchedule");
+
+// "9:00 AM" -> "09:00", or null
+const parseLegacyTime = (value = "") => {
+  const match = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)$/i);
+
+  if (!match) {
+    return null;
+  }
+
+  const hours = (Number(match[1]) % 12) + (match[3].toUpperCase() === "PM" ? 12 : 0);
+  return `${String(hours).padStart(2, "0")}:${match[2] || "00"}`;
+};
+
+const toCalendarDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addOneDay = (calendarDate) => {
+  const date = new Date(`${calendarDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return toCalendarDate(date);
+};
+
+/*
+ * toSchedule
+ * Legacy fields -> { startsAt, endsAt, timeZone } or { error }
+ */
+const toSchedule = ({ eventDate, endDate, eventTime }, timeZone) => {
+  const startDate = toCalendarDate(eventDate);
+  let lastDate = endDate ? toCalendarDate(endDate) : startDate;
+  const [startPart, endPart] = (eventTime || "").split("-");
+  let startTime = parseLegacyTime(startPart);
+  let endTime = parseLegacyTime(endPart);
+
+  if (!startTime || !endTime) {
+    startTime = "00:00";
+    endTime = "23:59";
+  } else if (lastDate === startDate && endTime <= startTime) {
+    // One-day events ending after midnight
+    lastDate = addOneDay(startDate);
+  }
+
+  return resolveEventSchedule({
+    startDate,
+    endDate: lastDate < startDate ? startDate : lastDate,
+    startTime,
+    endTime,
+    timeZone,
+  });
+};
+
+const run = async () => {
+  const timeZone = process.argv[2] || getDefaultTimeZone();
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone "${timeZone}"`);
+  }
+
+  await connectDB();
+
+  // The legacy fields are no longer in the schema, so read the raw documents
+  const legacyEvents = await Event.collection
+    .find({ startsAt: { $exists: false }, eventDate: { $exists: true } })
+    .project({ eventDate: 1, endDate: 1, eventTime: 1 })
+    .toArray();
+
+  let migrated = 0;
+
+  for (const legacyEvent of legacyEvents) {
+    const schedule = toSchedule(legacyEvent, timeZone);
+
+    if (schedule.error) {
+      console.warn(`Skipped event ${legacyEvent._id}: ${schedule.error}`);
+      continue;
+    }
+
+    await Event.collection.updateOne(
+      { _id: legacyEvent._id },
+      {
+        $set: schedule,
+        $unset: { eventDate: "", endDate: "", eventTime: "" },
+      }
+    );
+    migrated += 1;
+  }
+
+  // Replace the old eventDate indexes with the startsAt ones
+  await Event.syncIndexes();
+
+  console.log(
+    `Migrated ${migrated} of ${legacyEvents.length} event(s) to ${timeZone}`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Event schedule migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+/*
+ * Admin script: set a user's role
+ * Admin accounts cannot be created through registration; use this script
+ * to promote an existing user (or demote them again).
+ * Usage: node scripts/setUserRole.js <email> <donor|organizer|admin>
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+const User = require("../models/User");
+
+const ROLES = ["donor", "organizer", "admin"];
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: node scripts/setUserRole.js <email> <${ROLES.join("|")}>`);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $set: { role } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new Error(`No user found with email ${email}`);
+  }
+
+  console.log(`${user.email} is now a ${user.role}`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Set user role failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
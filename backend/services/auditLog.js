@@ -0,0 +1,208 @@
+/*
+ * Audit log
+ * Records state-changing actions in the append-only AuditLog. Controllers
+ * take a snapshot of a record before changing it and pass it to recordAudit
+ * with the snapshot after the change; only the fields that differ are
+ * stored. A failed audit write is logged and never fails the request.
+ */
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+// Fields recorded per target type; passwords and tokens are never recorded
+const AUDITED_FIELDS = {
+  event: [
+    "organizer",
+    "organization",
+    "eventTitle",
+    "organizationName",
+    "startsAt",
+    "endsAt",
+    "timeZone",
+    "location",
+    "locationCoordinates",
+    "expectedCapacity",
+    "slotDurationMinutes",
+    "slotCapacity",
+    "donationType",
+    "bloodTypesNeeded",
+    "bloodTypeMatching",
+    "eventDescription",
+    "eligibilityRequirements",
+    "screeningQuestions",
+    "contactEmail",
+    "contactPhone",
+    "status",
+    "cancellationReason",
+    "isHidden",
+    "hiddenReason",
+  ],
+  series: ["recurrence", "startDate", "startTime", "endTime", "durationDays", "timeZone", "status"],
+  registration: ["status", "slot", "checkedInAt"],
+  user: [
+    "fullName",
+    "email",
+    "role",
+    "bloodType",
+    "phone",
+    "location",
+    "profilePicture",
+    "dateOfBirth",
+    "sex",
+    "weightKg",
+    "organization",
+    "memberSince",
+    "isProfileComplete",
+    "isActive",
+    "isVerifiedOrganizer",
+    "isEmailVerified",
+  ],
+  verification: ["status", "reviewNotes"],
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/*
+ * snapshot
+ * The audited fields of a document (or plain object) as JSON values, or
+ * null when there is no document
+ */
+const snapshot = (doc, targetType) => {
+  if (!doc) {
+    return null;
+  }
+
+  const source = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+
+  return Object.fromEntries(
+    AUDITED_FIELDS[targetType]
+      .filter((field) => source[field] !== undefined && source[field] !== null)
+      .map((field) => [field, JSON.parse(JSON.stringify(source[field]))])
+  );
+};
+
+/*
+ * diffSnapshots
+ * Fields whose value differs between two snapshots, as { field, before, after }
+ */
+const diffSnapshots = (before, after) => {
+  const previous = before || {};
+  const next = after || {};
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+
+  return fields
+    .filter((field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+    .map((field) => ({ field, before: previous[field], after: next[field] }));
+};
+
+/*
+ * recordAudit
+ * Appends an entry for an action taken in `req`. The actor defaults to the
+ * signed-in user; `before`/`after` are snapshots (null for created or
+ * deleted records).
+ */
+const recordAudit = async (
+  req,
+  { action, targetType, targetId, event, subject, before = null, after = null, details, actor = req.user }
+) => {
+  try {
+    await AuditLog.create({
+      actor: actor?._id,
+      actorRole: actor?.role,
+      action,
+      targetType,
+      targetId,
+      event,
+      subject,
+      changes: diffSnapshots(before, after),
+      details,
+      request: {
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+/*
+ * buildAuditQuery
+ * Query for the audit log filters: event, user (as actor or subject),
+ * action, from and to (ISO dates; a date-only `to` includes that day).
+ * Returns { error } or { query }.
+ */
+const buildAuditQuery = ({ event, user, action, from, to } = {}) => {
+  const query = {};
+
+  if (event) {
+    if (!mongoose.isValidObjectId(event)) {
+      return { error: "Invalid event id" };
+    }
+    query.event = event;
+  }
+
+  if (user) {
+    if (!mongoose.isValidObjectId(user)) {
+      return { error: "Invalid user id" };
+    }
+    query.$or = [{ actor: user }, { subject: user }];
+  }
+
+  if (action) {
+    query.action = action;
+  }
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return { error: "from and to must be valid dates" };
+    }
+
+    query.createdAt = {};
+
+    if (fromDate) {
+      query.createdAt.$gte = fromDate;
+    }
+
+    if (toDate) {
+      if (DATE_ONLY_PATTERN.test(to)) {
+        toDate.setUTCDate(toDate.getUTCDate() + 1);
+        query.createdAt.$lt = toDate;
+      } else {
+        query.createdAt.$lte = toDate;
+      }
+    }
+  }
+
+  return { query };
+};
+
+/*
+ * findAuditEntries
+ * A page of matching entries, newest first, with actor and subject names
+ */
+const findAuditEntries = async (query, { skip, limit }) => {
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("actor", "fullName email role")
+      .populate("subject", "fullName email"),
+    AuditLog.countDocuments(query),
+  ]);
+
+  return { entries, total };
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  recordAudit,
+  buildAuditQuery,
+  findAuditEntries,
+};
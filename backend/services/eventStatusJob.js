@@ -0,0 +1,113 @@
+/*
+ * Event status job
+ * Keeps the stored event `status` in line with what Event#getCurrentStatus
+ * computes from the event's startsAt/endsAt, so queries and counts that
+ * filter on status see the same value as the listings. This job is the only
+ * place that moves a stored status forward, and every transition it records
+ * emits lifecycle hooks on `eventLifecycle`:
+ *   "started"   (event)  upcoming -> ongoing/completed
+ *   "completed" (event)  upcoming/ongoing -> completed
+ * Runs in-process every EVENT_STATUS_INTERVAL_MS (default one minute), so
+ * a stored status can trail a transition by up to one interval.
+ */
+const { EventEmitter } = require("events");
+const Event = require("../models/Event");
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+const eventLifecycle = new EventEmitter();
+
+// Listener errors are logged so one bad hook cannot stop the job
+const emitLifecycleHook = (hookName, event) => {
+  try {
+    eventLifecycle.emit(hookName, event);
+  } catch (error) {
+    console.error(`Event lifecycle "${hookName}" hook error:`, error);
+  }
+};
+
+/*
+ * syncEventStatuses
+ * Saves the status of every upcoming/ongoing event whose status changed as
+ * of `now`. Each update is conditional on the old status, so concurrent
+ * runs apply (and announce) a transition only once.
+ * Resolves to { updated, transitions: [{ event, from, to }] }.
+ */
+const syncEventStatuses = async (now = new Date()) => {
+  const candidates = await Event.find({
+    status: { $in: ["upcoming", "ongoing"] },
+    startsAt: { $lte: now },
+  });
+
+  const transitions = [];
+
+  for (const event of candidates) {
+    const previousStatus = event.status;
+    const nextStatus = event.getCurrentStatus(now);
+
+    if (nextStatus === previousStatus) {
+      continue;
+    }
+
+    const result = await Event.updateOne(
+      { _id: event._id, status: previousStatus },
+      { $set: { status: nextStatus } }
+    );
+
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    event.status = nextStatus;
+    transitions.push({ event, from: previousStatus, to: nextStatus });
+
+    if (previousStatus === "upcoming") {
+      emitLifecycleHook("started", event);
+    }
+
+    if (nextStatus === "completed") {
+      emitLifecycleHook("completed", event);
+    }
+  }
+
+  return { updated: transitions.length, transitions };
+};
+
+/*
+ * createEventStatusJob
+ * Options: now (clock function) and intervalMs. Returns { runOnce, start, stop }.
+ */
+const createEventStatusJob = ({
+  now = () => new Date(),
+  intervalMs = Number(process.env.EVENT_STATUS_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+} = {}) => {
+  let timer = null;
+
+  const runOnce = () => syncEventStatuses(now());
+
+  const tick = () =>
+    runOnce().catch((error) => console.error("Event status job error:", error));
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { runOnce, start, stop };
+};
+
+module.exports = {
+  eventLifecycle,
+  syncEventStatuses,
+  createEventStatusJob,
+};
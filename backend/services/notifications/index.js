@@ -0,0 +1,235 @@
+/*
+ * Notification service
+ * Renders email templates into queued Notification documents and delivers
+ * them through the configured mail transport (see ./transports). Delivery
+ * runs in the background: queueing kicks off a queue run, and the worker
+ * started by the server retries failed sends with exponential backoff
+ * (1, 2, 4, ... minutes) until MAIL_MAX_ATTEMPTS (default 5) is reached.
+ * Queueing never throws into request handlers; failures are logged.
+ * Messages with a single-use link (SECRET_TEMPLATES) keep only their
+ * metadata once they are sent or have failed for good.
+ */
+const Notification = require("../../models/Notification");
+const { renderTemplate, SECRET_TEMPLATES } = require("./templates");
+const { createTransport } = require("./transports");
+
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const DEFAULT_WORKER_INTERVAL_MS = 30 * 1000;
+const MAX_MESSAGES_PER_RUN = 100;
+const REMOVED_BODY = "[Removed after delivery: the message contained a single-use link]";
+
+let transport = null;
+let activeRun = null;
+let workerTimer = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  return transport;
+};
+
+// Swap the transport, e.g. for a memory transport in tests
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const getMaxAttempts = () => Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+
+const getRetryDelayMs = (attempts) => RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+
+/*
+ * claimNextNotification
+ * Atomically marks the next due message as sending. Messages stuck in
+ * "sending" (e.g. the process died mid-send) are picked up again.
+ */
+const claimNextNotification = () => {
+  const now = new Date();
+
+  return Notification.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now - STALE_LOCK_MS) } },
+      ],
+    },
+    { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const deliverNotification = async (notification) => {
+  try {
+    await getTransport().send({
+      to: notification.to,
+      subject: notification.subject,
+      html: notification.html,
+      text: notification.text,
+      containsSecret: SECRET_TEMPLATES.includes(notification.template),
+    });
+
+    notification.status = "sent";
+    notification.sentAt = new Date();
+    notification.lastError = undefined;
+  } catch (error) {
+    notification.lastError = error.message;
+
+    if (notification.attempts >= notification.maxAttempts) {
+      notification.status = "failed";
+      console.error(
+        `Notification ${notification._id} to ${notification.to} failed after ${notification.attempts} attempts:`,
+        error.message
+      );
+    } else {
+      notification.status = "pending";
+      notification.nextAttemptAt = new Date(
+        Date.now() + getRetryDelayMs(notification.attempts)
+      );
+    }
+  }
+
+  if (
+    notification.status !== "pending" &&
+    SECRET_TEMPLATES.includes(notification.template)
+  ) {
+    notification.html = REMOVED_BODY;
+    notification.text = REMOVED_BODY;
+  }
+
+  notification.lockedAt = undefined;
+  await notification.save();
+  return notification.status === "sent";
+};
+
+/*
+ * processQueue
+ * Delivers due messages one at a time. Only one run is active per process;
+ * concurrent callers share it. Resolves to { sent, failed }.
+ */
+const processQueue = () => {
+  if (activeRun) {
+    return activeRun;
+  }
+
+  activeRun = (async () => {
+    const result = { sent: 0, failed: 0 };
+
+    for (let count = 0; count < MAX_MESSAGES_PER_RUN; count += 1) {
+      const notification = await claimNextNotification();
+
+      if (!notification) {
+        break;
+      }
+
+      if (await deliverNotification(notification)) {
+        result.sent += 1;
+      } else {
+        result.failed += 1;
+      }
+    }
+
+    return result;
+  })().finally(() => {
+    activeRun = null;
+  });
+
+  return activeRun;
+};
+
+const scheduleQueueRun = () => {
+  setImmediate(() => {
+    processQueue().catch((error) =>
+      console.error("Notification queue error:", error)
+    );
+  });
+};
+
+/*
+ * queueNotification
+ * Renders a template and queues it for one recipient.
+ * Returns the Notification document.
+ */
+const queueNotification = async (templateName, { to, user, event, data }) => {
+  const message = renderTemplate(templateName, data);
+
+  const notification = await Notification.create({
+    template: templateName,
+    to,
+    user,
+    event,
+    ...message,
+    maxAttempts: getMaxAttempts(),
+  });
+
+  scheduleQueueRun();
+  return notification;
+};
+
+/*
+ * notifyUsers
+ * Queues a template for each user with an email address. `data` is merged
+ * into the template data (with recipientName) and may be a function of the
+ * user for per-recipient values such as time slots. Errors are logged so a
+ * notification problem never fails the request that triggered it.
+ */
+const notifyUsers = async (templateName, users, data = {}) => {
+  const recipients = users.filter((user) => user && user.email);
+
+  const results = await Promise.allSettled(
+    recipients.map((user) => {
+      const templateData = {
+        recipientName: user.fullName,
+        ...(typeof data === "function" ? data(user) : data),
+      };
+
+      return queueNotification(templateName, {
+        to: user.email,
+        user: user._id,
+        event: templateData.event?._id,
+        data: templateData,
+      });
+    })
+  );
+
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      console.error(`Failed to queue ${templateName} notification:`, result.reason)
+    );
+};
+
+/*
+ * startNotificationWorker
+ * Periodically retries due messages. Safe to call more than once. Creates
+ * the transport first, so a broken mail configuration fails at startup.
+ */
+const startNotificationWorker = ({
+  intervalMs = Number(process.env.MAIL_QUEUE_INTERVAL_MS) || DEFAULT_WORKER_INTERVAL_MS,
+} = {}) => {
+  if (workerTimer) {
+    return;
+  }
+
+  getTransport();
+
+  workerTimer = setInterval(scheduleQueueRun, intervalMs);
+  workerTimer.unref();
+  scheduleQueueRun();
+};
+
+const stopNotificationWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  queueNotification,
+  notifyUsers,
+  processQueue,
+  startNotificationWorker,
+  stopNotificationWorker,
+};
@@ -0,0 +1,277 @@
+/*
+ * Email templates
+ * Each template takes the notification data and returns { subject, html, text }.
+ * Data always includes `recipientName`, and `event` for event emails; see the
+ * individual templates for extra fields. Links point at FRONTEND_URL. Dates and times
+ * are shown in the event's time zone.
+ */
+const { formatEventTimeRange } = require("../../utils/eventSchedule");
+
+const getFrontendUrl = () =>
+  (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "");
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+    timeZone,
+  });
+
+const formatTime = (date, timeZone) =>
+  new Date(date).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone,
+  });
+
+// "Monday, June 1, 2026" or "Monday, June 1, 2026 - Tuesday, June 2, 2026"
+const formatEventDates = (event) => {
+  const start = formatDate(event.startsAt, event.timeZone);
+  const end = formatDate(event.endsAt, event.timeZone);
+  return start === end ? start : `${start} - ${end}`;
+};
+
+const formatSlot = (slot, timeZone) =>
+  `${formatDate(slot.startsAt, timeZone)}, ${formatTime(
+    slot.startsAt,
+    timeZone
+  )} - ${formatTime(slot.endsAt, timeZone)}`;
+
+// Organization roles as shown to people
+const ROLE_LABELS = {
+  owner: "Owner",
+  manager: "Manager",
+  checkin: "Check-in staff",
+};
+
+const getEventUrl = (event) => `${getFrontendUrl()}/events/${event._id}`;
+
+// Label/value rows describing the event (and the donor's slot, if any)
+const getEventDetails = (event, slot) => [
+  ["Event", event.eventTitle],
+  ["Organizer", event.organizationName],
+  ["Date", formatEventDates(event)],
+  ["Time", formatEventTimeRange(event)],
+  ...(slot ? [["Your time slot", formatSlot(slot, event.timeZone)]] : []),
+  ["Location", event.location],
+];
+
+const renderDetailsHtml = (rows) =>
+  `<table style="border-collapse:collapse;margin:16px 0">${rows
+    .map(
+      ([label, value]) =>
+        `<tr><td style="padding:4px 12px 4px 0;color:#666">${escapeHtml(
+          label
+        )}</td><td style="padding:4px 0;color:#333"><strong>${escapeHtml(
+          value
+        )}</strong></td></tr>`
+    )
+    .join("")}</table>`;
+
+const renderDetailsText = (rows) =>
+  rows.map(([label, value]) => `${label}: ${value}`).join("\n");
+
+/*
+ * renderEmail
+ * Wraps template content in the shared layout. `paragraphs` are plain text;
+ * `details` are label/value rows; `action` is an optional { label, url } link.
+ */
+const renderEmail = ({ subject, recipientName, paragraphs, details = [], action }) => {
+  const greeting = `Hi ${recipientName || "there"},`;
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#fff7f7;font-family:Arial,Helvetica,sans-serif">
+    <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:12px;padding:24px;border-top:4px solid #dc3545">
+      <h1 style="margin:0 0 16px;font-size:20px;color:#d0263b">${escapeHtml(subject)}</h1>
+      <p style="color:#333">${escapeHtml(greeting)}</p>
+      ${paragraphs.map((text) => `<p style="color:#333">${escapeHtml(text)}</p>`).join("\n      ")}
+      ${details.length > 0 ? renderDetailsHtml(details) : ""}
+      ${
+        action
+          ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#dc3545;color:#fff;border-radius:8px;text-decoration:none">${escapeHtml(action.label)}</a></p>`
+          : ""
+      }
+      <p style="color:#999;font-size:12px">Thank you for helping to save lives.</p>
+    </div>
+  </body>
+</html>`;
+
+  const text = [
+    greeting,
+    ...paragraphs,
+    details.length > 0 ? renderDetailsText(details) : null,
+    action ? `${action.label}: ${action.url}` : null,
+    "Thank you for helping to save lives.",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return { subject, html, text };
+};
+
+const TEMPLATES = {
+  // Extra data: slot (optional), fromWaitlist (optional)
+  "registration-confirmation": ({ recipientName, event, slot, fromWaitlist }) =>
+    renderEmail({
+      subject: `You're registered: ${event.eventTitle}`,
+      recipientName,
+      paragraphs: [
+        fromWaitlist
+          ? "A spot opened up and you have been moved off the waitlist. You are now registered for this blood donation event."
+          : "Thank you for registering for this blood donation event.",
+        "Your ticket is available on the event page. Please bring it with you so the organizer can check you in.",
+      ],
+      details: getEventDetails(event, slot),
+      action: { label: "View event and ticket", url: getEventUrl(event) },
+    }),
+
+  // Extra data: changes ([{ label, from, to }]), slot (optional)
+  "event-changed": ({ recipientName, event, changes = [], slot }) =>
+    renderEmail({
+      subject: `Event updated: ${event.eventTitle}`,
+      recipientName,
+      paragraphs: [
+        "The organizer has changed an event you are registered for:",
+        ...changes.map((change) => `${change.label}: ${change.from} -> ${change.to}`),
+        "If you can no longer attend, please cancel your registration so someone else can take your spot.",
+      ],
+      details: getEventDetails(event, slot),
+      action: { label: "View event", url: getEventUrl(event) },
+    }),
+
+  // Extra data: reason (optional, when an admin cancelled the event)
+  "event-cancelled": ({ recipientName, event, reason }) =>
+    renderEmail({
+      subject: `Event cancelled: ${event.eventTitle}`,
+      recipientName,
+      paragraphs: [
+        reason
+          ? "Unfortunately this blood donation event has been cancelled by the platform administrators, so your registration no longer applies."
+          : "Unfortunately the organizer has cancelled this blood donation event, so your registration no longer applies.",
+        ...(reason ? [`Reason: ${reason}`] : []),
+        "Please have a look for another event near you.",
+      ],
+      details: getEventDetails(event),
+      action: { label: "Find another event", url: `${getFrontendUrl()}/dashboard` },
+    }),
+
+  // Extra data: slot (optional)
+  "event-reminder": ({ recipientName, event, slot }) =>
+    renderEmail({
+      subject: `Reminder: ${event.eventTitle} is coming up`,
+      recipientName,
+      paragraphs: [
+        "This is a reminder that you are registered for an upcoming blood donation event.",
+        "Remember to eat well, drink plenty of water and bring your ticket.",
+      ],
+      details: getEventDetails(event, slot),
+      action: { label: "View event and ticket", url: getEventUrl(event) },
+    }),
+
+  // Data: organizationName, role, invitedByName, expiresAt (no event)
+  "organization-invitation": ({
+    recipientName,
+    organizationName,
+    role,
+    invitedByName,
+    expiresAt,
+  }) =>
+    renderEmail({
+      subject: `Join ${organizationName} on the blood donation platform`,
+      recipientName,
+      paragraphs: [
+        `${invitedByName} has invited you to help run ${organizationName}'s blood donation events.`,
+        "Sign in with an organizer account using this email address to accept the invitation. If you do not have an account yet, register as an organizer first.",
+      ],
+      details: [
+        ["Organization", organizationName],
+        ["Role", ROLE_LABELS[role] || role],
+        ["Invitation expires", formatDate(expiresAt)],
+      ],
+      action: { label: "View invitation", url: `${getFrontendUrl()}/profile` },
+    }),
+
+  // Data: approved, organizationName, notes (no event)
+  "verification-reviewed": ({ recipientName, approved, organizationName, notes }) =>
+    renderEmail({
+      subject: approved
+        ? "Your organizer account is verified"
+        : "Your verification request needs changes",
+      recipientName,
+      paragraphs: [
+        approved
+          ? `We have checked the details you sent for ${organizationName}. Your events now show donors that they come from a verified organizer.`
+          : `We could not verify ${organizationName} with the details you sent.`,
+        ...(notes ? [`Notes from our team: ${notes}`] : []),
+        ...(approved ? [] : ["You can correct the details and submit a new request from your profile."]),
+      ],
+      action: { label: "Open your profile", url: `${getFrontendUrl()}/profile` },
+    }),
+
+  // Data: token, expiresInHours (no event)
+  "email-verification": ({ recipientName, token, expiresInHours }) =>
+    renderEmail({
+      subject: "Confirm your email address",
+      recipientName,
+      paragraphs: [
+        "Please confirm that this is your email address so we can reach you about your donations and events.",
+        `The link works once and expires in ${expiresInHours} hours. You can ask for a new one from your profile.`,
+      ],
+      action: {
+        label: "Confirm email address",
+        url: `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+      },
+    }),
+
+  // Data: token, expiresInMinutes (no event)
+  "password-reset": ({ recipientName, token, expiresInMinutes }) =>
+    renderEmail({
+      subject: "Reset your password",
+      recipientName,
+      paragraphs: [
+        "We received a request to reset the password of your account. Use the link below to choose a new one.",
+        `The link works once and expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email; your password stays the same.`,
+      ],
+      action: {
+        label: "Choose a new password",
+        url: `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+      },
+    }),
+};
+
+// Templates whose body carries a single-use link. The queue drops their
+// body once delivery ends, so the link is not kept in the database.
+const SECRET_TEMPLATES = ["email-verification", "password-reset"];
+
+/*
+ * renderTemplate
+ * Returns { subject, html, text } for a template name, or throws when unknown
+ */
+const renderTemplate = (templateName, data) => {
+  const template = TEMPLATES[templateName];
+
+  if (!template) {
+    throw new Error(`Unknown email template "${templateName}"`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  SECRET_TEMPLATES,
+  renderTemplate,
+  escapeHtml,
+  formatEventDates,
+  formatSlot,
+};
@@ -0,0 +1,157 @@
+/*
+ * Mail transports
+ * Every transport exposes `name` and `send({ to, subject, html, text,
+ * containsSecret })`, which resolves once the message is accepted and
+ * rejects on failure. `containsSecret` marks messages with a single-use link
+ * (password reset, email verification).
+ * MAIL_TRANSPORT selects one: "smtp" for production, "file" (writes each
+ * message to MAIL_OUTBOX_DIR), "console" or "memory" for development and
+ * tests. Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and the
+ * console transport otherwise, except with NODE_ENV=production, where a
+ * missing mail configuration is an error rather than mail that is never sent.
+ */
+const fs = require("fs/promises");
+const path = require("path");
+
+const getMailFrom = () =>
+  process.env.MAIL_FROM || "Blood Donation Events <no-reply@localhost>";
+
+/*
+ * createSmtpTransport
+ * Sends through nodemailer using SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ * SMTP_USER and SMTP_PASS
+ */
+const createSmtpTransport = () => {
+  const nodemailer = require("nodemailer");
+
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST must be set to use the smtp mail transport");
+  }
+
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === "true"
+      : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async ({ containsSecret, ...message }) => {
+      const info = await mailer.sendMail({ from: getMailFrom(), ...message });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+/*
+ * createFileTransport
+ * Writes each message as JSON into a local outbox directory
+ */
+const createFileTransport = (
+  outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox")
+) => ({
+  name: "file",
+  outboxDir,
+  send: async (message) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, "_");
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+
+    await fs.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ from: getMailFrom(), ...message, date: new Date() }, null, 2)
+    );
+
+    return { messageId: fileName };
+  },
+});
+
+/*
+ * createConsoleTransport
+ * Logs the plain-text version of each message. Single-use links are only
+ * logged with NODE_ENV=development, since anyone reading the log could use
+ * them to take over the account.
+ */
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    const body =
+      message.containsSecret && process.env.NODE_ENV !== "development"
+        ? "[Body not logged: it contains a single-use link. Use NODE_ENV=development to see it.]"
+        : message.text;
+
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${body}\n`);
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+/*
+ * createMemoryTransport
+ * Keeps sent messages in `outbox` so tests can assert on them
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: "memory",
+    outbox,
+    send: async (message) => {
+      outbox.push({ ...message, date: new Date() });
+      return { messageId: `memory-${outbox.length}` };
+    },
+    clear: () => {
+      outbox.length = 0;
+    },
+  };
+};
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+  memory: createMemoryTransport,
+};
+
+const getDefaultTransportName = () => {
+  if (process.env.SMTP_HOST) {
+    return "smtp";
+  }
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(
+      "No mail transport is configured. Set SMTP_HOST (or MAIL_TRANSPORT) in production"
+    );
+  }
+
+  return "console";
+};
+
+const createTransport = (name) => {
+  const transportName = name || process.env.MAIL_TRANSPORT || getDefaultTransportName();
+  const factory = TRANSPORT_FACTORIES[transportName];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown MAIL_TRANSPORT "${transportName}". Use one of: ${Object.keys(
+        TRANSPORT_FACTORIES
+      ).join(", ")}`
+    );
+  }
+
+  return factory();
+};
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createMemoryTransport,
+};
@@ -0,0 +1,92 @@
+/*
+ * Organization access
+ * Permission checks for events and series. Those owned by an organization
+ * are managed by its members according to their role (see
+ * Organization.ROLE_PERMISSIONS); those without one only by their organizer.
+ */
+const Organization = require("../models/Organization");
+
+const { ROLE_PERMISSIONS } = Organization;
+
+const hasPermission = (role, permission) =>
+  Boolean(role) && ROLE_PERMISSIONS[permission].includes(role);
+
+/*
+ * findMembership
+ * The user's organization and role, or null when they have none
+ */
+const findMembership = async (userId) => {
+  const organization = await Organization.findOne({ "members.user": userId });
+
+  return organization
+    ? { organization, role: organization.getMemberRole(userId) }
+    : null;
+};
+
+/*
+ * canAccessEvent
+ * Whether the user has `permission` ("manageEvents" or "manageAttendees")
+ * for an event or series
+ */
+const canAccessEvent = async (user, resource, permission) => {
+  if (!resource.organization) {
+    return resource.organizer.toString() === user._id.toString();
+  }
+
+  const organization = await Organization.findOne({
+    _id: resource.organization,
+    "members.user": user._id,
+  }).select("members");
+
+  return hasPermission(organization?.getMemberRole(user._id), permission);
+};
+
+/*
+ * getEventOwnership
+ * Owner fields for events and series the user creates: their organization
+ * when they belong to one.
+ * Returns { error } when their role cannot create events, or { fields }.
+ */
+const getEventOwnership = async (user) => {
+  const membership = await findMembership(user._id);
+
+  if (!membership) {
+    return { fields: { organizer: user._id } };
+  }
+
+  if (!hasPermission(membership.role, "manageEvents")) {
+    return {
+      error: "Check-in staff cannot create events for the organization",
+    };
+  }
+
+  return {
+    fields: { organizer: user._id, organization: membership.organization._id },
+  };
+};
+
+/*
+ * getManagedEventsQuery
+ * Event query for everything the user works on: their organization's events
+ * and their own events without an organization.
+ * Returns { query, membership }.
+ */
+const getManagedEventsQuery = async (user) => {
+  const membership = await findMembership(user._id);
+  const ownEvents = { organizer: user._id, organization: null };
+
+  return {
+    membership,
+    query: membership
+      ? { $or: [{ organization: membership.organization._id }, ownEvents] }
+      : ownEvents,
+  };
+};
+
+module.exports = {
+  hasPermission,
+  findMembership,
+  canAccessEvent,
+  getEventOwnership,
+  getManagedEventsQuery,
+};
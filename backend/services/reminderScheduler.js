@@ -0,0 +1,196 @@
+/*
+ * Reminder scheduler
+ * Emails registered donors at fixed offsets before their event starts
+ * (REMINDER_OFFSETS_HOURS, default "48,2"). The start is the donor's time
+ * slot, or the event's startsAt. Sent reminders are
+ * recorded on the attendee entry before the email is queued, so restarts and
+ * parallel runs never send the same reminder twice. When several reminders
+ * are due at once (e.g. a late registration) only one email is sent.
+ * Runs in-process; pass `now` to createReminderScheduler to use a fake clock.
+ */
+const Event = require("../models/Event");
+const User = require("../models/User");
+const { notifyUsers } = require("./notifications");
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_REMINDER_OFFSETS_HOURS = [48, 2];
+const DEFAULT_INTERVAL_MS = 5 * MINUTE_MS;
+
+/*
+ * parseReminderOffsets
+ * "48,2" -> [2880, 120] (minutes, largest first). Invalid values are
+ * ignored; nothing valid falls back to the defaults.
+ */
+const parseReminderOffsets = (value = process.env.REMINDER_OFFSETS_HOURS) => {
+  const hours = (value || "")
+    .split(",")
+    .map((part) => Number(part.trim()))
+    .filter((part) => Number.isFinite(part) && part > 0);
+
+  const offsets = (hours.length > 0 ? hours : DEFAULT_REMINDER_OFFSETS_HOURS).map(
+    (part) => Math.round(part * 60)
+  );
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+/*
+ * getDueReminderOffsets
+ * Offsets (minutes) whose send time has passed, that were not sent yet,
+ * for a start that is still in the future
+ */
+const getDueReminderOffsets = (startsAt, now, offsetsMinutes, sentOffsets = []) => {
+  if (now >= startsAt) {
+    return [];
+  }
+
+  return offsetsMinutes.filter(
+    (offset) =>
+      !sentOffsets.includes(offset) &&
+      now.getTime() >= startsAt.getTime() - offset * MINUTE_MS
+  );
+};
+
+/*
+ * createReminderScheduler
+ * Options: now (clock function), offsetsMinutes, intervalMs and notify
+ * (defaults to the notification service). Returns { runOnce, start, stop }.
+ */
+const createReminderScheduler = ({
+  now = () => new Date(),
+  offsetsMinutes = parseReminderOffsets(),
+  intervalMs = Number(process.env.REMINDER_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  notify = notifyUsers,
+} = {}) => {
+  let timer = null;
+  let activeRun = null;
+
+  // Records the offsets as sent; false when another run got there first
+  const claimReminder = async (event, attendee, offsets, sentAt) => {
+    const result = await Event.updateOne(
+      {
+        _id: event._id,
+        attendees: {
+          $elemMatch: {
+            _id: attendee._id,
+            status: "registered",
+            "remindersSent.offsetMinutes": { $nin: offsets },
+          },
+        },
+      },
+      {
+        $push: {
+          "attendees.$.remindersSent": {
+            $each: offsets.map((offsetMinutes) => ({ offsetMinutes, sentAt })),
+          },
+        },
+      }
+    );
+
+    return result.modifiedCount > 0;
+  };
+
+  /*
+   * runOnce
+   * Sends every reminder due at now(). Resolves to { remindersSent }.
+   */
+  const runOnce = async () => {
+    const currentTime = now();
+    const horizon = new Date(
+      currentTime.getTime() + Math.max(...offsetsMinutes) * MINUTE_MS
+    );
+
+    const events = await Event.find({
+      status: { $nin: ["cancelled", "completed"] },
+      startsAt: { $lte: horizon },
+      // Slots of a running event may still be ahead
+      endsAt: { $gte: currentTime },
+      "attendees.status": "registered",
+    });
+
+    let remindersSent = 0;
+
+    for (const event of events) {
+      const claimed = [];
+
+      for (const attendee of event.attendees) {
+        if (attendee.status !== "registered") {
+          continue;
+        }
+
+        const slot = attendee.slot ? event.timeSlots.id(attendee.slot) : null;
+        const startsAt = new Date(slot ? slot.startsAt : event.startsAt);
+        const dueOffsets = getDueReminderOffsets(
+          startsAt,
+          currentTime,
+          offsetsMinutes,
+          (attendee.remindersSent || []).map((entry) => entry.offsetMinutes)
+        );
+
+        if (
+          dueOffsets.length > 0 &&
+          (await claimReminder(event, attendee, dueOffsets, currentTime))
+        ) {
+          claimed.push({ donorId: attendee.donor.toString(), slot });
+        }
+      }
+
+      if (claimed.length === 0) {
+        continue;
+      }
+
+      const users = await User.find({
+        _id: { $in: claimed.map((entry) => entry.donorId) },
+      }).select("email fullName");
+
+      await notify("event-reminder", users, (user) => ({
+        event,
+        slot: claimed.find((entry) => entry.donorId === user._id.toString()).slot,
+      }));
+
+      remindersSent += claimed.length;
+    }
+
+    return { remindersSent };
+  };
+
+  const tick = () => {
+    if (activeRun) {
+      return activeRun;
+    }
+
+    activeRun = runOnce()
+      .catch((error) => {
+        console.error("Reminder scheduler error:", error);
+        return { remindersSent: 0 };
+      })
+      .finally(() => {
+        activeRun = null;
+      });
+
+    return activeRun;
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { runOnce, start, stop };
+};
+
+module.exports = {
+  parseReminderOffsets,
+  getDueReminderOffsets,
+  createReminderScheduler,
+};
@@ -0,0 +1,230 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { useMemoryCollections } = require("./helpers/memoryDb");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const AuditLog = require("../models/AuditLog");
+const { createMemoryTransport } = require("../services/notifications/transports");
+const { setTransport, processQueue } = require("../services/notifications");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || "1h";
+
+const authRoutes = require("../routes/authRoutes");
+
+const db = useMemoryCollections(User, Notification, AuditLog);
+
+let server;
+let baseUrl;
+let transport;
+
+const request = async (method, path, { body, token } = {}) => {
+  const response = await fetch(`${baseUrl}/api/auth${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  return { status: response.status, body: await response.json() };
+};
+
+const register = (email = "ada@example.com") =>
+  request("POST", "/register", {
+    body: { fullName: "Ada", email, password: "secret1", role: "donor" },
+  });
+
+const login = (password, email = "ada@example.com") =>
+  request("POST", "/login", { body: { email, password } });
+
+// Delivers queued emails and returns the token of the last link sent
+const deliverLink = async (pathname) => {
+  await processQueue();
+  const message = transport.outbox[transport.outbox.length - 1];
+  const match = message.text.match(new RegExp(`${pathname}\\?token=([a-f0-9]+)`));
+
+  assert.ok(match, `expected a ${pathname} link in "${message.subject}"`);
+  return match[1];
+};
+
+const findStoredUser = (email = "ada@example.com") =>
+  db.docs(User).find((doc) => doc.email === email);
+
+const assertTokenNotStored = (token) => {
+  db.docs(Notification).forEach((doc) => {
+    assert.equal(doc.html.includes(token), false);
+    assert.equal(doc.text.includes(token), false);
+  });
+};
+
+describe("auth flows", () => {
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/auth", authRoutes);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    db.reset();
+    transport = createMemoryTransport();
+    setTransport(transport);
+  });
+
+  describe("password reset", () => {
+    it("resets the password once with the emailed link", async () => {
+      await register();
+      const forgot = await request("POST", "/forgot-password", {
+        body: { email: "ada@example.com" },
+      });
+      assert.equal(forgot.status, 200);
+
+      const token = await deliverLink("/reset-password");
+      assert.equal(transport.outbox.at(-1).subject, "Reset your password");
+      assert.equal(transport.outbox.at(-1).containsSecret, true);
+      assert.notEqual(findStoredUser().passwordResetToken, token);
+      assertTokenNotStored(token);
+
+      const reset = await request("POST", "/reset-password", {
+        body: { token, password: "newsecret1" },
+      });
+      assert.equal(reset.status, 200);
+      assert.equal((await login("secret1")).status, 401);
+      assert.equal((await login("newsecret1")).status, 200);
+
+      const reused = await request("POST", "/reset-password", {
+        body: { token, password: "othersecret1" },
+      });
+      assert.equal(reused.status, 400);
+      assert.equal((await login("newsecret1")).status, 200);
+    });
+
+    it("rejects an expired link", async () => {
+      await register();
+      await request("POST", "/forgot-password", { body: { email: "ada@example.com" } });
+      const token = await deliverLink("/reset-password");
+
+      findStoredUser().passwordResetExpires = new Date(Date.now() - 1000);
+
+      const reset = await request("POST", "/reset-password", {
+        body: { token, password: "newsecret1" },
+      });
+      assert.equal(reset.status, 400);
+      assert.equal((await login("secret1")).status, 200);
+    });
+
+    it("answers the same for unknown emails without sending anything", async () => {
+      await register();
+      await processQueue();
+      transport.clear();
+
+      const known = await request("POST", "/forgot-password", {
+        body: { email: "ada@example.com" },
+      });
+      const unknown = await request("POST", "/forgot-password", {
+        body: { email: "nobody@example.com" },
+      });
+      await processQueue();
+
+      assert.equal(unknown.status, 200);
+      assert.deepEqual(unknown.body, known.body);
+      assert.deepEqual(
+        transport.outbox.map((message) => message.to),
+        ["ada@example.com"]
+      );
+    });
+  });
+
+  describe("email verification", () => {
+    it("verifies the email once with the link sent on registration", async () => {
+      const { status, body: session } = await register();
+      assert.equal(status, 201);
+      assert.equal(session.isEmailVerified, false);
+
+      const token = await deliverLink("/verify-email");
+      assertTokenNotStored(token);
+
+      const verify = await request("POST", "/verify-email", { body: { token } });
+      assert.equal(verify.status, 200);
+      assert.equal(findStoredUser().isEmailVerified, true);
+
+      const reused = await request("POST", "/verify-email", { body: { token } });
+      assert.equal(reused.status, 400);
+
+      const resend = await request("POST", "/resend-verification", { token: session.token });
+      assert.equal(resend.status, 400);
+    });
+
+    it("resends a new link at most once a minute", async () => {
+      const { body: session } = await register();
+      const firstToken = await deliverLink("/verify-email");
+
+      const tooSoon = await request("POST", "/resend-verification", { token: session.token });
+      assert.equal(tooSoon.status, 429);
+
+      // Pretend the first link was sent two minutes ago
+      const stored = findStoredUser();
+      stored.emailVerificationExpires = new Date(
+        stored.emailVerificationExpires.getTime() - 2 * 60 * 1000
+      );
+
+      const resend = await request("POST", "/resend-verification", { token: session.token });
+      assert.equal(resend.status, 200);
+      const secondToken = await deliverLink("/verify-email");
+      assert.notEqual(secondToken, firstToken);
+
+      const stale = await request("POST", "/verify-email", { body: { token: firstToken } });
+      assert.equal(stale.status, 400);
+
+      const verify = await request("POST", "/verify-email", { body: { token: secondToken } });
+      assert.equal(verify.status, 200);
+    });
+  });
+
+  describe("change password", () => {
+    it("requires the current password and signs out older sessions", async () => {
+      const { body: session } = await register();
+      const stored = findStoredUser();
+      // Issued before the change; tokens only carry whole seconds
+      const olderToken = jwt.sign(
+        { id: stored._id.toString(), iat: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET
+      );
+
+      const wrong = await request("PUT", "/password", {
+        token: session.token,
+        body: { currentPassword: "wrong1", newPassword: "newsecret1" },
+      });
+      assert.equal(wrong.status, 400);
+
+      const same = await request("PUT", "/password", {
+        token: session.token,
+        body: { currentPassword: "secret1", newPassword: "secret1" },
+      });
+      assert.equal(same.status, 400);
+
+      const changed = await request("PUT", "/password", {
+        token: session.token,
+        body: { currentPassword: "secret1", newPassword: "newsecret1" },
+      });
+      assert.equal(changed.status, 200);
+      assert.ok(changed.body.token);
+
+      assert.equal((await login("secret1")).status, 401);
+      assert.equal((await login("newsecret1")).status, 200);
+      assert.equal((await request("GET", "/me", { token: olderToken })).status, 401);
+      assert.equal((await request("GET", "/me", { token: changed.body.token })).status, 200);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { toCsv, parseCsv } = require("../utils/csv");
+
+describe("parseCsv", () => {
+  it("reads quoted fields with commas, quotes and line breaks", () => {
+    const text =
+      'Event Title,Location,Notes\r\n"Drive, North","City ""Hall""","Line one\r\nLine two"\r\n';
+
+    assert.deepEqual(parseCsv(text), [
+      ["Event Title", "Location", "Notes"],
+      ["Drive, North", 'City "Hall"', "Line one\r\nLine two"],
+    ]);
+  });
+
+  it("accepts LF or CR endings, a BOM and a missing final newline", () => {
+    assert.deepEqual(parseCsv("\uFEFFa,b\nc,d"), [
+      ["a", "b"],
+      ["c", "d"],
+    ]);
+    assert.deepEqual(parseCsv("a,b\rc,d\r"), [
+      ["a", "b"],
+      ["c", "d"],
+    ]);
+  });
+
+  it("skips blank lines and keeps empty fields", () => {
+    assert.deepEqual(parseCsv("a,,c\r\n\r\n , \r\n,b,\r\n"), [
+      ["a", "", "c"],
+      ["", "b", ""],
+    ]);
+    assert.deepEqual(parseCsv(""), []);
+  });
+
+  it("reads back what toCsv writes", () => {
+    const rows = [
+      ["Name", "Notes"],
+      ["Ada", 'Said "hi", then left\nearly'],
+      ["=SUM(A1)", ""],
+    ];
+
+    assert.deepEqual(parseCsv(toCsv(rows)), [
+      rows[0],
+      rows[1],
+      // Formula-like values are written with a leading apostrophe
+      ["'=SUM(A1)", ""],
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_ELIGIBILITY_RULES } = require("../models/EligibilityRuleSet");
+const {
+  YEAR_DAYS,
+  addDays,
+  getIntervalDays,
+  getMaxDonationsPerYear,
+  getHistoryLookbackDays,
+  computeAgeYears,
+  findRecoveryBlock,
+  checkYearlyDonationLimit,
+} = require("../utils/eligibilityRules");
+
+const rules = DEFAULT_ELIGIBILITY_RULES;
+const today = new Date("2026-06-01T12:00:00Z");
+
+const donation = (donationType, daysAgo) => ({
+  donationType,
+  donationDate: addDays(today, -daysAgo),
+});
+
+describe("eligibility intervals", () => {
+  it("uses the per-sex interval when one is set", () => {
+    assert.equal(getIntervalDays(rules, "whole-blood"), 56);
+    assert.equal(getIntervalDays(rules, "whole-blood", "male"), 56);
+    assert.equal(getIntervalDays(rules, "whole-blood", "female"), 84);
+    assert.equal(getIntervalDays(rules, "platelets", "female"), 7);
+  });
+
+  it("has no interval or limit for donation types without rules", () => {
+    const plateletsOnly = { donationTypes: [{ donationType: "platelets", intervalDays: 7 }] };
+
+    assert.equal(getIntervalDays(plateletsOnly, "plasma"), 0);
+    assert.equal(getMaxDonationsPerYear(plateletsOnly, "plasma"), null);
+    assert.equal(getMaxDonationsPerYear(plateletsOnly, "platelets"), null);
+    assert.equal(getIntervalDays(null, "plasma"), 0);
+  });
+
+  it("blocks the donor until the interval ending last is over", () => {
+    const donations = [donation("whole-blood", 30), donation("platelets", 2)];
+
+    const female = findRecoveryBlock(rules, donations, "female");
+    assert.equal(female.donation, donations[0]);
+    assert.deepEqual(female.nextEligibleDate, addDays(today, 54));
+
+    // A recent platelet donation can end later than an older whole blood one
+    const male = findRecoveryBlock(
+      rules,
+      [donation("whole-blood", 55), donation("platelets", 2)],
+      "male"
+    );
+    assert.equal(male.donation.donationType, "platelets");
+    assert.deepEqual(male.nextEligibleDate, addDays(today, 5));
+
+    assert.equal(findRecoveryBlock(rules, [], "male"), null);
+  });
+
+  it("looks back at least a year, or the longest interval", () => {
+    assert.equal(getHistoryLookbackDays(rules), YEAR_DAYS);
+    assert.equal(
+      getHistoryLookbackDays({
+        donationTypes: [{ donationType: "whole-blood", intervalDaysBySex: { female: 400 } }],
+      }),
+      400
+    );
+  });
+});
+
+describe("yearly donation limits", () => {
+  const donations = [
+    donation("whole-blood", 400),
+    donation("whole-blood", 300),
+    donation("whole-blood", 200),
+    donation("whole-blood", 100),
+    donation("whole-blood", 10),
+    donation("plasma", 5),
+  ];
+
+  it("counts donations of the type in the last 365 days", () => {
+    const block = checkYearlyDonationLimit(rules, donations, "whole-blood", "female", today);
+
+    assert.equal(block.limit, 4);
+    assert.equal(block.count, 4);
+    // Eligible again when the donation from 300 days ago leaves the window
+    assert.deepEqual(block.nextEligibleDate, addDays(today, 65));
+  });
+
+  it("allows donors below the limit", () => {
+    assert.equal(checkYearlyDonationLimit(rules, donations, "whole-blood", "male", today), null);
+    assert.equal(checkYearlyDonationLimit(rules, donations, "plasma", "female", today), null);
+  });
+});
+
+describe("computeAgeYears", () => {
+  it("counts whole years, including leap-day birthdays", () => {
+    const birth = new Date(2000, 5, 15);
+    assert.equal(computeAgeYears(birth, new Date(2026, 5, 14)), 25);
+    assert.equal(computeAgeYears(birth, new Date(2026, 5, 15)), 26);
+
+    const leapBirth = new Date(2008, 1, 29);
+    assert.equal(computeAgeYears(leapBirth, new Date(2026, 1, 28)), 17);
+    assert.equal(computeAgeYears(leapBirth, new Date(2026, 2, 1)), 18);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useMemoryCollections } = require("./helpers/memoryDb");
+const Event = require("../models/Event");
+const { eventLifecycle, syncEventStatuses } = require("../services/eventStatusJob");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const db = useMemoryCollections(Event);
+
+const createEvent = (startsAt, endsAt) =>
+  Event.create({
+    organizer: "64b000000000000000000001",
+    eventTitle: "Spring Blood Drive",
+    organizationName: "Red Cross",
+    startsAt,
+    endsAt,
+    timeZone: "UTC",
+    location: "City Hall",
+    expectedCapacity: 10,
+    eventDescription: "Donate blood",
+    contactEmail: "drive@example.com",
+    contactPhone: "555-0100",
+  });
+
+const getStoredStatus = (event) =>
+  db.docs(Event).find((doc) => doc._id.equals(event._id)).status;
+
+// Records the lifecycle hooks emitted during one test
+const recordHooks = (t) => {
+  const hooks = [];
+  const onStarted = (event) => hooks.push(["started", event.status]);
+  const onCompleted = (event) => hooks.push(["completed", event.status]);
+
+  eventLifecycle.on("started", onStarted);
+  eventLifecycle.on("completed", onCompleted);
+  t.after(() => {
+    eventLifecycle.off("started", onStarted);
+    eventLifecycle.off("completed", onCompleted);
+  });
+
+  return hooks;
+};
+
+describe("event status job", () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it("records transitions only from the job, with their hooks", async (t) => {
+    const hooks = recordHooks(t);
+    const event = await createEvent(
+      new Date(Date.now() - HOUR_MS),
+      new Date(Date.now() + HOUR_MS)
+    );
+
+    // Saving the event for another reason does not store the new status
+    event.expectedCapacity = 20;
+    await event.save();
+    assert.equal(getStoredStatus(event), "upcoming");
+    assert.equal(event.getCurrentStatus(), "ongoing");
+
+    const result = await syncEventStatuses();
+    assert.equal(result.updated, 1);
+    assert.deepEqual(result.transitions.map(({ from, to }) => [from, to]), [
+      ["upcoming", "ongoing"],
+    ]);
+    assert.equal(getStoredStatus(event), "ongoing");
+    assert.deepEqual(hooks, [["started", "ongoing"]]);
+
+    // Nothing left to do
+    assert.equal((await syncEventStatuses()).updated, 0);
+
+    const afterEnd = await syncEventStatuses(new Date(Date.now() + 2 * HOUR_MS));
+    assert.equal(afterEnd.updated, 1);
+    assert.equal(getStoredStatus(event), "completed");
+    assert.deepEqual(hooks, [
+      ["started", "ongoing"],
+      ["completed", "completed"],
+    ]);
+  });
+
+  it("announces both hooks for an event that ended between runs", async (t) => {
+    const hooks = recordHooks(t);
+    const event = await createEvent(
+      new Date(Date.now() - 3 * HOUR_MS),
+      new Date(Date.now() - HOUR_MS)
+    );
+
+    await syncEventStatuses();
+
+    assert.equal(getStoredStatus(event), "completed");
+    assert.deepEqual(hooks, [
+      ["started", "completed"],
+      ["completed", "completed"],
+    ]);
+  });
+
+  it("moves a rescheduled event back to upcoming", async () => {
+    const event = await createEvent(
+      new Date(Date.now() - 3 * HOUR_MS),
+      new Date(Date.now() - HOUR_MS)
+    );
+    await syncEventStatuses();
+
+    const stored = await Event.findById(event._id);
+    stored.startsAt = new Date(Date.now() + 24 * HOUR_MS);
+    stored.endsAt = new Date(Date.now() + 26 * HOUR_MS);
+    await stored.save();
+
+    assert.equal(getStoredStatus(event), "upcoming");
+  });
+
+  it("leaves cancelled events alone", async (t) => {
+    const hooks = recordHooks(t);
+    const event = await createEvent(
+      new Date(Date.now() - HOUR_MS),
+      new Date(Date.now() + HOUR_MS)
+    );
+    event.status = "cancelled";
+    await event.save();
+
+    assert.equal((await syncEventStatuses()).updated, 0);
+    assert.equal(getStoredStatus(event), "cancelled");
+    assert.deepEqual(hooks, []);
+  });
+});
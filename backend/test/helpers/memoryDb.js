@@ -0,0 +1,398 @@
+/*
+ * In-memory collections for tests
+ * Replaces the driver calls of Mongoose models with an in-memory store, so
+ * tests run the real models (casting, defaults, hooks, select) without a
+ * MongoDB server. Covers the filters and update operators the app uses:
+ * equality, $in/$nin, $ne, $gt/$gte/$lt/$lte, $exists, $elemMatch, $or/$and,
+ * and $set/$unset/$inc/$push (with $each and the positional "$").
+ */
+const mongoose = require("mongoose");
+
+const COLLECTION_METHODS = [
+  "insertOne",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+  "countDocuments",
+];
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !isObjectId(value) &&
+  !Buffer.isBuffer(value);
+
+// Deep copy that keeps ObjectIds and Dates. Mongoose arrays and subdocuments
+// in updates are converted the way the driver would (toBSON).
+const clone = (value) => {
+  if (value && typeof value.toBSON === "function" && !isObjectId(value)) {
+    return clone(value.toBSON());
+  }
+
+  if (value instanceof Date) {
+    return new Date(value);
+  }
+
+  if (Array.isArray(value)) {
+    return Array.from(value, (item) => clone(item));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+
+  return value;
+};
+
+// Comparable form of a scalar: ObjectIds as hex strings, Dates as numbers
+const normalize = (value) => {
+  if (isObjectId(value)) {
+    return value.toHexString();
+  }
+
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  return value;
+};
+
+const isEqual = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b) || isPlainObject(a) || isPlainObject(b)) {
+    return JSON.stringify(clone(a)) === JSON.stringify(clone(b));
+  }
+
+  return normalize(a) === normalize(b);
+};
+
+/*
+ * getValues
+ * Values at a dotted path, walking into arrays the way MongoDB does. Array
+ * leaves are returned along with their elements.
+ */
+const getValues = (value, segments) => {
+  if (segments.length === 0) {
+    return Array.isArray(value) ? [value, ...value] : [value];
+  }
+
+  if (Array.isArray(value)) {
+    const [segment] = segments;
+
+    if (/^\d+$/.test(segment)) {
+      return getValues(value[Number(segment)], segments.slice(1));
+    }
+
+    return value.flatMap((item) => getValues(item, segments));
+  }
+
+  if (!isPlainObject(value)) {
+    return [undefined];
+  }
+
+  return getValues(value[segments[0]], segments.slice(1));
+};
+
+const compare = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+
+  if (left === undefined || left === null || right === undefined || right === null) {
+    return NaN;
+  }
+
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const OPERATORS = {
+  $eq: (values, expected) => values.some((value) => isEqual(value, expected)),
+  $ne: (values, expected) => !values.some((value) => isEqual(value, expected)),
+  $in: (values, expected) => expected.some((item) => OPERATORS.$eq(values, item)),
+  $nin: (values, expected) => !OPERATORS.$in(values, expected),
+  $gt: (values, expected) => values.some((value) => compare(value, expected) > 0),
+  $gte: (values, expected) => values.some((value) => compare(value, expected) >= 0),
+  $lt: (values, expected) => values.some((value) => compare(value, expected) < 0),
+  $lte: (values, expected) => values.some((value) => compare(value, expected) <= 0),
+  $exists: (values, expected) =>
+    values.some((value) => value !== undefined) === Boolean(expected),
+  $elemMatch: (values, expected) =>
+    values.some(
+      (value) =>
+        Array.isArray(value) &&
+        value.some((item) => isPlainObject(item) && matches(item, expected))
+    ),
+};
+
+const matchesCondition = (values, condition) => {
+  if (isPlainObject(condition) && Object.keys(condition).some((key) => key.startsWith("$"))) {
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`memoryDb does not support ${operator}`);
+      }
+
+      return OPERATORS[operator](values, expected);
+    });
+  }
+
+  return OPERATORS.$eq(values, condition);
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") {
+      return condition.some((part) => matches(doc, part));
+    }
+
+    if (key === "$and") {
+      return condition.every((part) => matches(doc, part));
+    }
+
+    return matchesCondition(getValues(doc, key.split(".")), condition);
+  });
+
+/*
+ * findPositionalIndex
+ * Index of the first element of `arrayPath` matched by the filter, which is
+ * what "$" in an update path stands for
+ */
+const findPositionalIndex = (doc, filter, arrayPath) => {
+  const items = getValues(doc, arrayPath.split("."))[0] || [];
+
+  return items.findIndex((item) =>
+    Object.entries(filter).some(([key, condition]) => {
+      if (key === arrayPath) {
+        return isPlainObject(condition) && condition.$elemMatch
+          ? matches(item, condition.$elemMatch)
+          : matchesCondition([item], condition);
+      }
+
+      return (
+        key.startsWith(`${arrayPath}.`) &&
+        matches(item, { [key.slice(arrayPath.length + 1)]: condition })
+      );
+    })
+  );
+};
+
+const resolvePath = (doc, path, filter) => {
+  const [arrayPath, rest] = path.split(".$");
+
+  if (rest === undefined) {
+    return path;
+  }
+
+  const index = findPositionalIndex(doc, filter, arrayPath);
+
+  if (index < 0) {
+    throw new Error(`memoryDb found no element of ${arrayPath} for the positional operator`);
+  }
+
+  return `${arrayPath}.${index}${rest}`;
+};
+
+const setPath = (doc, path, value) => {
+  const segments = path.split(".");
+  let target = doc;
+
+  segments.slice(0, -1).forEach((segment) => {
+    if (target[segment] === undefined || target[segment] === null) {
+      target[segment] = {};
+    }
+    target = target[segment];
+  });
+
+  target[segments[segments.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const segments = path.split(".");
+  const parent = getValues(doc, segments.slice(0, -1))[0];
+
+  if (parent && typeof parent === "object") {
+    delete parent[segments[segments.length - 1]];
+  }
+};
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce(
+      (value, segment) => (value === undefined || value === null ? undefined : value[segment]),
+      doc
+    );
+
+const applyUpdate = (doc, update, filter, isInsert = false) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([rawPath, value]) => {
+      const path = resolvePath(doc, rawPath, filter);
+
+      switch (operator) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (isInsert) {
+            setPath(doc, path, clone(value));
+          }
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case "$push": {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          setPath(doc, path, [...(getPath(doc, path) || []), ...clone(items)]);
+          break;
+        }
+        default:
+          throw new Error(`memoryDb does not support ${operator}`);
+      }
+    });
+  });
+};
+
+const applyProjection = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) {
+    return doc;
+  }
+
+  const entries = Object.entries(projection);
+  const isInclusion = entries.some(([key, value]) => key !== "_id" && value);
+
+  if (isInclusion) {
+    const result = projection._id === 0 ? {} : { _id: doc._id };
+    entries
+      .filter(([, value]) => value)
+      .forEach(([key]) => {
+        const value = getPath(doc, key);
+        if (value !== undefined) {
+          setPath(result, key, value);
+        }
+      });
+    return result;
+  }
+
+  entries.forEach(([key]) => unsetPath(doc, key));
+  return doc;
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) {
+    return docs;
+  }
+
+  const keys = Array.isArray(sort) ? sort : Object.entries(sort);
+
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = compare(getPath(a, key), getPath(b, key)) || 0;
+      if (order !== 0) {
+        return order * (direction === -1 || direction === "desc" ? -1 : 1);
+      }
+    }
+    return 0;
+  });
+};
+
+/*
+ * createMemoryCollection
+ * Driver-level methods over an array of raw documents
+ */
+const createMemoryCollection = () => {
+  const docs = [];
+
+  const select = (filter, { sort, skip = 0, limit = 0 } = {}) => {
+    const found = sortDocs(
+      docs.filter((doc) => matches(doc, filter)),
+      sort
+    ).slice(skip);
+    return limit > 0 ? found.slice(0, limit) : found;
+  };
+
+  const read = (doc, options = {}) =>
+    doc ? applyProjection(clone(doc), options.projection) : null;
+
+  const update = (filter, changes, options, many) => {
+    const targets = many ? select(filter) : select(filter).slice(0, 1);
+
+    if (targets.length === 0 && options?.upsert) {
+      const doc = { _id: new mongoose.Types.ObjectId() };
+      applyUpdate(doc, changes, filter, true);
+      docs.push(doc);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+
+    targets.forEach((doc) => applyUpdate(doc, changes, filter));
+    return { matchedCount: targets.length, modifiedCount: targets.length, upsertedCount: 0 };
+  };
+
+  const remove = (filter, many) => {
+    const targets = many ? select(filter) : select(filter).slice(0, 1);
+    targets.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: targets.length };
+  };
+
+  return {
+    docs,
+    insertOne: async (doc) => {
+      docs.push(clone(doc));
+      return { acknowledged: true, insertedId: doc._id };
+    },
+    find: async (filter, options = {}) => {
+      const found = select(filter, options).map((doc) => read(doc, options));
+      return { toArray: async () => found };
+    },
+    findOne: async (filter, options = {}) => read(select(filter, options)[0], options),
+    findOneAndUpdate: async (filter, changes, options = {}) => {
+      const [doc] = select(filter, options);
+
+      if (!doc) {
+        return null;
+      }
+
+      const before = read(doc, options);
+      applyUpdate(doc, changes, filter);
+      return options.returnDocument === "after" || options.new ? read(doc, options) : before;
+    },
+    updateOne: async (filter, changes, options) => update(filter, changes, options, false),
+    updateMany: async (filter, changes, options) => update(filter, changes, options, true),
+    deleteOne: async (filter) => remove(filter, false),
+    deleteMany: async (filter) => remove(filter, true),
+    countDocuments: async (filter) => select(filter).length,
+  };
+};
+
+/*
+ * useMemoryCollections
+ * Points the given models at fresh in-memory collections for the rest of
+ * the test process. Returns { docs(Model), reset() }.
+ */
+const useMemoryCollections = (...models) => {
+  const collections = new Map();
+
+  const attach = (model) => {
+    const memory = createMemoryCollection();
+    COLLECTION_METHODS.forEach((method) => {
+      model.collection[method] = memory[method];
+    });
+    collections.set(model, memory);
+  };
+
+  models.forEach(attach);
+
+  return {
+    docs: (model) => collections.get(model).docs,
+    reset: () => models.forEach(attach),
+  };
+};
+
+module.exports = { useMemoryCollections };
@@ -0,0 +1,96 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildCalendar, toCalendarFileName } = require("../utils/ical");
+
+const buildEvent = (fields = {}) => ({
+  _id: "64b000000000000000000001",
+  eventTitle: "Spring Blood Drive",
+  organizationName: "Red Cross",
+  startsAt: new Date("2026-06-01T09:00:00Z"),
+  endsAt: new Date("2026-06-01T13:00:00Z"),
+  timeZone: "UTC",
+  location: "City Hall",
+  eventDescription: "Donate blood",
+  bloodTypesNeeded: ["O-"],
+  updatedAt: new Date("2026-05-01T08:30:00Z"),
+  status: "upcoming",
+  ...fields,
+});
+
+// Logical content lines: folded continuation lines joined back up
+const unfold = (calendar) => calendar.replace(/\r\n /g, "").split("\r\n");
+
+const findLine = (calendar, name) =>
+  unfold(calendar).find((line) => line.startsWith(`${name}:`));
+
+describe("iCalendar export", () => {
+  it("writes CRLF lines with UTC times", () => {
+    const calendar = buildCalendar([{ event: buildEvent() }], { name: "My events" });
+
+    assert.ok(calendar.startsWith("BEGIN:VCALENDAR\r\n"));
+    assert.ok(calendar.endsWith("END:VCALENDAR\r\n"));
+    assert.equal(calendar.replace(/\r\n/g, "").includes("\n"), false);
+    assert.equal(findLine(calendar, "DTSTART"), "DTSTART:20260601T090000Z");
+    assert.equal(findLine(calendar, "DTEND"), "DTEND:20260601T130000Z");
+    assert.equal(findLine(calendar, "X-WR-CALNAME"), "X-WR-CALNAME:My events");
+    assert.equal(findLine(calendar, "STATUS"), "STATUS:CONFIRMED");
+  });
+
+  it("escapes separators, backslashes and newlines in text", () => {
+    const calendar = buildCalendar([
+      { event: buildEvent({ eventTitle: "Drive; A, B\\C\nNight", location: "Hall 1, Floor 2" }) },
+    ]);
+
+    assert.equal(findLine(calendar, "SUMMARY"), "SUMMARY:Drive\\; A\\, B\\\\C\\nNight");
+    assert.equal(findLine(calendar, "LOCATION"), "LOCATION:Hall 1\\, Floor 2");
+  });
+
+  it("folds long lines at 75 octets without splitting characters", () => {
+    const description = "Bring ID. ".repeat(10) + "Café ☕ ".repeat(20);
+    const calendar = buildCalendar([{ event: buildEvent({ eventDescription: description }) }]);
+    const physicalLines = calendar.split("\r\n");
+
+    physicalLines.forEach((line) => {
+      assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+      // A multi-byte character split between lines would show up as U+FFFD
+      assert.equal(line.includes("\uFFFD"), false);
+    });
+    assert.ok(physicalLines.some((line) => line.startsWith(" ")));
+    assert.ok(findLine(calendar, "DESCRIPTION").includes(description.trim()));
+  });
+
+  it("writes one VEVENT per day of a multi-day event", () => {
+    const calendar = buildCalendar([
+      {
+        event: buildEvent({ endsAt: new Date("2026-06-02T13:00:00Z") }),
+        cancelled: true,
+      },
+    ]);
+    const lines = unfold(calendar);
+
+    assert.deepEqual(
+      lines.filter((line) => line.startsWith("UID:")),
+      [
+        "UID:64b000000000000000000001@blood-donation-events",
+        "UID:64b000000000000000000001-2@blood-donation-events",
+      ]
+    );
+    assert.deepEqual(
+      lines.filter((line) => line.startsWith("SUMMARY:")),
+      ["SUMMARY:Spring Blood Drive (day 1 of 2)", "SUMMARY:Spring Blood Drive (day 2 of 2)"]
+    );
+    assert.deepEqual(
+      lines.filter((line) => line.startsWith("STATUS:")),
+      ["STATUS:CANCELLED", "STATUS:CANCELLED"]
+    );
+  });
+
+  it("builds file names from event titles", () => {
+    assert.equal(
+      toCalendarFileName("Community Blood Drive 2026"),
+      "community-blood-drive-2026.ics"
+    );
+    assert.equal(toCalendarFileName("¡¡!!"), "event.ics");
+    assert.equal(toCalendarFileName(), "event.ics");
+  });
+});
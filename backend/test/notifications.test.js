@@ -0,0 +1,206 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useMemoryCollections } = require("./helpers/memoryDb");
+const Notification = require("../models/Notification");
+const {
+  createTransport,
+  createConsoleTransport,
+  createMemoryTransport,
+} = require("../services/notifications/transports");
+const {
+  setTransport,
+  queueNotification,
+  processQueue,
+} = require("../services/notifications");
+
+const MINUTE_MS = 60 * 1000;
+
+const db = useMemoryCollections(Notification);
+
+// Memory transport whose first `failures` sends are rejected
+const createFlakyTransport = (failures) => {
+  const transport = createMemoryTransport();
+  const deliver = transport.send;
+  let remaining = failures;
+
+  transport.send = async (message) => {
+    if (remaining > 0) {
+      remaining -= 1;
+      throw new Error("SMTP unavailable");
+    }
+
+    return deliver(message);
+  };
+
+  return transport;
+};
+
+const queueReviewEmail = (to = "donor@example.com") =>
+  queueNotification("verification-reviewed", {
+    to,
+    data: { recipientName: "Dana", approved: true, organizationName: "Red Cross" },
+  });
+
+// Makes a message scheduled for a retry due now
+const makeDue = (notification) => {
+  const stored = db.docs(Notification).find((doc) => doc._id.equals(notification._id));
+  stored.nextAttemptAt = new Date(Date.now() - 1000);
+};
+
+const findStored = (notification) => Notification.findById(notification._id);
+
+describe("notification queue", () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it("delivers queued messages through the transport", async () => {
+    const transport = createMemoryTransport();
+    setTransport(transport);
+
+    const notification = await queueReviewEmail();
+    await processQueue();
+
+    assert.equal(transport.outbox.length, 1);
+    assert.equal(transport.outbox[0].to, "donor@example.com");
+    assert.match(transport.outbox[0].subject, /verified/i);
+
+    const stored = await findStored(notification);
+    assert.equal(stored.status, "sent");
+    assert.equal(stored.attempts, 1);
+    assert.ok(stored.sentAt);
+  });
+
+  it("retries a failed send with exponential backoff", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const transport = createFlakyTransport(2);
+    setTransport(transport);
+
+    const notification = await queueReviewEmail();
+    const firstRun = Date.now();
+    assert.deepEqual(await processQueue(), { sent: 0, failed: 1 });
+
+    let stored = await findStored(notification);
+    assert.equal(stored.status, "pending");
+    assert.equal(stored.attempts, 1);
+    assert.equal(stored.lastError, "SMTP unavailable");
+    assert.ok(stored.nextAttemptAt.getTime() >= firstRun + MINUTE_MS);
+
+    // Not retried before its time
+    assert.deepEqual(await processQueue(), { sent: 0, failed: 0 });
+
+    makeDue(notification);
+    const secondRun = Date.now();
+    assert.deepEqual(await processQueue(), { sent: 0, failed: 1 });
+
+    stored = await findStored(notification);
+    assert.equal(stored.attempts, 2);
+    assert.ok(stored.nextAttemptAt.getTime() >= secondRun + 2 * MINUTE_MS);
+
+    makeDue(notification);
+    assert.deepEqual(await processQueue(), { sent: 1, failed: 0 });
+
+    stored = await findStored(notification);
+    assert.equal(stored.status, "sent");
+    assert.equal(stored.attempts, 3);
+    assert.equal(stored.lastError, undefined);
+    assert.equal(transport.outbox.length, 1);
+  });
+
+  it("gives up after the maximum number of attempts", async (t) => {
+    t.mock.method(console, "error", () => {});
+    process.env.MAIL_MAX_ATTEMPTS = "2";
+    t.after(() => {
+      delete process.env.MAIL_MAX_ATTEMPTS;
+    });
+    const transport = createFlakyTransport(Infinity);
+    setTransport(transport);
+
+    const notification = await queueReviewEmail();
+    await processQueue();
+    makeDue(notification);
+    await processQueue();
+
+    const stored = await findStored(notification);
+    assert.equal(stored.status, "failed");
+    assert.equal(stored.attempts, 2);
+    assert.equal(stored.lastError, "SMTP unavailable");
+
+    makeDue(notification);
+    assert.deepEqual(await processQueue(), { sent: 0, failed: 0 });
+    assert.equal(transport.outbox.length, 0);
+  });
+
+  it("picks up messages left in sending by a crashed worker", async () => {
+    const transport = createMemoryTransport();
+    setTransport(transport);
+
+    const notification = await queueReviewEmail();
+    const stored = db.docs(Notification).find((doc) => doc._id.equals(notification._id));
+    Object.assign(stored, {
+      status: "sending",
+      attempts: 1,
+      lockedAt: new Date(Date.now() - 15 * MINUTE_MS),
+    });
+
+    assert.deepEqual(await processQueue(), { sent: 1, failed: 0 });
+    assert.equal((await findStored(notification)).status, "sent");
+  });
+});
+
+describe("mail transport selection", () => {
+  const setEnv = (values) => {
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+  };
+
+  // Sets environment variables for one test and restores them afterwards
+  const withEnv = (t, values) => {
+    const saved = Object.fromEntries(
+      Object.keys(values).map((key) => [key, process.env[key]])
+    );
+    t.after(() => setEnv(saved));
+    setEnv(values);
+  };
+
+  it("falls back to the console transport outside production", (t) => {
+    withEnv(t, { NODE_ENV: "development", MAIL_TRANSPORT: undefined, SMTP_HOST: undefined });
+    assert.equal(createTransport().name, "console");
+  });
+
+  it("logs single-use links only in development", async (t) => {
+    const log = t.mock.method(console, "log", () => {});
+    const transport = createConsoleTransport();
+    const message = {
+      to: "donor@example.com",
+      subject: "Reset your password",
+      text: "Open http://localhost:3000/reset-password?token=abc123",
+    };
+
+    withEnv(t, { NODE_ENV: "production" });
+    await transport.send({ ...message, containsSecret: true });
+    await transport.send({ ...message, subject: "Event reminder" });
+
+    process.env.NODE_ENV = "development";
+    await transport.send({ ...message, containsSecret: true });
+
+    const output = log.mock.calls.map((call) => call.arguments[0]);
+    assert.doesNotMatch(output[0], /token=abc123/);
+    assert.match(output[0], /Body not logged/);
+    assert.match(output[1], /token=abc123/);
+    assert.match(output[2], /token=abc123/);
+  });
+
+  it("refuses to run without a mail configuration in production", (t) => {
+    withEnv(t, { NODE_ENV: "production", MAIL_TRANSPORT: undefined, SMTP_HOST: undefined });
+    assert.throws(() => createTransport(), /No mail transport is configured/);
+
+    process.env.MAIL_TRANSPORT = "file";
+    assert.equal(createTransport().name, "file");
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_OCCURRENCES,
+  parseRecurrenceRule,
+  expandRecurrence,
+  describeRecurrence,
+} = require("../utils/recurrence");
+
+// Parses a rule from a request body and expands it from the start date
+const expand = (input, startDate) => {
+  const { rule, error } = parseRecurrenceRule(input, startDate);
+  assert.equal(error, undefined);
+  return expandRecurrence(rule, startDate);
+};
+
+describe("parseRecurrenceRule", () => {
+  it("takes weekly and monthly defaults from the start date", () => {
+    // 2026-06-06 is the first Saturday of June
+    assert.deepEqual(parseRecurrenceRule({ frequency: "weekly", count: 3 }, "2026-06-06").rule, {
+      frequency: "weekly",
+      interval: 1,
+      weekdays: [6],
+      count: 3,
+      exceptions: [],
+    });
+    assert.deepEqual(
+      parseRecurrenceRule(
+        { frequency: "monthly", monthlyMode: "nth-weekday", until: "2026-12-31" },
+        "2026-06-06"
+      ).rule,
+      {
+        frequency: "monthly",
+        interval: 1,
+        monthlyMode: "nth-weekday",
+        weekday: 6,
+        weekOfMonth: 1,
+        until: "2026-12-31",
+        exceptions: [],
+      }
+    );
+  });
+
+  it("treats the last weekday of a month as position -1", () => {
+    // 2026-07-31 is the last Friday of July
+    const { rule } = parseRecurrenceRule(
+      { frequency: "monthly", monthlyMode: "nth-weekday", count: 2 },
+      "2026-07-31"
+    );
+
+    assert.equal(rule.weekday, 5);
+    assert.equal(rule.weekOfMonth, -1);
+  });
+
+  it("rejects rules without an end or with invalid values", () => {
+    const errorOf = (input) => parseRecurrenceRule(input, "2026-06-01").error;
+
+    assert.match(errorOf({ frequency: "daily" }), /until date or a count/);
+    assert.match(errorOf({ frequency: "yearly", count: 2 }), /frequency must be one of/);
+    assert.match(errorOf({ frequency: "daily", interval: 0, count: 2 }), /interval/);
+    assert.match(errorOf({ frequency: "weekly", weekdays: [0], count: 2 }), /weekdays/);
+    assert.match(errorOf({ frequency: "daily", until: "2026-05-31" }), /on or after the start/);
+    assert.match(errorOf({ frequency: "daily", count: MAX_OCCURRENCES + 1 }), /count/);
+    assert.match(errorOf({ frequency: "daily", count: 2, exceptions: ["June 2"] }), /exceptions/);
+  });
+});
+
+describe("expandRecurrence", () => {
+  it("repeats on the nth weekday of each month", () => {
+    assert.deepEqual(
+      expand({ frequency: "monthly", monthlyMode: "nth-weekday", count: 4 }, "2026-06-06").dates,
+      ["2026-06-06", "2026-07-04", "2026-08-01", "2026-09-05"]
+    );
+  });
+
+  it("repeats on the last weekday of each month", () => {
+    assert.deepEqual(
+      expand({ frequency: "monthly", monthlyMode: "nth-weekday", count: 4 }, "2026-07-31").dates,
+      ["2026-07-31", "2026-08-28", "2026-09-25", "2026-10-30"]
+    );
+  });
+
+  it("skips months without the day and does not count them", () => {
+    assert.deepEqual(expand({ frequency: "monthly", count: 4 }, "2026-01-31").dates, [
+      "2026-01-31",
+      "2026-03-31",
+      "2026-05-31",
+      "2026-07-31",
+    ]);
+  });
+
+  it("repeats on several weekdays every few weeks", () => {
+    assert.deepEqual(
+      expand(
+        { frequency: "weekly", weekdays: [2, 4], interval: 2, until: "2026-06-30" },
+        "2026-06-02"
+      ).dates,
+      ["2026-06-02", "2026-06-04", "2026-06-16", "2026-06-18", "2026-06-30"]
+    );
+  });
+
+  it("leaves out weekdays before the start date", () => {
+    // 2026-06-03 is a Wednesday; the Monday of that week is skipped
+    assert.deepEqual(
+      expand({ frequency: "weekly", weekdays: [1, 5], count: 3 }, "2026-06-03").dates,
+      ["2026-06-05", "2026-06-08", "2026-06-12"]
+    );
+  });
+
+  it("ends at whichever of until and count comes first", () => {
+    assert.deepEqual(
+      expand({ frequency: "daily", count: 5, until: "2026-06-03" }, "2026-06-01").dates,
+      ["2026-06-01", "2026-06-02", "2026-06-03"]
+    );
+    assert.deepEqual(
+      expand({ frequency: "daily", count: 2, until: "2026-06-30" }, "2026-06-01").dates,
+      ["2026-06-01", "2026-06-02"]
+    );
+  });
+
+  it("counts exceptions towards count", () => {
+    assert.deepEqual(
+      expand({ frequency: "daily", count: 3, exceptions: ["2026-06-02"] }, "2026-06-01").dates,
+      ["2026-06-01", "2026-06-03"]
+    );
+  });
+
+  it("refuses rules that create more than MAX_OCCURRENCES events", () => {
+    // 2026-06-01 to 2026-07-30 is exactly 60 days
+    assert.equal(
+      expand({ frequency: "daily", until: "2026-07-30" }, "2026-06-01").dates.length,
+      MAX_OCCURRENCES
+    );
+    assert.equal(
+      expand({ frequency: "daily", count: MAX_OCCURRENCES }, "2026-06-01").dates.length,
+      MAX_OCCURRENCES
+    );
+
+    const tooMany = expand({ frequency: "daily", until: "2026-07-31" }, "2026-06-01");
+    assert.match(tooMany.error, /more than 60 events/);
+
+    // Exceptions do not lift the limit
+    const withException = expand(
+      { frequency: "daily", until: "2026-07-31", exceptions: ["2026-06-01"] },
+      "2026-06-01"
+    );
+    assert.match(withException.error, /more than 60 events/);
+  });
+});
+
+describe("describeRecurrence", () => {
+  it("summarises a rule", () => {
+    assert.equal(
+      describeRecurrence(
+        parseRecurrenceRule(
+          { frequency: "monthly", monthlyMode: "nth-weekday", count: 6 },
+          "2026-06-06"
+        ).rule
+      ),
+      "Every month on the first Saturday, 6 times"
+    );
+    assert.equal(
+      describeRecurrence(
+        parseRecurrenceRule(
+          { frequency: "weekly", weekdays: [2, 4], interval: 2, until: "2027-03-06" },
+          "2026-06-02"
+        ).rule
+      ),
+      "Every 2 weeks on Tuesday, Thursday, until 2027-03-06"
+    );
+  });
+});
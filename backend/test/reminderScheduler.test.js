@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { useMemoryCollections } = require("./helpers/memoryDb");
+const Event = require("../models/Event");
+const User = require("../models/User");
+const { createReminderScheduler } = require("../services/reminderScheduler");
+
+const HOUR_MS = 60 * 60 * 1000;
+const OFFSETS_MINUTES = [48 * 60, 2 * 60];
+
+const db = useMemoryCollections(Event, User);
+
+const createDonor = (fullName) =>
+  User.create({
+    fullName,
+    email: `${fullName.toLowerCase()}@example.com`,
+    password: "secret1",
+    role: "donor",
+  });
+
+const createEvent = (startsAt, attendees, fields = {}) =>
+  Event.create({
+    organizer: attendees[0]?.donor,
+    eventTitle: "Spring Blood Drive",
+    organizationName: "Red Cross",
+    startsAt,
+    endsAt: new Date(startsAt.getTime() + 4 * HOUR_MS),
+    timeZone: "UTC",
+    location: "City Hall",
+    expectedCapacity: 10,
+    eventDescription: "Donate blood",
+    contactEmail: "drive@example.com",
+    contactPhone: "555-0100",
+    attendees,
+    ...fields,
+  });
+
+// Scheduler on a fake clock that tests move by hand
+const createClockedScheduler = (startTime) => {
+  const clock = { time: startTime };
+  const notify = mock.fn(async () => {});
+  const scheduler = createReminderScheduler({
+    now: () => new Date(clock.time),
+    offsetsMinutes: OFFSETS_MINUTES,
+    notify,
+  });
+
+  return { clock, notify, scheduler };
+};
+
+// Emails of the donors reminded by each notify call
+const remindedEmails = (notify) =>
+  notify.mock.calls.map((call) => call.arguments[1].map((user) => user.email).sort());
+
+const getSentOffsets = (event, donor) =>
+  db
+    .docs(Event)
+    .find((doc) => doc._id.equals(event._id))
+    .attendees.find((attendee) => attendee.donor.equals(donor._id))
+    .remindersSent.map((entry) => entry.offsetMinutes)
+    .sort((a, b) => b - a);
+
+describe("reminder scheduler", () => {
+  let startsAt;
+
+  beforeEach(() => {
+    db.reset();
+    startsAt = new Date(Date.now() + 72 * HOUR_MS);
+  });
+
+  it("sends a reminder at each offset before the start", async () => {
+    const donor = await createDonor("Ada");
+    const event = await createEvent(startsAt, [{ donor: donor._id }]);
+    const { clock, notify, scheduler } = createClockedScheduler(
+      startsAt.getTime() - 50 * HOUR_MS
+    );
+
+    assert.deepEqual(await scheduler.runOnce(), { remindersSent: 0 });
+
+    clock.time = startsAt.getTime() - 47 * HOUR_MS;
+    assert.deepEqual(await scheduler.runOnce(), { remindersSent: 1 });
+    assert.deepEqual(getSentOffsets(event, donor), [2880]);
+
+    clock.time = startsAt.getTime() - 3 * HOUR_MS;
+    assert.deepEqual(await scheduler.runOnce(), { remindersSent: 0 });
+
+    clock.time = startsAt.getTime() - 90 * 60 * 1000;
+    assert.deepEqual(await scheduler.runOnce(), { remindersSent: 1 });
+    assert.deepEqual(getSentOffsets(event, donor), [2880, 120]);
+
+    // Nothing is sent once the event has started
+    clock.time = startsAt.getTime() + HOUR_MS;
+    assert.deepEqual(await scheduler.runOnce(), { remindersSent: 0 });
+
+    assert.equal(notify.mock.callCount(), 2);
+    notify.mock.calls.forEach((call) => assert.equal(call.arguments[0], "event-reminder"));
+    assert.deepEqual(remindedEmails(notify), [["ada@example.com"], ["ada@example.com"]]);
+  });
+
+  it("does not send a reminder twice after a restart", async () => {
+    const donor = await createDonor("Ada");
+    await createEvent(startsAt, [{ donor: donor._id }]);
+    const reminderTime = startsAt.getTime() - 47 * HOUR_MS;
+
+    const first = createClockedScheduler(reminderTime);
+    assert.deepEqual(await first.scheduler.runOnce(), { remindersSent: 1 });
+    assert.deepEqual(await first.scheduler.runOnce(), { remindersSent: 0 });
+
+    // A new process only knows what was recorded in remindersSent
+    const restarted = createClockedScheduler(reminderTime + HOUR_MS);
+    assert.deepEqual(await restarted.scheduler.runOnce(), { remindersSent: 0 });
+    assert.equal(restarted.notify.mock.callCount(), 0);
+  });
+
+  it("sends one email when several reminders are due at once", async () => {
+    const donor = await createDonor("Ada");
+    const event = await createEvent(startsAt, [{ donor: donor._id }]);
+    const { notify, scheduler } = createClockedScheduler(startsAt.getTime() - HOUR_MS);
+
+    assert.deepEqual(await scheduler.runOnce(), { remindersSent: 1 });
+    assert.equal(notify.mock.callCount(), 1);
+    assert.deepEqual(getSentOffsets(event, donor), [2880, 120]);
+  });
+
+  it("skips cancelled events and attendees who are not registered", async () => {
+    const [ada, ben, cleo, dan, eve] = await Promise.all(
+      ["Ada", "Ben", "Cleo", "Dan", "Eve"].map(createDonor)
+    );
+    await createEvent(startsAt, [{ donor: ada._id }], { status: "cancelled" });
+    await createEvent(startsAt, [
+      { donor: ben._id, status: "registered" },
+      { donor: cleo._id, status: "cancelled" },
+      { donor: dan._id, status: "no-show" },
+      { donor: eve._id, status: "attended" },
+    ]);
+    const { notify, scheduler } = createClockedScheduler(startsAt.getTime() - 47 * HOUR_MS);
+
+    assert.deepEqual(await scheduler.runOnce(), { remindersSent: 1 });
+    assert.deepEqual(remindedEmails(notify), [["ben@example.com"]]);
+  });
+});
@@ -0,0 +1,90 @@
+/*
+ * Blood compatibility helpers
+ * Which donor blood types can give to which recipient blood types, used to
+ * match donors to events whose organizers accept compatible donors.
+ * Red cell products (whole blood, double red cells, platelets) follow red
+ * cell ABO/Rh rules; plasma follows the reversed ABO rules and ignores Rh.
+ * Keep in sync with frontend/src/shared/utils/bloodCompatibility.js.
+ */
+const BLOOD_TYPES = ["O+", "O-", "A+", "A-", "B+", "B-", "AB+", "AB-"];
+
+const BLOOD_TYPE_MATCHING = ["exact", "compatible"];
+
+// Recipient type -> donor types whose red cells it can receive
+const RED_CELL_DONORS = {
+  "O-": ["O-"],
+  "O+": ["O-", "O+"],
+  "A-": ["O-", "A-"],
+  "A+": ["O-", "O+", "A-", "A+"],
+  "B-": ["O-", "B-"],
+  "B+": ["O-", "O+", "B-", "B+"],
+  "AB-": ["O-", "A-", "B-", "AB-"],
+  "AB+": BLOOD_TYPES,
+};
+
+// Recipient ABO group -> donor ABO groups whose plasma it can receive
+const PLASMA_DONOR_GROUPS = {
+  O: ["O", "A", "B", "AB"],
+  A: ["A", "AB"],
+  B: ["B", "AB"],
+  AB: ["AB"],
+};
+
+const getAboGroup = (bloodType) => bloodType.replace(/[+-]$/, "");
+
+/*
+ * getCompatibleDonorTypes
+ * Donor blood types that can give the given donation type to a recipient
+ */
+const getCompatibleDonorTypes = (recipientType, donationType = "whole-blood") => {
+  if (!BLOOD_TYPES.includes(recipientType)) {
+    return [];
+  }
+
+  if (donationType === "plasma") {
+    const donorGroups = PLASMA_DONOR_GROUPS[getAboGroup(recipientType)];
+    return BLOOD_TYPES.filter((type) => donorGroups.includes(getAboGroup(type)));
+  }
+
+  return RED_CELL_DONORS[recipientType];
+};
+
+/*
+ * getCompatibleRecipientTypes
+ * Recipient blood types a donor can give the given donation type to
+ */
+const getCompatibleRecipientTypes = (donorType, donationType = "whole-blood") =>
+  BLOOD_TYPES.filter((recipientType) =>
+    getCompatibleDonorTypes(recipientType, donationType).includes(donorType)
+  );
+
+/*
+ * getAcceptedDonorTypes
+ * Donor blood types an event accepts: the listed types for "exact" events,
+ * every type compatible with one of them for "compatible" events
+ */
+const getAcceptedDonorTypes = (event) => {
+  const neededTypes = event.bloodTypesNeeded || [];
+
+  if (event.bloodTypeMatching !== "compatible") {
+    return BLOOD_TYPES.filter((type) => neededTypes.includes(type));
+  }
+
+  const accepted = new Set(
+    neededTypes.flatMap((type) => getCompatibleDonorTypes(type, event.donationType))
+  );
+
+  return BLOOD_TYPES.filter((type) => accepted.has(type));
+};
+
+const isDonorTypeAccepted = (event, donorType) =>
+  getAcceptedDonorTypes(event).includes(donorType);
+
+module.exports = {
+  BLOOD_TYPES,
+  BLOOD_TYPE_MATCHING,
+  getCompatibleDonorTypes,
+  getCompatibleRecipientTypes,
+  getAcceptedDonorTypes,
+  isDonorTypeAccepted,
+};
@@ -0,0 +1,92 @@
+/*
+ * CSV helpers
+ * RFC 4180 output: fields with commas, quotes or line breaks are quoted.
+ * Values starting with =, +, -, @ or a tab are prefixed with an apostrophe so
+ * spreadsheet apps do not run them as formulas.
+ * parseCsv reads the same format back (e.g. spreadsheet exports).
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/*
+ * toCsv
+ * Rows (arrays of values, the first being the header) -> CSV text
+ */
+const toCsv = (rows) =>
+  `${rows.map((row) => row.map(escapeCsvField).join(",")).join("\r\n")}\r\n`;
+
+/*
+ * parseCsv
+ * CSV text -> rows (arrays of strings). Handles quoted fields with commas,
+ * escaped quotes and line breaks, CRLF or LF endings and a UTF-8 BOM.
+ * Blank lines are skipped.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(field);
+
+    if (row.some((value) => value.trim() !== "")) {
+      rows.push(row);
+    }
+
+    row = [];
+    field = "";
+  };
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") {
+        index += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+module.exports = {
+  toCsv,
+  parseCsv,
+};
@@ -0,0 +1,136 @@
+/*
+ * Eligibility rule helpers
+ * Pure functions that evaluate a donor's donation history against an
+ * eligibility rule set (see models/EligibilityRuleSet). Intervals and yearly
+ * limits are looked up per donation type, with optional per-sex overrides.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const addYears = (date, years) => {
+  const result = new Date(date);
+  result.setFullYear(result.getFullYear() + years);
+  return result;
+};
+
+// Rule entry for a donation type, or null when the type has no rules
+const getDonationTypeRule = (rules, donationType) =>
+  (rules?.donationTypes || []).find(
+    (rule) => rule.donationType === donationType
+  ) || null;
+
+// Per-sex override when one is set for the donor's sex, otherwise the base value
+const resolveBySex = (value, bySex, sex) => {
+  const override = sex && bySex ? bySex[sex] : undefined;
+  return typeof override === "number" ? override : value;
+};
+
+const getIntervalDays = (rules, donationType, sex) => {
+  const rule = getDonationTypeRule(rules, donationType);
+  return rule ? resolveBySex(rule.intervalDays, rule.intervalDaysBySex, sex) || 0 : 0;
+};
+
+const getMaxDonationsPerYear = (rules, donationType, sex) => {
+  const rule = getDonationTypeRule(rules, donationType);
+  if (!rule) {
+    return null;
+  }
+
+  return (
+    resolveBySex(rule.maxDonationsPerYear, rule.maxDonationsPerYearBySex, sex) ||
+    null
+  );
+};
+
+/*
+ * getHistoryLookbackDays
+ * How far back donations can affect eligibility under these rules
+ */
+const getHistoryLookbackDays = (rules) =>
+  (rules?.donationTypes || []).reduce(
+    (days, rule) =>
+      Math.max(
+        days,
+        rule.intervalDays || 0,
+        rule.intervalDaysBySex?.male || 0,
+        rule.intervalDaysBySex?.female || 0
+      ),
+    YEAR_DAYS
+  );
+
+/*
+ * computeAgeYears
+ * Whole years between a date of birth and the given date
+ */
+const computeAgeYears = (dateOfBirth, onDate) => {
+  const birth = new Date(dateOfBirth);
+  let age = onDate.getFullYear() - birth.getFullYear();
+
+  if (addYears(birth, age) > onDate) {
+    age -= 1;
+  }
+
+  return age;
+};
+
+/*
+ * findRecoveryBlock
+ * The completed donation ({ donationDate, donationType }) whose recovery
+ * interval ends last, as { donation, nextEligibleDate }, or null if none
+ */
+const findRecoveryBlock = (rules, donations, sex) =>
+  donations.reduce((latest, donation) => {
+    const nextEligibleDate = addDays(
+      new Date(donation.donationDate),
+      getIntervalDays(rules, donation.donationType, sex)
+    );
+    return !latest || nextEligibleDate > latest.nextEligibleDate
+      ? { donation, nextEligibleDate }
+      : latest;
+  }, null);
+
+/*
+ * checkYearlyDonationLimit
+ * Returns { limit, count, nextEligibleDate } when the donor has reached the
+ * yearly limit for a donation type in the 365 days before onDate, else null
+ */
+const checkYearlyDonationLimit = (rules, donations, donationType, sex, onDate) => {
+  const limit = getMaxDonationsPerYear(rules, donationType, sex);
+
+  if (!limit) {
+    return null;
+  }
+
+  const windowStart = addDays(onDate, -YEAR_DAYS);
+  const datesInWindow = donations
+    .filter((donation) => donation.donationType === donationType)
+    .map((donation) => new Date(donation.donationDate))
+    .filter((date) => date > windowStart)
+    .sort((a, b) => a - b);
+
+  if (datesInWindow.length < limit) {
+    return null;
+  }
+
+  // Eligible again once enough of those donations drop out of the window
+  return {
+    limit,
+    count: datesInWindow.length,
+    nextEligibleDate: addDays(datesInWindow[datesInWindow.length - limit], YEAR_DAYS),
+  };
+};
+
+module.exports = {
+  YEAR_DAYS,
+  addDays,
+  addYears,
+  getDonationTypeRule,
+  getIntervalDays,
+  getMaxDonationsPerYear,
+  getHistoryLookbackDays,
+  computeAgeYears,
+  findRecoveryBlock,
+  checkYearlyDonationLimit,
+};
@@ -0,0 +1,256 @@
+/*
+ * Event import helpers
+ * Reads an uploaded CSV or XLSX file of events (one per row, first row are
+ * the column headers) and turns every row into the same request body
+ * createEvent accepts. Header names are matched loosely, so "Start Date",
+ * "start_date" and "startDate" are the same column.
+ */
+const path = require("path");
+const { readSheet } = require("read-excel-file/node");
+const { parseCsv, toCsv } = require("./csv");
+
+const MAX_IMPORT_ROWS = 100;
+
+// Request field -> accepted header names (normalized, see normalizeHeader)
+const IMPORT_COLUMNS = {
+  eventTitle: ["eventtitle", "title"],
+  organizationName: ["organizationname", "organization"],
+  startDate: ["startdate", "date"],
+  endDate: ["enddate"],
+  startTime: ["starttime"],
+  endTime: ["endtime"],
+  timeZone: ["timezone"],
+  location: ["location", "address"],
+  lat: ["latitude", "lat"],
+  lng: ["longitude", "lng", "lon"],
+  expectedCapacity: ["expectedcapacity", "capacity"],
+  bloodTypesNeeded: ["bloodtypesneeded", "bloodtypes"],
+  bloodTypeMatching: ["bloodtypematching"],
+  donationType: ["donationtype"],
+  eventDescription: ["eventdescription", "description"],
+  eligibilityRequirements: ["eligibilityrequirements", "requirements"],
+  contactEmail: ["contactemail", "email"],
+  contactPhone: ["contactphone", "phone"],
+  slotDurationMinutes: ["slotdurationminutes", "slotduration"],
+  slotCapacity: ["slotcapacity"],
+};
+
+// Header row of the downloadable template, in this order
+const TEMPLATE_HEADERS = [
+  "Event Title",
+  "Organization Name",
+  "Start Date",
+  "End Date",
+  "Start Time",
+  "End Time",
+  "Time Zone",
+  "Location",
+  "Latitude",
+  "Longitude",
+  "Expected Capacity",
+  "Blood Types Needed",
+  "Blood Type Matching",
+  "Donation Type",
+  "Event Description",
+  "Eligibility Requirements",
+  "Contact Email",
+  "Contact Phone",
+  "Slot Duration Minutes",
+  "Slot Capacity",
+];
+
+/*
+ * toImportTemplateCsv
+ * CSV template with the headers and one example row (a month from now)
+ */
+const toImportTemplateCsv = () => {
+  const exampleDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+  return toCsv([
+    TEMPLATE_HEADERS,
+    [
+      "Community Blood Drive",
+      "City Red Cross",
+      exampleDate,
+      "",
+      "09:00",
+      "16:00",
+      "Asia/Kathmandu",
+      "Ward 4 Community Hall, Kathmandu",
+      "",
+      "",
+      "80",
+      "A+, O+, O-",
+      "",
+      "whole-blood",
+      "Walk-ins welcome, bring a photo ID.",
+      "Age 18-65; Weight above 50 kg",
+      "drives@example.org",
+      "01 4000000",
+      "",
+      "",
+    ],
+  ]);
+};
+
+const NUMBER_FIELDS = ["expectedCapacity", "slotDurationMinutes", "slotCapacity"];
+
+const normalizeHeader = (header) =>
+  String(header ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/*
+ * toCellText
+ * Spreadsheet cell -> trimmed text. XLSX date and time cells arrive as Date
+ * objects (in UTC) or, for times, as a fraction of a day.
+ */
+const toCellText = (value, field) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (value instanceof Date) {
+    return field === "startTime" || field === "endTime"
+      ? `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}`
+      : value.toISOString().slice(0, 10);
+  }
+
+  if (typeof value === "number" && (field === "startTime" || field === "endTime")) {
+    const minutes = Math.round(value * 24 * 60);
+    return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+  }
+
+  return String(value).trim();
+};
+
+const toNumber = (text) => (text === "" ? undefined : Number(text));
+
+// "A+, O-" or "A+ O-" -> ["A+", "O-"]
+const toList = (text, separator) =>
+  text
+    .split(separator)
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+/*
+ * toEventRequest
+ * One row (cell text by field) -> createEvent request body. Empty optional
+ * fields are left out so the usual defaults apply.
+ */
+const toEventRequest = (fieldText) => {
+  const request = {};
+
+  Object.entries(fieldText).forEach(([field, text]) => {
+    if (text === "" || field === "lat" || field === "lng") {
+      return;
+    }
+
+    if (NUMBER_FIELDS.includes(field)) {
+      request[field] = toNumber(text);
+    } else if (field === "bloodTypesNeeded") {
+      request[field] = toList(text.toUpperCase(), /[\s,;|]+/);
+    } else if (field === "eligibilityRequirements") {
+      request[field] = toList(text, /[;\n]+/);
+    } else if (field === "startTime" || field === "endTime") {
+      // "9:00" -> "09:00"
+      request[field] = text.replace(/^(\d):/, "0$1:");
+    } else {
+      request[field] = text;
+    }
+  });
+
+  if (fieldText.lat !== "" && fieldText.lng !== "") {
+    request.locationCoordinates = {
+      lat: Number(fieldText.lat),
+      lng: Number(fieldText.lng),
+    };
+  }
+
+  return request;
+};
+
+const readRawRows = async (file) => {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+
+  if (extension === ".csv") {
+    return parseCsv(file.buffer.toString("utf8"));
+  }
+
+  if (extension === ".xlsx") {
+    return readSheet(file.buffer);
+  }
+
+  return null;
+};
+
+/*
+ * readImportFile
+ * Uploaded file (multer, in memory) -> { error } or
+ * { rows: [{ rowNumber, request }] } where rowNumber is the spreadsheet row.
+ */
+const readImportFile = async (file) => {
+  let rawRows;
+
+  try {
+    rawRows = await readRawRows(file);
+  } catch (error) {
+    return { error: `Could not read the file: ${error.message}` };
+  }
+
+  if (!rawRows) {
+    return { error: "Please upload a .csv or .xlsx file" };
+  }
+
+  // Keep the spreadsheet row numbers (1-based) for error messages
+  const [header, ...dataRows] = rawRows
+    .map((cells, index) => ({ cells, rowNumber: index + 1 }))
+    .filter(({ cells }) =>
+      cells.some((value) => value !== null && String(value).trim() !== "")
+    );
+
+  // Column index for every recognized field
+  const headers = (header?.cells || []).map(normalizeHeader);
+  const columnIndexes = Object.fromEntries(
+    Object.entries(IMPORT_COLUMNS)
+      .map(([field, names]) => [field, headers.findIndex((name) => names.includes(name))])
+      .filter(([, index]) => index !== -1)
+  );
+
+  if (columnIndexes.eventTitle === undefined) {
+    return {
+      error: "The first row must contain the column headers (see the import template)",
+    };
+  }
+
+  if (dataRows.length === 0) {
+    return { error: "The file has no events" };
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can contain at most ${MAX_IMPORT_ROWS} events` };
+  }
+
+  return {
+    rows: dataRows.map(({ cells, rowNumber }) => {
+      const fieldText = Object.fromEntries(
+        Object.keys(IMPORT_COLUMNS).map((field) => [
+          field,
+          columnIndexes[field] === undefined
+            ? ""
+            : toCellText(cells[columnIndexes[field]], field),
+        ])
+      );
+
+      return { rowNumber, request: toEventRequest(fieldText) };
+    }),
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readImportFile,
+  toImportTemplateCsv,
+};
@@ -0,0 +1,151 @@
+/*
+ * Event schedule helpers
+ * Events store their start and end as UTC instants (startsAt/endsAt) plus the
+ * IANA time zone they take place in. Organizers enter local dates and times
+ * ("2026-06-01", "09:00") which are converted here; multi-day events repeat
+ * the daily window from the start time to the end time on every day.
+ */
+const { DateTime, IANAZone } = require("luxon");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Zone used when a request or legacy document does not name one
+const getDefaultTimeZone = () => process.env.DEFAULT_TIME_ZONE || "UTC";
+
+const isValidTimeZone = (timeZone) =>
+  typeof timeZone === "string" && IANAZone.isValidZone(timeZone);
+
+/*
+ * parseLocalDateTime
+ * "2026-06-01" + "09:00" in a zone -> luxon DateTime, or null when invalid
+ */
+const parseLocalDateTime = (date, time, timeZone) => {
+  if (!DATE_PATTERN.test(date || "") || !TIME_PATTERN.test(time || "")) {
+    return null;
+  }
+
+  const dateTime = DateTime.fromISO(`${date}T${time}`, { zone: timeZone });
+  return dateTime.isValid ? dateTime : null;
+};
+
+/*
+ * resolveEventSchedule
+ * Validates local schedule input and converts it to instants.
+ * Returns { error } or { startsAt, endsAt, timeZone }.
+ */
+const resolveEventSchedule = ({ startDate, endDate, startTime, endTime, timeZone }) => {
+  const zone = timeZone || getDefaultTimeZone();
+
+  if (!isValidTimeZone(zone)) {
+    return { error: `Unknown time zone "${zone}"` };
+  }
+
+  const start = parseLocalDateTime(startDate, startTime, zone);
+  const end = parseLocalDateTime(endDate || startDate, endTime, zone);
+
+  if (!start || !end) {
+    return {
+      error: "Dates must use YYYY-MM-DD and times must use 24-hour HH:mm",
+    };
+  }
+
+  if (end.startOf("day") < start.startOf("day")) {
+    return { error: "End date must be on or after the start date" };
+  }
+
+  if (end <= start) {
+    return { error: "End time must be after start time" };
+  }
+
+  return { startsAt: start.toJSDate(), endsAt: end.toJSDate(), timeZone: zone };
+};
+
+const toZonedDateTime = (date, timeZone) =>
+  DateTime.fromJSDate(new Date(date), {
+    zone: isValidTimeZone(timeZone) ? timeZone : getDefaultTimeZone(),
+  });
+
+// Midnight (in the event's zone) of the day containing `date`
+const startOfLocalDay = (date, timeZone) =>
+  toZonedDateTime(date, timeZone).startOf("day").toJSDate();
+
+/*
+ * toLocalSchedule
+ * Local representation of an event's schedule for API responses, or null
+ * when the event has no schedule loaded:
+ * { timeZone, timeZoneName, startsAt, endsAt, startDate, endDate, startTime, endTime }
+ * (startsAt/endsAt are ISO strings with the zone's offset).
+ */
+const toLocalSchedule = ({ startsAt, endsAt, timeZone }) => {
+  if (!startsAt || !endsAt) {
+    return null;
+  }
+
+  const start = toZonedDateTime(startsAt, timeZone);
+  const end = toZonedDateTime(endsAt, timeZone);
+
+  return {
+    timeZone: start.zoneName,
+    timeZoneName: start.offsetNameShort,
+    startsAt: start.toISO(),
+    endsAt: end.toISO(),
+    startDate: start.toISODate(),
+    endDate: end.toISODate(),
+    startTime: start.toFormat("HH:mm"),
+    endTime: end.toFormat("HH:mm"),
+  };
+};
+
+// "9:00 AM - 5:00 PM (GMT+5:45)" in the event's zone
+const formatEventTimeRange = ({ startsAt, endsAt, timeZone }) => {
+  const start = toZonedDateTime(startsAt, timeZone);
+  const end = toZonedDateTime(endsAt, timeZone);
+
+  return `${start.toFormat("h:mm a")} - ${end.toFormat("h:mm a")} (${start.offsetNameShort})`;
+};
+
+/*
+ * getDailyWindows
+ * The event's daily time windows as [{ startsAt, endsAt }] (JS Dates). A
+ * window that ends before it starts runs past midnight; windows starting at
+ * or after the event's end are left out. Local times are kept across DST
+ * changes.
+ */
+const getDailyWindows = ({ startsAt, endsAt, timeZone }) => {
+  const start = toZonedDateTime(startsAt, timeZone);
+  const end = toZonedDateTime(endsAt, timeZone);
+  const startMinutes = start.hour * 60 + start.minute;
+  const endMinutes = end.hour * 60 + end.minute;
+  const windowMinutes =
+    endMinutes > startMinutes
+      ? endMinutes - startMinutes
+      : endMinutes + 24 * 60 - startMinutes;
+
+  const windows = [];
+  let windowStart = start;
+
+  while (windowStart < end) {
+    windows.push({
+      startsAt: windowStart.toJSDate(),
+      endsAt: windowStart.plus({ minutes: windowMinutes }).toJSDate(),
+    });
+
+    windowStart = windowStart
+      .plus({ days: 1 })
+      .set({ hour: start.hour, minute: start.minute });
+  }
+
+  return windows;
+};
+
+module.exports = {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  parseLocalDateTime,
+  resolveEventSchedule,
+  startOfLocalDay,
+  toLocalSchedule,
+  formatEventTimeRange,
+  getDailyWindows,
+};
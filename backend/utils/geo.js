@@ -0,0 +1,29 @@
+/*
+ * Geo helpers
+ * Small utilities shared by the geospatial event queries.
+ */
+
+// Mean Earth radius in kilometres (used for $centerSphere and haversine)
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (value) => (value * Math.PI) / 180;
+
+/*
+ * computeDistanceKm(lat1, lng1, lat2, lng2)
+ * Great-circle distance between two points using the haversine formula.
+ */
+const computeDistanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) *
+      Math.sin(dLng / 2);
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+module.exports = { EARTH_RADIUS_KM, computeDistanceKm };
@@ -0,0 +1,75 @@
+/*
+ * Geocoding helper
+ * Looks up coordinates for a street address with Nominatim (OpenStreetMap),
+ * the same service the frontend map search uses. Nominatim allows one
+ * request per second, so lookups are spaced out and cached per address.
+ * A lookup that takes longer than GEOCODER_TIMEOUT_MS is given up.
+ */
+const GEOCODER_URL =
+  process.env.GEOCODER_URL || "https://nominatim.openstreetmap.org/search";
+const GEOCODER_USER_AGENT =
+  process.env.GEOCODER_USER_AGENT || "blood-donation-events/1.0";
+const MIN_REQUEST_INTERVAL_MS = 1000;
+const GEOCODER_TIMEOUT_MS = 5000;
+const MAX_CACHED_ADDRESSES = 500;
+
+const cache = new Map();
+let nextRequestAt = 0;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/*
+ * geocodeAddress
+ * Resolves an address to { lat, lng }, or null when nothing matches or the
+ * lookup fails (callers treat coordinates as optional).
+ */
+const geocodeAddress = async (address) => {
+  const query = String(address || "").trim();
+
+  if (!query) {
+    return null;
+  }
+
+  const cacheKey = query.toLowerCase();
+
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  const delay = nextRequestAt - Date.now();
+  nextRequestAt = Math.max(Date.now(), nextRequestAt) + MIN_REQUEST_INTERVAL_MS;
+
+  if (delay > 0) {
+    await wait(delay);
+  }
+
+  try {
+    const params = new URLSearchParams({ q: query, format: "json", limit: "1" });
+    const response = await fetch(`${GEOCODER_URL}?${params}`, {
+      headers: { "User-Agent": GEOCODER_USER_AGENT },
+      signal: AbortSignal.timeout(GEOCODER_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      console.error(`Geocoding failed with status ${response.status}`);
+      return null;
+    }
+
+    const [match] = await response.json();
+    const coordinates = match
+      ? { lat: Number(match.lat), lng: Number(match.lon) }
+      : null;
+
+    if (cache.size >= MAX_CACHED_ADDRESSES) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    cache.set(cacheKey, coordinates);
+    return coordinates;
+  } catch (error) {
+    console.error("Geocoding error:", error.message);
+    return null;
+  }
+};
+
+module.exports = { geocodeAddress };
@@ -0,0 +1,143 @@
+/*
+ * iCalendar helpers
+ * Builds RFC 5545 calendars (.ics) from Event documents for downloads and
+ * subscribable feeds. Times are written in UTC, so no VTIMEZONE is needed.
+ * A multi-day event runs from the start time to the end time on every day,
+ * so each daily window becomes its own VEVENT.
+ */
+const { getDailyWindows } = require("./eventSchedule");
+
+const PRODUCT_ID = "-//Blood Donation Events//Event Calendar//EN";
+const UID_DOMAIN = "blood-donation-events";
+
+const getFrontendUrl = () =>
+  (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "");
+
+// 2026-06-01T09:00:00.000Z -> 20260601T090000Z
+const formatUtc = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Text values escape backslashes, separators and newlines
+const escapeText = (value = "") =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/*
+ * foldLine
+ * Lines longer than 75 octets continue on the next line after a space.
+ * Splits on character boundaries so multi-byte characters stay intact.
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += charBytes;
+  }
+
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const getEventUrl = (event) => `${getFrontendUrl()}/events/${event._id}`;
+
+const describeEvent = (event) =>
+  [
+    event.organizationName && `Organized by ${event.organizationName}`,
+    event.bloodTypesNeeded?.length > 0 &&
+      `Blood types needed: ${event.bloodTypesNeeded.join(", ")}`,
+    event.eventDescription,
+    `Details: ${getEventUrl(event)}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+/*
+ * buildEventComponents
+ * VEVENT lines for one event. `options.cancelled` marks it cancelled even
+ * when the event itself is not (e.g. the donor's registration was cancelled).
+ */
+const buildEventComponents = (event, { cancelled = false } = {}) => {
+  const windows = getDailyWindows(event);
+  const status = cancelled || event.status === "cancelled" ? "CANCELLED" : "CONFIRMED";
+  const updatedAt = event.updatedAt || event.createdAt || new Date();
+  const coordinates = event.locationCoordinates;
+  const hasCoordinates =
+    typeof coordinates?.lat === "number" && typeof coordinates?.lng === "number";
+
+  return windows.flatMap((window, index) => [
+    "BEGIN:VEVENT",
+    // The first day keeps the plain id so single-day UIDs stay stable
+    `UID:${event._id}${index > 0 ? `-${index + 1}` : ""}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(updatedAt)}`,
+    `LAST-MODIFIED:${formatUtc(updatedAt)}`,
+    // Calendar apps apply an update only when the sequence grows
+    `SEQUENCE:${Math.floor(new Date(updatedAt).getTime() / 1000)}`,
+    `DTSTART:${formatUtc(window.startsAt)}`,
+    `DTEND:${formatUtc(window.endsAt)}`,
+    `SUMMARY:${escapeText(
+      windows.length > 1
+        ? `${event.eventTitle} (day ${index + 1} of ${windows.length})`
+        : event.eventTitle
+    )}`,
+    `DESCRIPTION:${escapeText(describeEvent(event))}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    hasCoordinates && `GEO:${coordinates.lat};${coordinates.lng}`,
+    `URL:${getEventUrl(event)}`,
+    `STATUS:${status}`,
+    "END:VEVENT",
+  ]).filter(Boolean);
+};
+
+/*
+ * buildCalendar
+ * Full VCALENDAR text for a list of { event, cancelled } entries.
+ * `name` is shown by calendar apps for subscribed feeds.
+ */
+const buildCalendar = (entries, { name } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed clients to refresh hourly
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...entries.flatMap(({ event, cancelled }) =>
+      buildEventComponents(event, { cancelled })
+    ),
+    "END:VCALENDAR",
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+// "Community Blood Drive 2026" -> "community-blood-drive-2026.ics"
+const toCalendarFileName = (title = "event") =>
+  `${
+    String(title)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "event"
+  }.ics`;
+
+module.exports = {
+  buildCalendar,
+  toCalendarFileName,
+};
@@ -0,0 +1,291 @@
+/*
+ * Recurrence helpers
+ * Expands an event series' recurrence rule into local occurrence dates
+ * ("YYYY-MM-DD"). Rules repeat daily, weekly (on chosen weekdays) or monthly
+ * (on the same day of the month, or on the nth weekday such as "first
+ * Saturday"), every `interval` periods from the first date, and end on an
+ * `until` date or after `count` occurrences. Dates listed in `exceptions`
+ * are skipped; like iCalendar EXDATE they still count towards `count`.
+ * Weekdays use ISO numbering: 1 = Monday ... 7 = Sunday.
+ */
+const { DateTime } = require("luxon");
+
+const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly"];
+const MONTHLY_MODES = ["day-of-month", "nth-weekday"];
+
+// Upper bound so a typo (e.g. daily for ten years) cannot create thousands
+// of events at once
+const MAX_OCCURRENCES = 60;
+const MAX_INTERVAL = 52;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDate = (value) =>
+  DATE_PATTERN.test(value || "") ? DateTime.fromISO(value, { zone: "UTC" }) : null;
+
+const isValidDate = (value) => Boolean(parseDate(value)?.isValid);
+
+// "2026-06-01" moved by a number of days
+const shiftDate = (date, days) => parseDate(date).plus({ days }).toISODate();
+
+// Calendar days from one "YYYY-MM-DD" date to another
+const daysBetween = (startDate, endDate) =>
+  Math.round(parseDate(endDate).diff(parseDate(startDate), "days").days);
+
+// 1 = first ... 4 = fourth, -1 = last weekday of that kind in the month
+const getWeekOfMonth = (date) =>
+  date.plus({ weeks: 1 }).month !== date.month ? -1 : Math.ceil(date.day / 7);
+
+/*
+ * nthWeekdayOfMonth
+ * The date of e.g. the first Saturday (weekday 6, position 1) or the last
+ * Friday (weekday 5, position -1) in a month, or null when there is none.
+ */
+const nthWeekdayOfMonth = (monthStart, weekday, position) => {
+  if (position === -1) {
+    const lastDay = monthStart.endOf("month").startOf("day");
+    return lastDay.minus({ days: (lastDay.weekday - weekday + 7) % 7 });
+  }
+
+  const firstMatch = monthStart.plus({ days: (weekday - monthStart.weekday + 7) % 7 });
+  const date = firstMatch.plus({ weeks: position - 1 });
+  return date.month === monthStart.month ? date : null;
+};
+
+/*
+ * parseRecurrenceRule
+ * Validates a rule from the request body for a series starting on
+ * `startDate`. Weekly rules default to the start date's weekday; monthly
+ * rules repeat on the start date's day of the month or, for nth-weekday, on
+ * its position (e.g. a first Saturday repeats on first Saturdays).
+ * Returns { error } or { rule }.
+ */
+const parseRecurrenceRule = (input, startDate) => {
+  if (!input || typeof input !== "object") {
+    return { error: "recurrence is required for an event series" };
+  }
+
+  const start = parseDate(startDate);
+
+  if (!start?.isValid) {
+    return { error: "Start date must use YYYY-MM-DD" };
+  }
+
+  const {
+    frequency,
+    interval = 1,
+    weekdays,
+    monthlyMode = "day-of-month",
+    until,
+    count,
+    exceptions = [],
+  } = input;
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return {
+      error: `recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(", ")}`,
+    };
+  }
+
+  const intervalValue = Number(interval);
+
+  if (!Number.isInteger(intervalValue) || intervalValue < 1 || intervalValue > MAX_INTERVAL) {
+    return { error: `recurrence.interval must be a whole number from 1 to ${MAX_INTERVAL}` };
+  }
+
+  const rule = { frequency, interval: intervalValue };
+
+  if (frequency === "weekly") {
+    const days = weekdays === undefined ? [start.weekday] : weekdays;
+
+    if (
+      !Array.isArray(days) ||
+      days.length === 0 ||
+      days.some((day) => !Number.isInteger(day) || day < 1 || day > 7)
+    ) {
+      return {
+        error: "recurrence.weekdays must list weekdays from 1 (Monday) to 7 (Sunday)",
+      };
+    }
+
+    rule.weekdays = [...new Set(days)].sort();
+  }
+
+  if (frequency === "monthly") {
+    if (!MONTHLY_MODES.includes(monthlyMode)) {
+      return {
+        error: `recurrence.monthlyMode must be one of: ${MONTHLY_MODES.join(", ")}`,
+      };
+    }
+
+    rule.monthlyMode = monthlyMode;
+
+    if (monthlyMode === "nth-weekday") {
+      rule.weekday = start.weekday;
+      rule.weekOfMonth = getWeekOfMonth(start);
+    } else {
+      rule.dayOfMonth = start.day;
+    }
+  }
+
+  if (until === undefined && count === undefined) {
+    return { error: "recurrence needs an end: an until date or a count" };
+  }
+
+  if (until !== undefined) {
+    if (!isValidDate(until) || until < startDate) {
+      return { error: "recurrence.until must be a YYYY-MM-DD date on or after the start date" };
+    }
+
+    rule.until = until;
+  }
+
+  if (count !== undefined) {
+    const countValue = Number(count);
+
+    if (!Number.isInteger(countValue) || countValue < 1 || countValue > MAX_OCCURRENCES) {
+      return { error: `recurrence.count must be a whole number from 1 to ${MAX_OCCURRENCES}` };
+    }
+
+    rule.count = countValue;
+  }
+
+  if (!Array.isArray(exceptions) || exceptions.some((date) => !isValidDate(date))) {
+    return { error: "recurrence.exceptions must be a list of YYYY-MM-DD dates" };
+  }
+
+  rule.exceptions = [...new Set(exceptions)].sort();
+
+  return { rule };
+};
+
+// First day of the nth period (day, week or month) after the start
+const getPeriodStart = (rule, start, periodIndex) => {
+  const step = periodIndex * rule.interval;
+
+  if (rule.frequency === "daily") {
+    return start.plus({ days: step });
+  }
+
+  if (rule.frequency === "weekly") {
+    return start.startOf("week").plus({ weeks: step });
+  }
+
+  return start.startOf("month").plus({ months: step });
+};
+
+// Candidate dates within a period, in date order
+const getPeriodDates = (rule, periodStart) => {
+  if (rule.frequency === "daily") {
+    return [periodStart];
+  }
+
+  if (rule.frequency === "weekly") {
+    return rule.weekdays.map((weekday) => periodStart.plus({ days: weekday - 1 }));
+  }
+
+  if (rule.monthlyMode === "nth-weekday") {
+    const date = nthWeekdayOfMonth(periodStart, rule.weekday, rule.weekOfMonth);
+    return date ? [date] : [];
+  }
+
+  // Months without that day (e.g. the 31st) are skipped
+  const date = periodStart.set({ day: rule.dayOfMonth });
+  return date.month === periodStart.month ? [date] : [];
+};
+
+/*
+ * expandRecurrence
+ * Occurrence dates of a parsed rule, starting on `startDate`.
+ * Returns { error } when the rule would create more than MAX_OCCURRENCES
+ * events, otherwise { dates }.
+ */
+const expandRecurrence = (rule, startDate) => {
+  const start = parseDate(startDate);
+  const until = rule.until ? parseDate(rule.until) : null;
+  const limit = rule.count || MAX_OCCURRENCES + 1;
+  const dates = [];
+  let generated = 0;
+
+  for (
+    let periodIndex = 0;
+    generated < limit && periodIndex <= MAX_OCCURRENCES * 12;
+    periodIndex += 1
+  ) {
+    const periodStart = getPeriodStart(rule, start, periodIndex);
+
+    if (until && periodStart > until) {
+      break;
+    }
+
+    const candidates = getPeriodDates(rule, periodStart).filter(
+      (date) => date >= start && (!until || date <= until)
+    );
+
+    for (const date of candidates.slice(0, limit - generated)) {
+      generated += 1;
+
+      if (!rule.exceptions.includes(date.toISODate())) {
+        dates.push(date.toISODate());
+      }
+    }
+  }
+
+  if (generated > MAX_OCCURRENCES) {
+    return {
+      error: `This recurrence would create more than ${MAX_OCCURRENCES} events. Please end it sooner.`,
+    };
+  }
+
+  return { dates };
+};
+
+const WEEKDAY_NAMES = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const POSITION_NAMES = { 1: "first", 2: "second", 3: "third", 4: "fourth", "-1": "last" };
+const PERIOD_NAMES = { daily: "day", weekly: "week", monthly: "month" };
+
+/*
+ * describeRecurrence
+ * Readable summary of a rule, e.g. "Every month on the first Saturday,
+ * 6 times" or "Every 2 weeks on Tuesday, Thursday, until 2027-03-06"
+ */
+const describeRecurrence = (rule) => {
+  if (!rule?.frequency) {
+    return "";
+  }
+
+  const period = PERIOD_NAMES[rule.frequency];
+  const parts = [rule.interval > 1 ? `Every ${rule.interval} ${period}s` : `Every ${period}`];
+
+  if (rule.frequency === "weekly") {
+    parts[0] += ` on ${rule.weekdays.map((day) => WEEKDAY_NAMES[day - 1]).join(", ")}`;
+  }
+
+  if (rule.frequency === "monthly") {
+    parts[0] +=
+      rule.monthlyMode === "nth-weekday"
+        ? ` on the ${POSITION_NAMES[rule.weekOfMonth]} ${WEEKDAY_NAMES[rule.weekday - 1]}`
+        : ` on day ${rule.dayOfMonth}`;
+  }
+
+  if (rule.count) {
+    parts.push(`${rule.count} time${rule.count === 1 ? "" : "s"}`);
+  }
+
+  if (rule.until) {
+    parts.push(`until ${rule.until}`);
+  }
+
+  return parts.join(", ");
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  MONTHLY_MODES,
+  MAX_OCCURRENCES,
+  parseRecurrenceRule,
+  expandRecurrence,
+  describeRecurrence,
+  shiftDate,
+  daysBetween,
+};
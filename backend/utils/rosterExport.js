@@ -0,0 +1,179 @@
+/*
+ * Roster export helpers
+ * Turns an event roster (see toRosterEntry in the event controller) into a
+ * CSV file or a printable PDF sign-in sheet. Times are shown in the event's
+ * time zone.
+ */
+const PDFDocument = require("pdfkit");
+const { DateTime } = require("luxon");
+const { toCsv } = require("./csv");
+const { formatEventTimeRange } = require("./eventSchedule");
+
+const STATUS_LABELS = {
+  registered: "Registered",
+  attended: "Checked in",
+  "no-show": "No-show",
+  cancelled: "Cancelled",
+};
+
+const formatLocal = (date, timeZone, format) =>
+  date ? DateTime.fromJSDate(new Date(date), { zone: timeZone }).toFormat(format) : "";
+
+// "9:00 AM - 9:30 AM" for the attendee's booked slot, or ""
+const formatSlot = (event, slotId) => {
+  const slot = slotId
+    ? (event.timeSlots || []).find((entry) => entry._id.toString() === slotId.toString())
+    : null;
+
+  return slot
+    ? `${formatLocal(slot.startsAt, event.timeZone, "h:mm a")} - ${formatLocal(slot.endsAt, event.timeZone, "h:mm a")}`
+    : "";
+};
+
+/*
+ * toRosterRows
+ * One plain row per roster entry with the exported columns
+ */
+const toRosterRows = (event, entries) =>
+  entries.map((entry) => ({
+    name: entry.donor?.fullName || "",
+    email: entry.donor?.email || "",
+    bloodType: entry.donor?.bloodType || "",
+    phone: entry.donor?.phone || "",
+    slot: formatSlot(event, entry.slot),
+    registeredAt: formatLocal(entry.registeredAt, event.timeZone, "yyyy-MM-dd HH:mm"),
+    status: STATUS_LABELS[entry.status] || entry.status,
+    checkedInAt: formatLocal(entry.checkedInAt, event.timeZone, "yyyy-MM-dd HH:mm"),
+  }));
+
+const hasSlots = (event) => (event.timeSlots || []).length > 0;
+
+/*
+ * toRosterCsv
+ * CSV text of the roster; the time slot column is only included for events
+ * with time slots
+ */
+const toRosterCsv = (event, entries) => {
+  const withSlots = hasSlots(event);
+  const header = [
+    "Name",
+    "Email",
+    "Blood Type",
+    "Phone",
+    ...(withSlots ? ["Time Slot"] : []),
+    "Registered At",
+    "Status",
+    "Checked In At",
+  ];
+
+  const rows = toRosterRows(event, entries).map((row) => [
+    row.name,
+    row.email,
+    row.bloodType,
+    row.phone,
+    ...(withSlots ? [row.slot] : []),
+    row.registeredAt,
+    row.status,
+    row.checkedInAt,
+  ]);
+
+  return toCsv([header, ...rows]);
+};
+
+/*
+ * writeRosterPdf
+ * Streams an A4 landscape sign-in sheet to `output` (e.g. the response):
+ * event details on top, then one row per donor with an empty signature box.
+ */
+const writeRosterPdf = (event, entries, output) => {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 36 });
+  doc.pipe(output);
+
+  const columns = [
+    { key: "index", label: "#", width: 24 },
+    { key: "name", label: "Name", width: 150 },
+    { key: "bloodType", label: "Blood", width: 40 },
+    { key: "phone", label: "Phone", width: 85 },
+    ...(hasSlots(event) ? [{ key: "slot", label: "Time Slot", width: 95 }] : []),
+    { key: "registeredAt", label: "Registered", width: 85 },
+    { key: "status", label: "Status", width: 65 },
+    { key: "checkedInAt", label: "Checked In", width: 85 },
+  ];
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const signatureX = left + columns.reduce((sum, column) => sum + column.width, 0);
+  const rowHeight = 24;
+
+  const drawRow = (values, y, { bold = false } = {}) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    let x = left;
+
+    columns.forEach((column) => {
+      doc.text(String(values[column.key] ?? ""), x + 3, y + 8, {
+        width: column.width - 6,
+        // One line; longer values are cut with an ellipsis
+        height: 11,
+        ellipsis: true,
+      });
+      x += column.width;
+    });
+
+    if (bold) {
+      doc.text("Signature", signatureX + 3, y + 8, { lineBreak: false });
+    }
+
+    doc.moveTo(left, y + rowHeight).lineTo(right, y + rowHeight).strokeColor("#999999").stroke();
+  };
+
+  const drawHeader = () => {
+    const y = doc.y;
+    drawRow(
+      Object.fromEntries(columns.map((column) => [column.key, column.label])),
+      y,
+      { bold: true }
+    );
+    doc.y = y + rowHeight;
+  };
+
+  // Event details
+  doc.font("Helvetica-Bold").fontSize(16).text(event.eventTitle);
+  doc.font("Helvetica").fontSize(10).moveDown(0.3);
+  doc.text(
+    `${formatLocal(event.startsAt, event.timeZone, "DDDD")}  |  ${formatEventTimeRange(event)}`
+  );
+  doc.text(event.location || "");
+  doc.fillColor("#666666").text(
+    `${entries.length} donor${entries.length === 1 ? "" : "s"}  |  Printed ${formatLocal(new Date(), event.timeZone, "yyyy-MM-dd HH:mm")}`
+  );
+  doc.fillColor("#000000").moveDown(1);
+
+  drawHeader();
+
+  toRosterRows(event, entries).forEach((row, index) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+
+    const y = doc.y;
+    drawRow({ ...row, index: index + 1 }, y);
+    doc.y = y + rowHeight;
+  });
+
+  doc.end();
+};
+
+// "community-blood-drive-roster.csv"
+const toRosterFileName = (event, extension) =>
+  `${
+    String(event.eventTitle || "event")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "event"
+  }-roster.${extension}`;
+
+module.exports = {
+  toRosterCsv,
+  writeRosterPdf,
+  toRosterFileName,
+};
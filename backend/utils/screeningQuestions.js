@@ -0,0 +1,150 @@
+/*
+ * Screening question helpers
+ * Standard pre-donation health questions organizers can attach to events.
+ * Each question names the answer that disqualifies a donor and how long the
+ * resulting deferral lasts (counted from the day the question was answered).
+ */
+const { addDays } = require("./eligibilityRules");
+
+const SCREENING_QUESTIONS = [
+  {
+    id: "feeling-well",
+    text: "Are you feeling healthy and well today?",
+    deferOn: false,
+    deferralDays: 1,
+    reason: "Not feeling well on the day",
+  },
+  {
+    id: "recent-illness",
+    text: "Have you had a fever, cold, flu or any other infection in the last 14 days?",
+    deferOn: true,
+    deferralDays: 14,
+    reason: "Recent illness or infection",
+  },
+  {
+    id: "antibiotics",
+    text: "Have you taken antibiotics in the last 7 days?",
+    deferOn: true,
+    deferralDays: 7,
+    reason: "Recent antibiotics",
+  },
+  {
+    id: "blood-thinners",
+    text: "Are you currently taking blood thinners or anticoagulant medication?",
+    deferOn: true,
+    deferralDays: 7,
+    reason: "Blood-thinning medication",
+  },
+  {
+    id: "malaria-travel",
+    text: "Have you travelled to a malaria-risk area in the last 3 months?",
+    deferOn: true,
+    deferralDays: 90,
+    reason: "Recent travel to a malaria-risk area",
+  },
+  {
+    id: "tattoo-piercing",
+    text: "Have you had a tattoo, piercing or permanent make-up in the last 4 months?",
+    deferOn: true,
+    deferralDays: 120,
+    reason: "Recent tattoo or piercing",
+  },
+  {
+    id: "pregnancy",
+    text: "Are you pregnant, or have you been pregnant or given birth in the last 6 months?",
+    deferOn: true,
+    deferralDays: 180,
+    reason: "Current or recent pregnancy",
+  },
+  {
+    id: "surgery",
+    text: "Have you had surgery or a blood transfusion in the last 6 months?",
+    deferOn: true,
+    deferralDays: 180,
+    reason: "Recent surgery or transfusion",
+  },
+  {
+    id: "dental-work",
+    text: "Have you had dental treatment in the last 24 hours?",
+    deferOn: true,
+    deferralDays: 1,
+    reason: "Dental treatment in the last 24 hours",
+  },
+];
+
+const SCREENING_QUESTION_IDS = SCREENING_QUESTIONS.map((question) => question.id);
+
+// Questions attached to new events unless the organizer picks others
+const DEFAULT_SCREENING_QUESTION_IDS = SCREENING_QUESTION_IDS;
+
+const getScreeningQuestion = (questionId) =>
+  SCREENING_QUESTIONS.find((question) => question.id === questionId) || null;
+
+/*
+ * evaluateScreeningAnswers
+ * Checks a donor's answers ([{ questionId, answer: boolean }]) against the
+ * event's question ids. Returns { error } when answers are missing or
+ * malformed, otherwise { screening, deferral } where screening is the record
+ * stored with the registration and deferral ({ reason, startsAt, endsAt }) is
+ * null unless an answer disqualifies the donor. The longest deferral wins.
+ */
+const evaluateScreeningAnswers = (questionIds, answers, answeredAt = new Date()) => {
+  if (!Array.isArray(answers)) {
+    return { error: "Please answer the health screening questions" };
+  }
+
+  const answersById = new Map(
+    answers
+      .filter((entry) => entry && typeof entry.answer === "boolean")
+      .map((entry) => [entry.questionId, entry.answer])
+  );
+
+  const questions = questionIds.map(getScreeningQuestion).filter(Boolean);
+  const unanswered = questions.filter((question) => !answersById.has(question.id));
+
+  if (unanswered.length > 0) {
+    return {
+      error: "Please answer all of the health screening questions",
+      unanswered: unanswered.map((question) => question.id),
+    };
+  }
+
+  const disqualifying = questions.filter(
+    (question) => answersById.get(question.id) === question.deferOn
+  );
+
+  const screening = {
+    answers: questions.map((question) => ({
+      questionId: question.id,
+      question: question.text,
+      answer: answersById.get(question.id),
+      disqualifying: disqualifying.includes(question),
+    })),
+    submittedAt: answeredAt,
+  };
+
+  if (disqualifying.length === 0) {
+    return { screening, deferral: null };
+  }
+
+  const deferralDays = Math.max(
+    ...disqualifying.map((question) => question.deferralDays)
+  );
+
+  return {
+    screening,
+    deferral: {
+      reason: disqualifying.map((question) => question.reason).join("; "),
+      startsAt: answeredAt,
+      endsAt: addDays(answeredAt, deferralDays),
+    },
+  };
+};
+
+module.exports = {
+  SCREENING_QUESTIONS,
+  SCREENING_QUESTION_IDS,
+  DEFAULT_SCREENING_QUESTION_IDS,
+  getScreeningQuestion,
+  evaluateScreeningAnswers,
+};
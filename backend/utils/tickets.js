@@ -0,0 +1,73 @@
+/*
+ * Ticket helpers
+ * Signed ticket codes for event registrations. A code names the event, the
+ * donor and the registration (attendee entry) and carries an HMAC-SHA256
+ * signature, so it cannot be forged without the server secret. Whether the
+ * registration is still valid is checked against the event at scan time.
+ */
+const crypto = require("crypto");
+
+const TICKET_PREFIX = "BDT1";
+
+// Dedicated secret if configured, otherwise the JWT secret
+const getTicketSecret = () => {
+  const secret = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error("TICKET_SECRET or JWT_SECRET must be set to issue tickets");
+  }
+
+  return secret;
+};
+
+const signTicketPayload = (payload) =>
+  crypto
+    .createHmac("sha256", getTicketSecret())
+    .update(payload)
+    .digest("base64url");
+
+/*
+ * createTicketCode
+ * Returns "BDT1.<eventId>.<donorId>.<registrationId>.<signature>"
+ */
+const createTicketCode = ({ eventId, donorId, registrationId }) => {
+  const payload = [TICKET_PREFIX, eventId, donorId, registrationId]
+    .map((part) => part.toString())
+    .join(".");
+
+  return `${payload}.${signTicketPayload(payload)}`;
+};
+
+/*
+ * verifyTicketCode
+ * Returns { eventId, donorId, registrationId } for a correctly signed code,
+ * or null for anything malformed or tampered with.
+ */
+const verifyTicketCode = (code) => {
+  if (typeof code !== "string") {
+    return null;
+  }
+
+  const parts = code.trim().split(".");
+  if (parts.length !== 5 || parts[0] !== TICKET_PREFIX) {
+    return null;
+  }
+
+  const [, eventId, donorId, registrationId, signature] = parts;
+  const expected = Buffer.from(signTicketPayload(parts.slice(0, 4).join(".")));
+  const received = Buffer.from(signature);
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  return { eventId, donorId, registrationId };
+};
+
+module.exports = {
+  createTicketCode,
+  verifyTicketCode,
+};
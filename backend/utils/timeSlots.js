@@ -0,0 +1,52 @@
+/*
+ * Time slot helpers
+ * Splits an event's daily time window into fixed-length appointment slots.
+ */
+const { getDailyWindows } = require("./eventSchedule");
+
+// Upper bound on generated slots so a typo (e.g. 5-minute slots over a
+// month-long event) cannot produce an enormous event document
+const MAX_TIME_SLOTS = 500;
+
+const MIN_SLOT_DURATION_MINUTES = 5;
+const MAX_SLOT_DURATION_MINUTES = 240;
+
+/*
+ * buildTimeSlots
+ * Generates { startsAt, endsAt, capacity } slots covering each of the
+ * event's daily time windows (see getDailyWindows). Partial trailing slots
+ * are dropped.
+ */
+const buildTimeSlots = ({
+  startsAt,
+  endsAt,
+  timeZone,
+  slotDurationMinutes,
+  slotCapacity,
+}) => {
+  const slots = [];
+  const slotMs = slotDurationMinutes * 60000;
+
+  getDailyWindows({ startsAt, endsAt, timeZone }).forEach((dailyWindow) => {
+    for (
+      let slotStart = dailyWindow.startsAt.getTime();
+      slotStart + slotMs <= dailyWindow.endsAt.getTime();
+      slotStart += slotMs
+    ) {
+      slots.push({
+        startsAt: new Date(slotStart),
+        endsAt: new Date(slotStart + slotMs),
+        capacity: slotCapacity,
+      });
+    }
+  });
+
+  return slots;
+};
+
+module.exports = {
+  MAX_TIME_SLOTS,
+  MIN_SLOT_DURATION_MINUTES,
+  MAX_SLOT_DURATION_MINUTES,
+  buildTimeSlots,
+};
@@ -12,6 +12,9 @@ import {
 } from "react-router-dom";
 import { AuthProvider, useAuth } from "./shared/context/AuthContext";
 import Login from "./features/auth/Login";
+import ForgotPassword from "./features/auth/ForgotPassword";
+import ResetPassword from "./features/auth/ResetPassword";
+import VerifyEmail from "./features/auth/VerifyEmail";
 import Register from "./features/register/Register";
 import Dashboard from "./features/dashboard/Dashboard";
 import ProfileSetup from "./features/profile/ProfileSetup";
@@ -19,8 +22,12 @@ import Profile from "./features/profile/Profile";
 import EditProfile from "./features/profile/EditProfile";
 import Events from "./features/events/Events";
 import CreateEvent from "./features/events/CreateEvent";
+import ImportEvents from "./features/events/ImportEvents";
 import EditEvent from "./features/events/EditEvent";
 import EventDetail from "./features/events/EventDetail";
+import EventRoster from "./features/events/EventRoster";
+import TicketScanner from "./features/events/TicketScanner";
+import AdminConsole from "./features/admin/AdminConsole";
 
 // Wrapper that restricts access to authenticated users
 const ProtectedRoute = ({ children }) => {
@@ -65,6 +72,17 @@ function App() {
               </AuthRoute>
             }
           />
+          <Route
+            path="/forgot-password"
+            element={
+              <AuthRoute>
+                <ForgotPassword />
+              </AuthRoute>
+            }
+          />
+          {/* Emailed links, which work whether or not the user is signed in */}
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
           <Route
             path="/dashboard"
             element={
@@ -113,6 +131,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/events/import"
+            element={
+              <ProtectedRoute>
+                <ImportEvents />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/events/edit/:id"
             element={
@@ -121,6 +147,22 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/events/:id/roster"
+            element={
+              <ProtectedRoute>
+                <EventRoster />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/events/:id/scan"
+            element={
+              <ProtectedRoute>
+                <TicketScanner />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/events/:id"
             element={
@@ -129,6 +171,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/admin"
+            element={
+              <ProtectedRoute>
+                <AdminConsole />
+              </ProtectedRoute>
+            }
+          />
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
         </Routes>
       </Router>
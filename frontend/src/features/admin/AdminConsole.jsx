@@ -0,0 +1,117 @@
+/*
+ * AdminConsole component
+ * Moderation console for platform administrators: platform statistics,
+ * user accounts (deactivate, verify organizers), organizer verification
+ * requests and events (hide, force-cancel). Other roles are sent back to the dashboard.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../../shared/context/AuthContext';
+import adminService from '../../shared/services/adminService';
+import Navbar from '../../shared/components/Navbar';
+import AdminUsersPanel from './AdminUsersPanel';
+import AdminEventsPanel from './AdminEventsPanel';
+import AdminVerificationsPanel from './AdminVerificationsPanel';
+import './AdminConsole.css';
+
+const TABS = [
+  { id: 'users', label: 'Users' },
+  { id: 'verifications', label: 'Verifications' },
+  { id: 'events', label: 'Events' },
+];
+
+function AdminConsole() {
+  const { user } = useAuth();
+  const [stats, setStats] = useState(null);
+  const [activeTab, setActiveTab] = useState('users');
+  const [error, setError] = useState('');
+
+  const isAdmin = user?.role === 'admin';
+
+  const fetchStats = useCallback(async () => {
+    try {
+      setStats(await adminService.getStats(user.token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load statistics');
+    }
+  }, [user?.token]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchStats();
+    }
+  }, [isAdmin, fetchStats]);
+
+  if (!isAdmin) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const statCards = stats
+    ? [
+        { label: 'Users', value: stats.users.total, detail: `${stats.users.inactive} deactivated` },
+        { label: 'Donors', value: stats.users.byRole.donor },
+        {
+          label: 'Organizers',
+          value: stats.users.byRole.organizer,
+          detail: `${stats.users.unverifiedOrganizers} unverified`,
+        },
+        { label: 'Pending Verifications', value: stats.users.pendingVerifications },
+        { label: 'Organizations', value: stats.organizations },
+        {
+          label: 'Active Events',
+          value: stats.events.byStatus.upcoming + stats.events.byStatus.ongoing,
+          detail: `${stats.events.total} in total`,
+        },
+        { label: 'Hidden Events', value: stats.events.hidden },
+        { label: 'Registrations', value: stats.registrations.registered || 0 },
+        {
+          label: 'Donations',
+          value: stats.donations.completed,
+          detail: `${stats.donations.deferred} deferred`,
+        },
+      ]
+    : [];
+
+  return (
+    <div className="admin-page">
+      <Navbar />
+
+      <div className="admin-container">
+        <h1 className="admin-title">Admin Console</h1>
+        <p className="admin-subtitle">Moderate accounts and events across the platform.</p>
+
+        {error && <div className="admin-alert error">{error}</div>}
+
+        <div className="admin-stats">
+          {statCards.map((card) => (
+            <div key={card.label} className="admin-stat-card">
+              <span className="admin-stat-value">{card.value}</span>
+              <span className="admin-stat-label">{card.label}</span>
+              {card.detail && <span className="admin-stat-detail">{card.detail}</span>}
+            </div>
+          ))}
+        </div>
+
+        <div className="admin-tabs">
+          {TABS.map((tab) => (
+            <button
+              key={tab.id}
+              className={`admin-tab ${activeTab === tab.id ? 'active' : ''}`}
+              onClick={() => setActiveTab(tab.id)}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'users' && (
+          <AdminUsersPanel token={user.token} currentUserId={user._id} onChange={fetchStats} />
+        )}
+        {activeTab === 'verifications' && <AdminVerificationsPanel token={user.token} onChange={fetchStats} />}
+        {activeTab === 'events' && <AdminEventsPanel token={user.token} onChange={fetchStats} />}
+      </div>
+    </div>
+  );
+}
+
+export default AdminConsole;
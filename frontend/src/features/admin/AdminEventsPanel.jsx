@@ -0,0 +1,204 @@
+/*
+ * AdminEventsPanel component
+ * Searchable list of every event (hidden and cancelled ones included) for
+ * the admin console: hide inappropriate events from the public, show them
+ * again, or force-cancel them with a reason that is emailed to the donors.
+ */
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaCheckCircle, FaEyeSlash } from 'react-icons/fa';
+import adminService from '../../shared/services/adminService';
+import { formatEventTimeRange } from '../../shared/utils/eventSchedule';
+
+const PAGE_SIZE = 20;
+
+/**
+ * @param {string} token - Admin's auth token
+ * @param {Function} onChange - Called after an event was changed
+ */
+function AdminEventsPanel({ token, onChange }) {
+  const navigate = useNavigate();
+  const [filters, setFilters] = useState({ search: '', status: '', hidden: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ events: [], totalPages: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchEvents = async () => {
+      try {
+        setLoading(true);
+        const response = await adminService.getEvents({ ...filters, page, limit: PAGE_SIZE }, token);
+        if (isMounted) {
+          setData(response);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError(err.response?.data?.message || 'Failed to load events');
+        }
+      } finally {
+        if (isMounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    // Wait for the admin to stop typing before searching
+    const timer = setTimeout(fetchEvents, 300);
+
+    return () => {
+      isMounted = false;
+      clearTimeout(timer);
+    };
+  }, [filters, page, token, refreshKey]);
+
+  const handleFilterChange = (e) => {
+    setFilters((current) => ({ ...current, [e.target.name]: e.target.value }));
+    setPage(1);
+  };
+
+  // Runs a moderation request, then reloads the list and the statistics
+  const runAction = async (action) => {
+    try {
+      setError('');
+      const response = await action();
+      setMessage(response.message);
+      setRefreshKey((key) => key + 1);
+      onChange();
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.message || 'Something went wrong, please try again');
+    }
+  };
+
+  const handleHide = (event) => {
+    const reason = window.prompt(`Why is "${event.eventTitle}" being hidden? The organizer will see this reason.`);
+
+    if (reason && reason.trim()) {
+      runAction(() => adminService.updateEventVisibility(event._id, true, reason.trim(), token));
+    }
+  };
+
+  const handleForceCancel = (event) => {
+    const reason = window.prompt(
+      `Cancel "${event.eventTitle}"? Registered donors are emailed this reason and their registrations are released.`
+    );
+
+    if (reason && reason.trim()) {
+      runAction(() => adminService.cancelEvent(event._id, reason.trim(), token));
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-filters">
+        <input
+          type="text"
+          name="search"
+          value={filters.search}
+          onChange={handleFilterChange}
+          placeholder="Search title, location or organization"
+        />
+        <select name="status" value={filters.status} onChange={handleFilterChange}>
+          <option value="">Any status</option>
+          <option value="upcoming">Upcoming</option>
+          <option value="ongoing">Ongoing</option>
+          <option value="completed">Completed</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+        <select name="hidden" value={filters.hidden} onChange={handleFilterChange}>
+          <option value="">Hidden and visible</option>
+          <option value="true">Hidden only</option>
+          <option value="false">Visible only</option>
+        </select>
+      </div>
+
+      {message && <div className="admin-alert success">{message}</div>}
+      {error && <div className="admin-alert error">{error}</div>}
+
+      <div className="admin-table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Event</th>
+              <th>Organizer</th>
+              <th>When</th>
+              <th>Status</th>
+              <th aria-label="Actions" />
+            </tr>
+          </thead>
+          <tbody>
+            {data.events.map((event) => (
+              <tr key={event._id} className={event.isHidden ? 'inactive' : ''}>
+                <td>
+                  <button type="button" className="admin-link" onClick={() => navigate(`/events/${event._id}`)}>
+                    {event.eventTitle}
+                  </button>
+                  <span className="admin-cell-detail">{event.location}</span>
+                  {event.isHidden && (
+                    <span className="admin-cell-detail">
+                      <FaEyeSlash /> Hidden: {event.hiddenReason}
+                    </span>
+                  )}
+                </td>
+                <td>
+                  {event.organizer?.fullName || 'Unknown'}
+                  {event.organizer?.isVerifiedOrganizer && (
+                    <FaCheckCircle className="admin-verified-icon" title="Verified organizer" />
+                  )}
+                  <span className="admin-cell-detail">{event.organizationName}</span>
+                </td>
+                <td>
+                  {new Date(event.startsAt).toLocaleDateString()}
+                  <span className="admin-cell-detail">{formatEventTimeRange(event)}</span>
+                </td>
+                <td className="admin-capitalize">{event.status}</td>
+                <td className="admin-actions">
+                  {event.isHidden ? (
+                    <button
+                      type="button"
+                      className="admin-action-btn"
+                      onClick={() => runAction(() => adminService.updateEventVisibility(event._id, false, '', token))}
+                    >
+                      Unhide
+                    </button>
+                  ) : (
+                    <button type="button" className="admin-action-btn" onClick={() => handleHide(event)}>
+                      Hide
+                    </button>
+                  )}
+                  {(event.status === 'upcoming' || event.status === 'ongoing') && (
+                    <button type="button" className="admin-action-btn danger" onClick={() => handleForceCancel(event)}>
+                      Cancel
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && data.events.length === 0 && <p className="admin-empty">No events match these filters.</p>}
+      </div>
+
+      {data.totalPages > 1 && (
+        <div className="admin-pagination">
+          <button type="button" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+            Previous
+          </button>
+          <span>
+            Page {page} of {data.totalPages} ({data.total} events)
+          </span>
+          <button type="button" onClick={() => setPage(page + 1)} disabled={page >= data.totalPages}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminEventsPanel;
@@ -0,0 +1,186 @@
+/*
+ * AdminUsersPanel component
+ * Searchable user list for the admin console with account deactivation and
+ * organizer verification.
+ */
+import React, { useState, useEffect } from 'react';
+import { FaCheckCircle } from 'react-icons/fa';
+import adminService from '../../shared/services/adminService';
+
+const PAGE_SIZE = 20;
+
+/**
+ * @param {string} token - Admin's auth token
+ * @param {string} currentUserId - The admin's own id (cannot be deactivated)
+ * @param {Function} onChange - Called after an account was changed
+ */
+function AdminUsersPanel({ token, currentUserId, onChange }) {
+  const [filters, setFilters] = useState({ search: '', role: '', status: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ users: [], totalPages: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchUsers = async () => {
+      try {
+        setLoading(true);
+        const response = await adminService.getUsers({ ...filters, page, limit: PAGE_SIZE }, token);
+        if (isMounted) {
+          setData(response);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError(err.response?.data?.message || 'Failed to load users');
+        }
+      } finally {
+        if (isMounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    // Wait for the admin to stop typing before searching
+    const timer = setTimeout(fetchUsers, 300);
+
+    return () => {
+      isMounted = false;
+      clearTimeout(timer);
+    };
+  }, [filters, page, token]);
+
+  const handleFilterChange = (e) => {
+    setFilters((current) => ({ ...current, [e.target.name]: e.target.value }));
+    setPage(1);
+  };
+
+  // Swap the changed user into the list
+  const runAction = async (action) => {
+    try {
+      setError('');
+      const response = await action();
+      setData((current) => ({
+        ...current,
+        users: current.users.map((entry) => (entry._id === response.user._id ? response.user : entry)),
+      }));
+      setMessage(response.message);
+      onChange();
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.message || 'Something went wrong, please try again');
+    }
+  };
+
+  const handleToggleActive = (account) => {
+    const confirmed =
+      !account.isActive ||
+      window.confirm(`Deactivate ${account.fullName}? They will be signed out and cannot sign in again.`);
+
+    if (confirmed) {
+      runAction(() => adminService.updateUserStatus(account._id, !account.isActive, token));
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-filters">
+        <input
+          type="text"
+          name="search"
+          value={filters.search}
+          onChange={handleFilterChange}
+          placeholder="Search name or email"
+        />
+        <select name="role" value={filters.role} onChange={handleFilterChange}>
+          <option value="">All roles</option>
+          <option value="donor">Donors</option>
+          <option value="organizer">Organizers</option>
+          <option value="admin">Admins</option>
+        </select>
+        <select name="status" value={filters.status} onChange={handleFilterChange}>
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="inactive">Deactivated</option>
+        </select>
+      </div>
+
+      {message && <div className="admin-alert success">{message}</div>}
+      {error && <div className="admin-alert error">{error}</div>}
+
+      <div className="admin-table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Joined</th>
+              <th aria-label="Actions" />
+            </tr>
+          </thead>
+          <tbody>
+            {data.users.map((account) => (
+              <tr key={account._id} className={account.isActive ? '' : 'inactive'}>
+                <td>
+                  {account.fullName}
+                  {account.isVerifiedOrganizer && (
+                    <FaCheckCircle className="admin-verified-icon" title="Verified organizer" />
+                  )}
+                </td>
+                <td>{account.email}</td>
+                <td className="admin-capitalize">{account.role}</td>
+                <td>{account.isActive ? 'Active' : 'Deactivated'}</td>
+                <td>{new Date(account.createdAt).toLocaleDateString()}</td>
+                <td className="admin-actions">
+                  {account.role === 'organizer' && (
+                    <button
+                      type="button"
+                      className="admin-action-btn"
+                      onClick={() =>
+                        runAction(() =>
+                          adminService.updateOrganizerVerification(account._id, !account.isVerifiedOrganizer, token)
+                        )
+                      }
+                    >
+                      {account.isVerifiedOrganizer ? 'Unverify' : 'Verify'}
+                    </button>
+                  )}
+                  {account._id !== currentUserId && (
+                    <button
+                      type="button"
+                      className={`admin-action-btn ${account.isActive ? 'danger' : ''}`}
+                      onClick={() => handleToggleActive(account)}
+                    >
+                      {account.isActive ? 'Deactivate' : 'Reactivate'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && data.users.length === 0 && <p className="admin-empty">No users match these filters.</p>}
+      </div>
+
+      {data.totalPages > 1 && (
+        <div className="admin-pagination">
+          <button type="button" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+            Previous
+          </button>
+          <span>
+            Page {page} of {data.totalPages} ({data.total} users)
+          </span>
+          <button type="button" onClick={() => setPage(page + 1)} disabled={page >= data.totalPages}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminUsersPanel;
@@ -0,0 +1,178 @@
+/*
+ * AdminVerificationsPanel component
+ * Organizer verification queue for the admin console: check each request's
+ * registration number, contact person and documents, then approve it or
+ * reject it with notes for the organizer. Reviewed requests can be browsed
+ * by status.
+ */
+import React, { useState, useEffect } from 'react';
+import adminService from '../../shared/services/adminService';
+
+const PAGE_SIZE = 20;
+
+/**
+ * @param {string} token - Admin's auth token
+ * @param {Function} onChange - Called after a request was reviewed
+ */
+function AdminVerificationsPanel({ token, onChange }) {
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ verifications: [], totalPages: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [notes, setNotes] = useState({});
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchVerifications = async () => {
+      try {
+        setLoading(true);
+        const response = await adminService.getVerifications({ status, page, limit: PAGE_SIZE }, token);
+        if (isMounted) {
+          setData(response);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError(err.response?.data?.message || 'Failed to load verification requests');
+        }
+      } finally {
+        if (isMounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchVerifications();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [status, page, token]);
+
+  const handleReview = async (verification, decision) => {
+    try {
+      setError('');
+      const response = await adminService.reviewVerification(
+        verification._id,
+        decision,
+        notes[verification._id] || '',
+        token
+      );
+      // Reviewed requests leave the pending queue
+      setData((current) => ({
+        ...current,
+        total: current.total - 1,
+        verifications: current.verifications.filter((entry) => entry._id !== verification._id),
+      }));
+      setMessage(response.message);
+      onChange();
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.message || 'Something went wrong, please try again');
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-filters">
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+        >
+          <option value="pending">Waiting for review</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+        </select>
+      </div>
+
+      {message && <div className="admin-alert success">{message}</div>}
+      {error && <div className="admin-alert error">{error}</div>}
+
+      <div className="admin-verifications">
+        {data.verifications.map((verification) => (
+          <div key={verification._id} className="admin-verification-card">
+            <div className="admin-verification-header">
+              <div>
+                <strong>{verification.organizationName}</strong>
+                <span className="admin-cell-detail">
+                  Registration no. {verification.registrationNumber} - sent{' '}
+                  {new Date(verification.createdAt).toLocaleDateString()}
+                </span>
+              </div>
+              <span className="admin-cell-detail">
+                {verification.organizer?.fullName} ({verification.organizer?.email})
+              </span>
+            </div>
+
+            <p className="admin-verification-contact">
+              Contact: {verification.contactPerson?.name}, {verification.contactPerson?.phone}
+              {verification.contactPerson?.email && `, ${verification.contactPerson.email}`}
+            </p>
+
+            <div className="admin-verification-documents">
+              {verification.documents.map((document) => (
+                <a key={document.url} href={document.url} target="_blank" rel="noopener noreferrer">
+                  <img src={document.url} alt={document.fileName || 'Verification document'} />
+                </a>
+              ))}
+            </div>
+
+            {verification.status === 'pending' ? (
+              <div className="admin-verification-review">
+                <textarea
+                  value={notes[verification._id] || ''}
+                  onChange={(e) => setNotes((current) => ({ ...current, [verification._id]: e.target.value }))}
+                  placeholder="Notes for the organizer (required when rejecting)"
+                  rows={2}
+                />
+                <div className="admin-actions">
+                  <button type="button" className="admin-action-btn" onClick={() => handleReview(verification, 'approve')}>
+                    Approve
+                  </button>
+                  <button
+                    type="button"
+                    className="admin-action-btn danger"
+                    onClick={() => handleReview(verification, 'reject')}
+                  >
+                    Reject
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="admin-cell-detail">
+                {verification.status === 'approved' ? 'Approved' : 'Rejected'} by{' '}
+                {verification.reviewedBy?.fullName || 'an admin'} on{' '}
+                {new Date(verification.reviewedAt).toLocaleDateString()}
+                {verification.reviewNotes && `: ${verification.reviewNotes}`}
+              </p>
+            )}
+          </div>
+        ))}
+        {!loading && data.verifications.length === 0 && (
+          <p className="admin-empty">No verification requests here.</p>
+        )}
+      </div>
+
+      {data.totalPages > 1 && (
+        <div className="admin-pagination">
+          <button type="button" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+            Previous
+          </button>
+          <span>
+            Page {page} of {data.totalPages} ({data.total} requests)
+          </span>
+          <button type="button" onClick={() => setPage(page + 1)} disabled={page >= data.totalPages}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminVerificationsPanel;
@@ -0,0 +1,89 @@
+/*
+ * ForgotPassword page component
+ * Asks for the account's email and sends a single-use password reset link.
+ * The confirmation is the same whether or not the email is registered.
+ */
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import authService from '../../shared/services/authService';
+import './Login.css';
+
+function ForgotPassword() {
+  const [localError, setLocalError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    defaultValues: {
+      email: '',
+    },
+  });
+
+  const onSubmit = async (data) => {
+    setLocalError('');
+
+    try {
+      setIsLoading(true);
+      const response = await authService.forgotPassword(data.email);
+      setMessage(response.message);
+    } catch (error) {
+      setLocalError(error.response?.data?.message || 'Something went wrong, please try again');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1 className="title">Blood Donation Map</h1>
+        <h2 className="subtitle">Forgot Password</h2>
+
+        {localError && <div className="error-message">{localError}</div>}
+
+        {message ? (
+          <div className="success-message">{message}. Check your inbox and follow the link within an hour.</div>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)}>
+            <p className="auth-hint">Enter the email you registered with and we will send you a link to choose a new password.</p>
+
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                placeholder="Enter your email"
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
+                    message: 'Please enter a valid email address',
+                  },
+                })}
+              />
+              {errors.email && <span className="error-text">{errors.email.message}</span>}
+            </div>
+
+            <button type="submit" className="btn-login" disabled={isLoading}>
+              {isLoading ? 'SENDING...' : 'SEND RESET LINK'}
+            </button>
+          </form>
+        )}
+
+        <p className="auth-link">
+          Remembered it?{' '}
+          <Link to="/login" className="link">
+            Back to login
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
@@ -87,6 +87,10 @@ function Login() {
             {errors.password && <span className="error-text">{errors.password.message}</span>}
           </div>
 
+          <Link to="/forgot-password" className="link forgot-password-link">
+            Forgot your password?
+          </Link>
+
           <button type="submit" className="btn-login" disabled={isLoading}>
             {isLoading ? 'LOGGING IN...' : 'LOGIN'}
           </button>
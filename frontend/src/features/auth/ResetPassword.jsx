@@ -0,0 +1,114 @@
+/*
+ * ResetPassword page component
+ * Opened from the emailed reset link (?token=...): sets a new password.
+ * Links work once and expire, so a failed reset offers a new link.
+ */
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import authService from '../../shared/services/authService';
+import './Login.css';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [localError, setLocalError] = useState(token ? '' : 'This reset link is incomplete. Please ask for a new one.');
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    defaultValues: {
+      password: '',
+      confirmPassword: '',
+    },
+  });
+
+  const onSubmit = async (data) => {
+    setLocalError('');
+
+    try {
+      setIsLoading(true);
+      const response = await authService.resetPassword(token, data.password);
+      setMessage(response.message);
+    } catch (error) {
+      setLocalError(error.response?.data?.message || 'Something went wrong, please try again');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1 className="title">Blood Donation Map</h1>
+        <h2 className="subtitle">Choose a New Password</h2>
+
+        {localError && <div className="error-message">{localError}</div>}
+
+        {message ? (
+          <>
+            <div className="success-message">{message}</div>
+            <Link to="/login" className="btn-login btn-link">
+              LOGIN
+            </Link>
+          </>
+        ) : (
+          token && (
+            <form onSubmit={handleSubmit(onSubmit)}>
+              <div className="form-group">
+                <label htmlFor="password">New password</label>
+                <input
+                  type="password"
+                  id="password"
+                  placeholder="At least 6 characters"
+                  {...register('password', {
+                    required: 'Password is required',
+                    minLength: {
+                      value: 6,
+                      message: 'Password must be at least 6 characters',
+                    },
+                  })}
+                />
+                {errors.password && <span className="error-text">{errors.password.message}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="confirmPassword">Confirm new password</label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  placeholder="Repeat the new password"
+                  {...register('confirmPassword', {
+                    required: 'Please confirm your password',
+                    validate: (value) => value === watch('password') || 'Passwords do not match',
+                  })}
+                />
+                {errors.confirmPassword && <span className="error-text">{errors.confirmPassword.message}</span>}
+              </div>
+
+              <button type="submit" className="btn-login" disabled={isLoading}>
+                {isLoading ? 'SAVING...' : 'SET PASSWORD'}
+              </button>
+            </form>
+          )
+        )}
+
+        {!message && (
+          <p className="auth-link">
+            Link expired?{' '}
+            <Link to="/forgot-password" className="link">
+              Send a new one
+            </Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
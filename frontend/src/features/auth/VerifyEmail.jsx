@@ -0,0 +1,67 @@
+/*
+ * VerifyEmail page component
+ * Opened from the link emailed at registration (?token=...): confirms the
+ * email address and refreshes the profile when the user is signed in.
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../shared/context/AuthContext';
+import authService from '../../shared/services/authService';
+import './Login.css';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, refreshProfile } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This confirmation link is incomplete.');
+  const hasSubmitted = useRef(false);
+
+  useEffect(() => {
+    // Links are single-use, so the token is only sent once
+    if (!token || hasSubmitted.current) {
+      return;
+    }
+
+    hasSubmitted.current = true;
+
+    const confirmEmail = async () => {
+      try {
+        const response = await authService.verifyEmail(token);
+        setStatus('verified');
+        setMessage(response.message);
+        refreshProfile();
+      } catch (error) {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Something went wrong, please try again');
+      }
+    };
+
+    confirmEmail();
+  }, [token, refreshProfile]);
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1 className="title">Blood Donation Map</h1>
+        <h2 className="subtitle">Email Confirmation</h2>
+
+        {status === 'verifying' && <p className="auth-hint">Confirming your email address...</p>}
+        {status === 'verified' && <div className="success-message">{message}</div>}
+        {status === 'failed' && (
+          <div className="error-message">
+            {message} {user ? 'You can send a new link from your profile.' : 'Log in to send a new link from your profile.'}
+          </div>
+        )}
+
+        <p className="auth-link">
+          <Link to={user ? '/profile' : '/login'} className="link">
+            {user ? 'Go to your profile' : 'Go to login'}
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
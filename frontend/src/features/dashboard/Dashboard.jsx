@@ -5,15 +5,23 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../../shared/context/AuthContext';
 import { useNavigate } from 'react-router-dom';
-import { FaSearch, FaMapMarkerAlt, FaClock, FaUsers, FaCalendarAlt } from 'react-icons/fa';
+import { FaSearch, FaMapMarkerAlt, FaClock, FaUsers, FaCalendarAlt, FaThLarge, FaMapMarkedAlt, FaCheckCircle } from 'react-icons/fa';
 import ProfileCompleteModal from '../../shared/components/ProfileCompleteModal';
+import { formatDistanceLabel } from '../../shared/components/LocationMap';
 import profileService from '../../shared/services/profileService';
 import eventService from '../../shared/services/eventService';
 import Navbar from '../../shared/components/Navbar';
+import { BLOOD_TYPES, getDonorMatch } from '../../shared/utils/bloodCompatibility';
+import {
+  formatEventDateRange,
+  formatEventTimeRange,
+  getBrowserTimeZone,
+} from '../../shared/utils/eventSchedule';
+import EventsMap from './EventsMap';
 import './Dashboard.css';
 
-const BLOOD_TYPES = ['O+', 'O-', 'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-'];
 const PAGE_SIZE = 6;
+const DISTANCE_OPTIONS_KM = [5, 10, 25, 50];
 
 function Dashboard() {
   const { user } = useAuth();
@@ -25,6 +33,9 @@ function Dashboard() {
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedBloodType, setSelectedBloodType] = useState('');
   const [selectedDate, setSelectedDate] = useState('');
+  const [selectedRadius, setSelectedRadius] = useState('');
+  const [homeCoordinates, setHomeCoordinates] = useState(null);
+  const [viewMode, setViewMode] = useState('list');
   const [currentPage, setCurrentPage] = useState(1);
   const [hasMore, setHasMore] = useState(false);
   const [eventsLoading, setEventsLoading] = useState(false);
@@ -40,6 +51,12 @@ function Dashboard() {
       if (!data.isProfileComplete) {
         setShowModal(true);
       }
+
+      // Saved profile coordinates power the "near me" distance filter
+      const coordinates = data.location?.coordinates;
+      if (typeof coordinates?.lat === 'number' && typeof coordinates?.lng === 'number') {
+        setHomeCoordinates({ lat: coordinates.lat, lng: coordinates.lng });
+      }
     } catch (error) {
       console.error('Failed to fetch profile:', error);
     } finally {
@@ -75,8 +92,16 @@ function Dashboard() {
         filters.bloodType = selectedBloodType;
       }
 
+      // The date is a day in the donor's own time zone
       if (selectedDate) {
         filters.date = selectedDate;
+        filters.timeZone = getBrowserTimeZone();
+      }
+
+      if (selectedRadius && homeCoordinates) {
+        filters.lat = homeCoordinates.lat;
+        filters.lng = homeCoordinates.lng;
+        filters.radius = selectedRadius;
       }
 
       const data = await eventService.getAllEvents(filters);
@@ -101,7 +126,7 @@ function Dashboard() {
     } finally {
       setEventsLoading(false);
     }
-  }, [searchQuery, selectedBloodType, selectedDate]);
+  }, [searchQuery, selectedBloodType, selectedDate, selectedRadius, homeCoordinates]);
 
   useEffect(() => {
     checkProfileCompletion();
@@ -120,13 +145,18 @@ function Dashboard() {
     setCurrentPage(1);
   };
 
+  const handleRadiusFilter = (radius) => {
+    setSelectedRadius(radius === selectedRadius ? '' : radius);
+    setCurrentPage(1);
+  };
+
   useEffect(() => {
     if (filtersInitialized.current) {
       fetchEvents(1, false);
     } else {
       filtersInitialized.current = true;
     }
-  }, [selectedBloodType, selectedDate, fetchEvents]);
+  }, [selectedBloodType, selectedDate, selectedRadius, fetchEvents]);
 
   const handleLoadMore = () => {
     fetchEvents(currentPage + 1, true);
@@ -154,23 +184,6 @@ function Dashboard() {
     navigate('/profile-setup');
   };
 
-  const formatDate = (dateValue) => {
-    if (!dateValue) {
-      return 'TBA';
-    }
-
-    const date = new Date(dateValue);
-    if (Number.isNaN(date.getTime())) {
-      return 'TBA';
-    }
-
-    return date.toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric',
-    });
-  };
-
   const getStatusClass = (status) => {
     switch (status) {
       case 'upcoming':
@@ -276,16 +289,61 @@ function Dashboard() {
                 </button>
               ))}
             </div>
+            <p className="filter-hint">Shows events that need this type or welcome compatible donors of it.</p>
           </div>
+
+          {/* Distance Filter (uses the location saved in the user's profile) */}
+          {homeCoordinates && (
+            <div className="filter-section distance-filter-section">
+              <p className="filter-label">Within distance of your location:</p>
+              <div className="blood-type-filters">
+                {DISTANCE_OPTIONS_KM.map((radius) => (
+                  <button
+                    key={radius}
+                    className={`blood-type-filter-btn distance-filter-btn ${selectedRadius === radius ? 'active' : ''}`}
+                    onClick={() => handleRadiusFilter(radius)}
+                  >
+                    {radius} km
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* All Events Section */}
         <div className="events-section">
-          <h2 className="section-title">
-            {searchQuery || selectedBloodType ? 'Search Results' : 'All Events'}
-          </h2>
+          <div className="events-section-header">
+            <h2 className="section-title">
+              {searchQuery || selectedBloodType || selectedRadius ? 'Search Results' : 'All Events'}
+            </h2>
+
+            {/* List / Map view toggle */}
+            <div className="view-mode-toggle">
+              <button
+                type="button"
+                className={`view-mode-btn ${viewMode === 'list' ? 'active' : ''}`}
+                onClick={() => setViewMode('list')}
+              >
+                <FaThLarge /> List
+              </button>
+              <button
+                type="button"
+                className={`view-mode-btn ${viewMode === 'map' ? 'active' : ''}`}
+                onClick={() => setViewMode('map')}
+              >
+                <FaMapMarkedAlt /> Map
+              </button>
+            </div>
+          </div>
 
-          {eventsLoading && currentPage === 1 ? (
+          {viewMode === 'map' ? (
+            <EventsMap
+              filters={{ search: searchQuery, bloodType: selectedBloodType, date: selectedDate }}
+              homeCoordinates={homeCoordinates}
+              onViewEvent={handleViewEvent}
+            />
+          ) : eventsLoading && currentPage === 1 ? (
             <div className="loading">Loading events...</div>
           ) : events.length === 0 ? (
             <div className="no-events">
@@ -303,20 +361,28 @@ function Dashboard() {
                       </span>
                     </div>
 
-                    <p className="event-organization">{event.organizationName}</p>
+                    <p className="event-organization">
+                      {event.organizationName}
+                      {event.organizer?.isVerifiedOrganizer ? (
+                        <span className="organizer-verified" title="Verified organizer">
+                          <FaCheckCircle /> Verified
+                        </span>
+                      ) : (
+                        <span className="organizer-unverified">Unverified organizer</span>
+                      )}
+                    </p>
 
                     <div className="event-details">
                       <div className="event-detail-item">
                         <FaCalendarAlt className="detail-icon" />
                         <span>
-                          {formatDate(event.startDate || event.eventDate)}
-                          {event.endDate && new Date(event.endDate).toDateString() !== new Date(event.startDate || event.eventDate).toDateString() && ` - ${formatDate(event.endDate)}`}
+                          {formatEventDateRange(event)}
                         </span>
                       </div>
 
                       <div className="event-detail-item">
                         <FaClock className="detail-icon" />
-                        <span>{event.eventTime}</span>
+                        <span>{formatEventTimeRange(event)}</span>
                       </div>
 
                       <div className="event-detail-item">
@@ -324,6 +390,9 @@ function Dashboard() {
                         <span className="location-text">
                           {event.location?.split(',').slice(0, 2).join(',').trim() || event.location}
                         </span>
+                        {typeof event.distanceKm === 'number' && (
+                          <span className="distance-chip">{formatDistanceLabel(event.distanceKm)} away</span>
+                        )}
                       </div>
                     </div>
 
@@ -336,6 +405,13 @@ function Dashboard() {
                           </span>
                         ))}
                       </div>
+                      {event.bloodTypeMatching === 'compatible' && (
+                        <p className="blood-match-note">
+                          {getDonorMatch(event, selectedBloodType) === 'compatible'
+                            ? `${selectedBloodType} donors are compatible`
+                            : 'Compatible donors welcome'}
+                        </p>
+                      )}
                     </div>
 
                     <div className="event-participants">
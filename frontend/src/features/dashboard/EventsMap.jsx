@@ -0,0 +1,385 @@
+/*
+ * EventsMap component
+ * Full-screen capable Leaflet map of events for the Dashboard. Loads pins and
+ * server-side clusters for the visible viewport and keeps them in sync with
+ * the Dashboard search, blood type and date filters.
+ */
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import { FaCalendarAlt, FaClock, FaUsers, FaExpand, FaCompress } from 'react-icons/fa';
+import L from 'leaflet';
+import { computeDistanceKm, formatDistanceLabel } from '../../shared/components/LocationMap';
+import eventService from '../../shared/services/eventService';
+import { getDonorMatch } from '../../shared/utils/bloodCompatibility';
+import {
+  formatEventDateRange,
+  formatEventTimeRange,
+  getBrowserTimeZone,
+} from '../../shared/utils/eventSchedule';
+import './EventsMap.css';
+
+const DEFAULT_CENTER = [27.7172, 85.324]; // Kathmandu
+const DEFAULT_ZOOM = 12;
+const FETCH_DEBOUNCE_MS = 300;
+
+const URGENCY_LABELS = {
+  high: 'Urgent',
+  medium: 'Needs donors',
+  low: 'Filling up / full',
+};
+
+/*
+ * getEventUrgency
+ * 'high' when an event starts within 3 days and is under half full, or needs
+ * O- (universal donor) blood; 'medium' when it starts within a week and is
+ * under 80% full; otherwise 'low'.
+ */
+const getEventUrgency = (event) => {
+  const capacity = event.expectedCapacity || 0;
+  const fillRatio = capacity > 0 ? (event.currentAttendees || 0) / capacity : 1;
+  const daysUntilStart = (new Date(event.startsAt) - new Date()) / (1000 * 60 * 60 * 24);
+
+  if (fillRatio >= 1) {
+    return 'low';
+  }
+
+  if ((daysUntilStart <= 3 && fillRatio < 0.5) || event.bloodTypesNeeded?.includes('O-')) {
+    return 'high';
+  }
+
+  if (daysUntilStart <= 7 && fillRatio < 0.8) {
+    return 'medium';
+  }
+
+  return 'low';
+};
+
+// Short marker label such as "A+" or "O- +2" summarizing blood types needed
+const getBloodTypeLabel = (bloodTypes = []) => {
+  if (bloodTypes.length === 0) {
+    return '?';
+  }
+
+  return bloodTypes.length === 1
+    ? bloodTypes[0]
+    : `${bloodTypes[0]} +${bloodTypes.length - 1}`;
+};
+
+const buildEventIcon = (event) =>
+  L.divIcon({
+    className: 'events-map-marker-wrapper',
+    html: `<div class="events-map-marker urgency-${getEventUrgency(event)}"><span>${getBloodTypeLabel(event.bloodTypesNeeded)}</span></div>`,
+    iconSize: [44, 44],
+    iconAnchor: [22, 44],
+    popupAnchor: [0, -40],
+  });
+
+const buildClusterIcon = (cluster) => {
+  const size = Math.min(72, 36 + Math.round(Math.log2(cluster.count) * 6));
+
+  return L.divIcon({
+    className: 'events-map-marker-wrapper',
+    html: `<div class="events-map-cluster" style="width:${size}px;height:${size}px"><span>${cluster.count}</span></div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+};
+
+const homeIcon = L.divIcon({
+  className: 'events-map-marker-wrapper',
+  html: '<div class="events-map-home" title="Your saved location"></div>',
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+});
+
+// Reports the current viewport (bounds + zoom) whenever the map settles
+function ViewportWatcher({ onViewportChange }) {
+  const map = useMap();
+
+  const reportViewport = useCallback(() => {
+    const bounds = map.getBounds();
+    onViewportChange({
+      north: bounds.getNorth(),
+      south: bounds.getSouth(),
+      east: bounds.getEast(),
+      west: bounds.getWest(),
+      zoom: map.getZoom(),
+    });
+  }, [map, onViewportChange]);
+
+  useMapEvents({
+    moveend: reportViewport,
+  });
+
+  useEffect(() => {
+    reportViewport();
+  }, [reportViewport]);
+
+  return null;
+}
+
+// Leaflet needs to re-measure its container after toggling full-screen mode
+function SizeInvalidator({ trigger }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => map.invalidateSize(), 50);
+    return () => clearTimeout(timeoutId);
+  }, [map, trigger]);
+
+  return null;
+}
+
+function ClusterMarker({ cluster }) {
+  const map = useMap();
+
+  // Zoom into the cluster; identical coordinates just zoom in a few levels
+  const handleClick = () => {
+    const { north, south, east, west } = cluster.bounds;
+
+    if (north === south && east === west) {
+      map.setView([cluster.center.lat, cluster.center.lng], Math.min(map.getZoom() + 3, 18));
+      return;
+    }
+
+    map.fitBounds([[south, west], [north, east]], { padding: [40, 40] });
+  };
+
+  return (
+    <Marker
+      position={[cluster.center.lat, cluster.center.lng]}
+      icon={buildClusterIcon(cluster)}
+      eventHandlers={{ click: handleClick }}
+      title={`${cluster.count} events - needs ${cluster.bloodTypesNeeded.join(', ')}`}
+    />
+  );
+}
+
+/**
+ * Events map for the Dashboard
+ *
+ * @param {Object} filters - { search, bloodType, date } as used by the card list
+ * @param {Object|null} homeCoordinates - Donor's saved location { lat, lng }
+ * @param {Function} onViewEvent - Called with an event id from a popup
+ */
+function EventsMap({ filters, homeCoordinates, onViewEvent }) {
+  const [viewport, setViewport] = useState(null);
+  const [mapData, setMapData] = useState({ clusters: [], events: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [isFullScreen, setIsFullScreen] = useState(false);
+  const requestIdRef = useRef(0);
+
+  const { search, bloodType, date } = filters;
+
+  // MapContainer only reads its center on mount, so later changes are ignored
+  const initialCenter = homeCoordinates
+    ? [homeCoordinates.lat, homeCoordinates.lng]
+    : DEFAULT_CENTER;
+
+  // Refetch pins/clusters when the viewport or any filter changes
+  useEffect(() => {
+    if (!viewport) {
+      return undefined;
+    }
+
+    const requestId = requestIdRef.current + 1;
+    requestIdRef.current = requestId;
+
+    const timeoutId = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const params = {
+          ...viewport,
+          status: 'active',
+        };
+
+        if (search?.trim()) {
+          params.search = search.trim();
+        }
+
+        if (bloodType) {
+          params.bloodType = bloodType;
+        }
+
+        if (date) {
+          params.date = date;
+          params.timeZone = getBrowserTimeZone();
+        }
+
+        const data = await eventService.getMapEvents(params);
+
+        // Ignore responses for viewports/filters that are no longer current
+        if (requestId !== requestIdRef.current) {
+          return;
+        }
+
+        setMapData({
+          clusters: data.clusters || [],
+          events: data.events || [],
+          total: data.total || 0,
+        });
+        setError('');
+      } catch (err) {
+        if (requestId === requestIdRef.current) {
+          console.error('Failed to fetch map events:', err);
+          setError(err.message || 'Failed to load events for this area');
+        }
+      } finally {
+        if (requestId === requestIdRef.current) {
+          setLoading(false);
+        }
+      }
+    }, FETCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [viewport, search, bloodType, date]);
+
+  useEffect(() => {
+    if (!isFullScreen) {
+      return undefined;
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        setIsFullScreen(false);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isFullScreen]);
+
+  const getDistanceLabel = (event) => {
+    const { lat, lng } = event.locationCoordinates || {};
+
+    if (!homeCoordinates || typeof lat !== 'number' || typeof lng !== 'number') {
+      return '';
+    }
+
+    return formatDistanceLabel(
+      computeDistanceKm(homeCoordinates.lat, homeCoordinates.lng, lat, lng)
+    );
+  };
+
+  return (
+    <div className={`events-map ${isFullScreen ? 'full-screen' : ''}`}>
+      <div className="events-map-toolbar">
+        <span className="events-map-summary">
+          {loading ? 'Loading events...' : `${mapData.total} event${mapData.total === 1 ? '' : 's'} in this area`}
+        </span>
+
+        <div className="events-map-legend">
+          {Object.entries(URGENCY_LABELS).map(([level, label]) => (
+            <span key={level} className="events-map-legend-item">
+              <span className={`events-map-legend-dot urgency-${level}`} />
+              {label}
+            </span>
+          ))}
+        </div>
+
+        <button
+          type="button"
+          className="events-map-fullscreen-btn"
+          onClick={() => setIsFullScreen((prev) => !prev)}
+          title={isFullScreen ? 'Exit full screen' : 'Full screen'}
+        >
+          {isFullScreen ? <FaCompress /> : <FaExpand />}
+        </button>
+      </div>
+
+      {error && <div className="events-map-error">{error}</div>}
+
+      <div className="events-map-canvas">
+        <MapContainer
+          center={initialCenter}
+          zoom={DEFAULT_ZOOM}
+          className="leaflet-map"
+          scrollWheelZoom={true}
+        >
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          <ViewportWatcher onViewportChange={setViewport} />
+          <SizeInvalidator trigger={isFullScreen} />
+
+          {homeCoordinates && (
+            <Marker position={[homeCoordinates.lat, homeCoordinates.lng]} icon={homeIcon}>
+              <Popup>Your saved location</Popup>
+            </Marker>
+          )}
+
+          {mapData.clusters.map((cluster) => (
+            <ClusterMarker key={cluster.id} cluster={cluster} />
+          ))}
+
+          {mapData.events.map((event) => {
+            const distanceLabel = getDistanceLabel(event);
+            const spotsRemaining = Math.max(
+              0,
+              (event.expectedCapacity || 0) - (event.currentAttendees || 0)
+            );
+
+            return (
+              <Marker
+                key={event._id}
+                position={[event.locationCoordinates.lat, event.locationCoordinates.lng]}
+                icon={buildEventIcon(event)}
+              >
+                <Popup>
+                  <div className="events-map-popup">
+                    <h3 className="events-map-popup-title">{event.eventTitle}</h3>
+                    <p className="events-map-popup-org">{event.organizationName}</p>
+
+                    <div className="events-map-popup-row">
+                      <FaCalendarAlt />
+                      <span>
+                        {formatEventDateRange(event)}
+                      </span>
+                    </div>
+                    <div className="events-map-popup-row">
+                      <FaClock />
+                      <span>{formatEventTimeRange(event)}</span>
+                    </div>
+                    <div className="events-map-popup-row">
+                      <FaUsers />
+                      <span>{spotsRemaining} spots remaining</span>
+                    </div>
+
+                    <div className="blood-types-list">
+                      {event.bloodTypesNeeded?.map((type) => (
+                        <span key={type} className="blood-type-chip">{type}</span>
+                      ))}
+                    </div>
+                    {event.bloodTypeMatching === 'compatible' && (
+                      <p className="blood-match-note">
+                        {getDonorMatch(event, bloodType) === 'compatible'
+                          ? `${bloodType} donors are compatible`
+                          : 'Compatible donors welcome'}
+                      </p>
+                    )}
+
+                    {distanceLabel && (
+                      <p className="events-map-popup-distance">{distanceLabel} from your location</p>
+                    )}
+
+                    <button
+                      type="button"
+                      className="btn-view-details"
+                      onClick={() => onViewEvent(event._id)}
+                    >
+                      View Details
+                    </button>
+                  </div>
+                </Popup>
+              </Marker>
+            );
+          })}
+        </MapContainer>
+      </div>
+    </div>
+  );
+}
+
+export default EventsMap;
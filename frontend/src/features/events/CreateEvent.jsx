@@ -1,28 +1,46 @@
 /*
  * CreateEvent component: Organizer form for creating a new event
+ * The form can start from a saved template or, with ?duplicate=<eventId>,
+ * from one of the organizer's events (dates are left empty).
  */
-import React, { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useForm, Controller } from 'react-hook-form';
-import { FaArrowLeft, FaTimes } from 'react-icons/fa';
+import { FaArrowLeft, FaTimes, FaBookmark } from 'react-icons/fa';
 import { useAuth } from '../../shared/context/AuthContext';
 import eventService from '../../shared/services/eventService';
+import eventTemplateService from '../../shared/services/eventTemplateService';
 import profileService from '../../shared/services/profileService';
 import LocationMap from '../../shared/components/LocationMap';
 import Navbar from '../../shared/components/Navbar';
+import TimeSlotFields from './TimeSlotFields';
+import ScreeningQuestionFields from './ScreeningQuestionFields';
+import TimeZoneField from './TimeZoneField';
+import RecurrenceFields, { buildRecurrence } from './RecurrenceFields';
+import EventTemplatePicker from './EventTemplatePicker';
+import { DONATION_TYPES } from '../../shared/utils/donationTypes';
+import { BLOOD_TYPES, BLOOD_TYPE_MATCHING_OPTIONS } from '../../shared/utils/bloodCompatibility';
+import {
+  getBrowserTimeZone,
+  getTodayInTimeZone,
+  zonedTimeToInstant,
+} from '../../shared/utils/eventSchedule';
 import './CreateEvent.css';
 
-const BLOOD_TYPES = ['O+', 'O-', 'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-'];
 
 function CreateEvent() {
   const { user } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const duplicateId = searchParams.get('duplicate');
   const [loading, setLoading] = useState(false);
   const [profileLoading, setProfileLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [profileData, setProfileData] = useState(null);
   const [selectedLocation, setSelectedLocation] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [savingTemplate, setSavingTemplate] = useState(false);
   const [eligibilityRequirements, setEligibilityRequirements] = useState([
     'Be at least 17 years old',
     'Weigh at least 110 pounds',
@@ -30,7 +48,7 @@ function CreateEvent() {
   ]);
   const pageTopRef = useRef(null);
 
-  const { register, handleSubmit, control, setValue, getValues, formState: { errors } } = useForm({
+  const { register, handleSubmit, control, setValue, getValues, watch, formState: { errors } } = useForm({
     mode: 'onChange', // Validate on every change
     reValidateMode: 'onChange', // Re-validate on every change
     criteriaMode: 'firstError', // Show first error only
@@ -41,9 +59,24 @@ function CreateEvent() {
       endDate: '',
       startTime: '',
       endTime: '',
+      timeZone: getBrowserTimeZone(),
+      repeat: 'none',
+      repeatInterval: '1',
+      repeatWeekdays: [],
+      monthlyMode: 'day-of-month',
+      repeatEnd: 'count',
+      repeatCount: '6',
+      repeatUntil: '',
+      repeatExceptions: [],
       location: '',
       expectedCapacity: '',
+      useTimeSlots: false,
+      slotDurationMinutes: '30',
+      slotCapacity: '',
       bloodTypesNeeded: [],
+      bloodTypeMatching: 'exact',
+      donationType: 'whole-blood',
+      screeningQuestions: [],
       eventDescription: '',
       contactEmail: '',
       contactPhone: ''
@@ -80,6 +113,167 @@ function CreateEvent() {
     fetchProfileData();
   }, [user.token, setValue]);
 
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const data = await eventTemplateService.getTemplates(user.token);
+      setTemplates(data.templates || []);
+    } catch (err) {
+      console.error('Failed to fetch templates:', err);
+    }
+  }, [user.token]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  // Fill the form from a template or an existing event. Organization and
+  // contact fields stay as in the profile when it has them.
+  const applyEventDetails = useCallback((details) => {
+    const profileFields = {
+      organizationName: profileData?.organization,
+      contactEmail: profileData?.email,
+      contactPhone: profileData?.phone,
+    };
+
+    [
+      'eventTitle',
+      'organizationName',
+      'startTime',
+      'endTime',
+      'timeZone',
+      'bloodTypesNeeded',
+      'bloodTypeMatching',
+      'donationType',
+      'screeningQuestions',
+      'eventDescription',
+      'contactEmail',
+      'contactPhone',
+    ].forEach((field) => {
+      if (details[field] !== undefined && details[field] !== null && !profileFields[field]) {
+        setValue(field, details[field]);
+      }
+    });
+
+    setValue('useTimeSlots', Boolean(details.slotDurationMinutes));
+    setValue('slotDurationMinutes', String(details.slotDurationMinutes || 30));
+    setValue('slotCapacity', details.slotCapacity || '');
+    setValue('expectedCapacity', details.expectedCapacity || '');
+
+    if (details.locationCoordinates?.lat && details.locationCoordinates?.lng) {
+      setSelectedLocation({
+        coordinates: { lat: details.locationCoordinates.lat, lng: details.locationCoordinates.lng },
+        address: details.location
+      });
+      setValue('location', details.location || '');
+    }
+
+    if (details.eligibilityRequirements?.length > 0) {
+      setEligibilityRequirements(details.eligibilityRequirements);
+    }
+  }, [profileData, setValue]);
+
+  // Duplicate: copy the event's details and daily times, not its dates
+  useEffect(() => {
+    if (!duplicateId || profileLoading) {
+      return;
+    }
+
+    const fetchEventToDuplicate = async () => {
+      try {
+        const response = await eventService.getEventById(duplicateId, user.token);
+        const event = response.event || response;
+
+        applyEventDetails({
+          ...event,
+          startTime: event.local?.startTime,
+          endTime: event.local?.endTime,
+          slotDurationMinutes: event.timeSlots?.length ? event.slotDurationMinutes : null,
+        });
+      } catch (err) {
+        console.error('Failed to load event to duplicate:', err);
+        setError('Failed to load the event to duplicate');
+      }
+    };
+
+    fetchEventToDuplicate();
+  }, [duplicateId, profileLoading, user.token, applyEventDetails]);
+
+  const handleApplyTemplate = (template) => {
+    applyEventDetails(template);
+    setSuccess(`Filled in from template "${template.name}"`);
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) {
+      return;
+    }
+
+    try {
+      await eventTemplateService.deleteTemplate(template._id, user.token);
+      await fetchTemplates();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete template');
+    }
+  };
+
+  // Save the current form (without dates) as a named template; an existing
+  // name is overwritten after confirmation
+  const handleSaveTemplate = async () => {
+    const values = getValues();
+    const name = window.prompt('Template name', values.eventTitle);
+
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    const existing = templates.find(
+      (template) => template.name.toLowerCase() === name.trim().toLowerCase()
+    );
+
+    if (existing && !window.confirm(`Replace the template "${existing.name}"?`)) {
+      return;
+    }
+
+    const details = {
+      name: name.trim(),
+      eventTitle: values.eventTitle,
+      organizationName: values.organizationName,
+      startTime: values.startTime || undefined,
+      endTime: values.endTime || undefined,
+      timeZone: values.timeZone,
+      location: selectedLocation?.address,
+      locationCoordinates: selectedLocation?.coordinates,
+      ...(values.useTimeSlots
+        ? {
+            slotDurationMinutes: Number(values.slotDurationMinutes),
+            slotCapacity: Number(values.slotCapacity) || undefined,
+          }
+        : { expectedCapacity: Number(values.expectedCapacity) || undefined }),
+      bloodTypesNeeded: values.bloodTypesNeeded,
+      bloodTypeMatching: values.bloodTypeMatching,
+      donationType: values.donationType,
+      screeningQuestions: values.screeningQuestions,
+      eventDescription: values.eventDescription,
+      eligibilityRequirements: eligibilityRequirements.filter((req) => req.trim() !== ''),
+      contactEmail: values.contactEmail,
+      contactPhone: values.contactPhone,
+    };
+
+    try {
+      setSavingTemplate(true);
+      setError('');
+      const response = existing
+        ? await eventTemplateService.updateTemplate(existing._id, details, user.token)
+        : await eventTemplateService.createTemplate(details, user.token);
+      setSuccess(`${response.message}: "${response.template.name}"`);
+      await fetchTemplates();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save template');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
   // Scroll the page to the top when an error shows so the user sees it
   useEffect(() => {
     if (!error) {
@@ -166,35 +360,61 @@ function CreateEvent() {
     try {
       setLoading(true);
 
-      // Convert 24-hour time format to 12-hour AM/PM format
-      const formatTime = (time) => {
-        const [hours, minutes] = time.split(':');
-        const hour = parseInt(hours);
-        const ampm = hour >= 12 ? 'PM' : 'AM';
-        const displayHour = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
-        return `${displayHour}:${minutes} ${ampm}`;
-      };
-
-      const eventTime = `${formatTime(data.startTime)} - ${formatTime(data.endTime)}`;
-
-      const { startDate, endDate, startTime, endTime, ...rest } = data;
-
-      const effectiveStartDate = startDate;
-      const effectiveEndDate = endDate || startDate;
-
+      const {
+        startDate,
+        endDate,
+        useTimeSlots,
+        slotDurationMinutes,
+        slotCapacity,
+        expectedCapacity,
+        repeat,
+        repeatInterval,
+        repeatWeekdays,
+        monthlyMode,
+        repeatEnd,
+        repeatCount,
+        repeatUntil,
+        repeatExceptions,
+        ...rest
+      } = data;
+
+      const recurrence = buildRecurrence({
+        repeat,
+        repeatInterval,
+        repeatWeekdays,
+        monthlyMode,
+        repeatEnd,
+        repeatCount,
+        repeatUntil,
+        repeatExceptions,
+      });
+
+      // Dates and 24-hour times are sent as local times in the event's time zone
       const formData = {
         ...rest,
-        startDate: effectiveStartDate,
-        endDate: effectiveEndDate,
-        eventTime,
+        startDate,
+        endDate: endDate || startDate,
+        // With time slots the backend derives capacity from the slots
+        ...(useTimeSlots
+          ? { slotDurationMinutes: Number(slotDurationMinutes), slotCapacity }
+          : { expectedCapacity }),
         location: selectedLocation.address,
         locationCoordinates: selectedLocation.coordinates,
         eligibilityRequirements: eligibilityRequirements.filter((req) => req.trim() !== ''),
       };
 
-      await eventService.createEvent(formData, user.token);
+      // A repeating event is created as a series, one event per date
+      if (recurrence) {
+        const response = await eventService.createEventSeries(
+          { ...formData, recurrence },
+          user.token
+        );
+        setSuccess(response.message);
+      } else {
+        await eventService.createEvent(formData, user.token);
+        setSuccess('Event created successfully!');
+      }
 
-      setSuccess('Event created successfully!');
       // Navigate immediately instead of waiting
       navigate('/events');
     } catch (err) {
@@ -233,8 +453,12 @@ function CreateEvent() {
 
         {/* Title */}
         <div className="page-title-section">
-          <h1 className="page-title">Create New Event</h1>
-          <p className="page-subtitle">Fill in the details to create a new blood donation event</p>
+          <h1 className="page-title">{duplicateId ? 'Duplicate Event' : 'Create New Event'}</h1>
+          <p className="page-subtitle">
+            {duplicateId
+              ? 'Review the copied details and pick new dates for this event'
+              : 'Fill in the details to create a new blood donation event'}
+          </p>
         </div>
 
         {/* Messages */}
@@ -243,6 +467,12 @@ function CreateEvent() {
 
         {/* Form */}
         <form onSubmit={handleSubmit(onSubmit)} className="create-event-form">
+          <EventTemplatePicker
+            templates={templates}
+            onApply={handleApplyTemplate}
+            onDelete={handleDeleteTemplate}
+          />
+
           {/* Basic Information */}
           <div className="form-card">
             <h2 className="section-title">Basic Information</h2>
@@ -300,12 +530,9 @@ function CreateEvent() {
                   id="startDate"
                   {...register('startDate', {
                     required: 'Start date is required',
-                    validate: (value) => {
-                      const selectedDate = new Date(value);
-                      const today = new Date();
-                      today.setHours(0, 0, 0, 0);
-                      return selectedDate >= today || 'Start date cannot be in the past';
-                    },
+                    validate: (value) =>
+                      value >= getTodayInTimeZone(getValues('timeZone')) ||
+                      'Start date cannot be in the past',
                   })}
                 />
                 {errors.startDate && <span className="error-text">{errors.startDate.message}</span>}
@@ -350,22 +577,12 @@ function CreateEvent() {
                       const startDateValue = getValues('startDate');
                       if (!startDateValue || !value) return true;
 
-                      const selectedDate = new Date(startDateValue);
-                      const today = new Date();
-                      today.setHours(0, 0, 0, 0);
-                      selectedDate.setHours(0, 0, 0, 0);
-
-                      // If start date is today, validate time is not in the past
-                      if (selectedDate.getTime() === today.getTime()) {
-                        const now = new Date();
-                        const [hours, minutes] = value.split(':').map(Number);
-                        const selectedTime = hours * 60 + minutes;
-                        const currentTime = now.getHours() * 60 + now.getMinutes();
+                      // Compare against the current minute in the event's time zone
+                      const startsAt = zonedTimeToInstant(startDateValue, value, getValues('timeZone'));
+                      const currentMinute = new Date();
+                      currentMinute.setSeconds(0, 0);
 
-                        return selectedTime >= currentTime || 'Start time cannot be in the past';
-                      }
-
-                      return true;
+                      return !startsAt || startsAt >= currentMinute || 'Start time cannot be in the past';
                     },
                   })}
                 />
@@ -418,6 +635,10 @@ function CreateEvent() {
               </div>
             </div>
 
+            <TimeZoneField register={register} watch={watch} errors={errors} />
+
+            <RecurrenceFields register={register} watch={watch} setValue={setValue} errors={errors} />
+
             <div className="form-row">
               <div className="form-group full-width">
                 <label>
@@ -453,24 +674,28 @@ function CreateEvent() {
               </div>
             </div>
 
-            <div className="form-row">
-              <div className="form-group">
-                <label htmlFor="expectedCapacity">
-                  Expected Capacity <span className="required">*</span>
-                </label>
-                <input
-                  type="number"
-                  id="expectedCapacity"
-                  placeholder="e.g., 100"
-                  {...register('expectedCapacity', {
-                    required: 'Expected capacity is required',
-                    min: { value: 1, message: 'Capacity must be at least 1' },
-                    valueAsNumber: true
-                  })}
-                />
-                {errors.expectedCapacity && <span className="error-text">{errors.expectedCapacity.message}</span>}
+            {!watch('useTimeSlots') && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="expectedCapacity">
+                    Expected Capacity <span className="required">*</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="expectedCapacity"
+                    placeholder="e.g., 100"
+                    {...register('expectedCapacity', {
+                      required: !watch('useTimeSlots') && 'Expected capacity is required',
+                      min: { value: 1, message: 'Capacity must be at least 1' },
+                      valueAsNumber: true
+                    })}
+                  />
+                  {errors.expectedCapacity && <span className="error-text">{errors.expectedCapacity.message}</span>}
+                </div>
               </div>
-            </div>
+            )}
+
+            <TimeSlotFields register={register} watch={watch} errors={errors} />
           </div>
 
           {/* Blood Types Needed */}
@@ -498,6 +723,28 @@ function CreateEvent() {
               )}
             />
             {errors.bloodTypesNeeded && <span className="error-text">{errors.bloodTypesNeeded.message}</span>}
+
+            <div className="form-group donation-type-group">
+              <label htmlFor="donationType">Donation Type</label>
+              <select id="donationType" {...register('donationType')}>
+                {DONATION_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <span className="help-text">Donor eligibility intervals depend on the type of donation.</span>
+            </div>
+
+            <div className="form-group donation-type-group">
+              <label htmlFor="bloodTypeMatching">Who Can Donate</label>
+              <select id="bloodTypeMatching" {...register('bloodTypeMatching')}>
+                {BLOOD_TYPE_MATCHING_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <span className="help-text">
+                With compatible donors welcome, the selected types are your patients&apos; blood types and any donor who can give to them may register.
+              </span>
+            </div>
           </div>
 
           {/* Event Details */}
@@ -551,6 +798,8 @@ function CreateEvent() {
                 </button>
               </div>
             </div>
+
+            <ScreeningQuestionFields control={control} setValue={setValue} applyDefaults={!duplicateId} />
           </div>
 
           {/* Contact Information */}
@@ -623,6 +872,14 @@ function CreateEvent() {
             >
               <FaTimes /> Cancel
             </button>
+            <button
+              type="button"
+              className="btn-cancel"
+              onClick={handleSaveTemplate}
+              disabled={loading || savingTemplate}
+            >
+              <FaBookmark /> {savingTemplate ? 'Saving...' : 'Save as Template'}
+            </button>
             <button
               type="submit"
               className="btn-create"
@@ -11,9 +11,18 @@ import eventService from '../../shared/services/eventService';
 import profileService from '../../shared/services/profileService';
 import LocationMap from '../../shared/components/LocationMap';
 import Navbar from '../../shared/components/Navbar';
+import TimeSlotFields from './TimeSlotFields';
+import ScreeningQuestionFields from './ScreeningQuestionFields';
+import TimeZoneField from './TimeZoneField';
+import { DONATION_TYPES } from '../../shared/utils/donationTypes';
+import { BLOOD_TYPES, BLOOD_TYPE_MATCHING_OPTIONS } from '../../shared/utils/bloodCompatibility';
+import {
+  getBrowserTimeZone,
+  getTodayInTimeZone,
+  zonedTimeToInstant,
+} from '../../shared/utils/eventSchedule';
 import './CreateEvent.css';
 
-const BLOOD_TYPES = ['O+', 'O-', 'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-'];
 
 function EditEvent() {
   const { user } = useAuth();
@@ -27,6 +36,9 @@ function EditEvent() {
   const [profileData, setProfileData] = useState(null);
   const [eventData, setEventData] = useState(null);
   const [selectedLocation, setSelectedLocation] = useState(null);
+  // For occurrences of a series: 'occurrence' edits this date only,
+  // 'series' applies the changes to every upcoming occurrence
+  const [editScope, setEditScope] = useState('occurrence');
   const [eligibilityRequirements, setEligibilityRequirements] = useState([
     'Be at least 17 years old',
     'Weigh at least 110 pounds',
@@ -34,7 +46,7 @@ function EditEvent() {
   ]);
   const pageTopRef = useRef(null);
 
-  const { register, handleSubmit, control, setValue, getValues, formState: { errors } } = useForm({
+  const { register, handleSubmit, control, setValue, getValues, watch, formState: { errors } } = useForm({
     mode: 'onChange',
     reValidateMode: 'onChange',
     criteriaMode: 'firstError',
@@ -45,9 +57,16 @@ function EditEvent() {
       endDate: '',
       startTime: '',
       endTime: '',
+      timeZone: getBrowserTimeZone(),
       location: '',
       expectedCapacity: '',
+      useTimeSlots: false,
+      slotDurationMinutes: '30',
+      slotCapacity: '',
       bloodTypesNeeded: [],
+      bloodTypeMatching: 'exact',
+      donationType: 'whole-blood',
+      screeningQuestions: [],
       eventDescription: '',
       contactEmail: '',
       contactPhone: ''
@@ -82,49 +101,24 @@ function EditEvent() {
         console.log('Fetched event data:', data);
         setEventData(data);
 
-        // Parse time format (e.g., "9:00 AM - 5:00 PM")
-        const parseTime = (timeStr) => {
-          const match = timeStr.match(/(\d+):(\d+)\s*(AM|PM)/i);
-          if (!match) return '00:00';
-
-          let hours = parseInt(match[1]);
-          const minutes = match[2];
-          const period = match[3].toUpperCase();
-
-          if (period === 'PM' && hours !== 12) hours += 12;
-          if (period === 'AM' && hours === 12) hours = 0;
-
-          return `${String(hours).padStart(2, '0')}:${minutes}`;
-        };
-
-        // Parse eventTime
-        let startTime = '09:00';
-        let endTime = '17:00';
-        if (data.eventTime) {
-          const times = data.eventTime.split('-').map(t => t.trim());
-          if (times.length === 2) {
-            startTime = parseTime(times[0]);
-            endTime = parseTime(times[1]);
-          }
-        }
-
-        // Format dates for input fields (YYYY-MM-DD)
-        const formatDateForInput = (dateStr) => {
-          if (!dateStr) return '';
-          const date = new Date(dateStr);
-          return date.toISOString().split('T')[0];
-        };
-
         // Populate form with event data
         setValue('eventTitle', data.eventTitle || '');
         setValue('organizationName', data.organizationName || '');
-        setValue('startDate', formatDateForInput(data.eventDate)); // Backend uses eventDate
-        setValue('endDate', formatDateForInput(data.endDate));
-        setValue('startTime', startTime);
-        setValue('endTime', endTime);
+        // Schedule fields use the event's local dates/times (`local` from the API)
+        setValue('startDate', data.local?.startDate || '');
+        setValue('endDate', data.local?.endDate || '');
+        setValue('startTime', data.local?.startTime || '09:00');
+        setValue('endTime', data.local?.endTime || '17:00');
+        setValue('timeZone', data.timeZone || getBrowserTimeZone());
         setValue('location', data.location || '');
         setValue('expectedCapacity', data.expectedCapacity || '');
+        setValue('useTimeSlots', Boolean(data.timeSlots?.length));
+        setValue('slotDurationMinutes', String(data.slotDurationMinutes || 30));
+        setValue('slotCapacity', data.slotCapacity || '');
         setValue('bloodTypesNeeded', data.bloodTypesNeeded || []);
+        setValue('donationType', data.donationType || 'whole-blood');
+        setValue('bloodTypeMatching', data.bloodTypeMatching || 'exact');
+        setValue('screeningQuestions', data.screeningQuestions || []);
         setValue('eventDescription', data.eventDescription || '');
         setValue('contactEmail', data.contactEmail || '');
         setValue('contactPhone', data.contactPhone || '');
@@ -258,35 +252,44 @@ function EditEvent() {
     try {
       setLoading(true);
 
-      // Convert 24-hour time format to 12-hour AM/PM format
-      const formatTime = (time) => {
-        const [hours, minutes] = time.split(':');
-        const hour = parseInt(hours);
-        const ampm = hour >= 12 ? 'PM' : 'AM';
-        const displayHour = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
-        return `${displayHour}:${minutes} ${ampm}`;
-      };
-
-      const eventTime = `${formatTime(data.startTime)} - ${formatTime(data.endTime)}`;
-
-      const { startDate, endDate, startTime, endTime, ...rest } = data;
-
-      const effectiveStartDate = startDate;
-      const effectiveEndDate = endDate || startDate;
-
+      const {
+        startDate,
+        endDate,
+        useTimeSlots,
+        slotDurationMinutes,
+        slotCapacity,
+        expectedCapacity,
+        ...rest
+      } = data;
+
+      // Dates and 24-hour times are sent as local times in the event's time zone
       const formData = {
         ...rest,
-        startDate: effectiveStartDate,
-        endDate: effectiveEndDate,
-        eventTime,
+        startDate,
+        endDate: endDate || startDate,
+        // With time slots the backend derives capacity from the slots
+        ...(useTimeSlots
+          ? { slotDurationMinutes: Number(slotDurationMinutes), slotCapacity }
+          : { expectedCapacity, slotDurationMinutes: null }),
         location: selectedLocation.address,
         locationCoordinates: selectedLocation.coordinates,
         eligibilityRequirements: eligibilityRequirements.filter((req) => req.trim() !== ''),
       };
 
-      await eventService.updateEvent(id, formData, user.token);
+      if (editScope === 'series' && eventData.series) {
+        // Each occurrence keeps its own date; only the times change
+        const { startDate: firstDate, endDate: lastDate, ...seriesData } = formData;
+        const response = await eventService.updateEventSeries(
+          eventData.series._id,
+          seriesData,
+          user.token
+        );
+        setSuccess(response.message);
+      } else {
+        await eventService.updateEvent(id, formData, user.token);
+        setSuccess('Event updated successfully!');
+      }
 
-      setSuccess('Event updated successfully!');
       // Navigate immediately instead of waiting
       navigate('/events');
     } catch (err) {
@@ -346,6 +349,38 @@ function EditEvent() {
 
         {/* Form */}
         <form onSubmit={handleSubmit(onSubmit)} className="create-event-form">
+          {eventData.series?.status === 'active' && (
+            <div className="form-card">
+              <h2 className="section-title">Recurring Event</h2>
+              <p className="section-subtitle">{eventData.series.summary}</p>
+              <div className="edit-scope-options">
+                <label className="time-slot-toggle">
+                  <input
+                    type="radio"
+                    name="editScope"
+                    checked={editScope === 'occurrence'}
+                    onChange={() => setEditScope('occurrence')}
+                  />
+                  <span>Only this event ({eventData.local?.startDate})</span>
+                </label>
+                <label className="time-slot-toggle">
+                  <input
+                    type="radio"
+                    name="editScope"
+                    checked={editScope === 'series'}
+                    onChange={() => setEditScope('series')}
+                  />
+                  <span>All upcoming events in the series</span>
+                </label>
+              </div>
+              {editScope === 'series' && (
+                <span className="field-hint">
+                  Every upcoming event keeps its own date; changed times, details and capacity apply to all of them.
+                </span>
+              )}
+            </div>
+          )}
+
           {/* Basic Information */}
           <div className="form-card">
             <h2 className="section-title">Basic Information</h2>
@@ -403,12 +438,9 @@ function EditEvent() {
                   id="startDate"
                   {...register('startDate', {
                     required: 'Start date is required',
-                    validate: (value) => {
-                      const selectedDate = new Date(value);
-                      const today = new Date();
-                      today.setHours(0, 0, 0, 0);
-                      return selectedDate >= today || 'Start date cannot be in the past';
-                    },
+                    validate: (value) =>
+                      value >= getTodayInTimeZone(getValues('timeZone')) ||
+                      'Start date cannot be in the past',
                   })}
                 />
                 {errors.startDate && <span className="error-text">{errors.startDate.message}</span>}
@@ -453,22 +485,12 @@ function EditEvent() {
                       const startDateValue = getValues('startDate');
                       if (!startDateValue || !value) return true;
 
-                      const selectedDate = new Date(startDateValue);
-                      const today = new Date();
-                      today.setHours(0, 0, 0, 0);
-                      selectedDate.setHours(0, 0, 0, 0);
-
-                      // If start date is today, validate time is not in the past
-                      if (selectedDate.getTime() === today.getTime()) {
-                        const now = new Date();
-                        const [hours, minutes] = value.split(':').map(Number);
-                        const selectedTime = hours * 60 + minutes;
-                        const currentTime = now.getHours() * 60 + now.getMinutes();
+                      // Compare against the current minute in the event's time zone
+                      const startsAt = zonedTimeToInstant(startDateValue, value, getValues('timeZone'));
+                      const currentMinute = new Date();
+                      currentMinute.setSeconds(0, 0);
 
-                        return selectedTime >= currentTime || 'Start time cannot be in the past';
-                      }
-
-                      return true;
+                      return !startsAt || startsAt >= currentMinute || 'Start time cannot be in the past';
                     },
                   })}
                 />
@@ -521,6 +543,8 @@ function EditEvent() {
               </div>
             </div>
 
+            <TimeZoneField register={register} watch={watch} errors={errors} />
+
             <div className="form-row">
               <div className="form-group full-width">
                 <label>
@@ -556,24 +580,28 @@ function EditEvent() {
               </div>
             </div>
 
-            <div className="form-row">
-              <div className="form-group">
-                <label htmlFor="expectedCapacity">
-                  Expected Capacity <span className="required">*</span>
-                </label>
-                <input
-                  type="number"
-                  id="expectedCapacity"
-                  placeholder="e.g., 100"
-                  {...register('expectedCapacity', {
-                    required: 'Expected capacity is required',
-                    min: { value: 1, message: 'Capacity must be at least 1' },
-                    valueAsNumber: true
-                  })}
-                />
-                {errors.expectedCapacity && <span className="error-text">{errors.expectedCapacity.message}</span>}
+            {!watch('useTimeSlots') && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="expectedCapacity">
+                    Expected Capacity <span className="required">*</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="expectedCapacity"
+                    placeholder="e.g., 100"
+                    {...register('expectedCapacity', {
+                      required: !watch('useTimeSlots') && 'Expected capacity is required',
+                      min: { value: 1, message: 'Capacity must be at least 1' },
+                      valueAsNumber: true
+                    })}
+                  />
+                  {errors.expectedCapacity && <span className="error-text">{errors.expectedCapacity.message}</span>}
+                </div>
               </div>
-            </div>
+            )}
+
+            <TimeSlotFields register={register} watch={watch} errors={errors} locked={(eventData?.currentAttendees || 0) > 0} />
           </div>
 
           {/* Blood Types Needed */}
@@ -601,6 +629,28 @@ function EditEvent() {
               )}
             />
             {errors.bloodTypesNeeded && <span className="error-text">{errors.bloodTypesNeeded.message}</span>}
+
+            <div className="form-group donation-type-group">
+              <label htmlFor="donationType">Donation Type</label>
+              <select id="donationType" {...register('donationType')}>
+                {DONATION_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <span className="help-text">Donor eligibility intervals depend on the type of donation.</span>
+            </div>
+
+            <div className="form-group donation-type-group">
+              <label htmlFor="bloodTypeMatching">Who Can Donate</label>
+              <select id="bloodTypeMatching" {...register('bloodTypeMatching')}>
+                {BLOOD_TYPE_MATCHING_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <span className="help-text">
+                With compatible donors welcome, the selected types are your patients&apos; blood types and any donor who can give to them may register.
+              </span>
+            </div>
           </div>
 
           {/* Event Details */}
@@ -654,6 +704,8 @@ function EditEvent() {
                 </button>
               </div>
             </div>
+
+            <ScreeningQuestionFields control={control} setValue={setValue} />
           </div>
 
           {/* Contact Information */}
@@ -4,15 +4,25 @@
  */
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { FaArrowLeft, FaCalendarAlt, FaClock, FaMapMarkerAlt, FaUsers, FaCheckCircle } from 'react-icons/fa';
+import { FaArrowLeft, FaCalendarAlt, FaCalendarPlus, FaClock, FaMapMarkerAlt, FaUsers, FaCheckCircle } from 'react-icons/fa';
 import { useAuth } from '../../shared/context/AuthContext';
 import eventService from '../../shared/services/eventService';
 import profileService from '../../shared/services/profileService';
+import calendarService from '../../shared/services/calendarService';
 import LocationMap from '../../shared/components/LocationMap';
 import Navbar from '../../shared/components/Navbar';
+import TicketCard from '../../shared/components/TicketCard';
 import EventRegistrationModal from './EventRegistrationModal';
+import { formatSlotRange, getSeatsLeft, groupSlotsByDay } from '../../shared/utils/timeSlots';
+import { getDonationTypeLabel } from '../../shared/utils/donationTypes';
+import { getAcceptedDonorTypes } from '../../shared/utils/bloodCompatibility';
+import { formatEventDateRange, formatEventTimeRange } from '../../shared/utils/eventSchedule';
 import './EventDetail.css';
 
+// Attendee entries hold either a donor id or a populated donor
+const getDonorId = (entry) =>
+  typeof entry.donor === 'string' ? entry.donor : entry.donor?._id;
+
 function EventDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -21,27 +31,26 @@ function EventDetail() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showRegistrationModal, setShowRegistrationModal] = useState(false);
+  const [registrationMode, setRegistrationMode] = useState('register');
+  const [screeningQuestions, setScreeningQuestions] = useState([]);
   const [eligibilityError, setEligibilityError] = useState('');
   const [userProfile, setUserProfile] = useState(null);
   const [isRegistered, setIsRegistered] = useState(false);
+  const [waitlistLoading, setWaitlistLoading] = useState(false);
+  const [ticket, setTicket] = useState(null);
 
   useEffect(() => {
     const fetchEvent = async () => {
       try {
         setLoading(true);
-        const response = await eventService.getEvent(id);
+        const response = await eventService.getEvent(id, token);
         const eventData = response.event || response;
         setEvent(eventData);
 
         // Check if user is already registered for this event
         if (user && user._id && eventData.attendees) {
           const registered = eventData.attendees.some(
-            (attendee) => {
-              const donorId = typeof attendee.donor === 'string'
-                ? attendee.donor
-                : attendee.donor?._id;
-              return donorId === user._id;
-            }
+            (attendee) => getDonorId(attendee) === user._id
           );
           setIsRegistered(registered);
         }
@@ -54,48 +63,116 @@ function EventDetail() {
     };
 
     fetchEvent();
-  }, [id, user]);
-
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-      weekday: 'long',
-      month: 'long',
-      day: 'numeric',
-      year: 'numeric'
-    });
+  }, [id, token, user]);
+
+  // Load the screening question texts once so the modal can show the event's questions
+  useEffect(() => {
+    let isMounted = true;
+
+    eventService
+      .getScreeningQuestions()
+      .then((data) => {
+        if (isMounted) {
+          setScreeningQuestions(data.questions || []);
+        }
+      })
+      .catch((err) => console.error('Failed to fetch screening questions:', err));
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  // Load the donor's ticket (QR code) once they hold a registration
+  useEffect(() => {
+    if (!isRegistered || !token || user?.role !== 'donor') {
+      setTicket(null);
+      return undefined;
+    }
+
+    let isMounted = true;
+
+    const fetchTicket = async () => {
+      try {
+        const data = await eventService.getMyTicket(id, token);
+        if (isMounted) {
+          setTicket(data.ticket);
+        }
+      } catch (err) {
+        // Cancelled registrations/events have no ticket
+        if (isMounted) {
+          setTicket(null);
+        }
+      }
+    };
+
+    fetchTicket();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [id, token, isRegistered, user]);
+
+  // Re-fetch the event after a waitlist change
+  const refreshEvent = async () => {
+    const response = await eventService.getEvent(id, token);
+    setEvent(response.event || response);
+  };
+
+  // Join the waitlist of a full event
+  const handleJoinWaitlist = async (answers = []) => {
+    try {
+      setWaitlistLoading(true);
+      const data = await eventService.joinWaitlist(id, token, answers);
+      setShowRegistrationModal(false);
+      await refreshEvent();
+      alert(`You joined the waitlist at position ${data.position}.`);
+    } catch (err) {
+      console.error('Error joining waitlist:', err);
+      setShowRegistrationModal(false);
+      setEligibilityError(err.response?.data?.message || 'Failed to join waitlist');
+      setTimeout(() => setEligibilityError(''), 5000);
+    } finally {
+      setWaitlistLoading(false);
+    }
   };
 
-  const formatDateRange = (startDate, endDate) => {
-    if (!endDate || startDate === endDate) {
-      return formatDate(startDate);
+  // Events with screening questions collect the answers in the modal first
+  const handleJoinWaitlistClick = async () => {
+    if (!event.screeningQuestions?.length) {
+      await handleJoinWaitlist();
+      return;
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    try {
+      setEligibilityError('');
+      const profileData = await profileService.getProfile(token);
+      setUserProfile(profileData);
+      setRegistrationMode('waitlist');
+      setShowRegistrationModal(true);
+    } catch (err) {
+      console.error('Error loading profile:', err);
+      setEligibilityError('Failed to load your profile');
+      setTimeout(() => setEligibilityError(''), 5000);
+    }
+  };
 
-    // Check if same date
-    if (start.toDateString() === end.toDateString()) {
-      return formatDate(startDate);
+  // Give up a waitlist spot
+  const handleLeaveWaitlist = async () => {
+    if (!window.confirm('Leave the waitlist for this event?')) {
+      return;
     }
 
-    // Format start date
-    const startFormatted = start.toLocaleDateString('en-US', {
-      weekday: 'long',
-      month: 'long',
-      day: 'numeric',
-      year: 'numeric'
-    });
-
-    // Format end date
-    const endFormatted = end.toLocaleDateString('en-US', {
-      weekday: 'long',
-      month: 'long',
-      day: 'numeric',
-      year: 'numeric'
-    });
-
-    return `${startFormatted} - ${endFormatted}`;
+    try {
+      setWaitlistLoading(true);
+      await eventService.leaveWaitlist(id, token);
+      await refreshEvent();
+    } catch (err) {
+      console.error('Error leaving waitlist:', err);
+      alert(err.response?.data?.message || 'Failed to leave waitlist');
+    } finally {
+      setWaitlistLoading(false);
+    }
   };
 
   // Trigger eligibility check and show registration modal if eligible
@@ -110,6 +187,7 @@ function EventDetail() {
         // Fetch user profile
         const profileData = await profileService.getProfile(token);
         setUserProfile(profileData);
+        setRegistrationMode('register');
         setShowRegistrationModal(true);
       } else {
         setEligibilityError(response.message);
@@ -124,25 +202,20 @@ function EventDetail() {
   };
 
   // Confirm registration and then refresh event data
-  const handleRegistration = async () => {
+  const handleRegistration = async (slotId, answers) => {
     try {
-      await eventService.registerForEvent(id, token);
+      await eventService.registerForEvent(id, token, slotId, answers);
       setShowRegistrationModal(false);
 
       // Refresh event data and update registration status
-      const response = await eventService.getEvent(id);
+      const response = await eventService.getEvent(id, token);
       const eventData = response.event || response;
       setEvent(eventData);
 
       // Check registration status from updated event data
       if (user && user._id && eventData.attendees) {
         const registered = eventData.attendees.some(
-          (attendee) => {
-            const donorId = typeof attendee.donor === 'string'
-              ? attendee.donor
-              : attendee.donor?._id;
-            return donorId === user._id;
-          }
+          (attendee) => getDonorId(attendee) === user._id
         );
         setIsRegistered(registered);
       }
@@ -150,6 +223,10 @@ function EventDetail() {
       alert('Successfully registered for the event!');
     } catch (err) {
       console.error('Error registering for event:', err);
+      // A screening deferral ends this registration attempt
+      if (err.response?.data?.reason === 'SCREENING_DEFERRAL') {
+        setShowRegistrationModal(false);
+      }
       alert(err.response?.data?.message || 'Failed to register for event');
     }
   };
@@ -182,6 +259,9 @@ function EventDetail() {
 
   const spotsRemaining = event.expectedCapacity - event.currentAttendees;
   const percentageFilled = Math.round((event.currentAttendees / event.expectedCapacity) * 100);
+  const isFull = spotsRemaining <= 0;
+  const waitlistCount = event.waitlistCount || 0;
+  const waitlistPosition = event.waitlistPosition || 0;
 
   return (
     <div className="event-detail-page">
@@ -197,9 +277,30 @@ function EventDetail() {
         <div className="event-header">
           <div className="organization-badge">{event.organizationName}</div>
           <h1 className="event-title">{event.eventTitle}</h1>
-          <p className="event-organizer">Organized by {event.organizer?.fullName || 'Unknown'}</p>
+          <p className="event-organizer">
+            Organized by {event.organizer?.fullName || 'Unknown'}
+            {event.organizer?.isVerifiedOrganizer && (
+              <span className="organizer-verified">
+                <FaCheckCircle /> Verified organizer
+              </span>
+            )}
+          </p>
         </div>
 
+        {event.organizer && !event.organizer.isVerifiedOrganizer && (
+          <div className="event-unverified-notice">
+            This organizer has not been verified by the platform yet. Please check the event's contact details
+            before you go.
+          </div>
+        )}
+
+        {event.isHidden && (
+          <div className="event-hidden-notice">
+            This event has been hidden from donors by the platform administrators
+            {event.hiddenReason ? `: ${event.hiddenReason}` : '.'}
+          </div>
+        )}
+
         {/* Info Cards Row */}
         <div className="info-cards-row">
           {/* Date & Time Card */}
@@ -209,11 +310,28 @@ function EventDetail() {
               <span>Date & Time</span>
             </div>
             <div className="info-card-content">
-              <p className="info-date">{formatDateRange(event.eventDate, event.endDate)}</p>
+              <p className="info-date">
+                {formatEventDateRange(event, {
+                  weekday: 'long',
+                  month: 'long',
+                  day: 'numeric',
+                  year: 'numeric'
+                })}
+              </p>
               <div className="info-time">
                 <FaClock className="time-icon" />
-                <span>{event.eventTime}</span>
+                <span>{formatEventTimeRange(event)}</span>
               </div>
+              {event.series?.summary && (
+                <p className="info-recurrence">Recurring: {event.series.summary}</p>
+              )}
+              <a
+                className="add-to-calendar-link"
+                href={calendarService.getEventCalendarUrl(event._id)}
+                download
+              >
+                <FaCalendarPlus /> Add to calendar
+              </a>
             </div>
           </div>
 
@@ -249,6 +367,19 @@ function EventDetail() {
                   <span key={type} className="blood-type-chip">{type}</span>
                 ))}
               </div>
+              {event.bloodTypeMatching === 'compatible' && (
+                <div className="compatible-donors">
+                  <span className="compatible-donors-label">Compatible donors welcome:</span>
+                  <div className="blood-types-list">
+                    {getAcceptedDonorTypes(event).map((type) => (
+                      <span key={type} className="blood-type-chip compatible">{type}</span>
+                    ))}
+                  </div>
+                </div>
+              )}
+              <div className="donation-type-label">
+                {getDonationTypeLabel(event.donationType)} donation
+              </div>
             </div>
           </div>
 
@@ -268,11 +399,45 @@ function EventDetail() {
                   style={{ width: `${percentageFilled}%` }}
                 ></div>
               </div>
-              <p className="spots-remaining">{spotsRemaining} spots remaining</p>
+              <p className="spots-remaining">
+                {isFull ? 'Event is full' : `${spotsRemaining} spots remaining`}
+              </p>
+              {waitlistCount > 0 && (
+                <p className="waitlist-count">{waitlistCount} on the waitlist</p>
+              )}
             </div>
           </div>
         </div>
 
+        {/* Time Slots (events with appointment slots only) */}
+        {event.timeSlots?.length > 0 && (
+          <div className="event-slots-section">
+            <h2 className="section-title">Time Slots</h2>
+            <p className="slots-description">
+              Donors book a {event.slotDurationMinutes}-minute slot with up to {event.slotCapacity} seats each.
+            </p>
+            {groupSlotsByDay(event.timeSlots, event.timeZone).map((group) => (
+              <div key={group.key} className="slot-day">
+                <h3 className="slot-day-title">{group.label}</h3>
+                <div className="slot-grid">
+                  {group.slots.map((slot) => {
+                    const seatsLeft = getSeatsLeft(slot);
+
+                    return (
+                      <div key={slot._id} className={`slot-chip ${seatsLeft === 0 ? 'full' : ''}`}>
+                        <span className="slot-chip-time">{formatSlotRange(slot, event.timeZone)}</span>
+                        <span className="slot-chip-seats">
+                          {seatsLeft > 0 ? `${seatsLeft} of ${slot.capacity} seats left` : 'Full'}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Event Location Map */}
         <div className="event-location-section" id="event-location-map">
           <h2 className="section-title">Event Location</h2>
@@ -363,20 +528,45 @@ function EventDetail() {
               {user && user.role === 'donor' ? (
                 <>
                   <p className="actions-description">
-                    Be a donor by registering for the event and help us save lives
+                    {isFull && !isRegistered
+                      ? 'This event is full. Join the waitlist and you will be registered automatically, in order, when a spot opens up.'
+                      : 'Be a donor by registering for the event and help us save lives'}
                   </p>
                   {eligibilityError && (
                     <div className="eligibility-error">
                       {eligibilityError}
                     </div>
                   )}
-                  <button
-                    className={`register-event-btn ${isRegistered ? 'registered' : ''}`}
-                    onClick={handleRegisterClick}
-                    disabled={isRegistered}
-                  >
-                    {isRegistered ? 'Registered' : 'Register for Event'}
-                  </button>
+                  {!isRegistered && waitlistPosition > 0 ? (
+                    <>
+                      <div className="waitlist-status">
+                        You are <strong>#{waitlistPosition}</strong> of {waitlistCount} on the waitlist
+                      </div>
+                      <button
+                        className="leave-waitlist-btn"
+                        onClick={handleLeaveWaitlist}
+                        disabled={waitlistLoading}
+                      >
+                        Leave Waitlist
+                      </button>
+                    </>
+                  ) : !isRegistered && isFull ? (
+                    <button
+                      className="register-event-btn waitlist"
+                      onClick={handleJoinWaitlistClick}
+                      disabled={waitlistLoading}
+                    >
+                      {waitlistLoading ? 'Joining...' : 'Join Waitlist'}
+                    </button>
+                  ) : (
+                    <button
+                      className={`register-event-btn ${isRegistered ? 'registered' : ''}`}
+                      onClick={handleRegisterClick}
+                      disabled={isRegistered}
+                    >
+                      {isRegistered ? 'Registered' : 'Register for Event'}
+                    </button>
+                  )}
                 </>
               ) : (
                 <p className="actions-description">
@@ -384,6 +574,14 @@ function EventDetail() {
                 </p>
               )}
             </div>
+
+            {/* Donor ticket */}
+            {ticket && (
+              <div className="actions-section ticket-section">
+                <h2 className="section-title">Your Ticket</h2>
+                <TicketCard ticket={ticket} />
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -393,8 +591,14 @@ function EventDetail() {
         <EventRegistrationModal
           event={event}
           userProfile={userProfile}
+          mode={registrationMode}
+          screeningQuestions={screeningQuestions.filter((question) =>
+            event.screeningQuestions?.includes(question.id)
+          )}
           onClose={() => setShowRegistrationModal(false)}
-          onRegister={handleRegistration}
+          onRegister={registrationMode === 'waitlist'
+            ? (slotId, answers) => handleJoinWaitlist(answers)
+            : handleRegistration}
         />
       )}
     </div>
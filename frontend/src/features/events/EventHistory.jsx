@@ -0,0 +1,210 @@
+/*
+ * EventHistory component
+ * History tab of the event roster: who changed the event, registered,
+ * cancelled or was checked in, and when, newest first. Edits list each
+ * changed field with its old and new value.
+ */
+import React, { useState, useEffect } from 'react';
+import eventService from '../../shared/services/eventService';
+
+const PAGE_SIZE = 25;
+
+const ACTION_LABELS = {
+  'event.create': 'Event created',
+  'event.import': 'Event imported',
+  'event.update': 'Event edited',
+  'event.cancel': 'Event cancelled',
+  'event.delete': 'Event deleted',
+  'event.hide': 'Event hidden by an admin',
+  'event.unhide': 'Event visible again',
+  'registration.create': 'Donor registered',
+  'registration.cancel': 'Registration cancelled',
+  'registration.check-in': 'Donor checked in',
+  'registration.no-show': 'Donor marked as no-show',
+  'waitlist.join': 'Donor joined the waitlist',
+  'waitlist.leave': 'Donor left the waitlist',
+  'user.screening-deferral': 'Donor deferred by screening answers',
+};
+
+const FIELD_LABELS = {
+  eventTitle: 'Title',
+  organizationName: 'Organization name',
+  startsAt: 'Starts',
+  endsAt: 'Ends',
+  timeZone: 'Time zone',
+  locationCoordinates: 'Map location',
+  expectedCapacity: 'Capacity',
+  slotDurationMinutes: 'Slot length (minutes)',
+  slotCapacity: 'Donors per slot',
+  bloodTypesNeeded: 'Blood types needed',
+  eventDescription: 'Description',
+  checkedInAt: 'Checked in at',
+  isHidden: 'Hidden',
+  hiddenReason: 'Hidden because',
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+// "bloodTypeMatching" -> "Blood type matching"
+const formatField = (field) => {
+  if (FIELD_LABELS[field]) {
+    return FIELD_LABELS[field];
+  }
+
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return '—';
+  }
+
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(formatValue).join(', ') : '—';
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+
+  if (typeof value === 'object') {
+    return Object.values(value).map(formatValue).join(', ');
+  }
+
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    return new Date(value).toLocaleString();
+  }
+
+  return String(value);
+};
+
+/**
+ * @param {string} eventId - Event whose history is shown
+ * @param {string} token - Organizer's auth token
+ */
+function EventHistory({ eventId, token }) {
+  const [action, setAction] = useState('');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ entries: [], totalPages: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const filters = { page, limit: PAGE_SIZE };
+
+        if (action) {
+          filters.action = action;
+        }
+
+        const response = await eventService.getEventHistory(eventId, token, filters);
+        if (isMounted) {
+          setData(response);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError(err.message || 'Failed to load event history');
+        }
+      } finally {
+        if (isMounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchHistory();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [eventId, token, action, page]);
+
+  return (
+    <div className="history-panel">
+      <div className="roster-filters">
+        <select
+          className="roster-select"
+          value={action}
+          onChange={(e) => {
+            setAction(e.target.value);
+            setPage(1);
+          }}
+        >
+          <option value="">All activity</option>
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="roster-alert error">{error}</div>}
+
+      {!loading && data.entries.length === 0 ? (
+        <div className="roster-empty">Nothing has been recorded for this event yet.</div>
+      ) : (
+        <ol className="history-list">
+          {data.entries.map((entry) => {
+            const subjectName =
+              entry.subject && entry.subject._id !== entry.actor?._id ? entry.subject.fullName : null;
+
+            return (
+              <li key={entry._id} className="history-entry">
+                <div className="history-entry-header">
+                  <strong>{ACTION_LABELS[entry.action] || entry.action}</strong>
+                  <span className="history-entry-time">{new Date(entry.createdAt).toLocaleString()}</span>
+                </div>
+                <div className="history-entry-people">
+                  By {entry.actor ? `${entry.actor.fullName} (${entry.actor.role})` : 'the system'}
+                  {subjectName && ` for ${subjectName}`}
+                  {entry.details?.ticket && ' by ticket scan'}
+                </div>
+
+                {entry.changes.length > 0 && entry.action !== 'event.create' && entry.action !== 'event.import' && (
+                  <ul className="history-changes">
+                    {entry.changes.map((change) => (
+                      <li key={change.field}>
+                        <span className="history-change-field">{formatField(change.field)}:</span>{' '}
+                        <span className="history-change-before">{formatValue(change.before)}</span> →{' '}
+                        <span className="history-change-after">{formatValue(change.after)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {entry.details?.reason && <p className="history-entry-note">Reason: {entry.details.reason}</p>}
+                {entry.details?.promotedDonors && (
+                  <p className="history-entry-note">
+                    {entry.details.promotedDonors.length} donor(s) moved off the waitlist
+                  </p>
+                )}
+                {entry.details?.series && <p className="history-entry-note">Applied to the whole series</p>}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {data.totalPages > 1 && (
+        <div className="history-pagination">
+          <button type="button" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+            Newer
+          </button>
+          <span>
+            Page {page} of {data.totalPages}
+          </span>
+          <button type="button" onClick={() => setPage(page + 1)} disabled={page >= data.totalPages}>
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EventHistory;
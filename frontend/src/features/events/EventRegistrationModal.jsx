@@ -1,14 +1,36 @@
 /*
  * EventRegistrationModal
- * Modal UI for donors to confirm eligibility and register for an event.
+ * Modal UI for donors to confirm eligibility, pick a time slot (for events
+ * with appointment slots), answer the event's health screening questions and
+ * register for an event. In 'waitlist' mode the slot step is skipped.
  */
 import React, { useState } from 'react';
 import { FaCheckCircle, FaTimes } from 'react-icons/fa';
+import { formatSlotRange, getSeatsLeft, groupSlotsByDay, isSlotBookable } from '../../shared/utils/timeSlots';
 import './EventRegistrationModal.css';
 
-function EventRegistrationModal({ event, userProfile, onClose, onRegister }) {
+function EventRegistrationModal({
+  event,
+  userProfile,
+  mode = 'register',
+  screeningQuestions = [],
+  onClose,
+  onRegister
+}) {
   const [acceptedEligibility, setAcceptedEligibility] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [selectedSlotId, setSelectedSlotId] = useState('');
+  const [screeningAnswers, setScreeningAnswers] = useState({});
+
+  const isWaitlist = mode === 'waitlist';
+  const hasTimeSlots = !isWaitlist && event.timeSlots?.length > 0;
+  const screeningComplete = screeningQuestions.every(
+    (question) => typeof screeningAnswers[question.id] === 'boolean'
+  );
+
+  const setScreeningAnswer = (questionId, answer) => {
+    setScreeningAnswers((prev) => ({ ...prev, [questionId]: answer }));
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -16,8 +38,22 @@ function EventRegistrationModal({ event, userProfile, onClose, onRegister }) {
       alert('Please confirm that you meet the eligibility criteria');
       return;
     }
+    if (hasTimeSlots && !selectedSlotId) {
+      alert('Please choose a time slot');
+      return;
+    }
+    if (!screeningComplete) {
+      alert('Please answer all of the health screening questions');
+      return;
+    }
     setLoading(true);
-    await onRegister();
+    await onRegister(
+      hasTimeSlots ? selectedSlotId : undefined,
+      screeningQuestions.map((question) => ({
+        questionId: question.id,
+        answer: screeningAnswers[question.id]
+      }))
+    );
     setLoading(false);
   };
 
@@ -38,7 +74,7 @@ function EventRegistrationModal({ event, userProfile, onClose, onRegister }) {
           <FaTimes />
         </button>
 
-        <h2 className="modal-title">Complete Registration</h2>
+        <h2 className="modal-title">{isWaitlist ? 'Join Waitlist' : 'Complete Registration'}</h2>
 
         <form onSubmit={handleSubmit}>
           {/* Profile information (read-only) */}
@@ -66,6 +102,75 @@ function EventRegistrationModal({ event, userProfile, onClose, onRegister }) {
             </div>
           </div>
 
+          {/* Time slot selection (events with appointment slots only) */}
+          {hasTimeSlots && (
+            <div className="slot-selection-section">
+              <h3 className="section-subtitle">Choose a time slot</h3>
+              {groupSlotsByDay(event.timeSlots, event.timeZone).map((group) => (
+                <div key={group.key} className="slot-day-group">
+                  <p className="slot-day-label">{group.label}</p>
+                  <div className="slot-options">
+                    {group.slots.map((slot) => {
+                      const seatsLeft = getSeatsLeft(slot);
+                      const bookable = isSlotBookable(slot);
+
+                      return (
+                        <label
+                          key={slot._id}
+                          className={`slot-option ${selectedSlotId === slot._id ? 'selected' : ''} ${bookable ? '' : 'unavailable'}`}
+                        >
+                          <input
+                            type="radio"
+                            name="timeSlot"
+                            value={slot._id}
+                            checked={selectedSlotId === slot._id}
+                            disabled={!bookable}
+                            onChange={() => setSelectedSlotId(slot._id)}
+                          />
+                          <span className="slot-time">{formatSlotRange(slot, event.timeZone)}</span>
+                          <span className="slot-seats">
+                            {seatsLeft > 0 ? `${seatsLeft} left` : 'Full'}
+                          </span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Health screening questionnaire (events with screening questions only) */}
+          {screeningQuestions.length > 0 && (
+            <div className="screening-section">
+              <h3 className="section-subtitle">Health Screening</h3>
+              <p className="screening-note">
+                Please answer honestly. Some answers mean you need to wait before donating.
+              </p>
+              {screeningQuestions.map((question) => (
+                <div key={question.id} className="screening-question">
+                  <p className="screening-question-text">{question.text}</p>
+                  <div className="screening-options">
+                    {[true, false].map((answer) => (
+                      <label
+                        key={String(answer)}
+                        className={`screening-option ${screeningAnswers[question.id] === answer ? 'selected' : ''}`}
+                      >
+                        <input
+                          type="radio"
+                          name={`screening-${question.id}`}
+                          checked={screeningAnswers[question.id] === answer}
+                          onChange={() => setScreeningAnswer(question.id, answer)}
+                        />
+                        <span>{answer ? 'Yes' : 'No'}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Event eligibility requirements and donor confirmation checkbox */}
           <div className="eligibility-section">
             <h3 className="section-subtitle">Eligibility Requirements</h3>
@@ -96,9 +201,16 @@ function EventRegistrationModal({ event, userProfile, onClose, onRegister }) {
           <button
             type="submit"
             className="register-submit-btn"
-            disabled={!acceptedEligibility || loading}
+            disabled={
+              !acceptedEligibility ||
+              (hasTimeSlots && !selectedSlotId) ||
+              !screeningComplete ||
+              loading
+            }
           >
-            {loading ? 'Registering...' : 'Register'}
+            {isWaitlist
+              ? (loading ? 'Joining...' : 'Join Waitlist')
+              : (loading ? 'Registering...' : 'Register')}
           </button>
         </form>
       </div>
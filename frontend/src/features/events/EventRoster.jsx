@@ -0,0 +1,372 @@
+/*
+ * EventRoster component
+ * Event-day roster for organizers: search registered donors by name or blood
+ * type and mark each one as checked in (attended) or no-show. Ticket QR codes
+ * can be scanned from the linked TicketScanner page. The History tab lists
+ * the event's audit trail (see EventHistory).
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  FaArrowLeft,
+  FaSearch,
+  FaCheck,
+  FaUserTimes,
+  FaCalendarAlt,
+  FaClock,
+  FaQrcode,
+  FaUsers,
+  FaHistory,
+} from 'react-icons/fa';
+import { useAuth } from '../../shared/context/AuthContext';
+import eventService from '../../shared/services/eventService';
+import Navbar from '../../shared/components/Navbar';
+import EventHistory from './EventHistory';
+import { formatSlotRange } from '../../shared/utils/timeSlots';
+import { formatEventDateRange, formatEventTimeRange } from '../../shared/utils/eventSchedule';
+import { DONATION_TYPES } from '../../shared/utils/donationTypes';
+import './EventRoster.css';
+
+const BLOOD_TYPES = ['O+', 'O-', 'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-'];
+const SEARCH_DEBOUNCE_MS = 300;
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'registered', label: 'Not checked in' },
+  { value: 'attended', label: 'Checked in' },
+  { value: 'no-show', label: 'No-show' },
+  { value: 'cancelled', label: 'Cancelled' },
+];
+
+const STATUS_LABELS = {
+  registered: 'Registered',
+  attended: 'Checked in',
+  'no-show': 'No-show',
+  cancelled: 'Cancelled',
+};
+
+function EventRoster() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { token } = useAuth();
+  const [event, setEvent] = useState(null);
+  const [attendees, setAttendees] = useState([]);
+  const [counts, setCounts] = useState({ registered: 0, attended: 0, noShow: 0, cancelled: 0 });
+  const [checkInOpen, setCheckInOpen] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [selectedBloodType, setSelectedBloodType] = useState('');
+  const [selectedStatus, setSelectedStatus] = useState('');
+  const [pendingDonorId, setPendingDonorId] = useState(null);
+  const [view, setView] = useState('roster');
+
+  // Debounce the search box so we don't refetch on every keystroke
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedSearch(searchQuery.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [searchQuery]);
+
+  const fetchRoster = useCallback(async () => {
+    try {
+      setError('');
+      const filters = {};
+
+      if (debouncedSearch) {
+        filters.search = debouncedSearch;
+      }
+
+      if (selectedBloodType) {
+        filters.bloodType = selectedBloodType;
+      }
+
+      if (selectedStatus) {
+        filters.status = selectedStatus;
+      }
+
+      const data = await eventService.getEventRoster(id, token, filters);
+      setEvent(data.event);
+      setAttendees(data.attendees || []);
+      setCounts(data.counts);
+      setCheckInOpen(Boolean(data.checkInOpen));
+    } catch (err) {
+      console.error('Failed to fetch roster:', err);
+      setError(err.message || 'Failed to load roster');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, token, debouncedSearch, selectedBloodType, selectedStatus]);
+
+  useEffect(() => {
+    fetchRoster();
+  }, [fetchRoster]);
+
+  // Mark a donor as attended (with optional donation details) or no-show,
+  // then refresh the filtered list
+  const handleMarkAttendance = async (donorId, status, donationDetails = {}) => {
+    try {
+      setPendingDonorId(donorId);
+      setError('');
+
+      if (status === 'attended') {
+        await eventService.checkInAttendee(id, donorId, token, donationDetails);
+      } else {
+        await eventService.markAttendeeNoShow(id, donorId, token);
+      }
+
+      await fetchRoster();
+    } catch (err) {
+      console.error('Failed to update attendance:', err);
+      setError(err.message || 'Failed to update attendance');
+    } finally {
+      setPendingDonorId(null);
+    }
+  };
+
+  const formatCheckInTime = (dateValue) =>
+    new Date(dateValue).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+  const getSlotLabel = (slotId) => {
+    const slot = event?.timeSlots?.find((entry) => entry._id === slotId);
+    return slot ? formatSlotRange(slot, event.timeZone) : null;
+  };
+
+  if (loading) {
+    return (
+      <div className="roster-page">
+        <Navbar />
+        <div className="roster-container">
+          <div className="loading">Loading roster...</div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="roster-page">
+      <Navbar />
+
+      <div className="roster-container">
+        <button className="back-link" onClick={() => navigate('/events')}>
+          <FaArrowLeft /> Back to My Events
+        </button>
+
+        {/* Title */}
+        <div className="roster-title-bar">
+          <div>
+            <h1 className="roster-title">Event Roster</h1>
+            {event && (
+              <p className="roster-subtitle">
+                {event.eventTitle}
+                <span className="roster-subtitle-meta">
+                  <FaCalendarAlt /> {formatEventDateRange(event, {
+                    weekday: 'short',
+                    month: 'short',
+                    day: 'numeric',
+                    year: 'numeric',
+                  })}
+                  <FaClock /> {formatEventTimeRange(event)}
+                </span>
+              </p>
+            )}
+          </div>
+          {checkInOpen && (
+            <button
+              type="button"
+              className="roster-scan-btn"
+              onClick={() => navigate(`/events/${id}/scan`)}
+            >
+              <FaQrcode /> Scan Tickets
+            </button>
+          )}
+        </div>
+
+        <div className="roster-view-tabs">
+          <button
+            type="button"
+            className={`roster-view-tab ${view === 'roster' ? 'active' : ''}`}
+            onClick={() => setView('roster')}
+          >
+            <FaUsers /> Roster
+          </button>
+          <button
+            type="button"
+            className={`roster-view-tab ${view === 'history' ? 'active' : ''}`}
+            onClick={() => setView('history')}
+          >
+            <FaHistory /> History
+          </button>
+        </div>
+
+        {view === 'history' ? (
+          <EventHistory eventId={id} token={token} />
+        ) : (
+          <>
+            {error && <div className="roster-alert error">{error}</div>}
+            {!checkInOpen && event && (
+              <div className="roster-alert info">
+                {event.status === 'cancelled'
+                  ? 'This event was cancelled, so attendance cannot be recorded.'
+                  : 'Check-in opens on the day of the event. You can review registrations until then.'}
+              </div>
+            )}
+
+            {/* Summary */}
+            <div className="roster-summary">
+              <div className="roster-summary-item">
+                <span className="roster-summary-value">{counts.registered}</span>
+                <span className="roster-summary-label">Not checked in</span>
+              </div>
+              <div className="roster-summary-item attended">
+                <span className="roster-summary-value">{counts.attended}</span>
+                <span className="roster-summary-label">Checked in</span>
+              </div>
+              <div className="roster-summary-item no-show">
+                <span className="roster-summary-value">{counts.noShow}</span>
+                <span className="roster-summary-label">No-show</span>
+              </div>
+              <div className="roster-summary-item cancelled">
+                <span className="roster-summary-value">{counts.cancelled}</span>
+                <span className="roster-summary-label">Cancelled</span>
+              </div>
+            </div>
+
+            {/* Filters */}
+            <div className="roster-filters">
+              <div className="roster-search">
+                <FaSearch className="roster-search-icon" />
+                <input
+                  type="text"
+                  placeholder="Search by donor name or email"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                />
+              </div>
+              <select
+                className="roster-select"
+                value={selectedBloodType}
+                onChange={(e) => setSelectedBloodType(e.target.value)}
+              >
+                <option value="">All blood types</option>
+                {BLOOD_TYPES.map((type) => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="roster-status-tabs">
+              {STATUS_FILTERS.map((filter) => (
+                <button
+                  key={filter.value || 'all'}
+                  type="button"
+                  className={`roster-status-tab ${selectedStatus === filter.value ? 'active' : ''}`}
+                  onClick={() => setSelectedStatus(filter.value)}
+                >
+                  {filter.label}
+                </button>
+              ))}
+            </div>
+
+            {/* Roster list */}
+            {attendees.length === 0 ? (
+              <div className="roster-empty">No donors match these filters.</div>
+            ) : (
+              <div className="roster-list">
+                {attendees.map((attendee) => {
+                  const donorId = attendee.donor._id;
+                  const slotLabel = attendee.slot ? getSlotLabel(attendee.slot) : null;
+                  const canMark = checkInOpen && attendee.status !== 'cancelled';
+                  const isPending = pendingDonorId === donorId;
+
+                  return (
+                    <div key={attendee._id} className={`roster-row status-${attendee.status}`}>
+                      <div className="roster-donor">
+                        <span className="roster-blood-type">{attendee.donor.bloodType || '?'}</span>
+                        <div>
+                          <div className="roster-donor-name">{attendee.donor.fullName}</div>
+                          <div className="roster-donor-contact">
+                            {attendee.donor.email}
+                            {attendee.donor.phone ? ` • ${attendee.donor.phone}` : ''}
+                          </div>
+                        </div>
+                      </div>
+
+                      <div className="roster-meta">
+                        {slotLabel && <span className="roster-slot">{slotLabel}</span>}
+                        <span className={`roster-status-badge ${attendee.status}`}>
+                          {STATUS_LABELS[attendee.status] || attendee.status}
+                          {attendee.status === 'attended' && attendee.checkedInAt
+                            ? ` at ${formatCheckInTime(attendee.checkedInAt)}`
+                            : ''}
+                        </span>
+                        {attendee.screening && (
+                          <span
+                            className="roster-screening"
+                            title={attendee.screening.answers
+                              .map((entry) => `${entry.question} ${entry.answer ? 'Yes' : 'No'}`)
+                              .join('\n')}
+                          >
+                            Screening answered
+                          </span>
+                        )}
+                        {attendee.status === 'attended' && attendee.donation && (
+                          <div className="roster-donation">
+                            <select
+                              className="roster-donation-select"
+                              value={attendee.donation.donationType}
+                              disabled={!canMark || isPending}
+                              onChange={(e) =>
+                                handleMarkAttendance(donorId, 'attended', { donationType: e.target.value })
+                              }
+                            >
+                              {DONATION_TYPES.map((type) => (
+                                <option key={type.value} value={type.value}>{type.label}</option>
+                              ))}
+                            </select>
+                            <select
+                              className={`roster-donation-select outcome-${attendee.donation.outcome}`}
+                              value={attendee.donation.outcome}
+                              disabled={!canMark || isPending}
+                              onChange={(e) =>
+                                handleMarkAttendance(donorId, 'attended', { outcome: e.target.value })
+                              }
+                            >
+                              <option value="completed">Donated</option>
+                              <option value="deferred">Deferred</option>
+                            </select>
+                          </div>
+                        )}
+                      </div>
+
+                      <div className="roster-actions">
+                        <button
+                          type="button"
+                          className="roster-btn check-in"
+                          disabled={!canMark || isPending || attendee.status === 'attended'}
+                          onClick={() => handleMarkAttendance(donorId, 'attended')}
+                        >
+                          <FaCheck /> Check In
+                        </button>
+                        <button
+                          type="button"
+                          className="roster-btn no-show"
+                          disabled={!canMark || isPending || attendee.status === 'no-show'}
+                          onClick={() => handleMarkAttendance(donorId, 'no-show')}
+                        >
+                          <FaUserTimes /> No-show
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EventRoster;
@@ -0,0 +1,59 @@
+/*
+ * EventTemplatePicker component
+ * Top of the CreateEvent form: fills the form from one of the organizer's
+ * saved templates, or deletes a template that is no longer needed.
+ */
+import React, { useState } from 'react';
+import { FaTrashAlt } from 'react-icons/fa';
+
+/**
+ * @param {Object[]} templates - The organizer's templates
+ * @param {Function} onApply - Called with the chosen template
+ * @param {Function} onDelete - Called with the template to delete
+ */
+function EventTemplatePicker({ templates, onApply, onDelete }) {
+  const [selectedId, setSelectedId] = useState('');
+  const selected = templates.find((template) => template._id === selectedId);
+
+  if (templates.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="form-card template-picker">
+      <h2 className="section-title">Start from a Template</h2>
+      <p className="section-subtitle">
+        Fill in the venue, description, requirements and blood types you saved before. Dates are left for you to pick.
+      </p>
+      <div className="template-picker-row">
+        <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)}>
+          <option value="">Choose a template...</option>
+          {templates.map((template) => (
+            <option key={template._id} value={template._id}>
+              {template.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="template-apply-btn"
+          onClick={() => onApply(selected)}
+          disabled={!selected}
+        >
+          Use Template
+        </button>
+        <button
+          type="button"
+          className="template-delete-btn"
+          onClick={() => onDelete(selected)}
+          disabled={!selected}
+          title="Delete template"
+        >
+          <FaTrashAlt />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default EventTemplatePicker;
@@ -12,17 +12,24 @@ import {
   FaUsers,
   FaEdit,
   FaTrashAlt,
+  FaClipboardCheck,
+  FaFileUpload,
+  FaCopy,
+  FaBookmark,
 } from 'react-icons/fa';
 import { useAuth } from '../../shared/context/AuthContext';
 import eventService from '../../shared/services/eventService';
+import eventTemplateService from '../../shared/services/eventTemplateService';
 import Navbar from '../../shared/components/Navbar';
+import RosterExportMenu from './RosterExportMenu';
+import { formatEventTimeRange } from '../../shared/utils/eventSchedule';
 import './Events.css';
 
 const sortEventsByDate = (list, direction = 'asc') => {
   const sorted = [...list];
   sorted.sort((a, b) => {
-    const aDate = new Date(a.eventDate);
-    const bDate = new Date(b.eventDate);
+    const aDate = new Date(a.startsAt);
+    const bDate = new Date(b.startsAt);
     const diff = aDate - bDate;
     return direction === 'asc' ? diff : -diff;
   });
@@ -31,6 +38,7 @@ const sortEventsByDate = (list, direction = 'asc') => {
 
 function Events() {
   const [events, setEvents] = useState([]);
+  const [organization, setOrganization] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -62,6 +70,7 @@ function Events() {
         const response = await eventService.getMyEvents(user.token);
         if (!isMounted) return;
         setEvents(response?.events || []);
+        setOrganization(response?.organization || null);
       } catch (err) {
         if (!isMounted) return;
         setError(err.message || 'Failed to load events');
@@ -122,13 +131,15 @@ function Events() {
     );
   }, [categorizedEvents]);
 
-  const formatDate = (dateString) => {
+  // Dates are shown in the event's own time zone
+  const formatDate = (dateString, timeZone) => {
     if (!dateString) return 'Date not set';
     try {
       return new Intl.DateTimeFormat('en-US', {
         month: 'long',
         day: 'numeric',
         year: 'numeric',
+        timeZone,
       }).format(new Date(dateString));
     } catch (err) {
       return dateString;
@@ -163,6 +174,37 @@ function Events() {
     navigate(`/events/edit/${eventId}`);
   };
 
+  const handleOpenRoster = (eventId) => {
+    navigate(`/events/${eventId}/roster`);
+  };
+
+  // Open the create form pre-filled with this event's details (new dates)
+  const handleDuplicateEvent = (eventId) => {
+    navigate(`/events/create?duplicate=${eventId}`);
+  };
+
+  const handleSaveAsTemplate = async (event) => {
+    if (!user?.token) return;
+    const name = window.prompt('Template name', event.eventTitle);
+
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      const response = await eventTemplateService.createTemplate(
+        { name: name.trim(), eventId: event._id },
+        user.token
+      );
+      setSuccess(`${response.message}: "${response.template.name}"`);
+    } catch (err) {
+      console.error('Failed to save template:', err);
+      setError(err.response?.data?.message || 'Failed to save template.');
+    }
+  };
+
   const handleCancelEvent = async (eventId) => {
     if (!user?.token) return;
     const confirmCancel = window.confirm(
@@ -201,6 +243,35 @@ function Events() {
     }
   };
 
+  const handleCancelSeries = async (seriesId) => {
+    if (!user?.token) return;
+    const confirmCancel = window.confirm(
+      'This cancels every upcoming event in the series. Past events are kept. Are you sure you want to continue?'
+    );
+
+    if (!confirmCancel) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      const response = await eventService.cancelEventSeries(seriesId, user.token);
+
+      setEvents((prev) =>
+        prev.map((eventItem) =>
+          eventItem.series === seriesId && eventItem.status === 'upcoming'
+            ? { ...eventItem, status: 'cancelled' }
+            : eventItem
+        )
+      );
+
+      setSuccess(response?.message || 'Event series cancelled successfully.');
+    } catch (err) {
+      setError(err.message || 'Failed to cancel event series');
+    }
+  };
+
   const handleDeleteEvent = async (eventId) => {
     if (!user?.token) return;
     const confirmDelete = window.confirm(
@@ -233,6 +304,10 @@ function Events() {
     );
   }
 
+  // Check-in staff only work with rosters; everyone else manages events
+  const canManageEvents = organization?.role !== 'checkin';
+  const ifEventManager = (handler) => (canManageEvents ? handler : undefined);
+
   return (
     <div className="events-page">
       <Navbar />
@@ -247,10 +322,17 @@ function Events() {
 
         {/* Title Bar */}
         <div className="events-title-bar">
-          <h1 className="events-title">My Events</h1>
-          <button className="create-event-btn" onClick={() => navigate('/events/create')}>
-            <FaPlus /> Create New Event
-          </button>
+          <h1 className="events-title">{organization ? `${organization.name} Events` : 'My Events'}</h1>
+          {canManageEvents && (
+            <div className="events-title-actions">
+              <button className="import-events-btn" onClick={() => navigate('/events/import')}>
+                <FaFileUpload /> Import
+              </button>
+              <button className="create-event-btn" onClick={() => navigate('/events/create')}>
+                <FaPlus /> Create New Event
+              </button>
+            </div>
+          )}
         </div>
 
         {error && <div className="events-alert error">{error}</div>}
@@ -262,10 +344,16 @@ function Events() {
             <div className="empty-state">
               <div className="empty-icon">📅</div>
               <h3>No Events Yet</h3>
-              <p>Create your first blood donation event to get started</p>
-              <button className="create-first-event-btn" onClick={() => navigate('/events/create')}>
-                <FaPlus /> Create Your First Event
-              </button>
+              {canManageEvents ? (
+                <>
+                  <p>Create your first blood donation event to get started</p>
+                  <button className="create-first-event-btn" onClick={() => navigate('/events/create')}>
+                    <FaPlus /> Create Your First Event
+                  </button>
+                </>
+              ) : (
+                <p>Your organization has no events to check donors in for yet</p>
+              )}
             </div>
           ) : (
             <div className="events-sections">
@@ -277,8 +365,13 @@ function Events() {
                   getStatusLabel={getStatusLabel}
                   getStatusBadgeClass={getStatusBadgeClass}
                   onViewDetails={handleViewDetails}
-                  onEdit={handleEditEvent}
-                  onCancel={handleCancelEvent}
+                  onDuplicate={ifEventManager(handleDuplicateEvent)}
+                  onSaveTemplate={ifEventManager(handleSaveAsTemplate)}
+                  onOpenRoster={handleOpenRoster}
+                  onExportError={setError}
+                  onEdit={ifEventManager(handleEditEvent)}
+                  onCancel={ifEventManager(handleCancelEvent)}
+                  onCancelSeries={ifEventManager(handleCancelSeries)}
                 />
               )}
 
@@ -290,8 +383,12 @@ function Events() {
                   getStatusLabel={getStatusLabel}
                   getStatusBadgeClass={getStatusBadgeClass}
                   onViewDetails={handleViewDetails}
-                  onEdit={handleEditEvent}
-                  onCancel={handleCancelEvent}
+                  onDuplicate={ifEventManager(handleDuplicateEvent)}
+                  onSaveTemplate={ifEventManager(handleSaveAsTemplate)}
+                  onOpenRoster={handleOpenRoster}
+                  onExportError={setError}
+                  onEdit={ifEventManager(handleEditEvent)}
+                  onCancel={ifEventManager(handleCancelEvent)}
                 />
               )}
 
@@ -303,7 +400,11 @@ function Events() {
                   getStatusLabel={getStatusLabel}
                   getStatusBadgeClass={getStatusBadgeClass}
                   onViewDetails={handleViewDetails}
-                  onDelete={handleDeleteEvent}
+                  onDuplicate={ifEventManager(handleDuplicateEvent)}
+                  onSaveTemplate={ifEventManager(handleSaveAsTemplate)}
+                  onOpenRoster={handleOpenRoster}
+                  onExportError={setError}
+                  onDelete={ifEventManager(handleDeleteEvent)}
                   isCompletedSection
                 />
               )}
@@ -316,7 +417,9 @@ function Events() {
                   getStatusLabel={getStatusLabel}
                   getStatusBadgeClass={getStatusBadgeClass}
                   onViewDetails={handleViewDetails}
-                  onDelete={handleDeleteEvent}
+                  onDuplicate={ifEventManager(handleDuplicateEvent)}
+                  onSaveTemplate={ifEventManager(handleSaveAsTemplate)}
+                  onDelete={ifEventManager(handleDeleteEvent)}
                 />
               )}
             </div>
@@ -334,9 +437,14 @@ const EventsSection = ({
   getStatusLabel,
   getStatusBadgeClass,
   onViewDetails,
+  onOpenRoster,
   onEdit,
   onCancel,
+  onCancelSeries,
   onDelete,
+  onExportError,
+  onDuplicate,
+  onSaveTemplate,
   isCompletedSection = false,
 }) => {
   const bloodTypesTitle = isCompletedSection ? 'Blood Types Collected:' : 'Blood Types Needed:';
@@ -352,24 +460,14 @@ const EventsSection = ({
   };
 
   const getDateRangeLabel = (event) => {
-    const startRaw = event?.eventDate || event?.startDate;
-    const endRaw = event?.endDate;
-
-    if (!startRaw) {
+    if (!event?.startsAt) {
       return 'Date not set';
     }
 
-    const startDate = new Date(startRaw);
-    const endDate = endRaw ? new Date(endRaw) : null;
-
-    const startTime = startDate.getTime();
-    const endTime = endDate ? endDate.getTime() : Number.NaN;
-
-    if (!endDate || Number.isNaN(endTime) || startTime === endTime) {
-      return formatDate(startRaw);
-    }
+    const start = formatDate(event.startsAt, event.timeZone);
+    const end = event.endsAt ? formatDate(event.endsAt, event.timeZone) : start;
 
-    return `${formatDate(startRaw)} - ${formatDate(endRaw)}`;
+    return start === end ? start : `${start} - ${end}`;
   };
 
   return (
@@ -386,10 +484,49 @@ const EventsSection = ({
                 {event.organizationName && (
                   <span className="badge badge-organization">{event.organizationName}</span>
                 )}
+                {event.series && <span className="badge badge-series">Recurring</span>}
+                {event.isHidden && (
+                  <span className="badge badge-hidden" title={event.hiddenReason}>
+                    Hidden by admins
+                  </span>
+                )}
               </div>
 
               {(event.status === 'upcoming' || event.status === 'ongoing') && (
                 <div className="event-actions">
+                  {onOpenRoster && (
+                    <button
+                      type="button"
+                      className="action-btn outline"
+                      onClick={() => onOpenRoster(event._id)}
+                    >
+                      <FaClipboardCheck className="action-btn-icon" />
+                      Roster
+                    </button>
+                  )}
+                  {onExportError && (
+                    <RosterExportMenu eventId={event._id} onError={onExportError} />
+                  )}
+                  {onDuplicate && (
+                    <button
+                      type="button"
+                      className="action-btn outline"
+                      onClick={() => onDuplicate(event._id)}
+                    >
+                      <FaCopy className="action-btn-icon" />
+                      Duplicate
+                    </button>
+                  )}
+                  {onSaveTemplate && (
+                    <button
+                      type="button"
+                      className="action-btn outline"
+                      onClick={() => onSaveTemplate(event)}
+                    >
+                      <FaBookmark className="action-btn-icon" />
+                      Save as Template
+                    </button>
+                  )}
                   {onEdit && (
                     <button
                       type="button"
@@ -410,11 +547,54 @@ const EventsSection = ({
                       Cancel Event
                     </button>
                   )}
+                  {onCancelSeries && event.series && (
+                    <button
+                      type="button"
+                      className="action-btn outline"
+                      onClick={() => onCancelSeries(event.series)}
+                    >
+                      <FaTrashAlt className="action-btn-icon" />
+                      Cancel Series
+                    </button>
+                  )}
                 </div>
               )}
 
               {(event.status === 'cancelled' || event.status === 'completed') && onDelete && (
                 <div className="event-actions">
+                  {event.status === 'completed' && onOpenRoster && (
+                    <button
+                      type="button"
+                      className="action-btn outline"
+                      onClick={() => onOpenRoster(event._id)}
+                    >
+                      <FaClipboardCheck className="action-btn-icon" />
+                      Roster
+                    </button>
+                  )}
+                  {event.status === 'completed' && onExportError && (
+                    <RosterExportMenu eventId={event._id} onError={onExportError} />
+                  )}
+                  {onDuplicate && (
+                    <button
+                      type="button"
+                      className="action-btn outline"
+                      onClick={() => onDuplicate(event._id)}
+                    >
+                      <FaCopy className="action-btn-icon" />
+                      Duplicate
+                    </button>
+                  )}
+                  {onSaveTemplate && (
+                    <button
+                      type="button"
+                      className="action-btn outline"
+                      onClick={() => onSaveTemplate(event)}
+                    >
+                      <FaBookmark className="action-btn-icon" />
+                      Save as Template
+                    </button>
+                  )}
                   <button
                     type="button"
                     className="action-btn outline"
@@ -436,7 +616,7 @@ const EventsSection = ({
                 <FaCalendarAlt className="event-meta-icon" />
                 <span>
                   {getDateRangeLabel(event)}
-                  {event.eventTime ? ` • ${event.eventTime}` : ''}
+                  {event.startsAt ? ` • ${formatEventTimeRange(event)}` : ''}
                 </span>
               </div>
               <div className="event-meta-item">
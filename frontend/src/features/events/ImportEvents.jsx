@@ -0,0 +1,223 @@
+/*
+ * ImportEvents component
+ * Bulk event creation for organizers: upload a CSV or XLSX file (one event
+ * per row, see the template), review every row with its errors, then create
+ * all valid rows at once. Rows without coordinates are placed on the map by
+ * looking up their address.
+ */
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaFileDownload, FaFileUpload, FaCheck, FaExclamationTriangle } from 'react-icons/fa';
+import { useAuth } from '../../shared/context/AuthContext';
+import eventService from '../../shared/services/eventService';
+import Navbar from '../../shared/components/Navbar';
+import './ImportEvents.css';
+
+function ImportEvents() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setPreview(null);
+    setResult(null);
+    setError('');
+  };
+
+  const handlePreview = async () => {
+    if (!file) {
+      setError('Please choose a .csv or .xlsx file');
+      return;
+    }
+
+    try {
+      setPreviewing(true);
+      setError('');
+      setResult(null);
+      const data = await eventService.previewEventImport(file, user.token);
+      setPreview(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  // Send the checked rows back; the server checks them again before creating
+  const handleImport = async () => {
+    const validRows = preview.rows
+      .filter((row) => row.errors.length === 0)
+      .map(({ rowNumber, request }) => ({ rowNumber, request }));
+
+    try {
+      setImporting(true);
+      setError('');
+      const data = await eventService.importEvents(validRows, user.token);
+      setResult(data);
+      setPreview(null);
+      setFile(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const formatSchedule = ({ startDate, endDate, startTime, endTime }) =>
+    `${startDate || '?'}${endDate && endDate !== startDate ? ` to ${endDate}` : ''}, ${startTime || '?'} - ${endTime || '?'}`;
+
+  if (user.role !== 'organizer') {
+    return (
+      <div className="import-page">
+        <Navbar />
+        <div className="import-container">
+          <div className="import-alert error">Only organizers can import events.</div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="import-page">
+      <Navbar />
+
+      <div className="import-container">
+        <button className="back-link" onClick={() => navigate('/events')}>
+          <FaArrowLeft /> Back to My Events
+        </button>
+
+        <div className="import-title-bar">
+          <div>
+            <h1 className="import-title">Import Events</h1>
+            <p className="import-subtitle">
+              Create many drives at once from a spreadsheet. Each row is checked like a new event
+              before anything is saved.
+            </p>
+          </div>
+          <a className="import-template-link" href={eventService.getImportTemplateUrl()}>
+            <FaFileDownload /> Download Template
+          </a>
+        </div>
+
+        {error && <div className="import-alert error">{error}</div>}
+
+        {result && (
+          <div className="import-alert success">
+            {result.message}
+            {result.skipped?.length > 0 &&
+              ` (${result.skipped.length} row(s) skipped: ${result.skipped
+                .map((row) => row.rowNumber)
+                .join(', ')})`}
+            <button type="button" className="import-link-btn" onClick={() => navigate('/events')}>
+              View my events
+            </button>
+          </div>
+        )}
+
+        {/* Upload */}
+        <div className="import-upload">
+          <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} />
+          <button
+            type="button"
+            className="import-btn"
+            onClick={handlePreview}
+            disabled={!file || previewing}
+          >
+            <FaFileUpload /> {previewing ? 'Checking rows...' : 'Preview'}
+          </button>
+        </div>
+        <p className="import-hint">
+          Dates use YYYY-MM-DD and times 24-hour HH:mm. Separate blood types with commas and
+          eligibility requirements with semicolons. Up to 100 events per file.
+        </p>
+
+        {/* Preview */}
+        {preview && (
+          <>
+            <div className="import-summary">
+              <span className="import-summary-valid">{preview.validCount} ready to import</span>
+              {preview.invalidCount > 0 && (
+                <span className="import-summary-invalid">
+                  {preview.invalidCount} with errors (will be skipped)
+                </span>
+              )}
+            </div>
+
+            <div className="import-table-wrapper">
+              <table className="import-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Event</th>
+                    <th>Schedule</th>
+                    <th>Location</th>
+                    <th>Blood Types</th>
+                    <th>Check</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(({ rowNumber, request, errors, warnings }) => (
+                    <tr key={rowNumber} className={errors.length > 0 ? 'invalid' : ''}>
+                      <td>{rowNumber}</td>
+                      <td>
+                        <div className="import-event-title">{request.eventTitle || '-'}</div>
+                        <div className="import-event-meta">{request.organizationName}</div>
+                      </td>
+                      <td>
+                        {formatSchedule(request)}
+                        {request.timeZone && (
+                          <div className="import-event-meta">{request.timeZone}</div>
+                        )}
+                      </td>
+                      <td>{request.location || '-'}</td>
+                      <td>{(request.bloodTypesNeeded || []).join(', ') || '-'}</td>
+                      <td>
+                        {errors.length === 0 ? (
+                          <span className="import-status ok">
+                            <FaCheck /> Ready
+                          </span>
+                        ) : (
+                          <ul className="import-errors">
+                            {errors.map((message) => (
+                              <li key={message}>{message}</li>
+                            ))}
+                          </ul>
+                        )}
+                        {warnings.map((message) => (
+                          <div key={message} className="import-warning">
+                            <FaExclamationTriangle /> {message}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="import-actions">
+              <button
+                type="button"
+                className="import-btn"
+                onClick={handleImport}
+                disabled={preview.validCount === 0 || importing}
+              >
+                {importing
+                  ? 'Creating events...'
+                  : `Create ${preview.validCount} Event${preview.validCount === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImportEvents;
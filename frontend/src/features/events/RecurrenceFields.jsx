@@ -0,0 +1,269 @@
+/*
+ * RecurrenceFields component
+ * Form section of CreateEvent that turns the event into a recurring series
+ * (e.g. every first Saturday of the month). Each date the rule produces is
+ * created as its own event with its own registrations and capacity.
+ */
+import React, { useState } from 'react';
+import { FaTimes } from 'react-icons/fa';
+
+const WEEKDAYS = [
+  { value: '1', label: 'Mon' },
+  { value: '2', label: 'Tue' },
+  { value: '3', label: 'Wed' },
+  { value: '4', label: 'Thu' },
+  { value: '5', label: 'Fri' },
+  { value: '6', label: 'Sat' },
+  { value: '7', label: 'Sun' },
+];
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const POSITION_NAMES = ['first', 'second', 'third', 'fourth'];
+const PERIOD_NAMES = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// Same limit as the backend
+export const MAX_OCCURRENCES = 60;
+
+/*
+ * describeMonthlyPosition
+ * "first Saturday" / "last Friday" for a "YYYY-MM-DD" date, or ''
+ */
+export const describeMonthlyPosition = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+
+  if (!date || Number.isNaN(day.getTime())) {
+    return '';
+  }
+
+  const weekday = WEEKDAY_NAMES[(day.getUTCDay() + 6) % 7];
+  const nextWeek = new Date(day);
+  nextWeek.setUTCDate(day.getUTCDate() + 7);
+
+  const position = nextWeek.getUTCMonth() !== day.getUTCMonth()
+    ? 'last'
+    : POSITION_NAMES[Math.ceil(day.getUTCDate() / 7) - 1];
+
+  return `${position} ${weekday}`;
+};
+
+/*
+ * buildRecurrence
+ * The API's recurrence rule from the form values, or null for a single event
+ */
+export const buildRecurrence = ({
+  repeat,
+  repeatInterval,
+  repeatWeekdays,
+  monthlyMode,
+  repeatEnd,
+  repeatCount,
+  repeatUntil,
+  repeatExceptions,
+}) => {
+  if (!repeat || repeat === 'none') {
+    return null;
+  }
+
+  return {
+    frequency: repeat,
+    interval: Number(repeatInterval) || 1,
+    // Without weekdays the backend repeats on the start date's weekday
+    ...(repeat === 'weekly' && repeatWeekdays?.length > 0 && { weekdays: repeatWeekdays.map(Number) }),
+    ...(repeat === 'monthly' && { monthlyMode }),
+    ...(repeatEnd === 'until' ? { until: repeatUntil } : { count: Number(repeatCount) }),
+    exceptions: repeatExceptions || [],
+  };
+};
+
+/**
+ * Recurrence settings for the create event form
+ *
+ * @param {Function} register - react-hook-form register
+ * @param {Function} watch - react-hook-form watch
+ * @param {Function} setValue - react-hook-form setValue
+ * @param {Object} errors - react-hook-form errors
+ */
+function RecurrenceFields({ register, watch, setValue, errors }) {
+  const [skipDate, setSkipDate] = useState('');
+  const [repeat, repeatInterval, repeatEnd, repeatExceptions, startDate] = watch([
+    'repeat',
+    'repeatInterval',
+    'repeatEnd',
+    'repeatExceptions',
+    'startDate',
+  ]);
+
+  const exceptions = repeatExceptions || [];
+  const period = PERIOD_NAMES[repeat];
+  const monthlyPosition = describeMonthlyPosition(startDate);
+  const dayOfMonth = startDate ? Number(startDate.slice(8, 10)) : null;
+
+  const handleAddException = () => {
+    if (skipDate && !exceptions.includes(skipDate)) {
+      setValue('repeatExceptions', [...exceptions, skipDate].sort());
+    }
+    setSkipDate('');
+  };
+
+  const handleRemoveException = (date) => {
+    setValue('repeatExceptions', exceptions.filter((value) => value !== date));
+  };
+
+  return (
+    <div className="recurrence-fields">
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="repeat">Repeat</label>
+          <select id="repeat" {...register('repeat')}>
+            <option value="none">Does not repeat</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+          <span className="field-hint">
+            Each date becomes its own event with its own registrations and capacity.
+          </span>
+        </div>
+
+        {period && (
+          <div className="form-group">
+            <label htmlFor="repeatInterval">
+              Every <span className="required">*</span>
+            </label>
+            <input
+              type="number"
+              id="repeatInterval"
+              {...register('repeatInterval', {
+                required: 'Interval is required',
+                min: { value: 1, message: 'Interval must be at least 1' },
+                max: { value: 52, message: 'Interval can be at most 52' },
+              })}
+            />
+            {errors.repeatInterval && <span className="error-text">{errors.repeatInterval.message}</span>}
+            <span className="field-hint">
+              {Number(repeatInterval) > 1 ? `${period}s` : period}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {repeat === 'weekly' && (
+        <div className="form-group">
+          <label>On</label>
+          <div className="recurrence-weekdays">
+            {WEEKDAYS.map((weekday) => (
+              <label key={weekday.value} className="recurrence-weekday">
+                <input type="checkbox" value={weekday.value} {...register('repeatWeekdays')} />
+                <span>{weekday.label}</span>
+              </label>
+            ))}
+          </div>
+          <span className="field-hint">Leave empty to repeat on the start date&apos;s weekday</span>
+        </div>
+      )}
+
+      {repeat === 'monthly' && (
+        <div className="form-group">
+          <label htmlFor="monthlyMode">On</label>
+          <select id="monthlyMode" {...register('monthlyMode')}>
+            <option value="day-of-month">
+              {dayOfMonth ? `Day ${dayOfMonth} of the month` : 'The same day of the month'}
+            </option>
+            <option value="nth-weekday">
+              {monthlyPosition ? `The ${monthlyPosition} of the month` : 'The same weekday of the month'}
+            </option>
+          </select>
+          <span className="field-hint">Based on the start date</span>
+        </div>
+      )}
+
+      {period && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="repeatEnd">Ends</label>
+              <select id="repeatEnd" {...register('repeatEnd')}>
+                <option value="count">After a number of events</option>
+                <option value="until">On a date</option>
+              </select>
+            </div>
+
+            {repeatEnd === 'until' ? (
+              <div className="form-group">
+                <label htmlFor="repeatUntil">
+                  Last Date <span className="required">*</span>
+                </label>
+                <input
+                  type="date"
+                  id="repeatUntil"
+                  {...register('repeatUntil', {
+                    validate: (value) => {
+                      if (repeat === 'none' || repeatEnd !== 'until') return true;
+                      if (!value) return 'Last date is required';
+                      return !startDate || value >= startDate || 'Last date must be on or after the start date';
+                    },
+                  })}
+                />
+                {errors.repeatUntil && <span className="error-text">{errors.repeatUntil.message}</span>}
+              </div>
+            ) : (
+              <div className="form-group">
+                <label htmlFor="repeatCount">
+                  Number of Events <span className="required">*</span>
+                </label>
+                <input
+                  type="number"
+                  id="repeatCount"
+                  {...register('repeatCount', {
+                    required: 'Number of events is required',
+                    min: { value: 1, message: 'At least 1 event' },
+                    max: { value: MAX_OCCURRENCES, message: `At most ${MAX_OCCURRENCES} events` },
+                  })}
+                />
+                {errors.repeatCount && <span className="error-text">{errors.repeatCount.message}</span>}
+              </div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="skipDate">Skip Dates</label>
+            <div className="recurrence-skip-row">
+              <input
+                type="date"
+                id="skipDate"
+                value={skipDate}
+                min={startDate || undefined}
+                onChange={(e) => setSkipDate(e.target.value)}
+              />
+              <button
+                type="button"
+                className="add-requirement-btn"
+                onClick={handleAddException}
+                disabled={!skipDate}
+              >
+                Skip date
+              </button>
+            </div>
+            {exceptions.length > 0 && (
+              <div className="recurrence-exceptions">
+                {exceptions.map((date) => (
+                  <span key={date} className="recurrence-exception">
+                    {date}
+                    <button type="button" onClick={() => handleRemoveException(date)}>
+                      <FaTimes />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <span className="field-hint">
+              e.g. public holidays; skipped dates still count towards the number of events
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RecurrenceFields;
@@ -0,0 +1,99 @@
+/*
+ * RosterExportMenu component
+ * Organizer action on an event card: downloads the attendee roster as a CSV
+ * file or a printable PDF sign-in sheet, optionally limited to one status.
+ */
+import React, { useState } from 'react';
+import { FaFileDownload } from 'react-icons/fa';
+import { useAuth } from '../../shared/context/AuthContext';
+import eventService from '../../shared/services/eventService';
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'All donors' },
+  { value: 'registered,attended', label: 'Registered & checked in' },
+  { value: 'registered', label: 'Registered' },
+  { value: 'attended', label: 'Checked in' },
+  { value: 'no-show', label: 'No-show' },
+  { value: 'cancelled', label: 'Cancelled' },
+];
+
+// Save a downloaded file through a temporary link
+const saveFile = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * @param {string} eventId - Event whose roster is exported
+ * @param {Function} onError - Called with a message when the download fails
+ */
+function RosterExportMenu({ eventId, onError }) {
+  const { user } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState('registered,attended');
+  const [downloading, setDownloading] = useState('');
+
+  const handleDownload = async (format) => {
+    try {
+      setDownloading(format);
+      const { blob, fileName } = await eventService.downloadEventRoster(eventId, user.token, {
+        format,
+        status,
+      });
+      saveFile(blob, fileName);
+    } catch (err) {
+      onError?.(err.message || 'Failed to download roster');
+    } finally {
+      setDownloading('');
+    }
+  };
+
+  return (
+    <div className="roster-export">
+      <button
+        type="button"
+        className="action-btn outline"
+        onClick={() => setOpen((value) => !value)}
+      >
+        <FaFileDownload className="action-btn-icon" />
+        Export Roster
+      </button>
+
+      {open && (
+        <div className="roster-export-menu">
+          <select value={status} onChange={(e) => setStatus(e.target.value)}>
+            {STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="action-btn outline"
+            onClick={() => handleDownload('csv')}
+            disabled={Boolean(downloading)}
+          >
+            {downloading === 'csv' ? 'Preparing...' : 'CSV'}
+          </button>
+          <button
+            type="button"
+            className="action-btn outline"
+            onClick={() => handleDownload('pdf')}
+            disabled={Boolean(downloading)}
+          >
+            {downloading === 'pdf' ? 'Preparing...' : 'PDF sign-in sheet'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RosterExportMenu;
@@ -0,0 +1,72 @@
+/*
+ * ScreeningQuestionFields component
+ * Form section shared by CreateEvent and EditEvent that lets organizers pick
+ * which health screening questions donors answer when registering.
+ */
+import React, { useEffect, useState } from 'react';
+import { Controller } from 'react-hook-form';
+import eventService from '../../shared/services/eventService';
+
+/**
+ * Screening question picker for the event forms
+ *
+ * @param {Object} control - react-hook-form control
+ * @param {Function} setValue - react-hook-form setValue
+ * @param {boolean} applyDefaults - Pre-select the standard questions once loaded (new events)
+ */
+function ScreeningQuestionFields({ control, setValue, applyDefaults = false }) {
+  const [questions, setQuestions] = useState([]);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    eventService
+      .getScreeningQuestions()
+      .then((data) => {
+        if (!isMounted) return;
+        setQuestions(data.questions || []);
+        if (applyDefaults) {
+          setValue('screeningQuestions', data.defaultQuestionIds || []);
+        }
+      })
+      .catch((err) => console.error('Failed to fetch screening questions:', err));
+
+    return () => {
+      isMounted = false;
+    };
+  }, [applyDefaults, setValue]);
+
+  const toggleQuestion = (questionId, selected) =>
+    selected.includes(questionId)
+      ? selected.filter((id) => id !== questionId)
+      : [...selected, questionId];
+
+  return (
+    <div className="form-group screening-question-fields">
+      <label>Health Screening Questions</label>
+      <span className="help-text">
+        Donors answer these when registering. Answers that rule out donating defer the donor with a reason and an end date.
+      </span>
+      <Controller
+        name="screeningQuestions"
+        control={control}
+        render={({ field }) => (
+          <div className="screening-question-list">
+            {questions.map((question) => (
+              <label key={question.id} className="screening-question-option">
+                <input
+                  type="checkbox"
+                  checked={field.value.includes(question.id)}
+                  onChange={() => field.onChange(toggleQuestion(question.id, field.value))}
+                />
+                <span>{question.text}</span>
+              </label>
+            ))}
+          </div>
+        )}
+      />
+    </div>
+  );
+}
+
+export default ScreeningQuestionFields;
@@ -0,0 +1,230 @@
+/*
+ * TicketScanner component
+ * Organizer page for checking donors in by scanning their ticket QR codes.
+ * Uses the browser's BarcodeDetector with the device camera when available
+ * and always offers manual code entry as a fallback.
+ */
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { FaArrowLeft, FaCamera, FaStop, FaCheckCircle, FaTimesCircle, FaExclamationCircle } from 'react-icons/fa';
+import { useAuth } from '../../shared/context/AuthContext';
+import eventService from '../../shared/services/eventService';
+import Navbar from '../../shared/components/Navbar';
+import './TicketScanner.css';
+
+const SCAN_INTERVAL_MS = 400;
+// Ignore repeated reads of the same code while it stays in front of the camera
+const DUPLICATE_SCAN_WINDOW_MS = 4000;
+
+const supportsBarcodeDetector = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+function TicketScanner() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { token } = useAuth();
+  const [cameraActive, setCameraActive] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+  const [manualCode, setManualCode] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [result, setResult] = useState(null);
+  const [counts, setCounts] = useState(null);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const lastScanRef = useRef({ code: '', at: 0 });
+  const checkingRef = useRef(false);
+
+  const stopCamera = useCallback(() => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach((track) => track.stop());
+      streamRef.current = null;
+    }
+    setCameraActive(false);
+  }, []);
+
+  // Release the camera when leaving the page
+  useEffect(() => stopCamera, [stopCamera]);
+
+  const submitCode = useCallback(async (code) => {
+    const trimmed = code.trim();
+    if (!trimmed || checkingRef.current) {
+      return;
+    }
+
+    try {
+      checkingRef.current = true;
+      setChecking(true);
+      const data = await eventService.scanTicket(id, trimmed, token);
+      setResult({
+        type: data.alreadyCheckedIn ? 'warning' : 'success',
+        message: data.message,
+        attendee: data.attendee,
+      });
+      setCounts(data.counts);
+    } catch (err) {
+      setResult({ type: 'error', message: err.message || 'Ticket could not be verified' });
+    } finally {
+      checkingRef.current = false;
+      setChecking(false);
+    }
+  }, [id, token]);
+
+  // Poll the video feed for QR codes while the camera is on
+  useEffect(() => {
+    if (!cameraActive || !supportsBarcodeDetector) {
+      return undefined;
+    }
+
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const intervalId = setInterval(async () => {
+      const video = videoRef.current;
+      if (!video || video.readyState < 2 || checkingRef.current) {
+        return;
+      }
+
+      try {
+        const codes = await detector.detect(video);
+        const rawValue = codes[0]?.rawValue;
+        if (!rawValue) {
+          return;
+        }
+
+        const now = Date.now();
+        const lastScan = lastScanRef.current;
+        if (rawValue === lastScan.code && now - lastScan.at < DUPLICATE_SCAN_WINDOW_MS) {
+          return;
+        }
+
+        lastScanRef.current = { code: rawValue, at: now };
+        submitCode(rawValue);
+      } catch (err) {
+        console.error('QR detection failed:', err);
+      }
+    }, SCAN_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [cameraActive, submitCode]);
+
+  const startCamera = async () => {
+    try {
+      setCameraError('');
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false,
+      });
+      streamRef.current = stream;
+      setCameraActive(true);
+
+      if (videoRef.current) {
+        videoRef.current.srcObject = stream;
+      }
+    } catch (err) {
+      console.error('Failed to start camera:', err);
+      setCameraError('Could not access the camera. Check permissions or enter the code manually.');
+    }
+  };
+
+  // The video element mounts after the camera starts, so attach the stream here
+  useEffect(() => {
+    if (cameraActive && videoRef.current && streamRef.current) {
+      videoRef.current.srcObject = streamRef.current;
+    }
+  }, [cameraActive]);
+
+  const handleManualSubmit = async (e) => {
+    e.preventDefault();
+    await submitCode(manualCode);
+    setManualCode('');
+  };
+
+  const ResultIcon = result?.type === 'success'
+    ? FaCheckCircle
+    : result?.type === 'warning'
+      ? FaExclamationCircle
+      : FaTimesCircle;
+
+  return (
+    <div className="scanner-page">
+      <Navbar />
+
+      <div className="scanner-container">
+        <button className="back-link" onClick={() => navigate(`/events/${id}/roster`)}>
+          <FaArrowLeft /> Back to Roster
+        </button>
+
+        <h1 className="scanner-title">Scan Tickets</h1>
+        <p className="scanner-subtitle">Scan a donor's ticket QR code to check them in.</p>
+
+        {/* Camera */}
+        <div className="scanner-card">
+          {supportsBarcodeDetector ? (
+            <>
+              {cameraActive ? (
+                <div className="scanner-video-wrapper">
+                  <video ref={videoRef} className="scanner-video" autoPlay playsInline muted />
+                  <div className="scanner-frame" />
+                </div>
+              ) : (
+                <div className="scanner-placeholder">
+                  <FaCamera className="scanner-placeholder-icon" />
+                  <p>Camera is off</p>
+                </div>
+              )}
+
+              <button
+                type="button"
+                className={`scanner-camera-btn ${cameraActive ? 'stop' : ''}`}
+                onClick={cameraActive ? stopCamera : startCamera}
+              >
+                {cameraActive ? <><FaStop /> Stop Camera</> : <><FaCamera /> Start Camera</>}
+              </button>
+            </>
+          ) : (
+            <div className="scanner-unsupported">
+              This browser cannot read QR codes from the camera. Enter the ticket code below, or use a scanner app that types the code into this page.
+            </div>
+          )}
+
+          {cameraError && <div className="scanner-error">{cameraError}</div>}
+
+          {/* Manual entry */}
+          <form className="scanner-manual" onSubmit={handleManualSubmit}>
+            <input
+              type="text"
+              placeholder="Paste or type a ticket code"
+              value={manualCode}
+              onChange={(e) => setManualCode(e.target.value)}
+            />
+            <button type="submit" disabled={checking || !manualCode.trim()}>
+              {checking ? 'Checking...' : 'Check In'}
+            </button>
+          </form>
+        </div>
+
+        {/* Result */}
+        {result && (
+          <div className={`scanner-result ${result.type}`}>
+            <ResultIcon className="scanner-result-icon" />
+            <div>
+              <p className="scanner-result-message">{result.message}</p>
+              {result.attendee?.donor && (
+                <p className="scanner-result-donor">
+                  {result.attendee.donor.fullName}
+                  {result.attendee.donor.bloodType ? ` • ${result.attendee.donor.bloodType}` : ''}
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {counts && (
+          <p className="scanner-counts">
+            {counts.attended} checked in • {counts.registered} not checked in yet
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TicketScanner;
@@ -0,0 +1,139 @@
+/*
+ * TimeSlotFields component
+ * Form section shared by CreateEvent and EditEvent that lets organizers split
+ * the event's daily hours into appointment slots with a fixed number of seats.
+ */
+import React from 'react';
+
+const SLOT_DURATION_OPTIONS = [10, 15, 20, 30, 45, 60, 90, 120];
+
+/*
+ * estimateSlotCount
+ * Mirrors the backend slot generation: full slots per day between the start
+ * and end time, repeated for every day of the event. A window ending before
+ * it starts runs past midnight, so the last day adds no window of its own.
+ * Returns 0 for incomplete input.
+ */
+export const estimateSlotCount = ({ startDate, endDate, startTime, endTime, slotDurationMinutes }) => {
+  const duration = Number(slotDurationMinutes);
+
+  if (!startDate || !startTime || !endTime || !duration) {
+    return 0;
+  }
+
+  const [startHour, startMin] = startTime.split(':').map(Number);
+  const [endHour, endMin] = endTime.split(':').map(Number);
+  const startMinutes = startHour * 60 + startMin;
+  const endMinutes = endHour * 60 + endMin;
+  const windowMinutes = endMinutes > startMinutes
+    ? endMinutes - startMinutes
+    : endMinutes + 24 * 60 - startMinutes;
+
+  const firstDay = new Date(startDate);
+  const lastDay = new Date(endDate || startDate);
+  const days = Math.round((lastDay - firstDay) / (1000 * 60 * 60 * 24)) + 1;
+
+  if (Number.isNaN(days) || days < 1) {
+    return 0;
+  }
+
+  const windowCount = endMinutes > startMinutes ? days : days - 1;
+  return windowCount * Math.floor(windowMinutes / duration);
+};
+
+/**
+ * Time slot settings for the event forms
+ *
+ * @param {Function} register - react-hook-form register
+ * @param {Function} watch - react-hook-form watch
+ * @param {Object} errors - react-hook-form errors
+ * @param {boolean} locked - Schedule can no longer change (donors registered)
+ */
+function TimeSlotFields({ register, watch, errors, locked = false }) {
+  const [useTimeSlots, startDate, endDate, startTime, endTime, slotDurationMinutes, slotCapacity] = watch([
+    'useTimeSlots',
+    'startDate',
+    'endDate',
+    'startTime',
+    'endTime',
+    'slotDurationMinutes',
+    'slotCapacity',
+  ]);
+
+  const slotCount = estimateSlotCount({ startDate, endDate, startTime, endTime, slotDurationMinutes });
+  const seatsPerSlot = Number(slotCapacity) || 0;
+
+  return (
+    <div className="time-slot-fields">
+      <label className="time-slot-toggle">
+        <input
+          type="checkbox"
+          disabled={locked}
+          {...register('useTimeSlots')}
+        />
+        <span>Split the event into appointment slots</span>
+      </label>
+      <span className="field-hint">
+        Donors pick a time slot when registering, so arrivals are spread across the day.
+      </span>
+
+      {locked && (
+        <span className="field-hint">
+          Slot length and schedule cannot be changed after donors have registered; seats per slot can still be adjusted.
+        </span>
+      )}
+
+      {useTimeSlots && (
+        <>
+          <div className="form-row time-slot-row">
+            <div className="form-group">
+              <label htmlFor="slotDurationMinutes">
+                Slot Length <span className="required">*</span>
+              </label>
+              <select
+                id="slotDurationMinutes"
+                disabled={locked}
+                {...register('slotDurationMinutes', {
+                  required: useTimeSlots && 'Slot length is required',
+                })}
+              >
+                {SLOT_DURATION_OPTIONS.map((minutes) => (
+                  <option key={minutes} value={minutes}>
+                    {minutes} minutes
+                  </option>
+                ))}
+              </select>
+              {errors.slotDurationMinutes && <span className="error-text">{errors.slotDurationMinutes.message}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="slotCapacity">
+                Seats per Slot <span className="required">*</span>
+              </label>
+              <input
+                type="number"
+                id="slotCapacity"
+                placeholder="e.g., 5"
+                {...register('slotCapacity', {
+                  required: useTimeSlots && 'Seats per slot is required',
+                  min: { value: 1, message: 'Each slot needs at least 1 seat' },
+                  valueAsNumber: true,
+                })}
+              />
+              {errors.slotCapacity && <span className="error-text">{errors.slotCapacity.message}</span>}
+            </div>
+          </div>
+
+          {slotCount > 0 && seatsPerSlot > 0 && (
+            <div className="time-slot-summary">
+              {slotCount} slot{slotCount === 1 ? '' : 's'} &times; {seatsPerSlot} seat{seatsPerSlot === 1 ? '' : 's'} ={' '}
+              <strong>{slotCount * seatsPerSlot}</strong> total capacity
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TimeSlotFields;
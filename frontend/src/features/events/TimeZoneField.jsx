@@ -0,0 +1,46 @@
+/*
+ * TimeZoneField component
+ * Time zone picker shared by CreateEvent and EditEvent. The start/end dates
+ * and times are entered as local times in this zone; when it differs from the
+ * organizer's own zone, the start is also shown in their local time.
+ */
+import React, { useMemo } from 'react';
+import { describeLocalTime, getTimeZoneOptions } from '../../shared/utils/eventSchedule';
+
+/**
+ * @param {Function} register - react-hook-form register
+ * @param {Function} watch - react-hook-form watch
+ * @param {Object} errors - react-hook-form errors
+ */
+function TimeZoneField({ register, watch, errors }) {
+  const [timeZone, startDate, startTime] = watch(['timeZone', 'startDate', 'startTime']);
+  const timeZoneOptions = useMemo(() => getTimeZoneOptions(timeZone), [timeZone]);
+  const localTimeHint = describeLocalTime(startDate, startTime, timeZone);
+
+  return (
+    <div className="form-row">
+      <div className="form-group">
+        <label htmlFor="timeZone">
+          Time Zone <span className="required">*</span>
+        </label>
+        <select
+          id="timeZone"
+          {...register('timeZone', { required: 'Time zone is required' })}
+        >
+          {timeZoneOptions.map((zone) => (
+            <option key={zone} value={zone}>
+              {zone.replace(/_/g, ' ')}
+            </option>
+          ))}
+        </select>
+        {errors.timeZone && <span className="error-text">{errors.timeZone.message}</span>}
+        <span className="field-hint">
+          Dates and times are local to the event location
+          {localTimeHint && ` (${localTimeHint})`}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default TimeZoneField;
@@ -0,0 +1,162 @@
+/*
+ * AccountSecurity component
+ * Profile section for the account itself: whether the email address is
+ * confirmed (with a button to send a new confirmation link) and a form to
+ * change the password. Changing it signs out the user's other sessions.
+ */
+import React, { useState } from 'react';
+import { FaCheckCircle, FaExclamationTriangle, FaKey, FaPaperPlane } from 'react-icons/fa';
+import { useAuth } from '../../shared/context/AuthContext';
+import authService from '../../shared/services/authService';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+/**
+ * @param {Object} user - Signed-in user ({ token })
+ * @param {Object} profile - Profile with email and isEmailVerified
+ */
+function AccountSecurity({ user, profile }) {
+  const { changePassword } = useAuth();
+  const [showForm, setShowForm] = useState(false);
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  if (!profile) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setError('');
+      const data = await authService.resendVerification(user.token);
+      setMessage(data.message);
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.message || 'Failed to send the confirmation email');
+    }
+  };
+
+  const handleChange = (e) => {
+    setPasswords((current) => ({ ...current, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+
+    if (passwords.newPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const data = await changePassword(passwords.currentPassword, passwords.newPassword);
+      setMessage(`${data.message}. You have been signed out on your other devices.`);
+      setPasswords(EMPTY_PASSWORDS);
+      setShowForm(false);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="info-card">
+      <h2 className="section-title">Account Security</h2>
+
+      {profile.isEmailVerified ? (
+        <p className="verification-status verified">
+          <FaCheckCircle /> Your email address {profile.email} is confirmed.
+        </p>
+      ) : (
+        <>
+          <p className="verification-status pending">
+            <FaExclamationTriangle /> Please confirm your email address {profile.email} with the link we emailed you.
+          </p>
+          <button type="button" className="calendar-feed-btn" onClick={handleResend}>
+            <FaPaperPlane /> Send a New Link
+          </button>
+        </>
+      )}
+
+      {!showForm && (
+        <p>
+          <button type="button" className="calendar-feed-btn" onClick={() => setShowForm(true)}>
+            <FaKey /> Change Password
+          </button>
+        </p>
+      )}
+
+      {showForm && (
+        <form className="verification-form" onSubmit={handleSubmit}>
+          <label>
+            Current password
+            <input
+              type="password"
+              name="currentPassword"
+              value={passwords.currentPassword}
+              onChange={handleChange}
+              autoComplete="current-password"
+              required
+            />
+          </label>
+          <label>
+            New password
+            <input
+              type="password"
+              name="newPassword"
+              value={passwords.newPassword}
+              onChange={handleChange}
+              autoComplete="new-password"
+              required
+            />
+          </label>
+          <label>
+            Confirm new password
+            <input
+              type="password"
+              name="confirmPassword"
+              value={passwords.confirmPassword}
+              onChange={handleChange}
+              autoComplete="new-password"
+              required
+            />
+          </label>
+          <div className="verification-form-actions">
+            <button
+              type="button"
+              className="calendar-feed-btn"
+              onClick={() => {
+                setShowForm(false);
+                setPasswords(EMPTY_PASSWORDS);
+                setError('');
+              }}
+            >
+              Cancel
+            </button>
+            <button type="submit" className="calendar-feed-btn" disabled={submitting}>
+              <FaKey /> {submitting ? 'Saving...' : 'Change Password'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {message && <div className="calendar-feed-message">{message}</div>}
+      {error && <div className="calendar-feed-error">{error}</div>}
+    </div>
+  );
+}
+
+export default AccountSecurity;
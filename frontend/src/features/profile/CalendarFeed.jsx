@@ -0,0 +1,95 @@
+/*
+ * CalendarFeed component
+ * Shows the user's calendar subscription link for Google Calendar, Outlook or
+ * Apple Calendar: donors get a private feed of their registrations (which
+ * they can reset if it leaks), organizers a public feed of their events.
+ */
+import React, { useState, useEffect } from 'react';
+import { FaCalendarPlus, FaCopy, FaSyncAlt } from 'react-icons/fa';
+import calendarService from '../../shared/services/calendarService';
+
+// Calendar apps open webcal:// links as subscriptions
+const toWebcalUrl = (url) => url.replace(/^https?:\/\//, 'webcal://');
+
+/**
+ * @param {Object} user - Signed-in user ({ role, token })
+ */
+function CalendarFeed({ user }) {
+  const [feedUrl, setFeedUrl] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchFeeds = async () => {
+      try {
+        const data = await calendarService.getFeeds(user.token);
+        setFeedUrl(data.donorFeedUrl || data.organizerFeedUrl || '');
+      } catch (err) {
+        console.error('Failed to load calendar feed:', err);
+      }
+    };
+
+    fetchFeeds();
+  }, [user.token]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setMessage('Link copied');
+    } catch {
+      setError('Could not copy the link, please copy it manually');
+    }
+  };
+
+  const handleReset = async () => {
+    const confirmReset = window.confirm(
+      'Calendars subscribed to the current link will stop updating. Create a new link?'
+    );
+
+    if (!confirmReset) {
+      return;
+    }
+
+    try {
+      setError('');
+      const data = await calendarService.resetFeed(user.token);
+      setFeedUrl(data.donorFeedUrl);
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset calendar link');
+    }
+  };
+
+  if (!feedUrl) {
+    return null;
+  }
+
+  return (
+    <div className="info-card">
+      <h2 className="section-title">Calendar Feed</h2>
+      <p className="calendar-feed-hint">
+        {user.role === 'donor'
+          ? 'Subscribe to this private link to see every event you register for in your calendar app. Keep it to yourself.'
+          : 'Share this link so donors can follow your upcoming events in their calendar app.'}
+      </p>
+      <div className="calendar-feed-row">
+        <input type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} />
+        <button type="button" className="calendar-feed-btn" onClick={handleCopy}>
+          <FaCopy /> Copy
+        </button>
+        <a className="calendar-feed-btn" href={toWebcalUrl(feedUrl)}>
+          <FaCalendarPlus /> Subscribe
+        </a>
+        {user.role === 'donor' && (
+          <button type="button" className="calendar-feed-btn" onClick={handleReset}>
+            <FaSyncAlt /> Reset Link
+          </button>
+        )}
+      </div>
+      {message && <div className="calendar-feed-message">{message}</div>}
+      {error && <div className="calendar-feed-error">{error}</div>}
+    </div>
+  );
+}
+
+export default CalendarFeed;
@@ -33,6 +33,10 @@ function EditProfile() {
     phone: '',
     address: '',
     position: null,
+    // Donor health details used for eligibility checks
+    dateOfBirth: '',
+    sex: '',
+    weightKg: '',
     // Organizer-specific fields
     organization: '',
     memberSince: '',
@@ -58,6 +62,9 @@ function EditProfile() {
           lat: data.location.coordinates.lat,
           lng: data.location.coordinates.lng,
         } : null,
+        dateOfBirth: data.dateOfBirth ? data.dateOfBirth.slice(0, 10) : '',
+        sex: data.sex || '',
+        weightKg: data.weightKg ?? '',
         organization: data.organization || '',
         memberSince: data.memberSince ? data.memberSince.slice(0, 7) : '',
       });
@@ -260,6 +267,13 @@ function EditProfile() {
       errors.bloodType = 'Blood type is required for donors';
     }
 
+    if (user.role === 'donor' && formData.weightKg !== '') {
+      const weight = Number(formData.weightKg);
+      if (!Number.isFinite(weight) || weight <= 0 || weight > 500) {
+        errors.weightKg = 'Please enter a weight between 1 and 500 kg';
+      }
+    }
+
     // If there are validation errors, set them and return
     if (Object.keys(errors).length > 0) {
       setValidationErrors(errors);
@@ -286,6 +300,9 @@ function EditProfile() {
       // Add role-specific fields
       if (user.role === 'donor') {
         profileData.bloodType = formData.bloodType;
+        profileData.dateOfBirth = formData.dateOfBirth;
+        profileData.sex = formData.sex;
+        profileData.weightKg = formData.weightKg === '' ? '' : Number(formData.weightKg);
       } else if (user.role === 'organizer') {
         profileData.organization = formData.organization;
         profileData.memberSince = formData.memberSince;
@@ -442,6 +459,50 @@ function EditProfile() {
             </div>
           )}
 
+          {user.role === 'donor' && (
+            <div className="form-section">
+              <h3>Health Details</h3>
+              <p className="help-text">
+                Used to check your eligibility to donate (minimum age, weight and time between donations).
+              </p>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Date of Birth</label>
+                  <input
+                    type="date"
+                    name="dateOfBirth"
+                    value={formData.dateOfBirth}
+                    onChange={handleChange}
+                    max={new Date().toISOString().slice(0, 10)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Sex</label>
+                  <select name="sex" value={formData.sex} onChange={handleChange}>
+                    <option value="">Prefer not to say</option>
+                    <option value="female">Female</option>
+                    <option value="male">Male</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Weight (kg)</label>
+                  <input
+                    type="number"
+                    name="weightKg"
+                    min="1"
+                    max="500"
+                    step="0.1"
+                    value={formData.weightKg}
+                    onChange={handleChange}
+                  />
+                  {validationErrors.weightKg && (
+                    <span className="error-text">{validationErrors.weightKg}</span>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
           {user.role === 'organizer' && (
             <div className="form-section">
               <h3>Organization Details*</h3>
@@ -0,0 +1,281 @@
+/*
+ * OrganizationPanel component
+ * Organizer profile section for shared event management: create an
+ * organization or accept an invitation to one, see its members and, as an
+ * owner, invite staff, change their roles or remove them.
+ */
+import React, { useState, useEffect } from 'react';
+import { FaBuilding, FaCheck, FaTimes, FaTrashAlt, FaUserPlus } from 'react-icons/fa';
+import organizationService from '../../shared/services/organizationService';
+
+const ROLE_OPTIONS = [
+  { value: 'owner', label: 'Owner' },
+  { value: 'manager', label: 'Manager' },
+  { value: 'checkin', label: 'Check-in staff' },
+];
+
+const ROLE_HINTS = {
+  owner: 'Owners manage events and members.',
+  manager: 'Managers create and manage all of the organization\'s events.',
+  checkin: 'Check-in staff see rosters, check donors in and scan tickets.',
+};
+
+const getRoleLabel = (role) =>
+  ROLE_OPTIONS.find((option) => option.value === role)?.label || role;
+
+/**
+ * @param {Object} user - Signed-in organizer ({ _id, token })
+ */
+function OrganizationPanel({ user }) {
+  const [organization, setOrganization] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('manager');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchOrganization = async () => {
+      try {
+        const [organizationData, invitationData] = await Promise.all([
+          organizationService.getMyOrganization(user.token),
+          organizationService.getMyInvitations(user.token),
+        ]);
+        setOrganization(organizationData.organization);
+        setInvitations(invitationData.invitations);
+      } catch (err) {
+        console.error('Failed to load organization:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrganization();
+  }, [user.token]);
+
+  // Runs an organization request and shows its result
+  const runAction = async (action) => {
+    try {
+      setError('');
+      setMessage('');
+      const data = await action();
+      if (data.organization !== undefined) {
+        setOrganization(data.organization);
+      }
+      setMessage(data.message);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Something went wrong, please try again');
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await runAction(() =>
+      organizationService.createOrganization(newName.trim(), user.token)
+    );
+    if (created) {
+      setNewName('');
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const invited = await runAction(() =>
+      organizationService.inviteMember(inviteEmail.trim(), inviteRole, user.token)
+    );
+    if (invited) {
+      setInviteEmail('');
+    }
+  };
+
+  const handleAccept = async (invitation) => {
+    // Check-in staff cannot edit the organization's events, so theirs stay personal
+    const moveEvents =
+      invitation.role !== 'checkin' &&
+      window.confirm(
+        `Move the events you created into ${invitation.organization.name}? Its managers will be able to edit them. Choose Cancel to keep them as your own.`
+      );
+    const accepted = await runAction(() =>
+      organizationService.acceptInvitation(invitation._id, user.token, moveEvents)
+    );
+    if (accepted) {
+      setInvitations((current) => current.filter((entry) => entry._id !== invitation._id));
+    }
+  };
+
+  const handleDecline = async (invitation) => {
+    const declined = await runAction(() =>
+      organizationService.declineInvitation(invitation._id, user.token)
+    );
+    if (declined) {
+      setInvitations((current) => current.filter((entry) => entry._id !== invitation._id));
+    }
+  };
+
+  const handleRemove = (member) => {
+    const leaving = member.user._id === user._id;
+    const confirmRemove = window.confirm(
+      leaving
+        ? `Leave ${organization.name}? Its events stay with the organization.`
+        : `Remove ${member.user.fullName} from ${organization.name}?`
+    );
+
+    if (confirmRemove) {
+      runAction(() => organizationService.removeMember(member.user._id, user.token));
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  const isOwner = organization?.role === 'owner';
+
+  return (
+    <div className="info-card">
+      <h2 className="section-title">Organization</h2>
+
+      {!organization && (
+        <>
+          {invitations.map((invitation) => (
+            <div key={invitation._id} className="organization-invitation">
+              <span>
+                You are invited to join <strong>{invitation.organization.name}</strong> as{' '}
+                {getRoleLabel(invitation.role)}.
+              </span>
+              <button type="button" className="calendar-feed-btn" onClick={() => handleAccept(invitation)}>
+                <FaCheck /> Accept
+              </button>
+              <button type="button" className="calendar-feed-btn" onClick={() => handleDecline(invitation)}>
+                <FaTimes /> Decline
+              </button>
+            </div>
+          ))}
+          <p className="calendar-feed-hint">
+            Create an organization to share your events with other coordinators. Your existing events move to the
+            organization.
+          </p>
+          <form className="calendar-feed-row" onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Organization name"
+              required
+            />
+            <button type="submit" className="calendar-feed-btn">
+              <FaBuilding /> Create Organization
+            </button>
+          </form>
+        </>
+      )}
+
+      {organization && (
+        <>
+          <p className="calendar-feed-hint">
+            <strong>{organization.name}</strong> - you are {getRoleLabel(organization.role)}.{' '}
+            {ROLE_HINTS[organization.role]}
+          </p>
+
+          <ul className="organization-members">
+            {organization.members.map((member) => (
+              <li key={member.user._id}>
+                <div className="organization-member-name">
+                  {member.user.fullName}
+                  <span>{member.user.email}</span>
+                </div>
+                {isOwner ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) =>
+                      runAction(() =>
+                        organizationService.updateMemberRole(member.user._id, e.target.value, user.token)
+                      )
+                    }
+                  >
+                    {ROLE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="organization-member-role">{getRoleLabel(member.role)}</span>
+                )}
+                {(isOwner || member.user._id === user._id) && (
+                  <button
+                    type="button"
+                    className="organization-remove-btn"
+                    onClick={() => handleRemove(member)}
+                    title={member.user._id === user._id ? 'Leave organization' : 'Remove member'}
+                  >
+                    <FaTrashAlt />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {isOwner && (
+            <>
+              <form className="calendar-feed-row" onSubmit={handleInvite}>
+                <input
+                  type="email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  placeholder="Email address to invite"
+                  required
+                />
+                <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+                  {ROLE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <button type="submit" className="calendar-feed-btn">
+                  <FaUserPlus /> Invite
+                </button>
+              </form>
+
+              {organization.invitations.length > 0 && (
+                <ul className="organization-members organization-pending">
+                  {organization.invitations.map((invitation) => (
+                    <li key={invitation._id}>
+                      <div className="organization-member-name">
+                        {invitation.email}
+                        <span>
+                          Invited as {getRoleLabel(invitation.role)}, expires{' '}
+                          {new Date(invitation.expiresAt).toLocaleDateString()}
+                        </span>
+                      </div>
+                      <button
+                        type="button"
+                        className="organization-remove-btn"
+                        onClick={() =>
+                          runAction(() => organizationService.cancelInvitation(invitation._id, user.token))
+                        }
+                        title="Withdraw invitation"
+                      >
+                        <FaTimes />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </>
+      )}
+
+      {message && <div className="calendar-feed-message">{message}</div>}
+      {error && <div className="calendar-feed-error">{error}</div>}
+    </div>
+  );
+}
+
+export default OrganizationPanel;
@@ -0,0 +1,188 @@
+/*
+ * OrganizerVerification component
+ * Organizer profile section showing whether the account is verified. Until
+ * it is, organizers send their organization's registration number, a
+ * contact person and scanned documents for an admin to review, and see the
+ * admin's notes when a request is rejected.
+ */
+import React, { useState, useEffect } from 'react';
+import { FaCheckCircle, FaClock, FaExclamationTriangle, FaPaperPlane } from 'react-icons/fa';
+import verificationService from '../../shared/services/verificationService';
+
+const MAX_DOCUMENTS = 5;
+
+/**
+ * @param {Object} user - Signed-in organizer ({ token })
+ * @param {Object} profile - Organizer profile, used to pre-fill the form
+ */
+function OrganizerVerification({ user, profile }) {
+  const [state, setState] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [details, setDetails] = useState({
+    organizationName: '',
+    registrationNumber: '',
+    contactName: '',
+    contactEmail: '',
+    contactPhone: '',
+  });
+  const [documents, setDocuments] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchVerification = async () => {
+      try {
+        setState(await verificationService.getMyVerification(user.token));
+      } catch (err) {
+        console.error('Failed to load verification:', err);
+      }
+    };
+
+    fetchVerification();
+  }, [user.token]);
+
+  const openForm = () => {
+    setDetails((current) => ({
+      ...current,
+      organizationName: current.organizationName || profile?.organization || '',
+      contactName: current.contactName || profile?.fullName || '',
+      contactEmail: current.contactEmail || profile?.email || '',
+      contactPhone: current.contactPhone || profile?.phone || '',
+    }));
+    setShowForm(true);
+  };
+
+  const handleChange = (e) => {
+    setDetails((current) => ({ ...current, [e.target.name]: e.target.value }));
+  };
+
+  const handleFilesChange = (e) => {
+    const files = Array.from(e.target.files || []);
+
+    if (files.length > MAX_DOCUMENTS) {
+      setError(`Please choose at most ${MAX_DOCUMENTS} images`);
+      setDocuments([]);
+      return;
+    }
+
+    setError('');
+    setDocuments(files);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (documents.length === 0) {
+      setError('Please add at least one document image');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const data = await verificationService.submitVerification(details, documents, user.token);
+      setState((current) => ({ ...current, verification: data.verification }));
+      setMessage(data.message);
+      setShowForm(false);
+      setDocuments([]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit verification request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!state) {
+    return null;
+  }
+
+  const { isVerifiedOrganizer, verification } = state;
+  const isPending = verification?.status === 'pending';
+  const isRejected = verification?.status === 'rejected';
+
+  return (
+    <div className="info-card">
+      <h2 className="section-title">Organizer Verification</h2>
+
+      {isVerifiedOrganizer && (
+        <p className="verification-status verified">
+          <FaCheckCircle /> Your account is verified. Donors see a verified badge on your events.
+        </p>
+      )}
+
+      {!isVerifiedOrganizer && isPending && (
+        <p className="verification-status pending">
+          <FaClock /> Your request for {verification.organizationName} was sent on{' '}
+          {new Date(verification.createdAt).toLocaleDateString()} and is waiting for review.
+        </p>
+      )}
+
+      {!isVerifiedOrganizer && !isPending && (
+        <>
+          {isRejected ? (
+            <p className="verification-status rejected">
+              <FaExclamationTriangle /> Your last request was not approved: {verification.reviewNotes}
+            </p>
+          ) : (
+            <p className="calendar-feed-hint">
+              Your events are shown to donors as coming from an unverified organizer. Send your organization's
+              registration details so an admin can verify you.
+            </p>
+          )}
+
+          {!showForm && (
+            <button type="button" className="calendar-feed-btn" onClick={openForm}>
+              <FaPaperPlane /> {isRejected ? 'Submit a New Request' : 'Request Verification'}
+            </button>
+          )}
+
+          {showForm && (
+            <form className="verification-form" onSubmit={handleSubmit}>
+              <label>
+                Organization name
+                <input name="organizationName" value={details.organizationName} onChange={handleChange} required />
+              </label>
+              <label>
+                Registration number
+                <input name="registrationNumber" value={details.registrationNumber} onChange={handleChange} required />
+              </label>
+              <label>
+                Contact person
+                <input name="contactName" value={details.contactName} onChange={handleChange} required />
+              </label>
+              <label>
+                Contact phone
+                <input name="contactPhone" value={details.contactPhone} onChange={handleChange} required />
+              </label>
+              <label>
+                Contact email
+                <input type="email" name="contactEmail" value={details.contactEmail} onChange={handleChange} />
+              </label>
+              <label>
+                Documents (up to {MAX_DOCUMENTS} images, 5MB each)
+                <input type="file" accept="image/*" multiple onChange={handleFilesChange} />
+                <span className="verification-hint">
+                  A photo or scan of your registration certificate, plus anything else that shows who you are.
+                </span>
+              </label>
+              <div className="verification-form-actions">
+                <button type="button" className="calendar-feed-btn" onClick={() => setShowForm(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="calendar-feed-btn" disabled={submitting}>
+                  <FaPaperPlane /> {submitting ? 'Sending...' : 'Send for Review'}
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+
+      {message && <div className="calendar-feed-message">{message}</div>}
+      {error && <div className="calendar-feed-error">{error}</div>}
+    </div>
+  );
+}
+
+export default OrganizerVerification;
@@ -9,12 +9,20 @@ import { useAuth } from '../../shared/context/AuthContext';
 import profileService from '../../shared/services/profileService';
 import Avatar from '../../shared/components/Avatar';
 import Navbar from '../../shared/components/Navbar';
+import TicketCard from '../../shared/components/TicketCard';
+import CalendarFeed from './CalendarFeed';
+import OrganizationPanel from './OrganizationPanel';
+import OrganizerVerification from './OrganizerVerification';
+import AccountSecurity from './AccountSecurity';
+import eventService from '../../shared/services/eventService';
+import { getDonationTypeLabel } from '../../shared/utils/donationTypes';
 import './Profile.css';
 
 function Profile() {
   const [profileData, setProfileData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [tickets, setTickets] = useState([]);
   const { user } = useAuth();
   const navigate = useNavigate();
 
@@ -36,6 +44,24 @@ function Profile() {
     fetchProfile();
   }, [fetchProfile]);
 
+  // Donors: load tickets for upcoming registrations
+  useEffect(() => {
+    if (user.role !== 'donor') {
+      return;
+    }
+
+    const fetchTickets = async () => {
+      try {
+        const data = await eventService.getMyTickets(user.token);
+        setTickets(data.tickets || []);
+      } catch (err) {
+        console.error('Failed to load tickets:', err);
+      }
+    };
+
+    fetchTickets();
+  }, [user.role, user.token]);
+
   const formatDate = (date) => {
     if (!date) return 'Not recorded';
     return new Date(date).toLocaleDateString('en-US', {
@@ -45,31 +71,23 @@ function Profile() {
     });
   };
 
+  // nextEligibleDate is computed by the server from the current eligibility rules
   const getEligibilityStatus = () => {
-    if (!profileData?.lastDonationDate) {
-      return {
-        status: 'Eligible to Donate',
-        className: 'eligible'
-      };
-    }
-
-    const lastDonation = new Date(profileData.lastDonationDate);
-    const today = new Date();
-    const daysSinceLastDonation = Math.floor((today - lastDonation) / (1000 * 60 * 60 * 24));
+    const nextEligibleDate = profileData?.nextEligibleDate
+      ? new Date(profileData.nextEligibleDate)
+      : null;
 
-    if (daysSinceLastDonation >= 10) {
+    if (!nextEligibleDate || nextEligibleDate <= new Date()) {
       return {
         status: 'Eligible to Donate',
         className: 'eligible'
       };
-    } else {
-      const eligibleDate = new Date(lastDonation);
-      eligibleDate.setDate(eligibleDate.getDate() + 10);
-      return {
-        status: `Not eligible before ${eligibleDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`,
-        className: 'not-eligible'
-      };
     }
+
+    return {
+      status: `Not eligible before ${nextEligibleDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`,
+      className: 'not-eligible'
+    };
   };
 
   const formatLocation = (address) => {
@@ -241,6 +259,11 @@ function Profile() {
                       <div className={`info-value eligibility-status ${getEligibilityStatus().className}`}>
                         {getEligibilityStatus().status}
                       </div>
+                      {profileData?.activeDeferral && (
+                        <div className="eligibility-deferral">
+                          Deferred: {profileData.activeDeferral.reason}
+                        </div>
+                      )}
                     </div>
                   </>
                 )}
@@ -249,6 +272,30 @@ function Profile() {
           </div>
         </div>
 
+        {/* Upcoming event tickets (donors) */}
+        {user.role === 'donor' && tickets.length > 0 && (
+          <div className="info-card">
+            <h2 className="section-title">My Tickets</h2>
+            <div className="tickets-list">
+              {tickets.map((ticket) => (
+                <TicketCard key={ticket.code} ticket={ticket} compact />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Email confirmation and password */}
+        <AccountSecurity user={user} profile={profileData} />
+
+        {/* Verification request (organizers) */}
+        {user.role === 'organizer' && <OrganizerVerification user={user} profile={profileData} />}
+
+        {/* Shared event management (organizers) */}
+        {user.role === 'organizer' && <OrganizationPanel user={user} />}
+
+        {/* Calendar subscription link */}
+        {(user.role === 'donor' || user.role === 'organizer') && <CalendarFeed user={user} />}
+
         {/* Organizing Achievements */}
         <div className="info-card">
           <h2 className="section-title">
@@ -299,6 +346,14 @@ function Profile() {
                         <FaUsers className="profile-detail-icon" /> {event.attendees} attendees
                       </div>
                     )}
+                    {user.role === 'donor' && (
+                      <div className="profile-event-details">
+                        {getDonationTypeLabel(event.donationType)}
+                        {event.outcome === 'deferred' && (
+                          <span className="profile-deferred-badge">Deferred</span>
+                        )}
+                      </div>
+                    )}
                   </div>
                   <div className="profile-event-date">
                     {new Date(event.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
@@ -655,4 +655,5 @@ function LocationMap({
   );
 }
 
+export { computeDistanceKm, formatDistanceLabel };
 export default LocationMap;
@@ -34,6 +34,11 @@ function Navbar() {
       <div className="navbar-content">
         <div className="navbar-brand" onClick={handleHomeClick}>Blood Donation Map</div>
         <div className="navbar-user">
+          {user?.role === 'admin' && (
+            <button className="navbar-admin" onClick={() => navigate('/admin')}>
+              Admin Console
+            </button>
+          )}
           <div className="navbar-profile" onClick={handleProfileClick}>
             <Avatar 
               src={avatarSrc} 
@@ -0,0 +1,66 @@
+/*
+ * TicketCard component
+ * Shows a donor's signed event ticket as a QR code for scanning at the venue,
+ * along with the event summary and booked time slot.
+ */
+import React from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { FaCalendarAlt, FaClock, FaMapMarkerAlt } from 'react-icons/fa';
+import { formatSlotRange } from '../utils/timeSlots';
+import { formatEventDate, formatEventTimeRange } from '../utils/eventSchedule';
+import './TicketCard.css';
+
+const DATE_OPTIONS = {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+};
+
+/**
+ * @param {Object} ticket - Ticket from the API ({ code, status, slot, event })
+ * @param {boolean} compact - Smaller layout for lists (e.g. the profile page)
+ */
+function TicketCard({ ticket, compact = false }) {
+  const { event } = ticket;
+  const isUsed = ticket.status === 'attended';
+
+  return (
+    <div className={`ticket-card ${compact ? 'compact' : ''} ${isUsed ? 'used' : ''}`}>
+      <div className="ticket-qr">
+        <QRCodeSVG value={ticket.code} size={compact ? 112 : 180} level="M" includeMargin />
+      </div>
+
+      <div className="ticket-info">
+        <span className={`ticket-status ${isUsed ? 'used' : ''}`}>
+          {isUsed ? 'Checked in' : 'Valid ticket'}
+        </span>
+        <h3 className="ticket-event-title">{event.eventTitle}</h3>
+        {event.organizationName && <p className="ticket-org">{event.organizationName}</p>}
+
+        <div className="ticket-detail">
+          <FaCalendarAlt />
+          <span>{formatEventDate(ticket.slot?.startsAt || event.startsAt, event.timeZone, DATE_OPTIONS)}</span>
+        </div>
+        <div className="ticket-detail">
+          <FaClock />
+          <span>
+            {ticket.slot ? formatSlotRange(ticket.slot, event.timeZone) : formatEventTimeRange(event)}
+          </span>
+        </div>
+        {!compact && (
+          <div className="ticket-detail">
+            <FaMapMarkerAlt />
+            <span>{event.location}</span>
+          </div>
+        )}
+
+        {!compact && !isUsed && (
+          <p className="ticket-hint">Show this code at the venue to check in.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TicketCard;
@@ -110,6 +110,13 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Change the password and switch to the new token (the old one stops working)
+  const changePassword = async (currentPassword, newPassword) => {
+    const data = await authService.changePassword(currentPassword, newPassword, user?.token);
+    setUser((current) => (current ? { ...current, token: data.token } : current));
+    return data;
+  };
+
   // Clear stored auth/session data locally
   const logout = () => {
     authService.logout();
@@ -134,6 +141,7 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    changePassword,
     setError,
     refreshProfile,
   };
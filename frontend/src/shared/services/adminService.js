@@ -0,0 +1,88 @@
+import axios from "axios";
+import API_URL from "../config/api";
+
+/* adminService: moderation console endpoints (admins only) */
+const authConfig = (token, params) => ({
+  headers: {
+    Authorization: `Bearer ${token}`,
+  },
+  params,
+});
+
+const adminService = {
+  /* Platform-wide user, event, registration and donation counts */
+  getStats: async (token) => {
+    const response = await axios.get(`${API_URL}/admin/stats`, authConfig(token));
+    return response.data;
+  },
+
+  /* Search users ({ search, role, status, verified, page, limit }) */
+  getUsers: async (filters, token) => {
+    const response = await axios.get(`${API_URL}/admin/users`, authConfig(token, filters));
+    return response.data;
+  },
+
+  /* Deactivate or reactivate an account */
+  updateUserStatus: async (userId, isActive, token) => {
+    const response = await axios.put(
+      `${API_URL}/admin/users/${userId}/status`,
+      { isActive },
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Mark an organizer as verified or unverified */
+  updateOrganizerVerification: async (userId, isVerifiedOrganizer, token) => {
+    const response = await axios.put(
+      `${API_URL}/admin/users/${userId}/verification`,
+      { isVerifiedOrganizer },
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Search all events, hidden and cancelled ones included ({ search, status, hidden, page, limit }) */
+  getEvents: async (filters, token) => {
+    const response = await axios.get(`${API_URL}/admin/events`, authConfig(token, filters));
+    return response.data;
+  },
+
+  /* Hide an event from the public (with a reason) or show it again */
+  updateEventVisibility: async (eventId, isHidden, reason, token) => {
+    const response = await axios.put(
+      `${API_URL}/admin/events/${eventId}/visibility`,
+      { isHidden, reason },
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Organizer verification requests by status ({ status, page, limit }) */
+  getVerifications: async (filters, token) => {
+    const response = await axios.get(`${API_URL}/admin/verifications`, authConfig(token, filters));
+    return response.data;
+  },
+
+  /* Approve or reject a verification request ("approve" or "reject", with notes) */
+  reviewVerification: async (verificationId, decision, notes, token) => {
+    const response = await axios.put(
+      `${API_URL}/admin/verifications/${verificationId}`,
+      { decision, notes },
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Force-cancel an event; registered donors are emailed the reason */
+  cancelEvent: async (eventId, reason, token) => {
+    const response = await axios.post(
+      `${API_URL}/events/${eventId}/cancel`,
+      { reason },
+      authConfig(token)
+    );
+    return response.data;
+  },
+};
+
+export default adminService;
@@ -30,6 +30,50 @@ const authService = {
     return response.data;
   },
 
+  /* Ask for a password reset link; the response is the same whether or not the email is registered */
+  forgotPassword: async (email) => {
+    const response = await axios.post(`${API_URL}/auth/forgot-password`, { email });
+    return response.data;
+  },
+
+  /* Set a new password with the token from the emailed reset link */
+  resetPassword: async (token, password) => {
+    const response = await axios.post(`${API_URL}/auth/reset-password`, { token, password });
+    return response.data;
+  },
+
+  /* Confirm the email address with the token from the emailed link */
+  verifyEmail: async (token) => {
+    const response = await axios.post(`${API_URL}/auth/verify-email`, { token });
+    return response.data;
+  },
+
+  /* Email a new confirmation link to the signed-in user */
+  resendVerification: async (token) => {
+    const response = await axios.post(
+      `${API_URL}/auth/resend-verification`,
+      {},
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return response.data;
+  },
+
+  /* Change the password; other sessions are signed out, so the new token is stored */
+  changePassword: async (currentPassword, newPassword, token) => {
+    const response = await axios.put(
+      `${API_URL}/auth/password`,
+      { currentPassword, newPassword },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    const user = authService.getCurrentUser();
+    if (user && response.data.token) {
+      localStorage.setItem("user", JSON.stringify({ ...user, token: response.data.token }));
+      const decoded = jwtDecode(response.data.token);
+      localStorage.setItem("tokenExpiry", decoded.exp);
+    }
+    return response.data;
+  },
+
   /* Logout and clear stored session information */
   logout: () => {
     localStorage.removeItem("user");
@@ -0,0 +1,32 @@
+import axios from "axios";
+import API_URL from "../config/api";
+
+/* calendarService: iCalendar downloads and subscribable feed links */
+const calendarService = {
+  /* URL of a single event's .ics file (public, used as a download link) */
+  getEventCalendarUrl: (eventId) => `${API_URL}/calendar/events/${eventId}.ics`,
+
+  /* Get the current user's feed URLs (donor feed is created on first call) */
+  getFeeds: async (token) => {
+    const config = {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    };
+    const response = await axios.get(`${API_URL}/calendar/feeds`, config);
+    return response.data;
+  },
+
+  /* Replace the donor's private feed link; the old one stops working */
+  resetFeed: async (token) => {
+    const config = {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    };
+    const response = await axios.post(`${API_URL}/calendar/feeds/reset`, {}, config);
+    return response.data;
+  },
+};
+
+export default calendarService;
@@ -37,6 +37,51 @@ const eventService = {
     return data;
   },
 
+  /* URL of the CSV template for bulk event imports */
+  getImportTemplateUrl: () => `${API_URL}/import/template`,
+
+  /* Upload a CSV/XLSX file of events and get every row checked, without saving (organizer) */
+  previewEventImport: async (file, token) => {
+    const formData = new FormData();
+    formData.append("file", file);
+
+    const response = await fetch(`${API_URL}/import/preview`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: formData,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to read import file");
+    }
+
+    return data;
+  },
+
+  /* Create the valid rows of a previewed import (organizer) */
+  importEvents: async (rows, token) => {
+    const response = await fetch(`${API_URL}/import`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ rows }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to import events");
+    }
+
+    return data;
+  },
+
   /* Retrieve all events, accepts optional filters */
   getAllEvents: async (filters = {}) => {
     const queryParams = new URLSearchParams(filters).toString();
@@ -52,6 +97,19 @@ const eventService = {
     return data;
   },
 
+  /* Retrieve pins and clusters for a map viewport (bounds, zoom and filters) */
+  getMapEvents: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_URL}/map?${queryParams}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch map events");
+    }
+
+    return data;
+  },
+
   /* Get events for the currently authenticated organizer */
   getMyEvents: async (token) => {
     const response = await fetch(`${API_URL}/organizer/my-events`, {
@@ -69,9 +127,11 @@ const eventService = {
     return data;
   },
 
-  /* Get single event (public) */
-  getEvent: async (eventId) => {
-    const response = await fetch(`${API_URL}/${eventId}`);
+  /* Get single event (public); hidden events need the token of an admin or the event's staff */
+  getEvent: async (eventId, token) => {
+    const response = await fetch(`${API_URL}/${eventId}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
     const data = await response.json();
 
     if (!response.ok) {
@@ -135,6 +195,78 @@ const eventService = {
     return data;
   },
 
+  /* Create a recurring event series; each date becomes its own event */
+  createEventSeries: async (seriesData, token) => {
+    const response = await fetch(`${API_URL}/series`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(seriesData),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to create event series");
+    }
+
+    return data;
+  },
+
+  /* Get a series with its occurrences (public; with a token, event staff also see hidden occurrences) */
+  getEventSeries: async (seriesId, token) => {
+    const response = await fetch(`${API_URL}/series/${seriesId}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch event series");
+    }
+
+    return data;
+  },
+
+  /* Apply changes to every upcoming occurrence of a series (organizer only) */
+  updateEventSeries: async (seriesId, seriesData, token) => {
+    const response = await fetch(`${API_URL}/series/${seriesId}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(seriesData),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to update event series");
+    }
+
+    return data;
+  },
+
+  /* Cancel a series and its upcoming occurrences (organizer action) */
+  cancelEventSeries: async (seriesId, token) => {
+    const response = await fetch(`${API_URL}/series/${seriesId}/cancel`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to cancel event series");
+    }
+
+    return data;
+  },
+
   /* Delete event permanently (organizer) */
   deleteEvent: async (eventId, token) => {
     const response = await fetch(`${API_URL}/${eventId}`, {
@@ -173,13 +305,28 @@ const eventService = {
     return data;
   },
 
-  /* Register the current donor for an event */
-  registerForEvent: async (eventId, token) => {
+  /* Get the health screening questions organizers can attach to events */
+  getScreeningQuestions: async () => {
+    const response = await fetch(`${API_URL}/screening-questions`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch screening questions");
+    }
+
+    return data;
+  },
+
+  /* Register the current donor for an event (slotId for events with time slots,
+     screeningAnswers as [{ questionId, answer }] for events with screening questions) */
+  registerForEvent: async (eventId, token, slotId, screeningAnswers = []) => {
     const response = await fetch(`${API_URL}/${eventId}/register`, {
       method: "POST",
       headers: {
+        "Content-Type": "application/json",
         Authorization: `Bearer ${token}`,
       },
+      body: JSON.stringify({ ...(slotId && { slotId }), screeningAnswers }),
     });
 
     const data = await response.json();
@@ -212,6 +359,198 @@ const eventService = {
 
     return data;
   },
+
+  /* Join the waitlist of a full event, with screening answers when the event has questions (donor) */
+  joinWaitlist: async (eventId, token, screeningAnswers = []) => {
+    const response = await fetch(`${API_URL}/${eventId}/waitlist`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ screeningAnswers }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(data.message || "Failed to join waitlist");
+      error.response = { data };
+      throw error;
+    }
+
+    return data;
+  },
+
+  /* Leave the waitlist of an event (donor) */
+  leaveWaitlist: async (eventId, token) => {
+    const response = await fetch(`${API_URL}/${eventId}/waitlist`, {
+      method: "DELETE",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(data.message || "Failed to leave waitlist");
+      error.response = { data };
+      throw error;
+    }
+
+    return data;
+  },
+
+  /* Get the event-day roster (organizer); filters: search, bloodType, status */
+  getEventRoster: async (eventId, token, filters = {}) => {
+    const queryParams = new URLSearchParams(filters).toString();
+    const response = await fetch(`${API_URL}/${eventId}/attendees?${queryParams}`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch event roster");
+    }
+
+    return data;
+  },
+
+  /* Get the audit history of an event (organizer); filters: action, user, from, to, page, limit */
+  getEventHistory: async (eventId, token, filters = {}) => {
+    const queryParams = new URLSearchParams(filters).toString();
+    const response = await fetch(`${API_URL}/${eventId}/history?${queryParams}`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch event history");
+    }
+
+    return data;
+  },
+
+  /* Download the roster as a CSV or PDF file (organizer); returns { blob, fileName } */
+  downloadEventRoster: async (eventId, token, { format = "csv", status = "" } = {}) => {
+    const queryParams = new URLSearchParams({ format, ...(status && { status }) }).toString();
+    const response = await fetch(`${API_URL}/${eventId}/attendees/export?${queryParams}`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.message || "Failed to download roster");
+    }
+
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `roster.${format}`;
+
+    return { blob: await response.blob(), fileName };
+  },
+
+  /* Check a registered donor in at the event, optionally with donation details (organizer) */
+  checkInAttendee: async (eventId, donorId, token, donationDetails = {}) => {
+    const response = await fetch(`${API_URL}/${eventId}/attendees/${donorId}/check-in`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(donationDetails),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to check in donor");
+    }
+
+    return data;
+  },
+
+  /* Mark a registered donor as no-show (organizer) */
+  markAttendeeNoShow: async (eventId, donorId, token) => {
+    const response = await fetch(`${API_URL}/${eventId}/attendees/${donorId}/no-show`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to mark donor as no-show");
+    }
+
+    return data;
+  },
+
+  /* Get the current donor's ticket (signed QR code) for an event */
+  getMyTicket: async (eventId, token) => {
+    const response = await fetch(`${API_URL}/${eventId}/ticket`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(data.message || "Failed to fetch ticket");
+      error.status = response.status;
+      throw error;
+    }
+
+    return data;
+  },
+
+  /* Get tickets for the current donor's upcoming registrations */
+  getMyTickets: async (token) => {
+    const response = await fetch(`${API_URL}/tickets/mine`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch tickets");
+    }
+
+    return data;
+  },
+
+  /* Validate a scanned ticket code and check the donor in (organizer) */
+  scanTicket: async (eventId, code, token) => {
+    const response = await fetch(`${API_URL}/${eventId}/check-in/scan`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ code }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to check ticket");
+    }
+
+    return data;
+  },
 };
 
 export default eventService;
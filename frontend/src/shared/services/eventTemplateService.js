@@ -0,0 +1,44 @@
+import axios from "axios";
+import API_URL from "../config/api";
+
+/* eventTemplateService: the organizer's saved event templates */
+const authConfig = (token) => ({
+  headers: {
+    Authorization: `Bearer ${token}`,
+  },
+});
+
+const eventTemplateService = {
+  /* List the current organizer's templates */
+  getTemplates: async (token) => {
+    const response = await axios.get(`${API_URL}/event-templates`, authConfig(token));
+    return response.data;
+  },
+
+  /* Save a template from form details ({ name, ...details }) or an event ({ name, eventId }) */
+  createTemplate: async (template, token) => {
+    const response = await axios.post(`${API_URL}/event-templates`, template, authConfig(token));
+    return response.data;
+  },
+
+  /* Rename a template or replace its details */
+  updateTemplate: async (templateId, template, token) => {
+    const response = await axios.put(
+      `${API_URL}/event-templates/${templateId}`,
+      template,
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Delete a template */
+  deleteTemplate: async (templateId, token) => {
+    const response = await axios.delete(
+      `${API_URL}/event-templates/${templateId}`,
+      authConfig(token)
+    );
+    return response.data;
+  },
+};
+
+export default eventTemplateService;
@@ -0,0 +1,95 @@
+import axios from "axios";
+import API_URL from "../config/api";
+
+/* organizationService: the user's organization, its members and invitations */
+const authConfig = (token) => ({
+  headers: {
+    Authorization: `Bearer ${token}`,
+  },
+});
+
+const organizationService = {
+  /* The current user's organization (with members and their role), or null */
+  getMyOrganization: async (token) => {
+    const response = await axios.get(`${API_URL}/organizations/mine`, authConfig(token));
+    return response.data;
+  },
+
+  /* Create an organization; the current organizer becomes its owner */
+  createOrganization: async (name, token) => {
+    const response = await axios.post(`${API_URL}/organizations`, { name }, authConfig(token));
+    return response.data;
+  },
+
+  /* Rename the organization (owners) */
+  updateOrganization: async (name, token) => {
+    const response = await axios.put(`${API_URL}/organizations/mine`, { name }, authConfig(token));
+    return response.data;
+  },
+
+  /* Invite someone by email with a role (owners) */
+  inviteMember: async (email, role, token) => {
+    const response = await axios.post(
+      `${API_URL}/organizations/mine/invitations`,
+      { email, role },
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Withdraw a pending invitation (owners) */
+  cancelInvitation: async (invitationId, token) => {
+    const response = await axios.delete(
+      `${API_URL}/organizations/mine/invitations/${invitationId}`,
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Change a member's role (owners) */
+  updateMemberRole: async (userId, role, token) => {
+    const response = await axios.put(
+      `${API_URL}/organizations/mine/members/${userId}`,
+      { role },
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Remove a member (owners), or leave with the user's own id */
+  removeMember: async (userId, token) => {
+    const response = await axios.delete(
+      `${API_URL}/organizations/mine/members/${userId}`,
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Pending invitations sent to the current user's email */
+  getMyInvitations: async (token) => {
+    const response = await axios.get(`${API_URL}/organizations/invitations`, authConfig(token));
+    return response.data;
+  },
+
+  /* Accept an invitation and join its organization; moveEvents hands the user's own events to it */
+  acceptInvitation: async (invitationId, token, moveEvents = false) => {
+    const response = await axios.post(
+      `${API_URL}/organizations/invitations/${invitationId}/accept`,
+      { moveEvents },
+      authConfig(token)
+    );
+    return response.data;
+  },
+
+  /* Decline an invitation */
+  declineInvitation: async (invitationId, token) => {
+    const response = await axios.post(
+      `${API_URL}/organizations/invitations/${invitationId}/decline`,
+      {},
+      authConfig(token)
+    );
+    return response.data;
+  },
+};
+
+export default organizationService;
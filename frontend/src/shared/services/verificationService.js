@@ -0,0 +1,29 @@
+import axios from "axios";
+import API_URL from "../config/api";
+
+/* verificationService: organizer verification requests */
+const authConfig = (token) => ({
+  headers: {
+    Authorization: `Bearer ${token}`,
+  },
+});
+
+const verificationService = {
+  /* Whether the organizer is verified, and their latest request */
+  getMyVerification: async (token) => {
+    const response = await axios.get(`${API_URL}/verification/mine`, authConfig(token));
+    return response.data;
+  },
+
+  /* Submit organization details ({ organizationName, registrationNumber, contactName, contactEmail, contactPhone }) and document images */
+  submitVerification: async (details, documents, token) => {
+    const formData = new FormData();
+    Object.entries(details).forEach(([key, value]) => formData.append(key, value));
+    documents.forEach((file) => formData.append("documents", file));
+
+    const response = await axios.post(`${API_URL}/verification`, formData, authConfig(token));
+    return response.data;
+  },
+};
+
+export default verificationService;
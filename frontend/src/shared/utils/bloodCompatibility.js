@@ -0,0 +1,74 @@
+/*
+ * Blood compatibility helpers
+ * Mirrors backend/utils/bloodCompatibility.js so the UI shows the same donor
+ * matches the server enforces. Red cell products follow red cell ABO/Rh
+ * rules; plasma follows the reversed ABO rules and ignores Rh.
+ */
+export const BLOOD_TYPES = ['O+', 'O-', 'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-'];
+
+export const BLOOD_TYPE_MATCHING_OPTIONS = [
+  { value: 'exact', label: 'Exact types only' },
+  { value: 'compatible', label: 'Compatible donors welcome' },
+];
+
+// Recipient type -> donor types whose red cells it can receive
+const RED_CELL_DONORS = {
+  'O-': ['O-'],
+  'O+': ['O-', 'O+'],
+  'A-': ['O-', 'A-'],
+  'A+': ['O-', 'O+', 'A-', 'A+'],
+  'B-': ['O-', 'B-'],
+  'B+': ['O-', 'O+', 'B-', 'B+'],
+  'AB-': ['O-', 'A-', 'B-', 'AB-'],
+  'AB+': BLOOD_TYPES,
+};
+
+// Recipient ABO group -> donor ABO groups whose plasma it can receive
+const PLASMA_DONOR_GROUPS = {
+  O: ['O', 'A', 'B', 'AB'],
+  A: ['A', 'AB'],
+  B: ['B', 'AB'],
+  AB: ['AB'],
+};
+
+const getAboGroup = (bloodType) => bloodType.replace(/[+-]$/, '');
+
+// Donor blood types that can give the given donation type to a recipient
+export const getCompatibleDonorTypes = (recipientType, donationType = 'whole-blood') => {
+  if (!BLOOD_TYPES.includes(recipientType)) {
+    return [];
+  }
+
+  if (donationType === 'plasma') {
+    const donorGroups = PLASMA_DONOR_GROUPS[getAboGroup(recipientType)];
+    return BLOOD_TYPES.filter((type) => donorGroups.includes(getAboGroup(type)));
+  }
+
+  return RED_CELL_DONORS[recipientType];
+};
+
+// Donor blood types an event accepts, given its matching mode
+export const getAcceptedDonorTypes = (event) => {
+  const neededTypes = event?.bloodTypesNeeded || [];
+
+  if (event?.bloodTypeMatching !== 'compatible') {
+    return BLOOD_TYPES.filter((type) => neededTypes.includes(type));
+  }
+
+  const accepted = new Set(
+    neededTypes.flatMap((type) => getCompatibleDonorTypes(type, event.donationType))
+  );
+
+  return BLOOD_TYPES.filter((type) => accepted.has(type));
+};
+
+/*
+ * getDonorMatch
+ * How a donor's blood type matches an event: 'exact' when the event lists it,
+ * 'compatible' when only accepted through compatibility, otherwise null
+ */
+export const getDonorMatch = (event, donorType) => {
+  if (!donorType) return null;
+  if (event?.bloodTypesNeeded?.includes(donorType)) return 'exact';
+  return getAcceptedDonorTypes(event).includes(donorType) ? 'compatible' : null;
+};
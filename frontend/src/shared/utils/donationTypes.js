@@ -0,0 +1,14 @@
+/*
+ * Donation type helpers
+ * Kinds of donation an event can collect, matching the backend Donation model.
+ */
+export const DONATION_TYPES = [
+  { value: 'whole-blood', label: 'Whole blood' },
+  { value: 'platelets', label: 'Platelets' },
+  { value: 'plasma', label: 'Plasma' },
+  { value: 'double-red-cells', label: 'Double red cells' },
+];
+
+// Display label for a donation type (events without one collect whole blood)
+export const getDonationTypeLabel = (donationType = 'whole-blood') =>
+  DONATION_TYPES.find((type) => type.value === donationType)?.label || donationType;
@@ -0,0 +1,124 @@
+/*
+ * Event schedule helpers
+ * Events come from the API with UTC startsAt/endsAt, their IANA timeZone and
+ * a `local` block with the same schedule in that zone. Dates and times are
+ * always shown in the event's zone, labelled with its abbreviation.
+ */
+
+// Zone of the browser, used as the default for new events and date searches
+export const getBrowserTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Sorted IANA zones for the time zone picker (always including `current`)
+export const getTimeZoneOptions = (current) => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : ['UTC'];
+
+  return [...new Set([...zones, getBrowserTimeZone(), current].filter(Boolean))].sort();
+};
+
+// "GMT+5:45" / "EDT" for a zone at a given instant
+export const getTimeZoneName = (timeZone, date = new Date()) => {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find((part) => part.type === 'timeZoneName')?.value || timeZone;
+  } catch {
+    return timeZone;
+  }
+};
+
+/*
+ * formatEventDate
+ * Formats an instant as a calendar date in the event's zone
+ * (default "Jun 1, 2026")
+ */
+export const formatEventDate = (
+  value,
+  timeZone,
+  options = { month: 'short', day: 'numeric', year: 'numeric' }
+) => {
+  const date = new Date(value);
+
+  if (!value || Number.isNaN(date.getTime())) {
+    return 'TBD';
+  }
+
+  return date.toLocaleDateString('en-US', { ...options, timeZone });
+};
+
+// "Jun 1, 2026" or "Jun 1, 2026 - Jun 2, 2026"
+export const formatEventDateRange = (event, options) => {
+  const start = formatEventDate(event?.startsAt, event?.timeZone, options);
+  const end = formatEventDate(event?.endsAt, event?.timeZone, options);
+  return start === end ? start : `${start} - ${end}`;
+};
+
+// "9:00 AM - 5:00 PM GMT+5:45" in the event's zone
+export const formatEventTimeRange = (event) => {
+  if (!event?.startsAt || !event?.endsAt) {
+    return '';
+  }
+
+  const options = { hour: 'numeric', minute: '2-digit', timeZone: event.timeZone };
+  const start = new Date(event.startsAt).toLocaleTimeString('en-US', options);
+  const end = new Date(event.endsAt).toLocaleTimeString('en-US', options);
+  return `${start} - ${end} ${getTimeZoneName(event.timeZone, new Date(event.startsAt))}`;
+};
+
+// Today's date ("2026-06-01") in a zone
+export const getTodayInTimeZone = (timeZone) => {
+  try {
+    return new Date().toLocaleDateString('en-CA', { timeZone });
+  } catch {
+    return new Date().toLocaleDateString('en-CA');
+  }
+};
+
+/*
+ * zonedTimeToInstant
+ * The instant of a local date ("2026-06-01") and time ("09:00") in a zone,
+ * or null for incomplete input. The offset comes from Intl, so no date
+ * library is needed.
+ */
+export const zonedTimeToInstant = (date, time, timeZone) => {
+  // Read the wall-clock time as UTC, then correct by the zone's offset
+  const wallClock = new Date(`${date}T${time}:00Z`);
+
+  if (!date || !time || Number.isNaN(wallClock.getTime())) {
+    return null;
+  }
+
+  const getOffset = (instant) =>
+    new Date(instant.toLocaleString('en-US', { timeZone })) -
+    new Date(instant.toLocaleString('en-US', { timeZone: 'UTC' }));
+
+  try {
+    // Second pass uses the offset at the result, in case a DST change lies between
+    const estimate = new Date(wallClock - getOffset(wallClock));
+    return new Date(wallClock - getOffset(estimate));
+  } catch {
+    return null;
+  }
+};
+
+// For the event forms: "9:00 AM EDT is Mon 6:45 PM your time" when the
+// event's zone differs from the browser's, else ''
+export const describeLocalTime = (date, time, timeZone) => {
+  if (!timeZone || timeZone === getBrowserTimeZone()) {
+    return '';
+  }
+
+  const instant = zonedTimeToInstant(date, time, timeZone);
+
+  if (!instant) {
+    return '';
+  }
+
+  const options = { hour: 'numeric', minute: '2-digit' };
+  const eventTime = instant.toLocaleTimeString('en-US', { ...options, timeZone });
+  const yourTime = instant.toLocaleString('en-US', { ...options, weekday: 'short' });
+
+  return `${eventTime} ${getTimeZoneName(timeZone, instant)} is ${yourTime} your time`;
+};
@@ -0,0 +1,54 @@
+/*
+ * Time slot helpers
+ * Formatting and grouping of event appointment slots for display. Pass the
+ * event's timeZone so slots show in the event's local time.
+ */
+
+// Seats still free in a slot (never negative)
+export const getSeatsLeft = (slot) =>
+  Math.max(0, (slot.capacity || 0) - (slot.bookedCount || 0));
+
+// A slot can be booked when it has not started and still has seats
+export const isSlotBookable = (slot) =>
+  new Date(slot.startsAt) > new Date() && getSeatsLeft(slot) > 0;
+
+// "9:00 AM - 9:30 AM"
+export const formatSlotRange = (slot, timeZone) => {
+  const options = { hour: 'numeric', minute: '2-digit', timeZone };
+  const start = new Date(slot.startsAt).toLocaleTimeString('en-US', options);
+  const end = new Date(slot.endsAt).toLocaleTimeString('en-US', options);
+  return `${start} - ${end}`;
+};
+
+/*
+ * groupSlotsByDay
+ * Groups slots by calendar day (in slot order) for multi-day events.
+ * Returns [{ key, label, slots }].
+ */
+export const groupSlotsByDay = (slots = [], timeZone) => {
+  const groups = [];
+
+  slots.forEach((slot) => {
+    const startsAt = new Date(slot.startsAt);
+    const key = startsAt.toLocaleDateString('en-CA', { timeZone });
+    let group = groups.find((entry) => entry.key === key);
+
+    if (!group) {
+      group = {
+        key,
+        label: startsAt.toLocaleDateString('en-US', {
+          weekday: 'short',
+          month: 'short',
+          day: 'numeric',
+          timeZone,
+        }),
+        slots: [],
+      };
+      groups.push(group);
+    }
+
+    group.slots.push(slot);
+  });
+
+  return groups;
+};